@@ -0,0 +1,285 @@
+/**
+ * BENCH: a benchmark harness that reports how sure it is
+ *
+ * The performance section of factory-functions.js used to time one
+ * 100k-iteration loop and print "~Nx faster" — one sample, no warmup, and
+ * nothing stopping the JIT from deleting work whose result is never used.
+ * bench() instead:
+ *
+ * - calibrates a batch size so each sample is long enough to time reliably,
+ * - warms up before measuring (so the optimizing compiler has kicked in),
+ * - takes many samples and reports mean, median, p95 and a 95% margin of error,
+ * - feeds every result into a `blackhole` so it cannot be dead-code eliminated,
+ * - measures retained memory per operation (exact with `node --expose-gc`),
+ * - saves results as a baseline JSON and flags later regressions against it.
+ *
+ * Run the examples with: node --expose-gc bench.js
+ * Run the tests with: node test-runner.js bench.test.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+// ============================================================================
+// Dead-code elimination guard
+// ============================================================================
+
+// Every benchmarked result flows through here; because `sink` escapes the
+// module (via blackhole.last), the engine cannot prove the work is unused.
+let sink;
+
+/** Consume `value` so the computation that produced it cannot be optimized away. */
+function blackhole(value) {
+  sink = value;
+  return value;
+}
+Object.defineProperty(blackhole, 'last', { get: () => sink });
+
+// ============================================================================
+// Statistics
+// ============================================================================
+
+// Two-sided 95% Student's t critical values for 1..30 degrees of freedom
+const T_95 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042];
+
+const tCritical = (df) => (df <= 0 ? Infinity : df <= T_95.length ? T_95[df - 1] : 1.96);
+
+/** Linear-interpolated percentile of an ascending array. */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  const rank = (p / 100) * (sorted.length - 1);
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+}
+
+/**
+ * @param {number[]} samples per-operation times (ms)
+ * @returns {{ mean, median, p95, min, max, stddev, sem, moe, rme, samples }}
+ *   moe: 95% margin of error (ms), Infinity for a single sample; rme: moe as a % of the mean
+ */
+function summarize(samples) {
+  const n = samples.length;
+  const sorted = samples.slice().sort((a, b) => a - b);
+  const mean = samples.reduce((sum, x) => sum + x, 0) / n;
+  const variance = n > 1 ? samples.reduce((sum, x) => sum + (x - mean) ** 2, 0) / (n - 1) : 0;
+  const stddev = Math.sqrt(variance);
+  const sem = stddev / Math.sqrt(n);
+  // One sample says nothing about the spread (0 * Infinity would be NaN)
+  const moe = n > 1 ? sem * tCritical(n - 1) : Infinity;
+  return {
+    mean,
+    median: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    min: sorted[0],
+    max: sorted[n - 1],
+    stddev,
+    sem,
+    moe,
+    rme: mean === 0 ? 0 : (moe / mean) * 100,
+    samples: n
+  };
+}
+
+// ============================================================================
+// Measuring
+// ============================================================================
+
+const gcAvailable = () => typeof global.gc === 'function';
+
+function timeBatch(fn, ops, offset) {
+  const start = performance.now();
+  for (let i = 0; i < ops; i++) blackhole(fn(offset + i));
+  return performance.now() - start;
+}
+
+/**
+ * Retained heap per operation: keep every result alive, then compare heapUsed.
+ * With --expose-gc the heap is collected before and after; without it the
+ * number includes garbage and is marked `exact: false`.
+ */
+function measureMemory(fn, ops) {
+  const exact = gcAvailable();
+  if (exact) global.gc();
+  const before = process.memoryUsage().heapUsed;
+  const retained = new Array(ops);
+  for (let i = 0; i < ops; i++) retained[i] = fn(i);
+  if (exact) global.gc();
+  const after = process.memoryUsage().heapUsed;
+  blackhole(retained);
+  return { bytesPerOp: Math.max(0, (after - before) / ops), exact, ops };
+}
+
+/**
+ * Benchmark `fn`. It is called as fn(i) with a changing integer so results
+ * cannot be hoisted out of the loop; return something derived from the work.
+ *
+ * @param {string} name
+ * @param {(i: number) => *} fn
+ * @param {object} [options]
+ * @param {number} [options.warmupMs=100] run (unmeasured) for this long first
+ * @param {number} [options.samples=30] number of timed samples
+ * @param {number} [options.minSampleMs=5] each sample runs enough ops to last at least this long
+ * @param {number|false} [options.memoryOps=10000] ops for the retained-memory measurement; false skips it
+ * @returns {{ name: string, opsPerSample: number, stats: object, opsPerSec: number, memory: object|null }}
+ */
+function bench(name, fn, { warmupMs = 100, samples = 30, minSampleMs = 5, memoryOps = 10000 } = {}) {
+  // Calibrate: double the batch until one batch takes minSampleMs
+  let ops = 1;
+  while (timeBatch(fn, ops, 0) < minSampleMs && ops < 1e9) ops *= 2;
+
+  const warmupEnd = performance.now() + warmupMs;
+  while (performance.now() < warmupEnd) timeBatch(fn, ops, 0);
+
+  const perOp = [];
+  for (let s = 0; s < samples; s++) perOp.push(timeBatch(fn, ops, s * ops) / ops);
+  const stats = summarize(perOp);
+
+  return {
+    name,
+    opsPerSample: ops,
+    stats,
+    opsPerSec: stats.mean > 0 ? 1000 / stats.mean : Infinity,
+    memory: memoryOps ? measureMemory(fn, memoryOps) : null
+  };
+}
+
+/**
+ * Run several benchmarks with the same options and rank them, fastest first.
+ * `relative` is how many times slower than the fastest; `significant` is false
+ * when the 95% intervals of this result and the fastest overlap.
+ */
+function compare(cases, options) {
+  const results = Object.entries(cases).map(([name, fn]) => bench(name, fn, options));
+  results.sort((a, b) => a.stats.mean - b.stats.mean);
+  const fastest = results[0];
+  for (const result of results) {
+    result.relative = result.stats.mean / fastest.stats.mean;
+    result.significant = result === fastest ||
+      result.stats.mean - result.stats.moe > fastest.stats.mean + fastest.stats.moe;
+  }
+  return results;
+}
+
+// ============================================================================
+// Reporting and baselines
+// ============================================================================
+
+function formatTime(ms) {
+  if (ms >= 1) return `${ms.toFixed(2)} ms`;
+  if (ms >= 1e-3) return `${(ms * 1e3).toFixed(2)} µs`;
+  return `${(ms * 1e6).toFixed(1)} ns`;
+}
+
+function formatBytes(memory) {
+  if (!memory) return '';
+  const value = memory.bytesPerOp >= 1024 ? `${(memory.bytesPerOp / 1024).toFixed(1)} KB` : `${memory.bytesPerOp.toFixed(0)} B`;
+  return memory.exact ? value : `~${value}`;
+}
+
+/** A fixed-width text table of compare()/bench() results. */
+function formatTable(results) {
+  const rows = [['name', 'mean', '±', 'median', 'p95', 'ops/sec', 'memory/op', 'relative']];
+  for (const r of results) {
+    const relative = r.relative === undefined ? '' :
+      r.relative === 1 ? 'fastest' : `${r.relative.toFixed(2)}x slower${r.significant ? '' : ' (n.s.)'}`;
+    rows.push([
+      r.name,
+      formatTime(r.stats.mean),
+      `${r.stats.rme.toFixed(1)}%`,
+      formatTime(r.stats.median),
+      formatTime(r.stats.p95),
+      Math.round(r.opsPerSec).toLocaleString('en-US'),
+      formatBytes(r.memory),
+      relative
+    ]);
+  }
+  const widths = rows[0].map((_, col) => Math.max(...rows.map((row) => row[col].length)));
+  return rows.map((row) => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd()).join('\n');
+}
+
+/** Write results to `file` as a baseline for later checkBaseline() calls. */
+function saveBaseline(file, results) {
+  const baseline = {
+    meta: { node: process.version, platform: `${process.platform}-${process.arch}`, savedAt: new Date().toISOString() },
+    results: Object.fromEntries(results.map((r) => [r.name, { mean: r.stats.mean, moe: r.stats.moe, samples: r.stats.samples }]))
+  };
+  fs.writeFileSync(file, `${JSON.stringify(baseline, null, 2)}\n`);
+  return baseline;
+}
+
+/**
+ * Compare results with a saved baseline. A benchmark regressed when it is more
+ * than `tolerance` slower *and* the slowdown exceeds both margins of error.
+ *
+ * @param {string} file baseline written by saveBaseline()
+ * @param {Array} results from bench()/compare()
+ * @param {object} [options]
+ * @param {number} [options.tolerance=0.1] allowed slowdown (0.1 = 10%)
+ * @returns {{ missing: boolean, regressions: Array, report: Array<{ name, baseline, current, change, status }> }}
+ *   status: 'regression' | 'improvement' | 'unchanged' | 'new'
+ */
+function checkBaseline(file, results, { tolerance = 0.1 } = {}) {
+  if (!fs.existsSync(file)) return { missing: true, regressions: [], report: [] };
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8')).results;
+  const report = results.map((r) => {
+    const before = saved[r.name];
+    if (!before) return { name: r.name, baseline: null, current: r.stats.mean, change: null, status: 'new' };
+    const change = r.stats.mean / before.mean - 1;
+    const beyondNoise = Math.abs(r.stats.mean - before.mean) > r.stats.moe + before.moe;
+    let status = 'unchanged';
+    if (beyondNoise && change > tolerance) status = 'regression';
+    else if (beyondNoise && change < -tolerance) status = 'improvement';
+    return { name: r.name, baseline: before.mean, current: r.stats.mean, change, status };
+  });
+  return { missing: false, regressions: report.filter((row) => row.status === 'regression'), report };
+}
+
+module.exports = {
+  bench,
+  compare,
+  summarize,
+  percentile,
+  blackhole,
+  formatTable,
+  saveBaseline,
+  checkBaseline,
+  gcAvailable
+};
+
+// ============================================================================
+// DEMO (node --expose-gc bench.js)
+// ============================================================================
+
+if (require.main === module) {
+  const os = require('os');
+  const path = require('path');
+
+  console.log('\n=== compare(): copying a 100-element array ===\n');
+
+  const source = Array.from({ length: 100 }, (_, i) => i);
+  const options = { warmupMs: 50, samples: 20, memoryOps: 2000 };
+  const results = compare({
+    'spread': (i) => [...source, i],
+    'slice + push': (i) => { const copy = source.slice(); copy.push(i); return copy; },
+    'Array.from': (i) => Array.from(source).concat(i)
+  }, options);
+  console.log(formatTable(results));
+  if (!gcAvailable()) console.log('\n(memory is approximate; run with --expose-gc for exact numbers)');
+
+  console.log('\n=== Baselines ===\n');
+
+  const file = path.join(os.tmpdir(), `bench-baseline-${process.pid}.json`);
+  saveBaseline(file, results);
+  // Simulate a slower build by benchmarking a deliberately worse "spread"
+  const slower = compare({ 'spread': (i) => JSON.parse(JSON.stringify([...source, i])) }, options);
+  const { regressions, report } = checkBaseline(file, slower);
+  for (const row of report) {
+    console.log(`${row.name}: ${(row.change * 100).toFixed(0)}% → ${row.status}`);
+  }
+  console.log('regressions:', regressions.length); // 1
+  fs.unlinkSync(file);
+}
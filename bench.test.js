@@ -0,0 +1,110 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, expect, afterEach } = require('./test-runner');
+const { bench, compare, summarize, percentile, blackhole, formatTable, saveBaseline, checkBaseline } = require('./bench');
+
+/** A result shaped like bench() output, for the reporting functions. */
+const result = (name, mean, moe = 0) => ({ name, stats: { mean, moe, samples: 10 } });
+
+describe('percentile', () => {
+  it('interpolates between the nearest ranks', () => {
+    const sorted = [1, 2, 3, 4, 5];
+    expect(percentile(sorted, 0)).toBe(1);
+    expect(percentile(sorted, 50)).toBe(3);
+    expect(percentile(sorted, 100)).toBe(5);
+    expect(percentile(sorted, 95)).toBeCloseTo(4.8);
+    expect(percentile([10, 20], 25)).toBeCloseTo(12.5);
+    expect(percentile([], 50)).toBe(NaN);
+  });
+});
+
+describe('summarize', () => {
+  it('reports location, spread and a t-based 95% margin of error', () => {
+    const stats = summarize([5, 1, 4, 2, 3]);
+    expect(stats).toHaveProperty('mean', 3);
+    expect(stats).toHaveProperty('median', 3);
+    expect([stats.min, stats.max, stats.samples]).toEqual([1, 5, 5]);
+    expect(stats.p95).toBeCloseTo(4.8);
+    expect(stats.stddev).toBeCloseTo(Math.sqrt(2.5));
+    expect(stats.sem).toBeCloseTo(Math.sqrt(2.5 / 5));
+    expect(stats.moe).toBeCloseTo(Math.sqrt(2.5 / 5) * 2.776);
+    expect(stats.rme).toBeCloseTo((stats.moe / 3) * 100);
+  });
+
+  it('uses the normal approximation past 30 degrees of freedom', () => {
+    const samples = Array.from({ length: 100 }, (_, i) => i % 2);
+    const stats = summarize(samples);
+    expect(stats.moe).toBeCloseTo(stats.sem * 1.96);
+  });
+
+  it('has no spread for constant samples and an unknown one for a single sample', () => {
+    expect(summarize([2, 2, 2])).toHaveProperty('moe', 0);
+    expect(summarize([0, 0])).toHaveProperty('rme', 0);
+    const single = summarize([4]);
+    expect(single.stddev).toBe(0);
+    expect(single.moe).toBe(Infinity);
+    expect(single.rme).toBe(Infinity);
+  });
+});
+
+describe('bench and compare', () => {
+  const quick = { warmupMs: 0, samples: 3, minSampleMs: 0.1, memoryOps: false };
+
+  it('calls fn with changing integers and feeds results to the blackhole', () => {
+    const seen = new Set();
+    const outcome = bench('collect', (i) => {
+      seen.add(i);
+      return i * 2;
+    }, quick);
+    expect(outcome.name).toBe('collect');
+    expect(outcome.stats.samples).toBe(3);
+    expect(outcome.memory).toBe(null);
+    expect(seen.size).toBeGreaterThan(1);
+    expect(typeof blackhole.last).toBe('number');
+  });
+
+  it('ranks results fastest first relative to the fastest', () => {
+    const results = compare({
+      slow: (i) => JSON.parse(JSON.stringify({ list: Array.from({ length: 200 }, (_, n) => n + i) })),
+      fast: (i) => i + 1
+    }, quick);
+    expect(results.map((r) => r.name)).toEqual(['fast', 'slow']);
+    expect(results[0].relative).toBe(1);
+    expect(results[1].relative).toBeGreaterThan(1);
+    expect(formatTable(results).split('\n')[1]).toMatch(/^fast\s.*fastest$/);
+  });
+});
+
+describe('baselines', () => {
+  const file = path.join(os.tmpdir(), `bench-test-${process.pid}.json`);
+  afterEach(() => {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  });
+
+  it('reports a missing baseline', () => {
+    expect(checkBaseline(file, [result('a', 1)])).toEqual({ missing: true, regressions: [], report: [] });
+  });
+
+  it('flags slowdowns beyond tolerance and noise as regressions', () => {
+    saveBaseline(file, [result('steady', 1, 0.05), result('slower', 1, 0.05), result('faster', 1, 0.05), result('noisy', 1, 0.5)]);
+    const { missing, regressions, report } = checkBaseline(file, [
+      result('steady', 1.05, 0.05),
+      result('slower', 1.5, 0.05),
+      result('faster', 0.5, 0.05),
+      result('noisy', 1.5, 0.5),
+      result('added', 1)
+    ]);
+    expect(missing).toBe(false);
+    expect(report.map((row) => row.status)).toEqual(['unchanged', 'regression', 'improvement', 'unchanged', 'new']);
+    expect(regressions.map((row) => row.name)).toEqual(['slower']);
+    expect(report[1].change).toBeCloseTo(0.5);
+  });
+
+  it('honours a custom tolerance', () => {
+    saveBaseline(file, [result('a', 1, 0.01)]);
+    expect(checkBaseline(file, [result('a', 1.3, 0.01)], { tolerance: 0.5 }).regressions).toHaveLength(0);
+  });
+});
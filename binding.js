@@ -0,0 +1,190 @@
+/**
+ * BINDING: autoBind, bound and bindAll — the `this` fixes from this-keyword.js, reusable
+ *
+ * this-keyword.js fixes detached methods three ways, each written by hand:
+ * `counter.increment.bind(counter)`, `this.on = this.on.bind(this)` in the
+ * EventEmitter constructor, and arrow-function class fields. These helpers do
+ * the same work once:
+ *
+ * - autoBind(instance, { include, exclude }): bind every prototype method
+ *   (inherited ones too) onto the instance — the constructor-binding pattern;
+ * - bound(Class, ...names): like a `@bound` decorator; the method stays on the
+ *   prototype and is bound lazily on first access, then cached per instance;
+ * - bindAll(obj, names?): bind methods in place on any object, including
+ *   object-literal methods like `counter.increment`.
+ *
+ * Bound methods keep the original `name` and `length`, getters and setters are
+ * never invoked or replaced, and subclass overrides always win.
+ *
+ * Run the tests with: node test-runner.js binding.test.js
+ */
+
+'use strict';
+
+const boundTo = new WeakMap(); // bound function -> { original, thisArg }
+
+/** fn.bind(thisArg), but named like fn (not "bound fn"); length is kept by bind. */
+function bindMethod(fn, thisArg) {
+  const binding = boundTo.get(fn);
+  if (binding && binding.thisArg === thisArg) return fn;
+  const original = binding ? binding.original : fn;
+  const boundFn = original.bind(thisArg);
+  Object.defineProperty(boundFn, 'name', { value: original.name, configurable: true });
+  boundTo.set(boundFn, { original, thisArg });
+  return boundFn;
+}
+
+/** The function a bound method was made from (or `fn` itself). */
+function unbound(fn) {
+  const binding = boundTo.get(fn);
+  return binding ? binding.original : fn;
+}
+
+/**
+ * Methods reachable from `obj`, most-derived first: key -> { owner, fn }.
+ * Walks the prototype chain up to (not including) Object.prototype; accessor
+ * properties are skipped without being called.
+ */
+function collectMethods(obj, { own }) {
+  const methods = new Map();
+  const shadowed = new Set();
+  for (let owner = own ? obj : Object.getPrototypeOf(obj); owner && owner !== Object.prototype; owner = Object.getPrototypeOf(owner)) {
+    for (const key of Reflect.ownKeys(owner)) {
+      if (key === 'constructor' || shadowed.has(key)) continue;
+      shadowed.add(key); // the nearest definition wins, even if it is a getter or a non-function
+      const descriptor = Object.getOwnPropertyDescriptor(owner, key);
+      if (typeof descriptor.value === 'function') methods.set(key, { owner, fn: descriptor.value });
+    }
+  }
+  // With own: false, an own property (e.g. an arrow-function field) still shadows the prototype
+  if (!own) for (const key of Reflect.ownKeys(obj)) methods.delete(key);
+  return methods;
+}
+
+/** include/exclude entries: names, symbols or RegExps tested against string names. */
+function matcher(list) {
+  if (!list) return null;
+  return (key) => list.some((entry) => (entry instanceof RegExp ? typeof key === 'string' && entry.test(key) : entry === key));
+}
+
+// ============================================================================
+// autoBind
+// ============================================================================
+
+/**
+ * Bind every prototype method of `instance` to it, as own non-enumerable
+ * properties. Call it in a constructor (`autoBind(this)`): subclass methods
+ * are already on the chain there, so they are bound too.
+ *
+ * @param {object} instance
+ * @param {object} [options]
+ * @param {Array<string|symbol|RegExp>} [options.include] only these methods
+ * @param {Array<string|symbol|RegExp>} [options.exclude] never these methods
+ * @returns {object} instance
+ */
+function autoBind(instance, { include, exclude } = {}) {
+  if (instance === null || typeof instance !== 'object') throw new TypeError('autoBind: expected an object');
+  const included = matcher(include);
+  const excluded = matcher(exclude);
+  for (const [key, { fn }] of collectMethods(instance, { own: false })) {
+    if ((included && !included(key)) || (excluded && excluded(key))) continue;
+    Object.defineProperty(instance, key, { value: bindMethod(fn, instance), writable: true, configurable: true, enumerable: false });
+  }
+  return instance;
+}
+
+// ============================================================================
+// bound
+// ============================================================================
+
+// Frozen or sealed instances can't take an own property; their bound methods live here
+const frozenCache = new WeakMap(); // instance -> Map(key -> bound)
+
+/** The object whose own property `key` is found first on `obj`'s chain. */
+function ownerOf(obj, key) {
+  for (let current = obj; current; current = Object.getPrototypeOf(current)) {
+    if (Object.prototype.hasOwnProperty.call(current, key)) return current;
+  }
+  return null;
+}
+
+function boundDescriptor(proto, key, fn) {
+  return {
+    configurable: true,
+    enumerable: false,
+    get() {
+      if (this === proto) return fn;
+      // A subclass that overrides `key` only gets here through super[key]: bind, but don't cache over the override
+      if (ownerOf(this, key) !== proto) return bindMethod(fn, this);
+      if (Object.isExtensible(this)) {
+        const boundFn = bindMethod(fn, this);
+        Object.defineProperty(this, key, { value: boundFn, writable: true, configurable: true, enumerable: false });
+        return boundFn;
+      }
+      if (!frozenCache.has(this)) frozenCache.set(this, new Map());
+      const cache = frozenCache.get(this);
+      if (!cache.has(key)) cache.set(key, bindMethod(fn, this));
+      return cache.get(key);
+    },
+    set(value) {
+      // Assigning replaces the method on this instance only, as it would for a plain method
+      Object.defineProperty(this, key, { value, writable: true, configurable: true, enumerable: true });
+    }
+  };
+}
+
+/**
+ * The `@bound` decorator, without decorator syntax. Three call styles:
+ *
+ *   bound(Class, 'onClick', 'onKey')          // names on Class.prototype
+ *   bound(Class.prototype, 'onClick')         // same, given the prototype
+ *   bound(proto, 'onClick', descriptor)       // legacy decorator signature: returns the new descriptor
+ *
+ * @returns {Function|object} the class/prototype, or the descriptor in decorator form
+ */
+function bound(target, ...rest) {
+  if (rest.length === 2 && rest[1] !== null && typeof rest[1] === 'object') {
+    const [key, descriptor] = rest;
+    if (typeof descriptor.value !== 'function') throw new TypeError(`bound: "${String(key)}" is not a method`);
+    return boundDescriptor(target, key, descriptor.value);
+  }
+  const proto = typeof target === 'function' ? target.prototype : target;
+  if (proto === null || typeof proto !== 'object') throw new TypeError('bound: expected a class or a prototype object');
+  if (rest.length === 0) throw new TypeError('bound: name at least one method');
+  for (const key of rest) {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+    if (!descriptor || typeof descriptor.value !== 'function') {
+      throw new TypeError(`bound: "${String(key)}" is not a method defined on this prototype`);
+    }
+    Object.defineProperty(proto, key, boundDescriptor(proto, key, descriptor.value));
+  }
+  return target;
+}
+
+// ============================================================================
+// bindAll
+// ============================================================================
+
+/**
+ * Bind methods of `obj` to it in place. Own methods (object-literal style)
+ * keep their enumerability; inherited ones become own non-enumerable
+ * properties. Without `names`, every method is bound.
+ *
+ * @param {object} obj
+ * @param {Array<string|symbol>} [names] methods to bind; each must exist
+ * @returns {object} obj
+ */
+function bindAll(obj, names) {
+  if (obj === null || (typeof obj !== 'object' && typeof obj !== 'function')) throw new TypeError('bindAll: expected an object');
+  const methods = collectMethods(obj, { own: true });
+  const keys = names || [...methods.keys()];
+  for (const key of keys) {
+    const method = methods.get(key);
+    if (!method) throw new TypeError(`bindAll: "${String(key)}" is not a method of this object`);
+    const enumerable = method.owner === obj ? Object.getOwnPropertyDescriptor(obj, key).enumerable : false;
+    Object.defineProperty(obj, key, { value: bindMethod(method.fn, obj), writable: true, configurable: true, enumerable });
+  }
+  return obj;
+}
+
+module.exports = { autoBind, bound, bindAll, unbound };
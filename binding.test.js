@@ -0,0 +1,194 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { autoBind, bound, bindAll, unbound } = require('./binding');
+
+class Counter {
+  constructor(start = 0) {
+    this.count = start;
+  }
+
+  increment(by = 1) {
+    this.count += by;
+    return this.count;
+  }
+
+  get doubled() {
+    return this.count * 2;
+  }
+}
+
+class StepCounter extends Counter {
+  increment() {
+    return super.increment(2);
+  }
+
+  reset() {
+    this.count = 0;
+  }
+}
+
+describe('autoBind', () => {
+  it('makes detached calls work: const inc = c.increment', () => {
+    const c = autoBind(new Counter(10));
+    const inc = c.increment;
+    expect(inc()).toBe(11);
+    expect(c.count).toBe(11);
+    expect([1, 2].map((n) => inc(n))).toEqual([12, 14]);
+  });
+
+  it('keeps name and length', () => {
+    const c = autoBind(new Counter());
+    expect(c.increment.name).toBe('increment');
+    expect(c.increment.length).toBe(0); // `by = 1` has a default, as on the prototype
+    expect(c.increment.length).toBe(Counter.prototype.increment.length);
+    expect(unbound(c.increment)).toBe(Counter.prototype.increment);
+  });
+
+  it('binds inherited methods, with subclass overrides winning', () => {
+    const s = autoBind(new StepCounter(0));
+    const { increment, reset } = s;
+    expect(increment()).toBe(2);
+    reset();
+    expect(s.count).toBe(0);
+  });
+
+  it('leaves getters alone and never calls them while scanning', () => {
+    let reads = 0;
+    class Watched extends Counter {
+      get expensive() {
+        reads += 1;
+        return 1;
+      }
+    }
+    const w = autoBind(new Watched(3));
+    expect(reads).toBe(0);
+    expect(w.doubled).toBe(6);
+    expect(Object.getOwnPropertyDescriptor(w, 'doubled')).toBeUndefined();
+  });
+
+  it('honours include and exclude', () => {
+    const s = autoBind(new StepCounter(), { exclude: ['reset'] });
+    expect(Object.keys(Object.getOwnPropertyDescriptors(s))).toContain('increment');
+    expect(Object.prototype.hasOwnProperty.call(s, 'reset')).toBe(false);
+    const only = autoBind(new StepCounter(), { include: [/^inc/] });
+    expect(Object.prototype.hasOwnProperty.call(only, 'reset')).toBe(false);
+    expect(Object.prototype.hasOwnProperty.call(only, 'increment')).toBe(true);
+  });
+
+  it('works from a constructor and keeps own arrow fields', () => {
+    class Emitter {
+      handle = () => 'arrow';
+
+      constructor() {
+        autoBind(this);
+      }
+
+      on(event) {
+        return `${this.constructor.name}:${event}`;
+      }
+    }
+    const { on, handle } = new Emitter();
+    expect(on('ready')).toBe('Emitter:ready');
+    expect(handle()).toBe('arrow');
+    expect(Object.keys(new Emitter())).toEqual(['handle']); // bound methods are non-enumerable
+  });
+});
+
+describe('bound', () => {
+  class Button {
+    constructor(label) {
+      this.label = label;
+    }
+
+    click(times) {
+      return `${this.label} x${times}`;
+    }
+  }
+  bound(Button, 'click');
+
+  it('binds lazily and caches per instance', () => {
+    const b = new Button('OK');
+    expect(Object.prototype.hasOwnProperty.call(b, 'click')).toBe(false);
+    const click = b.click;
+    expect(click(2)).toBe('OK x2');
+    expect(b.click).toBe(click); // cached
+    expect(new Button('No').click).not.toBe(click); // per instance
+    expect(click.name).toBe('click');
+    expect(click.length).toBe(1);
+  });
+
+  it('returns the plain function from the prototype', () => {
+    expect(Button.prototype.click.name).toBe('click');
+    expect(Button.prototype.click.call({ label: 'raw' }, 1)).toBe('raw x1');
+  });
+
+  it('lets subclasses override and call super', () => {
+    class IconButton extends Button {
+      click(times) {
+        return `[icon] ${super.click(times)}`;
+      }
+    }
+    const i = new IconButton('Go');
+    expect(i.click(1)).toBe('[icon] Go x1');
+    expect(i.click(1)).toBe('[icon] Go x1'); // super access did not cache over the override
+    const inherited = new (class extends Button {})('Sub');
+    const detached = inherited.click;
+    expect(detached(3)).toBe('Sub x3');
+  });
+
+  it('works on frozen instances and can be reassigned', () => {
+    const frozen = Object.freeze(new Button('Ice'));
+    const click = frozen.click;
+    expect(click(1)).toBe('Ice x1');
+    expect(frozen.click).toBe(click);
+    const b = new Button('B');
+    b.click = () => 'replaced';
+    expect(b.click()).toBe('replaced');
+  });
+
+  it('supports the legacy decorator signature', () => {
+    const proto = { name: 'legacy', hi() { return this.name; } };
+    Object.defineProperty(proto, 'hi', bound(proto, 'hi', Object.getOwnPropertyDescriptor(proto, 'hi')));
+    const obj = Object.create(proto);
+    obj.name = 'instance';
+    const { hi } = obj;
+    expect(hi()).toBe('instance');
+    expect(() => bound(Button, 'missing')).toThrow('"missing" is not a method');
+  });
+});
+
+describe('bindAll', () => {
+  it('binds object-literal methods in place (this-keyword.js counter)', () => {
+    const counter = {
+      count: 0,
+      increment() {
+        this.count += 1;
+        return this.count;
+      }
+    };
+    bindAll(counter);
+    const incDetached = counter.increment;
+    expect(incDetached()).toBe(1);
+    expect(setTimeoutLike(counter.increment)).toBe(2);
+    expect(Object.keys(counter)).toEqual(['count', 'increment']); // enumerability kept
+  });
+
+  it('binds only the named methods and rejects unknown names', () => {
+    const c = bindAll(new StepCounter(), ['reset']);
+    expect(Object.prototype.hasOwnProperty.call(c, 'reset')).toBe(true);
+    expect(Object.prototype.hasOwnProperty.call(c, 'increment')).toBe(false);
+    expect(() => bindAll(c, ['nope'])).toThrow('"nope" is not a method');
+  });
+
+  it('does not stack bindings when called twice', () => {
+    const c = bindAll(bindAll(new Counter(1)));
+    expect(unbound(c.increment)).toBe(Counter.prototype.increment);
+    expect(c.increment.name).toBe('increment');
+  });
+});
+
+// Calls a callback with no receiver, the way setTimeout or an event emitter would
+function setTimeoutLike(callback) {
+  return callback();
+}
@@ -0,0 +1,66 @@
+/**
+ * callableClass(Class) — one constructor that works with and without `new`
+ *
+ * `MaybeForgotNew` in "factory-functions vs constructor.js" defends itself
+ * with `if (!(this instanceof MaybeForgotNew)) return new MaybeForgotNew(...)`.
+ * That check is fooled in both directions:
+ *
+ * - a subclass called without `new` passes `this instanceof Base` only when
+ *   someone hand-writes the same check in every subclass;
+ * - `Reflect.construct(MaybeForgotNew, args, Other)` gets a `this` from
+ *   Other.prototype, fails the check, and silently returns a MaybeForgotNew.
+ *
+ * callableClass wraps a class in a Proxy whose only trap is `apply`: calling
+ * it constructs the class (or runs a separate `call` behavior, like Date() vs
+ * new Date()), while [[Construct]] is untouched — so `new`, new.target,
+ * Reflect.construct, `instanceof`, static members and `extends` all behave
+ * exactly as they do for the class itself.
+ *
+ *   const User = callableClass(class User { constructor(name) { this.name = name; } });
+ *   User('Ada') instanceof User;      // true
+ *   new User('Ada') instanceof User;  // true
+ *
+ * Run the tests with: node test-runner.js callable-class.test.js
+ */
+
+'use strict';
+
+const { isConstructor } = require('./construct');
+
+const wrapped = new WeakMap(); // wrapper -> class
+
+/**
+ * @param {Function} Class any constructor (usually a class)
+ * @param {object} [options]
+ * @param {Function} [options.call] runs when the wrapper is called without
+ *   `new`, with the caller's `this` and arguments; by default the call constructs
+ * @returns {Function} the wrapper; use it everywhere in place of `Class`,
+ *   including as the base in `extends`
+ */
+function callableClass(Class, { call } = {}) {
+	if (!isConstructor(Class)) throw new TypeError(`callableClass: ${Class && Class.name ? Class.name : String(Class)} is not a constructor`);
+	if (call !== undefined && typeof call !== 'function') throw new TypeError('callableClass: `call` must be a function');
+
+	const wrapper = new Proxy(Class, {
+		apply(target, thisArg, args) {
+			// A call constructs the target exactly as `new target(...args)` would
+			return call ? Reflect.apply(call, thisArg, args) : Reflect.construct(target, args);
+		}
+	});
+
+	// Instances should point back at the name people actually use
+	const descriptor = Object.getOwnPropertyDescriptor(Class.prototype, 'constructor');
+	if (descriptor && descriptor.value === Class && descriptor.configurable) {
+		Object.defineProperty(Class.prototype, 'constructor', { ...descriptor, value: wrapper });
+	}
+
+	wrapped.set(wrapper, Class);
+	return wrapper;
+}
+
+/** The class behind a callableClass() wrapper, or undefined for anything else. */
+function unwrapClass(wrapper) {
+	return wrapped.get(wrapper);
+}
+
+module.exports = { callableClass, unwrapClass };
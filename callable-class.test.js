@@ -0,0 +1,120 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { callableClass, unwrapClass } = require('./callable-class');
+
+const User = callableClass(class User {
+	static count = 0;
+
+	static create(name) {
+		return new this(name);
+	}
+
+	constructor(name) {
+		User.count += 1;
+		this.name = name;
+	}
+
+	greet() {
+		return `Hi, I'm ${this.name}`;
+	}
+});
+
+// The hand-written defensive version, for contrast
+function MaybeForgotNew(name) {
+	if (!(this instanceof MaybeForgotNew)) return new MaybeForgotNew(name);
+	this.name = name;
+}
+
+describe('both call styles', () => {
+	it('constructs with and without new', () => {
+		const called = User('Ada');
+		const constructed = new User('Grace');
+		expect(called).toBeInstanceOf(User);
+		expect(constructed).toBeInstanceOf(User);
+		expect(called.greet()).toBe("Hi, I'm Ada");
+		expect(called.constructor).toBe(User);
+	});
+
+	it('keeps static members, name and length', () => {
+		const before = User.count;
+		User.create('Linus');
+		expect(User.count).toBe(before + 1);
+		expect(User.name).toBe('User');
+		expect(User.length).toBe(1);
+		expect(User.call(null, 'via call').name).toBe('via call');
+	});
+
+	it('honours Reflect.construct newTarget (MaybeForgotNew does not)', () => {
+		class Other {}
+		const ours = Reflect.construct(User, ['x'], Other);
+		expect(Object.getPrototypeOf(ours)).toBe(Other.prototype);
+		expect(ours.name).toBe('x');
+		const theirs = Reflect.construct(MaybeForgotNew, ['x'], Other);
+		expect(Object.getPrototypeOf(theirs)).toBe(MaybeForgotNew.prototype); // the check silently replaced it
+	});
+});
+
+describe('subclassing', () => {
+	class Admin extends User {
+		constructor(name, level) {
+			super(name);
+			this.level = level;
+		}
+	}
+
+	it('extends the wrapper like a normal class', () => {
+		const admin = new Admin('Root', 3);
+		expect(admin).toBeInstanceOf(Admin);
+		expect(admin).toBeInstanceOf(User);
+		expect(admin.greet()).toBe("Hi, I'm Root");
+		expect(Admin.create('Made')).toBeInstanceOf(Admin); // inherited static, `this` is Admin
+	});
+
+	it('needs its own wrapper to be callable', () => {
+		expect(() => Admin('x', 1)).toThrow(/without 'new'/);
+		const CallableAdmin = callableClass(Admin);
+		expect(CallableAdmin('x', 1)).toBeInstanceOf(User);
+		expect(CallableAdmin('x', 1).level).toBe(1);
+	});
+});
+
+describe('separate call behavior', () => {
+	// Like Date(): calling converts, constructing builds an instance
+	const Money = callableClass(class Money {
+		constructor(cents) {
+			this.cents = Math.round(cents);
+		}
+
+		toString() {
+			return `$${(this.cents / 100).toFixed(2)}`;
+		}
+	}, {
+		call: (value) => String(new Money(Number(value) * 100))
+	});
+
+	it('runs `call` without new and the constructor with new', () => {
+		expect(Money('4.5')).toBe('$4.50');
+		expect(new Money(450)).toBeInstanceOf(Money);
+		expect(new Money(450).cents).toBe(450);
+	});
+
+	it('passes the caller\'s this to call', () => {
+		const Tagged = callableClass(class {}, { call() { return this; } });
+		const holder = { Tagged };
+		expect(holder.Tagged()).toBe(holder);
+	});
+});
+
+describe('errors', () => {
+	it('rejects non-constructors', () => {
+		expect(() => callableClass(() => {})).toThrow(TypeError);
+		expect(() => callableClass(class {}, { call: 5 })).toThrow('`call` must be a function');
+	});
+
+	it('unwrapClass returns the original class', () => {
+		expect(typeof unwrapClass(User)).toBe('function');
+		expect(unwrapClass(User)).not.toBe(User);
+		expect(unwrapClass(class {})).toBeUndefined();
+	});
+});
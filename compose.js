@@ -0,0 +1,289 @@
+/**
+ * COMPOSE: functional mixins without silent overwrites
+ *
+ * factory-functions.js builds entities with
+ *   Object.assign({}, withMovable(state), withDrawable(state), withNamable(), ...)
+ * which quietly keeps the *last* `draw` when two mixins both define one.
+ * `compose(...mixins)` merges the same functional mixins, but:
+ *
+ * - a member defined by two mixins is an error unless you pick a strategy:
+ *     'override'           the later mixin wins
+ *     'before' / 'after'   call both; the later one runs before/after the earlier
+ *                          (the earlier one's return value is kept)
+ *     'around'             the later one receives `next` (the earlier one) first
+ *     { rename: 'other' }  keep the earlier one; install the later one as `other`
+ * - mixins can declare the members they `requires` from the others;
+ * - `provenance(obj)` reports which mixin(s) supplied each member.
+ *
+ * Run the examples with: node compose.js
+ * Run the tests with: node test-runner.js compose.test.js
+ */
+
+'use strict';
+
+const STRATEGIES = ['error', 'override', 'before', 'after', 'around'];
+
+// Composed object -> { member: { mixins: [...names], strategy } }
+const _provenance = new WeakMap();
+const RESOLUTION = Symbol('resolution');
+const definedMixins = new WeakSet();
+
+/**
+ * Give a mixin a name and requirements.
+ *
+ * @param {string} name shown in conflicts, errors and provenance
+ * @param {((state: object) => object) | object} members a functional mixin or a plain object
+ * @param {object} [options]
+ * @param {string[]} [options.requires] members another mixin must provide
+ */
+function defineMixin(name, members, { requires = [] } = {}) {
+  if (typeof members !== 'function' && (members === null || typeof members !== 'object')) {
+    throw new TypeError(`defineMixin(${name}): members must be a function or an object`);
+  }
+  const mixin = { name, members, requires };
+  definedMixins.add(mixin);
+  return mixin;
+}
+
+function isStrategy(strategy) {
+  return STRATEGIES.includes(strategy) ||
+    (strategy !== null && typeof strategy === 'object' && typeof strategy.rename === 'string');
+}
+
+/**
+ * How to settle conflicts, passed to compose() alongside the mixins.
+ *
+ * @param {Object<string, string | { rename: string }>} strategies per member
+ *   (a member named `default` is just another member)
+ * @param {object} [options]
+ * @param {string} [options.default='error'] strategy for conflicting members not listed
+ */
+function resolve(strategies, { default: fallback = 'error' } = {}) {
+  for (const [member, strategy] of Object.entries(strategies)) {
+    if (!isStrategy(strategy)) {
+      throw new TypeError(`compose: unknown strategy for "${member}": ${JSON.stringify(strategy)}`);
+    }
+  }
+  if (!isStrategy(fallback) || typeof fallback === 'object') {
+    throw new TypeError(`compose: unknown default strategy: ${JSON.stringify(fallback)}`);
+  }
+  return { [RESOLUTION]: { strategies: { ...strategies }, fallback } };
+}
+
+function normalize(mixin, index) {
+  if (typeof mixin === 'function') {
+    return { name: mixin.name || `mixin#${index}`, members: mixin, requires: mixin.requires || [] };
+  }
+  if (definedMixins.has(mixin)) return mixin;
+  if (mixin !== null && typeof mixin === 'object') return { name: `mixin#${index}`, members: mixin, requires: [] };
+  throw new TypeError(`compose: mixin #${index} must be a function or an object`);
+}
+
+// ============================================================================
+// Combining two members
+// ============================================================================
+
+function chain(name, earlier, later, strategy) {
+  let combined;
+  if (strategy === 'before') {
+    combined = function (...args) {
+      later.apply(this, args);
+      return earlier.apply(this, args);
+    };
+  } else if (strategy === 'after') {
+    combined = function (...args) {
+      const result = earlier.apply(this, args);
+      later.apply(this, args);
+      return result;
+    };
+  } else {
+    combined = function (...args) {
+      return later.call(this, (...nextArgs) => earlier.apply(this, nextArgs), ...args);
+    };
+  }
+  Object.defineProperty(combined, 'name', { value: name });
+  return combined;
+}
+
+/** Merge `desc` for `key` from mixin `source` into the object being built. */
+function install(target, info, key, desc, source, resolution) {
+  const existing = Object.getOwnPropertyDescriptor(target, key);
+  if (!existing) {
+    Object.defineProperty(target, key, desc);
+    info[key] = { mixins: [source], strategy: null };
+    return;
+  }
+
+  // Own keys only, so a member named `toString` or `constructor` is not matched against Object.prototype
+  const { strategies, fallback } = resolution;
+  const strategy = Object.prototype.hasOwnProperty.call(strategies, key) ? strategies[key] : fallback;
+  const owners = info[key].mixins;
+  if (strategy === 'error') {
+    throw new TypeError(
+      `compose: "${String(key)}" is defined by both ${owners.join(', ')} and ${source}; ` +
+      `pick a strategy with resolve({ ${String(key)}: 'override' | 'before' | 'after' | 'around' | { rename } })`
+    );
+  }
+  if (typeof strategy === 'object') {
+    const renamed = strategy.rename;
+    if (Object.prototype.hasOwnProperty.call(target, renamed)) {
+      throw new TypeError(`compose: cannot rename ${source}'s "${String(key)}" to "${renamed}": already defined`);
+    }
+    Object.defineProperty(target, renamed, desc);
+    info[renamed] = { mixins: [source], strategy: null, renamedFrom: key };
+    return;
+  }
+  if (strategy === 'override') {
+    Object.defineProperty(target, key, desc);
+    info[key] = { mixins: [source], strategy: 'override', replaced: owners };
+    return;
+  }
+  if (typeof existing.value !== 'function' || typeof desc.value !== 'function') {
+    throw new TypeError(`compose: '${strategy}' needs "${String(key)}" to be a method in both ${owners.join(', ')} and ${source}`);
+  }
+  Object.defineProperty(target, key, { ...desc, value: chain(String(key), existing.value, desc.value, strategy) });
+  info[key] = { mixins: owners.concat([source]), strategy };
+}
+
+// ============================================================================
+// compose
+// ============================================================================
+
+/**
+ * Build a factory from functional mixins.
+ *
+ * @param {...(Function | object)} mixins functional mixins `(state) => members`,
+ *   plain member objects, defineMixin() results, and at most one resolve()
+ * @returns {(state?: object) => object} calls every mixin with `state` and merges the results
+ */
+function compose(...mixins) {
+  const resolutions = mixins.filter((m) => m && m[RESOLUTION]);
+  if (resolutions.length > 1) throw new TypeError('compose: pass at most one resolve({...})');
+  const resolution = resolutions.length ? resolutions[0][RESOLUTION] : { strategies: {}, fallback: 'error' };
+  const parts = mixins.filter((m) => !(m && m[RESOLUTION])).map(normalize);
+
+  function composed(state = {}) {
+    const obj = {};
+    const info = {};
+    for (const { name, members } of parts) {
+      const provided = typeof members === 'function' ? members(state) : members;
+      if (provided === null || typeof provided !== 'object') {
+        throw new TypeError(`compose: ${name} must return an object of members`);
+      }
+      const descriptors = Object.getOwnPropertyDescriptors(provided);
+      for (const key of Reflect.ownKeys(descriptors)) {
+        install(obj, info, key, descriptors[key], name, resolution);
+      }
+    }
+    for (const { name, requires } of parts) {
+      // Own members only: `in` would count Object.prototype's toString, valueOf...
+      const missing = requires.filter((key) => !Object.prototype.hasOwnProperty.call(obj, key));
+      if (missing.length) {
+        throw new TypeError(`compose: ${name} requires ${missing.map((k) => `"${k}"`).join(', ')}, which no mixin provides`);
+      }
+    }
+    _provenance.set(obj, info);
+    return obj;
+  }
+
+  composed.mixins = parts.map((p) => p.name);
+  return composed;
+}
+
+/**
+ * Which mixin(s) supplied each member of a composed object.
+ *
+ * @returns {Object<string, { mixins: string[], strategy: string|null, replaced?: string[], renamedFrom?: string }>}
+ */
+function provenance(obj) {
+  const info = _provenance.get(obj);
+  if (!info) throw new TypeError('provenance: object was not built by compose()');
+  const copy = {};
+  for (const key of Reflect.ownKeys(info)) copy[key] = { ...info[key], mixins: info[key].mixins.slice() };
+  return copy;
+}
+
+module.exports = { compose, defineMixin, resolve, provenance };
+
+// ============================================================================
+// DEMO (node compose.js)
+// ============================================================================
+
+if (require.main === module) {
+  function withMovable(state) {
+    return {
+      move(dx, dy) {
+        state.x += dx;
+        state.y += dy;
+      },
+      getPosition() {
+        return { x: state.x, y: state.y };
+      }
+    };
+  }
+
+  function withDrawable(state) {
+    return {
+      draw() {
+        console.log(`  Drawing at (${state.x}, ${state.y})`);
+      }
+    };
+  }
+
+  function withShadow() {
+    return {
+      draw() {
+        console.log('  Drawing shadow');
+      }
+    };
+  }
+
+  console.log('\n=== Conflicts are errors by default ===\n');
+
+  try {
+    compose(withMovable, withDrawable, withShadow)({ x: 0, y: 0 });
+  } catch (e) {
+    console.log(e.message.split(';')[0]); // compose: "draw" is defined by both withDrawable and withShadow
+  }
+
+  console.log('\n=== Strategies ===\n');
+
+  const state = { x: 1, y: 2 };
+  console.log('before:');
+  compose(withDrawable, withShadow, resolve({ draw: 'before' }))(state).draw();
+  console.log('rename:');
+  const renamed = compose(withDrawable, withShadow, resolve({ draw: { rename: 'drawShadow' } }))(state);
+  renamed.draw();
+  renamed.drawShadow();
+  console.log('around:');
+  const withTiming = () => ({
+    draw(next) {
+      console.log('  start');
+      next();
+      console.log('  end');
+    }
+  });
+  compose(withDrawable, withTiming, resolve({ draw: 'around' }))(state).draw();
+
+  console.log('\n=== Required members ===\n');
+
+  const withGreeting = defineMixin('withGreeting', () => ({
+    greet() {
+      return `Hi, I'm ${this.getName()}`;
+    }
+  }), { requires: ['getName'] });
+
+  try {
+    compose(withMovable, withGreeting)();
+  } catch (e) {
+    console.log(e.message); // compose: withGreeting requires "getName", which no mixin provides
+  }
+  const named = compose({ getName: () => 'Hero' }, withGreeting)();
+  console.log(named.greet()); // Hi, I'm Hero
+
+  console.log('\n=== Provenance ===\n');
+
+  const entity = compose(withMovable, withDrawable, withShadow, resolve({ draw: 'after' }))({ x: 0, y: 0 });
+  console.log(provenance(entity));
+  // { move: { mixins: ['withMovable'], ... }, draw: { mixins: ['withDrawable', 'withShadow'], strategy: 'after' }, ... }
+}
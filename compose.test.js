@@ -0,0 +1,45 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { compose, defineMixin, resolve } = require('./compose');
+
+describe('requires', () => {
+  it('is not satisfied by Object.prototype members', () => {
+    const describes = defineMixin('describes', () => ({ describe() { return this.toString(); } }), { requires: ['toString'] });
+    expect(() => compose(describes)()).toThrow('requires "toString"');
+  });
+
+  it('is satisfied by a member another mixin provides', () => {
+    const describes = defineMixin('describes', () => ({ describe() { return this.toString(); } }), { requires: ['toString'] });
+    expect(compose({ toString: () => 'custom' }, describes)().describe()).toBe('custom');
+  });
+});
+
+describe('strategies', () => {
+  const exporter = () => ({ default() { return 'first'; }, save() { return 'first'; } });
+  const other = () => ({ default() { return 'second'; }, save() { return 'second'; } });
+
+  it('treats a member named default like any other member', () => {
+    const obj = compose(exporter, other, resolve({ default: 'override', save: { rename: 'saveOther' } }))();
+    expect(obj.default()).toBe('second');
+    expect(obj.save()).toBe('first');
+    expect(obj.saveOther()).toBe('second');
+  });
+
+  it('applies the default option to members not listed', () => {
+    const obj = compose(exporter, other, resolve({ save: { rename: 'saveOther' } }, { default: 'override' }))();
+    expect(obj.default()).toBe('second');
+    expect(obj.saveOther()).toBe('second');
+  });
+
+  it('does not look up member names on Object.prototype', () => {
+    const a = { toString: () => 'a' };
+    const b = { toString: () => 'b' };
+    expect(() => compose(a, b, resolve({}))()).toThrow('"toString" is defined by both');
+    expect(compose(a, b, resolve({}, { default: 'override' }))().toString()).toBe('b');
+  });
+
+  it('rejects an unknown default', () => {
+    expect(() => resolve({}, { default: 'later' })).toThrow(TypeError);
+  });
+});
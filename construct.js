@@ -0,0 +1,199 @@
+/**
+ * construct(Ctor, args, newTarget) — what `new` does, step by step, per the spec
+ *
+ * `simulateNew` in "factory-functions vs constructor.js" is the textbook
+ * version: Object.create(constructor.prototype) plus apply. It is wrong for:
+ *
+ * - ES6 classes, which throw when called without [[Construct]];
+ * - constructors that read `new.target` (AbstractShape in inheritance.js);
+ * - derived classes, where `this` does not exist until super() returns;
+ * - built-ins (Array, Map, Error...), which allocate exotic objects;
+ * - bound functions and Proxies, which have their own [[Construct]].
+ *
+ * construct() follows ECMA-262 instead: Construct (7.3.15) checks both
+ * arguments with IsConstructor, then dispatches on the kind of F:
+ *
+ * - ordinary `function` (10.2.2, base kind): OrdinaryCreateFromConstructor,
+ *   bind `this`, evaluate the body, apply the return-override rule — all
+ *   done here in JavaScript;
+ * - class constructors, built-ins, bound functions (10.4.1.2) and Proxies
+ *   (10.5.13): JavaScript cannot run these bodies with a chosen `this` and
+ *   `new.target`, so the body step goes through Reflect.construct and the
+ *   surrounding steps are traced and checked.
+ *
+ * Pass `{ trace: true }` (or a function receiving each line) to print every step.
+ *
+ * Run the traces with: node construct.js
+ * Run the tests with: node test-runner.js construct.test.js
+ */
+
+'use strict';
+
+const { types } = require('util');
+
+const isObject = (value) => value !== null && (typeof value === 'object' || typeof value === 'function');
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// A Proxy only has [[Construct]] when its target does, and the trap stops the
+// target's body (and any `prototype` getter) from running: a side-effect-free probe
+const probeHandler = { construct: () => probeHandler };
+
+/** 7.2.4 IsConstructor: does `value` have a [[Construct]] internal method? */
+function isConstructor(value) {
+	if (typeof value !== 'function') return false;
+	try {
+		new (new Proxy(value, probeHandler))();
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Which [[Construct]] F has. Bound functions and built-ins both print as
+ * `[native code]`; bound ones are the only ones without an own `prototype`.
+ */
+function kindOf(F) {
+	if (types.isProxy(F)) return 'proxy';
+	const source = Function.prototype.toString.call(F);
+	if (/^class\b/.test(source)) return /^class\b[^{]*\bextends\b/.test(source) ? 'derived class' : 'base class';
+	if (/\{\s*\[native code\]\s*\}$/.test(source)) return hasOwn(F, 'prototype') ? 'built-in' : 'bound function';
+	// Only the engine can bind new.target, so bodies that read it can't be run by hand
+	if (/\bnew\s*\.\s*target\b/.test(source)) return 'function reading new.target';
+	return 'ordinary function';
+}
+
+function describe(value) {
+	if (typeof value === 'function') return value.name || '(anonymous)';
+	if (!isObject(value)) return typeof value === 'string' ? JSON.stringify(value) : String(value);
+	if (value === Object.prototype) return 'Object.prototype';
+	if (hasOwn(value, 'constructor') && typeof value.constructor === 'function' && value.constructor.prototype === value) {
+		return `${describe(value.constructor)}.prototype`;
+	}
+	const proto = Object.getPrototypeOf(value);
+	return proto && typeof proto.constructor === 'function' ? `<${proto.constructor.name || 'anonymous'} instance>` : '<object>';
+}
+
+function makeTracer(trace) {
+	if (!trace) return () => {};
+	const write = typeof trace === 'function' ? trace : console.log;
+	return (depth, text) => write(`${'  '.repeat(depth)}${text}`);
+}
+
+/**
+ * 10.1.14 GetPrototypeFromConstructor. The fallback is this realm's
+ * Object.prototype (the spec uses newTarget's realm; they differ only across vm contexts).
+ */
+function getPrototypeFromConstructor(newTarget, log, depth) {
+	const proto = newTarget.prototype;
+	if (isObject(proto)) {
+		log(depth, `Get(newTarget, "prototype") → ${describe(proto)}`);
+		return proto;
+	}
+	log(depth, `Get(newTarget, "prototype") → ${describe(proto)}, not an object: fall back to Object.prototype`);
+	return Object.prototype;
+}
+
+/** 10.2.2 [[Construct]] for an ordinary base-kind function, entirely in JavaScript. */
+function constructOrdinary(F, args, newTarget, log) {
+	log(1, '3. OrdinaryCreateFromConstructor(newTarget, "%Object.prototype%")');
+	const thisArgument = Object.create(getPrototypeFromConstructor(newTarget, log, 2));
+	log(1, '4. OrdinaryCallBindThis: `this` = the new object');
+	log(1, '5. OrdinaryCallEvaluateBody');
+	const result = Reflect.apply(F, thisArgument, args);
+	if (isObject(result)) {
+		log(1, `6. body returned an object (${describe(result)}): it replaces \`this\``);
+		return result;
+	}
+	log(1, `6. body returned ${describe(result)}: not an object, so return \`this\``);
+	return thisArgument;
+}
+
+/** Kinds whose body only the engine can evaluate: trace the steps it takes, then delegate. */
+function constructDelegated(kind, F, args, newTarget, log) {
+	switch (kind) {
+		case 'proxy':
+			log(1, '3. Proxy [[Construct]] (10.5.13): call handler.construct(target, args, newTarget),');
+			log(1, '   or the target\'s [[Construct]] when there is no trap; a non-object trap result is a TypeError');
+			break;
+		case 'bound function':
+			log(1, '3. bound function [[Construct]] (10.4.1.2): prepend the bound arguments; if newTarget is F,');
+			log(1, '   use the target function instead; then Construct(target, args, newTarget) (bound `this` is ignored)');
+			break;
+		case 'built-in':
+			log(1, `3. built-in ${describe(F)}: allocate its exotic/internal-slot object with`);
+			log(1, '   GetPrototypeFromConstructor(newTarget, its intrinsic default prototype)');
+			break;
+		case 'derived class':
+			log(1, '3. [[ConstructorKind]] is derived: no `this` is created yet');
+			log(1, `4. evaluate the body; super(...) runs Construct(${describe(Object.getPrototypeOf(F))}, args, newTarget)`);
+			log(1, '   and binds its result as `this` (fields are initialized then)');
+			log(1, '5. return an object result; TypeError for any other non-undefined result;');
+			log(1, '   otherwise the `this` binding (ReferenceError if super() never ran)');
+			break;
+		default: // base class, or a function reading new.target
+			log(1, '3. OrdinaryCreateFromConstructor(newTarget, "%Object.prototype%"), bind `this`, initialize fields');
+			log(1, `4. evaluate the body with new.target = ${describe(newTarget)}`);
+			log(1, '5. return an object result; otherwise `this`');
+	}
+	const result = Reflect.construct(F, args, newTarget);
+	log(1, `→ ${describe(result)}`);
+	return result;
+}
+
+/**
+ * 7.3.15 Construct(F, argumentsList, newTarget).
+ *
+ * @param {Function} Ctor the constructor to run
+ * @param {Array} [args=[]] arguments list
+ * @param {Function} [newTarget=Ctor] the value of `new.target`; its `prototype` becomes the instance's prototype
+ * @param {object} [options]
+ * @param {boolean|Function} [options.trace=false] true logs each step with console.log; a function receives each line
+ * @returns {object} the same object `Reflect.construct(Ctor, args, newTarget)` would produce
+ */
+function construct(Ctor, args = [], newTarget = Ctor, { trace = false } = {}) {
+	if (!Array.isArray(args)) throw new TypeError('construct: args must be an array');
+	const log = makeTracer(trace);
+	log(0, `Construct(${describe(Ctor)}, [${args.map(describe).join(', ')}], newTarget = ${describe(newTarget)})`);
+
+	if (!isConstructor(Ctor)) throw new TypeError(`${describe(Ctor)} is not a constructor`);
+	if (!isConstructor(newTarget)) throw new TypeError(`newTarget ${describe(newTarget)} is not a constructor`);
+	log(1, '1. IsConstructor(F) and IsConstructor(newTarget) → true');
+
+	const kind = kindOf(Ctor);
+	log(1, `2. kind of F: ${kind}`);
+	return kind === 'ordinary function' ? constructOrdinary(Ctor, args, newTarget, log) : constructDelegated(kind, Ctor, args, newTarget, log);
+}
+
+module.exports = { construct, isConstructor };
+
+// ============================================================================
+// DEMO: traces (node construct.js)
+// ============================================================================
+
+if (require.main === module) {
+	function Weird() {
+		this.a = 1;
+		return { b: 2 };
+	}
+
+	class AbstractShape {
+		constructor(name) {
+			if (new.target === AbstractShape) throw new TypeError('Cannot instantiate abstract class');
+			this.name = name;
+		}
+	}
+	class Circle extends AbstractShape {
+		radius = 0;
+		constructor(radius) {
+			super('Circle');
+			this.radius = radius;
+		}
+	}
+
+	console.log('\n=== Trace: an ordinary function ===\n');
+	construct(Weird, [], Weird, { trace: true });
+
+	console.log('\n=== Trace: a derived class ===\n');
+	construct(Circle, [1], Circle, { trace: true });
+}
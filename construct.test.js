@@ -0,0 +1,217 @@
+'use strict';
+
+const { describe: suite, it, expect } = require('./test-runner');
+const { construct, isConstructor } = require('./construct');
+
+const isObject = (value) => value !== null && (typeof value === 'object' || typeof value === 'function');
+
+// The textbook version from "factory-functions vs constructor.js", for contrast
+function simulateNew(constructor, ...rest) {
+	const obj = Object.create(constructor.prototype);
+	const result = constructor.apply(obj, rest);
+	return isObject(result) ? result : obj;
+}
+
+function UserConstructor(name, age) {
+	this.name = name;
+	this.age = age;
+}
+UserConstructor.prototype.greet = function() {
+	return `Hi, I'm ${this.name}`;
+};
+
+function Weird() {
+	this.a = 1;
+	return { b: 2 };
+}
+
+class AbstractShape {
+	constructor(name) {
+		if (new.target === AbstractShape) throw new TypeError('Cannot instantiate abstract class');
+		this.name = name;
+	}
+}
+class Circle extends AbstractShape {
+	radius = 0;
+	constructor(radius) {
+		super('Circle');
+		this.radius = radius;
+	}
+}
+
+/** Same prototype and own properties as the engine's result. */
+const expectLikeNative = (ours, theirs) => {
+	expect(Object.getPrototypeOf(ours)).toBe(Object.getPrototypeOf(theirs));
+	expect(ours).toStrictEqual(theirs);
+};
+
+suite('ordinary functions', () => {
+	it('matches new for a plain constructor', () => {
+		const user = construct(UserConstructor, ['Ada', 36]);
+		expectLikeNative(user, new UserConstructor('Ada', 36));
+		expect(user.greet()).toBe("Hi, I'm Ada");
+	});
+
+	it('lets an object return value replace `this` (Weird)', () => {
+		expect(construct(Weird)).toEqual({ b: 2 });
+	});
+
+	it('ignores primitive return values', () => {
+		function ReturnsNumber() {
+			this.ok = true;
+			return 42;
+		}
+		expectLikeNative(construct(ReturnsNumber), new ReturnsNumber());
+	});
+
+	it('falls back to Object.prototype when prototype is not an object', () => {
+		function NoProto() {}
+		NoProto.prototype = null;
+		expect(Object.getPrototypeOf(construct(NoProto))).toBe(Object.prototype);
+		expect(Object.getPrototypeOf(new NoProto())).toBe(Object.prototype);
+	});
+
+	it('reads newTarget.prototype exactly once, like the engine', () => {
+		const count = (Target) => {
+			let reads = 0;
+			const spy = new Proxy(Target, {
+				get(target, key, receiver) {
+					if (key === 'prototype') reads += 1;
+					return Reflect.get(target, key, receiver);
+				}
+			});
+			return { spy, reads: () => reads };
+		};
+		const ours = count(UserConstructor);
+		construct(UserConstructor, [], ours.spy);
+		const engine = count(UserConstructor);
+		Reflect.construct(UserConstructor, [], engine.spy);
+		expect(ours.reads()).toBe(engine.reads());
+		expect(ours.reads()).toBe(1);
+	});
+
+	it('binds new.target for functions that read it', () => {
+		function Guarded() {
+			if (!new.target) throw new TypeError('use new');
+			this.target = new.target;
+		}
+		expect(construct(Guarded).target).toBe(Guarded);
+	});
+});
+
+suite('classes', () => {
+	it('constructs ES6 classes (simulateNew throws)', () => {
+		class Point {
+			constructor(x) {
+				this.x = x;
+			}
+		}
+		expectLikeNative(construct(Point, [1]), new Point(1));
+		expect(() => simulateNew(Point, 1)).toThrow(/without 'new'/);
+	});
+
+	it('passes new.target through: AbstractShape rejects itself but not subclasses', () => {
+		expect(() => construct(AbstractShape, ['x'])).toThrow('Cannot instantiate abstract class');
+		expect(construct(Circle, [2])).toBeInstanceOf(Circle);
+		// An explicit newTarget picks the prototype and new.target
+		const shape = construct(AbstractShape, ['custom'], Circle);
+		expect(Object.getPrototypeOf(shape)).toBe(Circle.prototype);
+		expect(shape.name).toBe('custom');
+	});
+
+	it('initializes derived `this` through super(), fields included', () => {
+		const circle = construct(Circle, [3]);
+		expectLikeNative(circle, new Circle(3));
+		expect(circle).toEqual({ name: 'Circle', radius: 3 });
+	});
+
+	it('enforces the derived return rules', () => {
+		class ReturnsObject extends Circle {
+			constructor() {
+				super(1);
+				return { replaced: true };
+			}
+		}
+		class ReturnsPrimitive extends Circle {
+			constructor() {
+				super(1);
+				return 1;
+			}
+		}
+		class SkipsSuper extends Circle {
+			constructor() {} // never calls super()
+		}
+		expect(construct(ReturnsObject)).toEqual({ replaced: true });
+		expect(() => construct(ReturnsPrimitive)).toThrow(TypeError);
+		expect(() => construct(SkipsSuper)).toThrow(ReferenceError);
+	});
+});
+
+suite('built-ins', () => {
+	it('subclasses Array with a working length', () => {
+		class Stack extends Array {
+			peek() {
+				return this[this.length - 1];
+			}
+		}
+		const stack = construct(Stack);
+		stack.push(1, 2);
+		expect(Array.isArray(stack)).toBe(true);
+		expect(stack.peek()).toBe(2);
+		stack.length = 0;
+		expect(stack[0]).toBeUndefined();
+	});
+
+	it('constructs Map, Date and Error with their internal slots', () => {
+		expect(construct(Map, [[['k', 1]]]).get('k')).toBe(1);
+		expect(construct(Date, [0]).getTime()).toBe(0);
+		class HttpError extends Error {}
+		const error = construct(Error, ['boom'], HttpError);
+		expect(error).toBeInstanceOf(HttpError);
+		expect(error.message).toBe('boom');
+		expect(typeof error.stack).toBe('string');
+	});
+});
+
+suite('bound functions and proxies', () => {
+	it('prepends bound arguments and ignores the bound this', () => {
+		const BoundUser = UserConstructor.bind({ ignored: true }, 'Bound');
+		const user = construct(BoundUser, [7]);
+		expectLikeNative(user, new BoundUser(7));
+		expect(user).toBeInstanceOf(UserConstructor);
+		expect(user.age).toBe(7);
+	});
+
+	it('runs a construct trap, or forwards when there is none', () => {
+		const calls = [];
+		const Traced = new Proxy(UserConstructor, {
+			construct(target, args, newTarget) {
+				calls.push(args);
+				return Reflect.construct(target, args, newTarget);
+			}
+		});
+		expect(construct(Traced, ['P', 1]).greet()).toBe("Hi, I'm P");
+		expect(calls).toEqual([['P', 1]]);
+		expectLikeNative(construct(new Proxy(UserConstructor, {}), ['Q', 2]), new UserConstructor('Q', 2));
+	});
+
+	it('rejects a trap that returns a primitive', () => {
+		const Bad = new Proxy(UserConstructor, { construct: () => 1 });
+		expect(() => construct(Bad)).toThrow(TypeError);
+	});
+});
+
+suite('IsConstructor', () => {
+	it('rejects arrows, methods and non-functions, with no side effects', () => {
+		let ran = false;
+		const arrow = () => {
+			ran = true;
+		};
+		expect(() => construct(arrow)).toThrow('arrow is not a constructor');
+		expect(() => construct({ method() {} }.method)).toThrow(TypeError);
+		expect(() => construct(5)).toThrow('5 is not a constructor');
+		expect(() => construct(UserConstructor, [], arrow)).toThrow('newTarget arrow is not a constructor');
+		expect(ran).toBe(false);
+		expect(isConstructor(class {})).toBe(true);
+	});
+});
@@ -0,0 +1,302 @@
+/**
+ * CONTAINER: dependency injection for the factory functions
+ *
+ * The "Dependency Injection" section of factory-functions.js wires fakes into
+ * createLogger by hand. A container does the wiring: each factory is
+ * registered with the names of the dependencies it needs, and resolving a
+ * name builds (or reuses) everything below it.
+ *
+ *   const container = createContainer()
+ *     .value('clock', () => new Date().toISOString())
+ *     .register('logger', ({ clock }) => createLogger({ timeProvider: clock }), { deps: ['clock'] });
+ *   container.resolve('logger');
+ *
+ * - lifetimes: 'singleton' (one per registering container), 'transient' (new
+ *   every time) and 'scoped' (one per createScope(), e.g. per request);
+ * - circular dependencies fail with the whole path: "a -> b -> c -> a";
+ * - createChild() overrides registrations without touching the parent (tests);
+ * - factories may be async (resolveAsync), and `dispose` hooks run in reverse
+ *   creation order on container.dispose().
+ *
+ * Run the examples with: node container.js
+ * Run the tests with: node test-runner.js container.test.js
+ */
+
+'use strict';
+
+const LIFETIMES = ['singleton', 'transient', 'scoped'];
+
+class ResolutionError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code NOT_REGISTERED | CIRCULAR | NO_SCOPE | CAPTIVE | ASYNC | DISPOSED
+   * @param {string[]} path names being resolved, outermost first
+   */
+  constructor(message, code, path = []) {
+    // A cycle message already spells out the path
+    const showPath = path.length > 1 && code !== 'CIRCULAR';
+    super(showPath ? `${message} (while resolving ${path.join(' -> ')})` : message);
+    this.name = 'ResolutionError';
+    this.code = code;
+    this.path = path;
+  }
+}
+
+const isThenable = (value) => value !== null && typeof value === 'object' && typeof value.then === 'function';
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.parent] internal: the container this one inherits registrations from
+ * @param {boolean} [options.scope=false] internal: this container holds scoped instances
+ */
+function createContainer({ parent = null, scope = false } = {}) {
+  const registrations = new Map(); // name -> registration
+  const instances = new Map(); // registration -> instance (singletons here; scoped too if this is a scope)
+  const disposers = [];
+  let disposed = false;
+
+  function lookup(name) {
+    if (registrations.has(name)) return { owner: api, reg: registrations.get(name) };
+    return parent ? parent._lookup(name) : null;
+  }
+
+  function nearestScope() {
+    if (scope) return api;
+    return parent ? parent._nearestScope() : null;
+  }
+
+  function assertOpen(name) {
+    if (disposed) throw new ResolutionError(`Cannot resolve "${name}": container has been disposed`, 'DISPOSED', [name]);
+  }
+
+  function track(reg, instance) {
+    if (reg.dispose) disposers.push(() => reg.dispose(instance));
+  }
+
+  /**
+   * Resolve `name` for a consumer at `path`. `context` is the container that
+   * owns the instance's cache and resolves its dependencies.
+   */
+  function build(name, path, consumerLifetime, async) {
+    assertOpen(name);
+    const nextPath = path.concat([name]);
+    if (path.includes(name)) {
+      throw new ResolutionError(`Circular dependency: ${nextPath.join(' -> ')}`, 'CIRCULAR', nextPath);
+    }
+    const found = lookup(name);
+    if (!found) throw new ResolutionError(`Nothing registered as "${name}"`, 'NOT_REGISTERED', nextPath);
+    const { owner, reg } = found;
+
+    if (consumerLifetime === 'singleton' && reg.lifetime === 'scoped') {
+      throw new ResolutionError(
+        `Singleton "${path[path.length - 1]}" cannot depend on scoped "${name}": it would outlive the scope`,
+        'CAPTIVE', nextPath
+      );
+    }
+    let context = api;
+    if (reg.lifetime === 'singleton') context = owner;
+    if (reg.lifetime === 'scoped') {
+      context = nearestScope();
+      if (!context) throw new ResolutionError(`"${name}" is scoped; resolve it from createScope()`, 'NO_SCOPE', nextPath);
+    }
+    return context._instantiate(reg, nextPath, async);
+  }
+
+  function instantiate(reg, path, async) {
+    const cached = reg.lifetime !== 'transient' && instances.has(reg);
+    if (cached) {
+      const instance = instances.get(reg);
+      if (!async && isThenable(instance)) {
+        throw new ResolutionError(`"${reg.name}" is still being created asynchronously; use resolveAsync()`, 'ASYNC', path);
+      }
+      return instance;
+    }
+
+    if (!async) {
+      const deps = {};
+      for (const dep of reg.deps) deps[dep] = build(dep, path, reg.lifetime, false);
+      const instance = reg.factory(deps);
+      if (isThenable(instance)) {
+        throw new ResolutionError(`"${reg.name}" has an async factory; use resolveAsync()`, 'ASYNC', path);
+      }
+      track(reg, instance);
+      if (reg.lifetime !== 'transient') instances.set(reg, instance);
+      return instance;
+    }
+
+    const pending = (async () => {
+      const deps = {};
+      for (const dep of reg.deps) deps[dep] = await build(dep, path, reg.lifetime, true);
+      const instance = await reg.factory(deps);
+      if (disposed) {
+        // dispose() has already run its hooks: tear the late instance down instead of tracking it
+        if (reg.dispose) await reg.dispose(instance);
+        throw new ResolutionError(`"${reg.name}" finished creating after its container was disposed`, 'DISPOSED', path);
+      }
+      track(reg, instance);
+      return instance;
+    })();
+    if (reg.lifetime !== 'transient') {
+      // Cache the promise so concurrent resolves share one instance; swap in the value once ready
+      instances.set(reg, pending);
+      pending.then((instance) => instances.set(reg, instance), () => instances.delete(reg));
+    }
+    return pending;
+  }
+
+  const api = {
+    /**
+     * @param {string} name
+     * @param {(deps: object) => *} factory receives `{ [dep]: instance }`; may return a promise
+     * @param {object} [options]
+     * @param {string[]} [options.deps=[]] names to resolve and pass in
+     * @param {'singleton'|'transient'|'scoped'} [options.lifetime='singleton']
+     * @param {(instance: *) => (void|Promise<void>)} [options.dispose] teardown hook
+     * @returns {object} the container, for chaining
+     */
+    register(name, factory, { deps = [], lifetime = 'singleton', dispose } = {}) {
+      if (typeof factory !== 'function') throw new TypeError(`register("${name}"): factory must be a function`);
+      if (!LIFETIMES.includes(lifetime)) {
+        throw new TypeError(`register("${name}"): lifetime must be one of ${LIFETIMES.join(', ')}`);
+      }
+      if (disposed) throw new ResolutionError(`Cannot register "${name}": container has been disposed`, 'DISPOSED', [name]);
+      registrations.set(name, { name, factory, deps, lifetime, dispose });
+      return api;
+    },
+
+    /** Register a ready-made value (a singleton with no factory work). */
+    value(name, value) {
+      return api.register(name, () => value);
+    },
+
+    has(name) {
+      return lookup(name) !== null;
+    },
+
+    /** Resolve synchronously; throws ResolutionError if anything on the way is async. */
+    resolve(name) {
+      return build(name, [], null, false);
+    },
+
+    /** Resolve, awaiting async factories along the way. */
+    resolveAsync(name) {
+      try {
+        return Promise.resolve(build(name, [], null, true));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    },
+
+    /** A container whose own registrations override this one's (singletons it creates are its own). */
+    createChild() {
+      return createContainer({ parent: api });
+    },
+
+    /** A child that holds 'scoped' instances: one per scope, disposed with the scope. */
+    createScope() {
+      return createContainer({ parent: api, scope: true });
+    },
+
+    /**
+     * Run dispose hooks for every instance this container created, newest
+     * first. Errors are collected and rethrown together as an AggregateError.
+     */
+    async dispose() {
+      if (disposed) return;
+      disposed = true;
+      const errors = [];
+      while (disposers.length) {
+        try {
+          await disposers.pop()();
+        } catch (error) {
+          errors.push(error);
+        }
+      }
+      instances.clear();
+      if (errors.length) throw new AggregateError(errors, `${errors.length} dispose hook(s) failed`);
+    },
+
+    _lookup: lookup,
+    _nearestScope: nearestScope,
+    _instantiate: instantiate
+  };
+  for (const key of ['_lookup', '_nearestScope', '_instantiate']) {
+    Object.defineProperty(api, key, { enumerable: false });
+  }
+  return api;
+}
+
+module.exports = { createContainer, ResolutionError };
+
+// ============================================================================
+// DEMO (node container.js)
+// ============================================================================
+
+if (require.main === module) {
+  const { createLogger, memoryTransport } = require('./logger');
+
+  (async () => {
+    console.log('\n=== Registering and resolving ===\n');
+
+    const container = createContainer()
+      .value('clock', () => new Date().toISOString())
+      .register('logger', ({ clock }) => createLogger({ timeProvider: clock }), { deps: ['clock'] })
+      .register('userService', ({ logger }) => ({
+        create(name) {
+          logger.info('user created', { name });
+          return { name };
+        }
+      }), { deps: ['logger'], lifetime: 'transient' });
+
+    container.resolve('userService').create('Ada');
+    console.log('singleton reused:', container.resolve('logger') === container.resolve('logger')); // true
+    console.log('transient is new:', container.resolve('userService') !== container.resolve('userService')); // true
+
+    console.log('\n=== Child containers override for tests ===\n');
+
+    const memory = memoryTransport();
+    const testContainer = container.createChild()
+      .value('clock', () => '2025-01-01T00:00:00Z')
+      .register('logger', ({ clock }) => createLogger({ timeProvider: clock, transports: [memory] }), { deps: ['clock'] });
+    testContainer.resolve('userService').create('Grace');
+    console.log('captured:', memory.lines[0]); // [2025-01-01T00:00:00Z] INFO  user created name=Grace
+
+    console.log('\n=== Circular dependencies ===\n');
+
+    const cyclic = createContainer()
+      .register('a', () => ({}), { deps: ['b'] })
+      .register('b', () => ({}), { deps: ['c'] })
+      .register('c', () => ({}), { deps: ['a'] });
+    try {
+      cyclic.resolve('a');
+    } catch (e) {
+      console.log(e.code, '-', e.message); // CIRCULAR - Circular dependency: a -> b -> c -> a
+    }
+
+    console.log('\n=== Scopes, async factories and dispose ===\n');
+
+    let nextId = 1;
+    const app = createContainer()
+      .register('db', async () => {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        return { query: (sql) => `rows for ${sql}`, close: () => console.log('  db closed') };
+      }, { dispose: (db) => db.close() })
+      .register('request', () => ({ id: nextId++ }), {
+        lifetime: 'scoped',
+        dispose: (req) => console.log(`  request ${req.id} finished`)
+      })
+      .register('handler', ({ db, request }) => () => `${request.id}: ${db.query('users')}`, {
+        deps: ['db', 'request'],
+        lifetime: 'scoped'
+      });
+
+    for (let i = 0; i < 2; i++) {
+      const scope = app.createScope();
+      const handler = await scope.resolveAsync('handler');
+      console.log(' ', handler());
+      console.log('  same request within scope:', scope.resolve('request') === scope.resolve('request')); // true
+      await scope.dispose();
+    }
+    await app.dispose();
+  })();
+}
@@ -0,0 +1,178 @@
+'use strict';
+
+const { describe, it, expect, mockFn } = require('./test-runner');
+const { createContainer, ResolutionError } = require('./container');
+
+const tick = (ms = 1) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('lifetimes', () => {
+  it('reuses singletons and builds transients every time', () => {
+    const container = createContainer()
+      .register('config', () => ({ port: 80 }))
+      .register('request', ({ config }) => ({ config }), { deps: ['config'], lifetime: 'transient' });
+    expect(container.resolve('config')).toBe(container.resolve('config'));
+    expect(container.resolve('request')).not.toBe(container.resolve('request'));
+    expect(container.resolve('request').config).toBe(container.resolve('config'));
+  });
+
+  it('keeps one scoped instance per scope and needs a scope to resolve it', () => {
+    let next = 1;
+    const container = createContainer().register('request', () => ({ id: next++ }), { lifetime: 'scoped' });
+    const first = container.createScope();
+    const second = container.createScope();
+    expect(first.resolve('request')).toBe(first.resolve('request'));
+    expect(second.resolve('request').id).toBe(2);
+    expect(() => container.resolve('request')).toThrow('resolve it from createScope()');
+  });
+
+  it('rejects singletons that depend on scoped services', () => {
+    const container = createContainer()
+      .register('request', () => ({}), { lifetime: 'scoped' })
+      .register('cache', ({ request }) => ({ request }), { deps: ['request'] });
+    let error;
+    try {
+      container.createScope().resolve('cache');
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(ResolutionError);
+    expect(error.code).toBe('CAPTIVE');
+    expect(error.message).toBe('Singleton "cache" cannot depend on scoped "request": it would outlive the scope (while resolving cache -> request)');
+  });
+});
+
+describe('resolution errors', () => {
+  it('report a cycle with its whole path', () => {
+    const container = createContainer()
+      .register('a', () => ({}), { deps: ['b'] })
+      .register('b', () => ({}), { deps: ['c'] })
+      .register('c', () => ({}), { deps: ['a'] });
+    let error;
+    try {
+      container.resolve('a');
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).toBe('CIRCULAR');
+    expect(error.message).toBe('Circular dependency: a -> b -> c -> a');
+    expect(error.path).toEqual(['a', 'b', 'c', 'a']);
+  });
+
+  it('name the missing dependency and who needed it', () => {
+    const container = createContainer().register('service', () => ({}), { deps: ['db'] });
+    expect(() => container.resolve('service')).toThrow('Nothing registered as "db" (while resolving service -> db)');
+  });
+
+  it('ask for resolveAsync when a factory is async', () => {
+    const container = createContainer().register('db', async () => ({}));
+    expect(() => container.resolve('db')).toThrow('has an async factory; use resolveAsync()');
+  });
+});
+
+describe('child containers', () => {
+  it('override registrations without touching the parent', () => {
+    const parent = createContainer()
+      .value('clock', 'real')
+      .register('logger', ({ clock }) => ({ clock }), { deps: ['clock'] });
+    const child = parent.createChild()
+      .value('clock', 'fake')
+      .register('logger', ({ clock }) => ({ clock }), { deps: ['clock'] });
+    expect(child.resolve('logger').clock).toBe('fake');
+    expect(parent.resolve('logger').clock).toBe('real');
+    expect(child.has('clock')).toBe(true);
+    expect(parent.has('missing')).toBe(false);
+  });
+
+  it('share the singletons of the container that registered them', () => {
+    const parent = createContainer().register('db', () => ({}));
+    expect(parent.createChild().resolve('db')).toBe(parent.resolve('db'));
+  });
+});
+
+describe('async factories', () => {
+  it('create one instance for concurrent resolves', async () => {
+    const factory = mockFn(async () => {
+      await tick();
+      return { connected: true };
+    });
+    const container = createContainer().register('db', factory);
+    const [a, b] = await Promise.all([container.resolveAsync('db'), container.resolveAsync('db')]);
+    expect(a).toBe(b);
+    expect(factory).toHaveBeenCalledTimes(1);
+    expect(container.resolve('db')).toBe(a);
+  });
+
+  it('retry after a failed creation', async () => {
+    let attempts = 0;
+    const container = createContainer().register('db', async () => {
+      attempts += 1;
+      if (attempts === 1) throw new Error('connection refused');
+      return { attempts };
+    });
+    await expect(container.resolveAsync('db')).rejects.toThrow('connection refused');
+    await expect(container.resolveAsync('db')).resolves.toEqual({ attempts: 2 });
+  });
+
+  it('dispose an instance that finishes after dispose() instead of tracking it', async () => {
+    const closed = [];
+    const container = createContainer().register('db', async () => {
+      await tick(5);
+      return { name: 'db' };
+    }, { dispose: (db) => closed.push(db.name) });
+    const pending = container.resolveAsync('db');
+    await container.dispose();
+    let error;
+    try {
+      await pending;
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).toBe('DISPOSED');
+    expect(closed).toEqual(['db']);
+  });
+});
+
+describe('dispose', () => {
+  it('runs hooks newest first and refuses further use', async () => {
+    const order = [];
+    const container = createContainer()
+      .register('db', () => 'db', { dispose: (name) => order.push(name) })
+      .register('repo', () => 'repo', { deps: ['db'], dispose: (name) => order.push(name) });
+    container.resolve('repo');
+    await container.dispose();
+    await container.dispose();
+    expect(order).toEqual(['repo', 'db']);
+    expect(() => container.resolve('db')).toThrow('container has been disposed');
+    expect(() => container.value('x', 1)).toThrow('container has been disposed');
+  });
+
+  it('disposes scoped instances with their scope only', async () => {
+    const finished = [];
+    const container = createContainer()
+      .register('db', () => 'db', { dispose: (name) => finished.push(name) })
+      .register('request', () => 'request', { lifetime: 'scoped', dispose: (name) => finished.push(name) });
+    const scope = container.createScope();
+    scope.resolve('request');
+    container.resolve('db');
+    await scope.dispose();
+    expect(finished).toEqual(['request']);
+  });
+
+  it('runs every hook and throws their errors together', async () => {
+    const ran = [];
+    const container = createContainer()
+      .register('a', () => 'a', { dispose: () => { ran.push('a'); throw new Error('a failed'); } })
+      .register('b', () => 'b', { dispose: async () => { ran.push('b'); throw new Error('b failed'); } })
+      .register('c', () => 'c', { dispose: () => ran.push('c') });
+    ['a', 'b', 'c'].forEach((name) => container.resolve(name));
+    let error;
+    try {
+      await container.dispose();
+    } catch (e) {
+      error = e;
+    }
+    expect(ran).toEqual(['c', 'b', 'a']);
+    expect(error).toBeInstanceOf(AggregateError);
+    expect(error.errors.map((e) => e.message)).toEqual(['b failed', 'a failed']);
+  });
+});
@@ -0,0 +1,326 @@
+/**
+ * COUNTER: the WeakMap + shared-prototype counter from factory-functions.js, grown up
+ *
+ * Rate limits and quotas need more than increment/decrement by 1:
+ * - min/max bounds with an overflow policy: 'clamp', 'throw' or 'wrap'
+ * - a custom step and reset()
+ * - bounded undo/redo history
+ * - change events for subscribers
+ * - snapshot serialize/restore (JSON-safe, so it can be persisted)
+ *
+ * Same pattern as createCounterAdvanced: every method lives on one shared
+ * prototype and all per-instance state sits in the `_counterPrivate` WeakMap.
+ *
+ * Run the examples with: node counter.js
+ * Run the tests with: node test-runner.js counter.test.js
+ */
+
+'use strict';
+
+const SNAPSHOT_VERSION = 1;
+const OVERFLOW_POLICIES = ['clamp', 'throw', 'wrap'];
+
+// Private storage for all counter instances
+const _counterPrivate = new WeakMap();
+
+function getPrivate(counter, method) {
+  const data = _counterPrivate.get(counter);
+  if (!data) throw new TypeError(`counter.${method}() called on an object that is not a counter`);
+  return data;
+}
+
+// ============================================================================
+// Bounds
+// ============================================================================
+
+/**
+ * Bring `value` back into [min, max] according to the overflow policy.
+ * 'wrap' treats the range as a ring of integers: with min 0 and max 59,
+ * 60 becomes 0 and -1 becomes 59.
+ */
+function applyBounds(data, value) {
+  const { min, max, overflow } = data;
+  if (value >= min && value <= max) return value;
+  if (overflow === 'clamp') return Math.min(max, Math.max(min, value));
+  if (overflow === 'wrap') {
+    const span = max - min + 1;
+    return min + ((((value - min) % span) + span) % span);
+  }
+  throw new RangeError(`Counter value ${value} is outside [${min}, ${max}]`);
+}
+
+function validateOptions({ min, max, step, overflow, historyLimit }) {
+  if (typeof min !== 'number' || typeof max !== 'number' || Number.isNaN(min) || Number.isNaN(max)) {
+    throw new TypeError('Counter min and max must be numbers');
+  }
+  if (min > max) throw new RangeError(`Counter min (${min}) must not exceed max (${max})`);
+  if (typeof step !== 'number' || !Number.isFinite(step) || step <= 0) {
+    throw new RangeError('Counter step must be a positive finite number');
+  }
+  if (!OVERFLOW_POLICIES.includes(overflow)) {
+    throw new TypeError(`Counter overflow must be one of ${OVERFLOW_POLICIES.join(', ')} (got "${overflow}")`);
+  }
+  if (overflow === 'wrap' && !(Number.isInteger(min) && Number.isInteger(max) && Number.isInteger(step))) {
+    throw new RangeError("Counter overflow 'wrap' needs integer min, max and step");
+  }
+  if (!(Number.isInteger(historyLimit) && historyLimit >= 0)) {
+    throw new RangeError('Counter historyLimit must be a non-negative integer');
+  }
+}
+
+function validateTimes(times, method) {
+  if (typeof times !== 'number') throw new TypeError(`counter.${method}() times must be a number`);
+  if (!Number.isInteger(times) || times < 1) {
+    throw new RangeError(`counter.${method}() times must be a positive integer (got ${times})`);
+  }
+}
+
+// ============================================================================
+// Shared methods
+// ============================================================================
+
+/** Record the change, trim history, and notify subscribers. Returns the new value. */
+function commit(counter, data, type, next, { record = true } = {}) {
+  const previous = data.value;
+  if (Object.is(previous, next)) return previous;
+  data.value = next;
+  if (record) {
+    data.undo.push(previous);
+    if (data.undo.length > data.historyLimit) data.undo.shift();
+    data.redo.length = 0;
+  }
+  const event = { type, value: next, previous, counter };
+  for (const listener of [...data.listeners]) listener(event);
+  return next;
+}
+
+const counterProto = {
+  /** Add `times` steps (a positive integer, default 1). */
+  increment(times = 1) {
+    const data = getPrivate(this, 'increment');
+    validateTimes(times, 'increment');
+    return commit(this, data, 'increment', applyBounds(data, data.value + data.step * times));
+  },
+
+  /** Subtract `times` steps (a positive integer, default 1). */
+  decrement(times = 1) {
+    const data = getPrivate(this, 'decrement');
+    validateTimes(times, 'decrement');
+    return commit(this, data, 'decrement', applyBounds(data, data.value - data.step * times));
+  },
+
+  /** Jump to `value` (subject to the same bounds policy). */
+  set(value) {
+    const data = getPrivate(this, 'set');
+    if (typeof value !== 'number' || Number.isNaN(value)) throw new TypeError('Counter value must be a number');
+    return commit(this, data, 'set', applyBounds(data, value));
+  },
+
+  /** Back to the initial value; undoable like any other change. */
+  reset() {
+    const data = getPrivate(this, 'reset');
+    return commit(this, data, 'reset', data.initial);
+  },
+
+  getCount() {
+    return getPrivate(this, 'getCount').value;
+  },
+
+  canUndo() {
+    return getPrivate(this, 'canUndo').undo.length > 0;
+  },
+
+  canRedo() {
+    return getPrivate(this, 'canRedo').redo.length > 0;
+  },
+
+  /** Revert the last change; returns the new value, or the current one if there is nothing to undo. */
+  undo() {
+    const data = getPrivate(this, 'undo');
+    if (data.undo.length === 0) return data.value;
+    data.redo.push(data.value);
+    return commit(this, data, 'undo', data.undo.pop(), { record: false });
+  },
+
+  redo() {
+    const data = getPrivate(this, 'redo');
+    if (data.redo.length === 0) return data.value;
+    data.undo.push(data.value);
+    return commit(this, data, 'redo', data.redo.pop(), { record: false });
+  },
+
+  /**
+   * Call `listener({ type, value, previous, counter })` after every change.
+   * No-op changes (e.g. increment while clamped at max) are not reported.
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(listener) {
+    if (typeof listener !== 'function') throw new TypeError('Counter listener must be a function');
+    const { listeners } = getPrivate(this, 'subscribe');
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  /** Plain JSON-safe state (infinite bounds become null). Subscribers are not included. */
+  toSnapshot() {
+    const data = getPrivate(this, 'toSnapshot');
+    const finite = (n) => (Number.isFinite(n) ? n : null);
+    return {
+      version: SNAPSHOT_VERSION,
+      value: data.value,
+      initial: data.initial,
+      min: finite(data.min),
+      max: finite(data.max),
+      step: data.step,
+      overflow: data.overflow,
+      historyLimit: data.historyLimit,
+      undo: data.undo.slice(),
+      redo: data.redo.slice()
+    };
+  },
+
+  toJSON() {
+    return this.toSnapshot();
+  }
+};
+
+// ============================================================================
+// Factories
+// ============================================================================
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.initial=0] starting value, also the target of reset()
+ * @param {number} [options.min=-Infinity]
+ * @param {number} [options.max=Infinity]
+ * @param {number} [options.step=1] amount per increment/decrement
+ * @param {'clamp'|'throw'|'wrap'} [options.overflow='clamp'] what to do when a change leaves [min, max]
+ * @param {number} [options.historyLimit=50] how many changes undo() can revert
+ */
+function createCounter(options = {}) {
+  const {
+    initial = 0,
+    min = -Infinity,
+    max = Infinity,
+    step = 1,
+    overflow = 'clamp',
+    historyLimit = 50
+  } = options;
+  validateOptions({ min, max, step, overflow, historyLimit });
+  if (typeof initial !== 'number' || !Number.isFinite(initial)) {
+    throw new TypeError(`Counter initial value must be a finite number (got ${initial})`);
+  }
+  if (initial < min || initial > max) {
+    throw new RangeError(`Counter initial value ${initial} is outside [${min}, ${max}]`);
+  }
+
+  const counter = Object.create(counterProto);
+  _counterPrivate.set(counter, {
+    value: initial,
+    initial,
+    min,
+    max,
+    step,
+    overflow,
+    historyLimit,
+    undo: [],
+    redo: [],
+    listeners: new Set()
+  });
+  return counter;
+}
+
+/**
+ * Rebuild a counter from toSnapshot() output (or its JSON string).
+ * History is restored too, so undo() keeps working after a reload.
+ */
+function restoreCounter(snapshot) {
+  const data = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+  if (!data || data.version !== SNAPSHOT_VERSION) {
+    throw new TypeError(`Unsupported counter snapshot version: ${data && data.version}`);
+  }
+  const counter = createCounter({
+    initial: data.initial,
+    min: data.min === null ? -Infinity : data.min,
+    max: data.max === null ? Infinity : data.max,
+    step: data.step,
+    overflow: data.overflow,
+    historyLimit: data.historyLimit
+  });
+  if (!Array.isArray(data.undo) || !Array.isArray(data.redo)) {
+    throw new TypeError('Counter snapshot undo and redo must be arrays');
+  }
+  const state = _counterPrivate.get(counter);
+  const inRange = (n) => Number.isFinite(n) && n >= state.min && n <= state.max;
+  if (!inRange(data.value) || !data.undo.every(inRange) || !data.redo.every(inRange)) {
+    throw new RangeError('Counter snapshot holds values outside its bounds');
+  }
+  state.value = data.value;
+  // Keep the most recent entries (the ends of both stacks); slice(-0) would keep everything
+  const recent = (stack) => (state.historyLimit === 0 ? [] : stack.slice(-state.historyLimit));
+  state.undo = recent(data.undo);
+  state.redo = recent(data.redo);
+  return counter;
+}
+
+/** True for objects made by createCounter/restoreCounter. */
+function isCounter(value) {
+  return _counterPrivate.has(value);
+}
+
+module.exports = { createCounter, restoreCounter, isCounter };
+
+// ============================================================================
+// DEMO (node counter.js)
+// ============================================================================
+
+if (require.main === module) {
+  console.log('\n=== Bounds and overflow policies ===\n');
+
+  const quota = createCounter({ max: 3 });
+  quota.increment(10);
+  console.log('clamp:', quota.getCount()); // 3
+
+  const strict = createCounter({ max: 3, overflow: 'throw' });
+  try {
+    strict.increment(4);
+  } catch (e) {
+    console.log('throw:', e.message); // Counter value 4 is outside [-Infinity, 3]
+  }
+
+  const minutes = createCounter({ min: 0, max: 59, initial: 58, overflow: 'wrap' });
+  minutes.increment(3);
+  console.log('wrap:', minutes.getCount()); // 1
+
+  console.log('\n=== Step, reset, undo/redo ===\n');
+
+  const tokens = createCounter({ initial: 100, min: 0, step: 10, historyLimit: 2 });
+  tokens.decrement();
+  tokens.decrement();
+  tokens.decrement();
+  console.log('after 3 decrements:', tokens.getCount()); // 70
+  console.log('undo:', tokens.undo(), tokens.undo(), '| more?', tokens.canUndo()); // 80 90 | more? false
+  console.log('redo:', tokens.redo()); // 80
+  console.log('reset:', tokens.reset()); // 100
+
+  console.log('\n=== Subscribers ===\n');
+
+  const hits = createCounter({ max: 2 });
+  const unsubscribe = hits.subscribe(({ type, previous, value }) => console.log(`  ${type}: ${previous} -> ${value}`));
+  hits.increment();
+  hits.increment();
+  hits.increment(); // clamped at max: no change, no event
+  unsubscribe();
+  hits.reset(); // not reported
+
+  console.log('\n=== Snapshots ===\n');
+
+  const saved = JSON.stringify(tokens);
+  const restored = restoreCounter(saved);
+  console.log('restored value:', restored.getCount()); // 100
+  console.log('history survives:', restored.undo()); // 80
+
+  console.log('\n=== Methods stay shared ===\n');
+  console.log(quota.increment === tokens.increment); // true
+  console.log(Object.keys(quota)); // [] (no per-instance state)
+}
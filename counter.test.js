@@ -0,0 +1,79 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { createCounter, restoreCounter } = require('./counter');
+
+describe('increment/decrement', () => {
+  it('rejects a `times` that is not a positive integer', () => {
+    const counter = createCounter({ max: 10 });
+    expect(() => counter.increment(NaN)).toThrow(RangeError);
+    expect(() => counter.increment(-3)).toThrow('positive integer (got -3)');
+    expect(() => counter.decrement(1.5)).toThrow(RangeError);
+    expect(() => counter.decrement(0)).toThrow(RangeError);
+    expect(() => counter.increment('2')).toThrow(TypeError);
+    expect(counter.getCount()).toBe(0);
+    expect(counter.canUndo()).toBe(false);
+  });
+
+  it('still defaults to one step', () => {
+    const counter = createCounter({ step: 5 });
+    expect(counter.increment()).toBe(5);
+    expect(counter.increment(2)).toBe(15);
+  });
+});
+
+describe('restoreCounter', () => {
+  it('keeps no undo history when historyLimit is 0', () => {
+    const snapshot = { ...createCounter().toSnapshot(), historyLimit: 0, value: 3, undo: [0, 1, 2] };
+    const restored = restoreCounter(snapshot);
+    expect(restored.getCount()).toBe(3);
+    expect(restored.canUndo()).toBe(false);
+  });
+
+  it('trims undo history to historyLimit', () => {
+    const snapshot = { ...createCounter().toSnapshot(), historyLimit: 2, value: 3, undo: [0, 1, 2] };
+    const restored = restoreCounter(snapshot);
+    expect(restored.undo()).toBe(2);
+    expect(restored.undo()).toBe(1);
+    expect(restored.canUndo()).toBe(false);
+  });
+
+  it('trims redo history to historyLimit', () => {
+    const snapshot = { ...createCounter().toSnapshot(), historyLimit: 2, value: 0, redo: [3, 2, 1] };
+    const restored = restoreCounter(snapshot);
+    expect(restored.redo()).toBe(1);
+    expect(restored.redo()).toBe(2);
+    expect(restored.canRedo()).toBe(false);
+    expect(restoreCounter({ ...snapshot, historyLimit: 0 }).canRedo()).toBe(false);
+  });
+
+  it('rejects snapshots without undo/redo arrays or with non-finite values', () => {
+    const snapshot = createCounter().toSnapshot();
+    expect(() => restoreCounter({ ...snapshot, undo: undefined })).toThrow('undo and redo must be arrays');
+    expect(() => restoreCounter({ ...snapshot, redo: {} })).toThrow('undo and redo must be arrays');
+    expect(() => restoreCounter({ ...snapshot, value: NaN })).toThrow(RangeError);
+    expect(() => restoreCounter({ ...snapshot, initial: NaN })).toThrow('finite number');
+    expect(() => restoreCounter({ ...snapshot, undo: [Infinity] })).toThrow('outside its bounds');
+    expect(() => restoreCounter({ ...snapshot, version: 99 })).toThrow('Unsupported counter snapshot version');
+  });
+
+  it('round-trips through JSON with history', () => {
+    const counter = createCounter({ min: 0, max: 10 });
+    counter.increment();
+    counter.increment();
+    counter.undo();
+    const restored = restoreCounter(JSON.stringify(counter));
+    expect(restored.getCount()).toBe(1);
+    expect(restored.redo()).toBe(2);
+    expect(restored.undo()).toBe(1);
+  });
+});
+
+describe('createCounter', () => {
+  it('requires a finite initial value', () => {
+    expect(() => createCounter({ initial: NaN })).toThrow('finite number (got NaN)');
+    expect(() => createCounter({ initial: Infinity })).toThrow(TypeError);
+    expect(() => createCounter({ initial: '1' })).toThrow(TypeError);
+    expect(() => createCounter({ initial: 5, max: 3 })).toThrow(RangeError);
+  });
+});
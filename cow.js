@@ -0,0 +1,157 @@
+/**
+ * cow — copy-on-write views for large objects on hot paths
+ *
+ * The "Performance Tradeoffs" section of "js values vs reference.js" suggests
+ * lazy copying instead of cloning up front. `cow(obj)` returns a view that
+ * reads straight through to `obj`; the first write to a nested node copies
+ * just that node (and its ancestors), never the rest of the tree. When done,
+ * `commit()` the view into a new value or `discard()` it — `obj` is never
+ * modified either way. By default the committed value is deep-frozen, which
+ * also freezes the untouched branches it shares with `obj`.
+ *
+ * Built on the long-lived drafts in produce.js.
+ *
+ * Run the examples and the benchmark with: node cow.js
+ * Run the tests with: node test-runner.js cow.test.js
+ */
+
+'use strict';
+
+const { createDraft, finishDraft, discardDraft, isModified } = require('./produce');
+
+/**
+ * Open a copy-on-write view of `obj`.
+ *
+ * @param {object|Array|Map|Set} obj
+ * @param {object} [options]
+ * @param {boolean|'copies'} [options.freeze=true] how commit() freezes the result:
+ *   true deep-freezes it, shared branches included; 'copies' freezes only the
+ *   nodes that were copied (cheap, but shared branches stay mutable through
+ *   `obj`); false skips it
+ * @returns {{ view: *, readonly dirty: boolean, commit: () => *, discard: () => void }}
+ */
+function cow(obj, { freeze = true } = {}) {
+	const view = createDraft(obj);
+	let closed = false;
+
+	const close = (method) => {
+		if (closed) throw new Error(`cow: ${method}() called on a view that was already committed or discarded`);
+		closed = true;
+	};
+
+	return {
+		view,
+		/** true once anything was written through the view */
+		get dirty() {
+			return !closed && isModified(view);
+		},
+		/** Finish the view: returns `obj` itself if nothing was written, otherwise the new value. */
+		commit() {
+			close('commit');
+			return finishDraft(view, { autoFreeze: freeze });
+		},
+		/** Drop every pending write; the view is unusable afterwards. */
+		discard() {
+			close('discard');
+			discardDraft(view);
+		}
+	};
+}
+
+// ============================================================================
+// Benchmark: single-field update on a large payload
+// ============================================================================
+
+/** A nested payload roughly shaped like an API response / store snapshot. */
+function createPayload(records = 2000) {
+	const payload = { meta: { version: 1, generatedAt: new Date(0).toISOString() }, records: [] };
+	for (let i = 0; i < records; i++) {
+		payload.records.push({
+			id: i,
+			profile: { name: `user-${i}`, tags: ['a', 'b', 'c'], address: { city: 'Paris', zip: '75000' } },
+			history: Array.from({ length: 10 }, (_, n) => ({ at: n, action: 'view', meta: { ok: true } }))
+		});
+	}
+	return payload;
+}
+
+function timeIt(fn, iterations) {
+	fn(); // warm up once so the first-call JIT cost is not measured
+	const start = performance.now();
+	for (let i = 0; i < iterations; i++) fn();
+	return (performance.now() - start) / iterations;
+}
+
+/**
+ * Time "change one field deep inside a big payload" three ways.
+ *
+ * @param {object} [options]
+ * @param {number} [options.records=2000]
+ * @param {number} [options.iterations=20]
+ * @returns {Array<{ name: string, msPerUpdate: number }>}
+ */
+function benchmark({ records = 2000, iterations = 20 } = {}) {
+	const { deepClone } = require('./deep-clone');
+	const payload = createPayload(records);
+	const target = Math.floor(records / 2);
+
+	const results = [
+		['deepClone + mutate', () => {
+			const copy = deepClone(payload);
+			copy.records[target].profile.name = 'changed';
+			return copy;
+		}],
+		['cow + commit', () => {
+			const handle = cow(payload, { freeze: false });
+			handle.view.records[target].profile.name = 'changed';
+			return handle.commit();
+		}]
+	];
+	if (typeof structuredClone === 'function') {
+		results.splice(1, 0, ['structuredClone + mutate', () => {
+			const copy = structuredClone(payload);
+			copy.records[target].profile.name = 'changed';
+			return copy;
+		}]);
+	}
+	return results.map(([name, fn]) => ({ name, msPerUpdate: timeIt(fn, iterations) }));
+}
+
+module.exports = { cow, benchmark, createPayload };
+
+// ============================================================================
+// DEMO (node cow.js)
+// ============================================================================
+
+if (require.main === module) {
+	console.log('\n=== cow: read-through, copy on first write ===\n');
+
+	const config = { server: { port: 80, tls: { enabled: false } }, features: { beta: ['search'] } };
+
+	const edit = cow(config);
+	console.log('read-through:', edit.view.server.port, '| dirty:', edit.dirty); // 80 | false
+	edit.view.server.tls.enabled = true;
+	console.log('dirty after write:', edit.dirty); // true
+	const next = edit.commit();
+
+	console.log('original untouched:', config.server.tls.enabled); // false
+	console.log('committed value:', next.server.tls.enabled); // true
+	console.log('untouched branch shared:', next.features === config.features); // true
+	console.log('deep-frozen:', Object.isFrozen(next.server.tls), Object.isFrozen(next.features.beta)); // true true
+
+	const cheap = cow(config, { freeze: 'copies' });
+	cheap.view.server.port = 8080;
+	const partly = cheap.commit();
+	console.log("freeze: 'copies':", Object.isFrozen(partly.server), Object.isFrozen(partly.server.tls)); // true false
+
+	const scratch = cow(config);
+	scratch.view.features.beta.push('chat');
+	scratch.discard();
+	console.log('discarded:', config.features.beta); // [ 'search' ]
+
+	console.log('\n=== cow: benchmark (one field in a 2000-record payload) ===\n');
+
+	for (const { name, msPerUpdate } of benchmark()) {
+		console.log(`${name.padEnd(26)} ${msPerUpdate.toFixed(3)} ms/update`);
+	}
+}
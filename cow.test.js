@@ -0,0 +1,84 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { cow } = require('./cow');
+
+const makeConfig = () => ({ server: { port: 80, tls: { enabled: false } }, features: { beta: ['search'] } });
+
+describe('cow', () => {
+	it('reads through and copies only the written path on commit', () => {
+		const config = makeConfig();
+		const edit = cow(config);
+		expect(edit.view.server.port).toBe(80);
+		expect(edit.dirty).toBe(false);
+		edit.view.server.tls.enabled = true;
+		expect(edit.dirty).toBe(true);
+
+		const next = edit.commit();
+		expect(config.server.tls.enabled).toBe(false);
+		expect(next.server.tls.enabled).toBe(true);
+		expect(next.server).not.toBe(config.server);
+		expect(next.features).toBe(config.features);
+		expect(edit.dirty).toBe(false);
+	});
+
+	it('returns the original when nothing was written', () => {
+		const config = makeConfig();
+		const edit = cow(config);
+		void edit.view.features.beta[0];
+		expect(edit.commit()).toBe(config);
+	});
+
+	it('deep-freezes the result by default, shared branches included', () => {
+		const config = makeConfig();
+		const edit = cow(config);
+		edit.view.server.port = 8080;
+		const next = edit.commit();
+		expect(Object.isFrozen(next)).toBe(true);
+		expect(Object.isFrozen(next.server.tls)).toBe(true);
+		expect(Object.isFrozen(next.features.beta)).toBe(true);
+		expect(() => next.features.beta.push('chat')).toThrow(TypeError);
+	});
+
+	it("freezes only the copies with freeze: 'copies' and nothing with freeze: false", () => {
+		const config = makeConfig();
+		const partial = cow(config, { freeze: 'copies' });
+		partial.view.server.port = 8080;
+		const next = partial.commit();
+		expect(Object.isFrozen(next.server)).toBe(true);
+		expect(Object.isFrozen(next.features)).toBe(false);
+		config.features.beta.push('chat');
+		expect(next.features.beta).toEqual(['search', 'chat']);
+
+		const loose = cow(makeConfig(), { freeze: false });
+		loose.view.server.port = 1;
+		expect(Object.isFrozen(loose.commit().server)).toBe(false);
+	});
+
+	it('drops pending writes on discard and can only be closed once', () => {
+		const config = makeConfig();
+		const scratch = cow(config);
+		scratch.view.features.beta.push('chat');
+		scratch.discard();
+		expect(config.features.beta).toEqual(['search']);
+		expect(() => scratch.view.features).toThrow(TypeError);
+		expect(() => scratch.commit()).toThrow('already committed or discarded');
+		expect(() => scratch.discard()).toThrow('already committed or discarded');
+	});
+
+	it('works on Maps and Sets', () => {
+		const index = new Map([['ada', { visits: 1 }], ['bob', { visits: 2 }]]);
+		const edit = cow(index);
+		edit.view.get('ada').visits += 1;
+		const next = edit.commit();
+		expect(next.get('ada').visits).toBe(2);
+		expect(index.get('ada').visits).toBe(1);
+		expect(next.get('bob')).toBe(index.get('bob'));
+
+		const tags = new Set(['a']);
+		const tagEdit = cow(tags, { freeze: false });
+		tagEdit.view.add('b');
+		expect([...tagEdit.commit()]).toEqual(['a', 'b']);
+		expect([...tags]).toEqual(['a']);
+	});
+});
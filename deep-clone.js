@@ -0,0 +1,276 @@
+/**
+ * deepClone — a structured-clone-compatible deep copier
+ *
+ * Grown out of the simple `deepClone(value, seen = new WeakMap())` helper in
+ * "js values vs reference.js". By default it produces the same result as
+ * `structuredClone` for every type both support, and it can optionally go
+ * further: keep prototypes, copy non-enumerable and symbol keys, and keep or
+ * drop accessors instead of reading them.
+ *
+ * Run the tests with: node test-runner.js deep-clone.test.js
+ */
+
+'use strict';
+
+const { types } = require('util');
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+/**
+ * Mirrors the DOMException `structuredClone` throws for uncloneable values
+ * (functions, symbols, WeakMaps, ...). Falls back to a plain Error with the
+ * same `name` on runtimes without a global DOMException.
+ */
+function dataCloneError(message) {
+	if (typeof DOMException === 'function') {
+		return new DOMException(message, 'DataCloneError');
+	}
+	const err = new Error(message);
+	err.name = 'DataCloneError';
+	return err;
+}
+
+// ============================================================================
+// Type helpers
+// ============================================================================
+
+const toTag = (value) => Object.prototype.toString.call(value).slice(8, -1);
+
+/**
+ * Classify by internal slots (util.types) rather than Symbol.toStringTag, so an
+ * object that merely claims to be a Date is still cloned as a plain object.
+ */
+function kindOf(value) {
+	if (types.isBooleanObject(value)) return 'Boolean';
+	if (types.isNumberObject(value)) return 'Number';
+	if (types.isStringObject(value)) return 'String';
+	if (types.isBigIntObject(value)) return 'BigInt';
+	if (types.isSymbolObject(value)) return 'Symbol';
+	if (types.isDate(value)) return 'Date';
+	if (types.isRegExp(value)) return 'RegExp';
+	if (types.isArrayBuffer(value)) return 'ArrayBuffer';
+	if (types.isSharedArrayBuffer(value)) return 'SharedArrayBuffer';
+	if (types.isDataView(value)) return 'DataView';
+	if (types.isTypedArray(value)) return 'TypedArray';
+	if (types.isMap(value)) return 'Map';
+	if (types.isSet(value)) return 'Set';
+	if (types.isNativeError(value)) return 'Error';
+	if (Array.isArray(value)) return 'Array';
+	if (types.isProxy(value)) return 'Proxy';
+	if (types.isWeakMap(value)) return 'WeakMap';
+	if (types.isWeakSet(value)) return 'WeakSet';
+	if (types.isPromise(value)) return 'Promise';
+	if (typeof WeakRef === 'function' && value instanceof WeakRef) return 'WeakRef';
+	return 'Object';
+}
+
+const TYPED_ARRAYS = {
+	Int8Array, Uint8Array, Uint8ClampedArray,
+	Int16Array, Uint16Array,
+	Int32Array, Uint32Array,
+	Float32Array, Float64Array,
+	BigInt64Array, BigUint64Array
+};
+
+// structuredClone only revives these error constructors; anything else
+// (including subclasses) comes back as a plain Error.
+const ERROR_CTORS = {
+	Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError
+};
+
+const DEFAULTS = {
+	keepPrototype: false,   // structuredClone always yields Object.prototype / built-in prototypes
+	nonEnumerable: false,   // structuredClone only copies own enumerable keys
+	symbols: false,         // structuredClone ignores symbol keys
+	accessors: 'value'      // 'value' reads getters (structuredClone), 'keep' copies them, 'drop' skips them
+};
+
+// ============================================================================
+// deepClone
+// ============================================================================
+
+/**
+ * Deep-copy `value`.
+ *
+ * Supported: primitives (except symbols), wrapper objects (Boolean, Number,
+ * String, BigInt), Date, RegExp, ArrayBuffer, SharedArrayBuffer (shared, as
+ * structuredClone does), DataView, every typed array, Map, Set, Error types,
+ * arrays (holes and extra keys preserved) and plain/class-instance objects.
+ * Shared and circular references are kept via the `seen` WeakMap.
+ *
+ * @param {*} value
+ * @param {object} [options]
+ * @param {boolean} [options.keepPrototype=false] Keep the source prototype instead of resetting it.
+ * @param {boolean} [options.nonEnumerable=false] Also copy non-enumerable own properties.
+ * @param {boolean} [options.symbols=false] Also copy symbol-keyed own properties.
+ * @param {'value'|'keep'|'drop'} [options.accessors='value'] How to treat getter/setter properties.
+ * @returns {*} the copy
+ * @throws {DOMException} DataCloneError for functions, symbols and other uncloneable values.
+ */
+function deepClone(value, options = {}) {
+	const opts = { ...DEFAULTS, ...options };
+	if (!['value', 'keep', 'drop'].includes(opts.accessors)) {
+		throw new TypeError(`deepClone: unknown accessors mode "${opts.accessors}"`);
+	}
+	return cloneValue(value, opts, new WeakMap());
+}
+
+function cloneValue(value, opts, seen) {
+	if (typeof value === 'symbol') throw dataCloneError(`${String(value)} could not be cloned.`);
+	if (typeof value === 'function') throw dataCloneError(`${value.name || 'anonymous'} could not be cloned.`);
+	if (value === null || typeof value !== 'object') return value;
+	if (seen.has(value)) return seen.get(value);
+
+	const kind = kindOf(value);
+	let out;
+
+	switch (kind) {
+		case 'Boolean':
+		case 'Number':
+		case 'String':
+		case 'BigInt':
+			out = Object(value.valueOf());
+			seen.set(value, out);
+			return finish(value, out, opts, seen);
+		case 'Date':
+			out = new Date(value.getTime());
+			seen.set(value, out);
+			return finish(value, out, opts, seen);
+		case 'RegExp':
+			// lastIndex is intentionally reset, matching structuredClone
+			out = new RegExp(value.source, value.flags);
+			seen.set(value, out);
+			return finish(value, out, opts, seen);
+		case 'ArrayBuffer':
+			out = cloneArrayBuffer(value);
+			seen.set(value, out);
+			return out;
+		case 'SharedArrayBuffer':
+			// Shared memory is shared by definition; structuredClone hands back the same backing store.
+			seen.set(value, value);
+			return value;
+		case 'DataView': {
+			const buffer = cloneValue(value.buffer, opts, seen);
+			out = new DataView(buffer, value.byteOffset, value.byteLength);
+			seen.set(value, out);
+			return out;
+		}
+		case 'Map':
+			out = new Map();
+			seen.set(value, out);
+			for (const [k, v] of value) out.set(cloneValue(k, opts, seen), cloneValue(v, opts, seen));
+			return finish(value, out, opts, seen);
+		case 'Set':
+			out = new Set();
+			seen.set(value, out);
+			for (const v of value) out.add(cloneValue(v, opts, seen));
+			return finish(value, out, opts, seen);
+		case 'Error':
+			out = cloneError(value, opts, seen);
+			return opts.keepPrototype ? finish(value, out, opts, seen, { errorFields: true }) : out;
+		case 'Array':
+			out = new Array(value.length);
+			seen.set(value, out);
+			copyProperties(value, out, opts, seen, { skipLength: true });
+			if (opts.keepPrototype) Object.setPrototypeOf(out, Object.getPrototypeOf(value));
+			return out;
+		case 'TypedArray': {
+			const Ctor = TYPED_ARRAYS[toTag(value)];
+			const buffer = cloneValue(value.buffer, opts, seen);
+			out = new Ctor(buffer, value.byteOffset, value.length);
+			seen.set(value, out);
+			return out;
+		}
+		case 'Object': {
+			const proto = opts.keepPrototype ? Object.getPrototypeOf(value) : Object.prototype;
+			out = Object.create(proto);
+			seen.set(value, out);
+			copyProperties(value, out, opts, seen);
+			return out;
+		}
+		default:
+			// Symbol wrappers, proxies, weak collections, promises: structuredClone refuses these too.
+			throw dataCloneError(`#<${kind}> could not be cloned.`);
+	}
+}
+
+function cloneArrayBuffer(buffer) {
+	if (buffer.resizable) {
+		const out = new ArrayBuffer(buffer.byteLength, { maxByteLength: buffer.maxByteLength });
+		new Uint8Array(out).set(new Uint8Array(buffer));
+		return out;
+	}
+	return buffer.slice(0);
+}
+
+function cloneError(value, opts, seen) {
+	const name = Object.prototype.hasOwnProperty.call(ERROR_CTORS, value.name) ? value.name : 'Error';
+	// Construct (rather than Object.create) so the copy is a real native error with [[ErrorData]].
+	const out = new ERROR_CTORS[name]();
+	seen.set(value, out);
+	const define = (key, v) => Object.defineProperty(out, key, {
+		value: v, writable: true, enumerable: false, configurable: true
+	});
+	if (Object.prototype.hasOwnProperty.call(value, 'message')) define('message', String(value.message));
+	if (typeof value.stack === 'string') define('stack', value.stack);
+	if (Object.prototype.hasOwnProperty.call(value, 'cause')) define('cause', cloneValue(value.cause, opts, seen));
+	return out;
+}
+
+/**
+ * Copy own properties for non-plain types (Date, Map, ...). structuredClone
+ * drops them, so they only survive when one of the extended options is on.
+ */
+function finish(source, out, opts, seen, { errorFields = false } = {}) {
+	if (opts.keepPrototype) Object.setPrototypeOf(out, Object.getPrototypeOf(source));
+	if (opts.keepPrototype || opts.nonEnumerable || opts.symbols) {
+		copyProperties(source, out, opts, seen, { skipErrorFields: errorFields });
+	}
+	return out;
+}
+
+function copyProperties(source, out, opts, seen, { skipLength = false, skipErrorFields = false } = {}) {
+	for (const key of Reflect.ownKeys(source)) {
+		if (typeof key === 'symbol' && !opts.symbols) continue;
+		if (skipLength && key === 'length') continue;
+		if (skipErrorFields && (key === 'message' || key === 'stack' || key === 'cause')) continue;
+		// String wrappers already own their (read-only) index and length keys.
+		const existing = Object.getOwnPropertyDescriptor(out, key);
+		if (existing && !existing.configurable) continue;
+
+		const desc = Object.getOwnPropertyDescriptor(source, key);
+		if (!desc.enumerable && !opts.nonEnumerable) continue;
+
+		if (desc.get || desc.set) {
+			if (opts.accessors === 'drop') continue;
+			if (opts.accessors === 'keep') {
+				Object.defineProperty(out, key, desc);
+				continue;
+			}
+			// 'value': read through the getter, exactly what structuredClone does
+			const v = desc.get ? desc.get.call(source) : undefined;
+			defineData(out, key, cloneValue(v, opts, seen), desc, opts);
+			continue;
+		}
+
+		defineData(out, key, cloneValue(desc.value, opts, seen), desc, opts);
+	}
+}
+
+function defineData(out, key, value, desc, opts) {
+	if (!opts.nonEnumerable && !opts.keepPrototype) {
+		// Plain assignment semantics (own, writable, enumerable), like structuredClone.
+		Object.defineProperty(out, key, { value, writable: true, enumerable: true, configurable: true });
+		return;
+	}
+	Object.defineProperty(out, key, {
+		value,
+		writable: desc.writable !== false,
+		enumerable: desc.enumerable,
+		configurable: desc.configurable !== false
+	});
+}
+
+module.exports = { deepClone };
@@ -0,0 +1,107 @@
+'use strict';
+
+const { isDeepStrictEqual } = require('util');
+const { describe, it, expect } = require('./test-runner');
+const { deepClone } = require('./deep-clone');
+
+describe('deepClone vs structuredClone', () => {
+	const buffer = new ArrayBuffer(16);
+	const shared = { id: 1 };
+	const sample = {
+		num: 1, neg0: -0, nan: NaN, big: 10n, str: 's', undef: undefined, nil: null,
+		wrapped: [Object(1), Object('x'), Object(true), Object(2n)],
+		date: new Date(0),
+		re: /a+b/gi,
+		map: new Map([[shared, 'obj-key'], ['k', shared]]),
+		set: new Set([1, 'two', shared]),
+		sparse: [1, , 3],
+		u8: new Uint8Array(buffer, 4, 4),
+		f64: new Float64Array([1.5, -0, NaN]),
+		view: new DataView(buffer, 0, 8),
+		buffer,
+		err: new RangeError('out of range', { cause: shared }),
+		nested: { deep: { deeper: [shared] } }
+	};
+	sample.self = sample;
+	const ours = deepClone(sample);
+
+	it('has the same structure as structuredClone', () => {
+		expect(isDeepStrictEqual(ours, structuredClone(sample))).toBe(true);
+	});
+
+	it('keeps an error\'s prototype, message and cause', () => {
+		expect(ours.err).toBeInstanceOf(RangeError);
+		expect(ours.err.message).toBe('out of range');
+		expect(ours.err.cause).toBe(ours.map.get('k'));
+	});
+
+	it('preserves circular and shared references', () => {
+		expect(ours.self).toBe(ours);
+		expect(ours.map.get('k')).toBe(ours.nested.deep.deeper[0]);
+	});
+
+	it('shares the cloned buffer between typed arrays and DataViews', () => {
+		expect(ours.u8.buffer).toBe(ours.buffer);
+		expect(ours.view.buffer).toBe(ours.buffer);
+		expect(ours.buffer).not.toBe(buffer);
+	});
+
+	it('preserves sparse holes and -0', () => {
+		expect(1 in ours.sparse).toBe(false);
+		expect(ours.sparse.length).toBe(3);
+		expect(Object.is(ours.neg0, -0)).toBe(true);
+	});
+
+	it('flattens class instances and reads getters like structuredClone', () => {
+		class Point {
+			constructor(x) { this.x = x; }
+			get double() { return this.x * 2; }
+		}
+		const pt = new Point(2);
+		expect(isDeepStrictEqual(deepClone(pt), structuredClone(pt))).toBe(true);
+		const withGetter = { get now() { return 42; } };
+		expect(isDeepStrictEqual(deepClone(withGetter), structuredClone(withGetter))).toBe(true);
+	});
+
+	it('throws the same error as structuredClone for uncloneable values', () => {
+		for (const bad of [() => {}, Symbol('s'), new WeakMap()]) {
+			let ourName;
+			let theirName;
+			try { deepClone({ bad }); } catch (e) { ourName = e.name; }
+			try { structuredClone({ bad }); } catch (e) { theirName = e.name; }
+			expect(ourName).toBe(theirName);
+		}
+	});
+});
+
+describe('deepClone extended options', () => {
+	class Account {
+		constructor(owner) { this.owner = owner; }
+		get label() { return `#${this.owner}`; }
+	}
+	const tag = Symbol('tag');
+	const acct = new Account('ada');
+	acct[tag] = 'vip';
+	Object.defineProperty(acct, 'hidden', { value: 'secret', enumerable: false });
+	Object.defineProperty(acct, 'upper', { get() { return this.owner.toUpperCase(); }, enumerable: true });
+	const full = deepClone(acct, { keepPrototype: true, symbols: true, nonEnumerable: true, accessors: 'keep' });
+
+	it('keepPrototype keeps the class', () => {
+		expect(full).toBeInstanceOf(Account);
+		expect(full.label).toBe('#ada');
+	});
+
+	it('symbols copies symbol keys', () => {
+		expect(full[tag]).toBe('vip');
+	});
+
+	it('nonEnumerable copies hidden keys as hidden', () => {
+		expect(full.hidden).toBe('secret');
+		expect(full.propertyIsEnumerable('hidden')).toBe(false);
+	});
+
+	it('accessors: keep copies the getter; drop skips it', () => {
+		expect(typeof Object.getOwnPropertyDescriptor(full, 'upper').get).toBe('function');
+		expect('upper' in deepClone(acct, { accessors: 'drop' })).toBe(false);
+	});
+});
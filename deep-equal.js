@@ -0,0 +1,328 @@
+/**
+ * deepEqual — structural equality with a choice of primitive semantics
+ *
+ * The "Equality & Identity" section of "js values vs reference.js" contrasts
+ * `===` with `Object.is`. This module applies the same choice to whole object
+ * graphs:
+ *
+ *   mode 'sameValue'      Object.is      NaN equals NaN, -0 differs from +0
+ *   mode 'sameValueZero'  Map/Set keys   NaN equals NaN, -0 equals +0
+ *   mode 'strict'         ===            NaN differs from NaN, -0 equals +0
+ *
+ * `findFirstDifference` explains *why* two values differ (path + reason), so a
+ * failing test says more than "expected deep equality".
+ *
+ * Run the examples with: node deep-equal.js
+ * Run the tests with: node test-runner.js deep-equal.test.js
+ */
+
+'use strict';
+
+const { types } = require('util');
+const { formatPath } = require('./watch-mutations');
+
+// ============================================================================
+// Primitive comparison
+// ============================================================================
+
+const COMPARATORS = {
+	sameValue: (a, b) => Object.is(a, b),
+	sameValueZero: (a, b) => a === b || (Number.isNaN(a) && Number.isNaN(b)),
+	strict: (a, b) => a === b
+};
+
+const DEFAULTS = {
+	mode: 'sameValue',
+	prototypes: true,  // objects with different prototypes are different
+	symbols: true      // compare own enumerable symbol keys too
+};
+
+// ============================================================================
+// findFirstDifference
+// ============================================================================
+
+/**
+ * Compare `a` and `b` structurally and describe the first mismatch.
+ *
+ * Handles primitives (per `mode`), boxed primitives, Date, RegExp, Error,
+ * Map, Set (order-insensitive, with deep matching of object keys/members),
+ * arrays (including holes), typed arrays, ArrayBuffer, DataView and plain or
+ * class-instance objects. Cycles are handled: a pair of objects already being
+ * compared is assumed equal, so two isomorphic cyclic graphs compare equal.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @param {object} [options]
+ * @param {'sameValue'|'sameValueZero'|'strict'} [options.mode='sameValue']
+ * @param {boolean} [options.prototypes=true] require identical prototypes
+ * @param {boolean} [options.symbols=true] compare enumerable symbol-keyed properties
+ * @returns {null | { path: Array, pathString: string, reason: string, a: *, b: * }}
+ *   null when equal
+ */
+function findFirstDifference(a, b, options = {}) {
+	const opts = { ...DEFAULTS, ...options };
+	const same = COMPARATORS[opts.mode];
+	if (!same) throw new TypeError(`deepEqual: unknown mode "${opts.mode}"`);
+	const ctx = { opts, same, pairs: new WeakMap() };
+	const diff = compare(a, b, [], ctx);
+	if (diff) diff.pathString = formatPath(diff.path) || '<root>';
+	return diff;
+}
+
+/**
+ * @param {*} a
+ * @param {*} b
+ * @param {object} [options] see findFirstDifference
+ * @returns {boolean}
+ */
+function deepEqual(a, b, options) {
+	return findFirstDifference(a, b, options) === null;
+}
+
+const mismatch = (path, reason, a, b) => ({ path, reason, a, b });
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+function compare(a, b, path, ctx) {
+	if (!isObject(a) || !isObject(b)) {
+		if (ctx.same(a, b)) return null;
+		if (typeof a !== typeof b || isObject(a) !== isObject(b)) {
+			return mismatch(path, `type mismatch (${describeType(a)} vs ${describeType(b)})`, a, b);
+		}
+		return mismatch(path, 'value mismatch', a, b);
+	}
+	if (a === b) return null;
+
+	// Cycle guard: assume equal while this pair is already being compared
+	let partners = ctx.pairs.get(a);
+	if (partners && partners.has(b)) return null;
+	if (!partners) ctx.pairs.set(a, (partners = new Set()));
+	partners.add(b);
+
+	const tagA = Object.prototype.toString.call(a);
+	const tagB = Object.prototype.toString.call(b);
+	if (tagA !== tagB || Array.isArray(a) !== Array.isArray(b)) {
+		return mismatch(path, `type mismatch (${describeType(a)} vs ${describeType(b)})`, a, b);
+	}
+	// Symbol.toStringTag lets any object claim to be a Date or a Map; only the internal slots are proof
+	if (brandOf(a) !== brandOf(b)) {
+		const label = (value) => (brandOf(value) ? describeType(value) : `object tagged ${describeType(value)}`);
+		return mismatch(path, `type mismatch (${label(a)} vs ${label(b)})`, a, b);
+	}
+	if (ctx.opts.prototypes && Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+		return mismatch(path, 'prototype mismatch', a, b);
+	}
+
+	const special = compareInternals(a, b, path, ctx);
+	if (special) return special;
+	if (types.isMap(a)) return compareMaps(a, b, path, ctx) || compareKeys(a, b, path, ctx);
+	if (types.isSet(a)) return compareSets(a, b, path, ctx) || compareKeys(a, b, path, ctx);
+	if (types.isTypedArray(a) || types.isDataView(a) || types.isArrayBuffer(a)) return null;
+	if (Array.isArray(a) && a.length !== b.length) {
+		return mismatch(path.concat(['length']), 'length mismatch', a.length, b.length);
+	}
+	return compareKeys(a, b, path, ctx);
+}
+
+/** Values stored in internal slots rather than properties. */
+function compareInternals(a, b, path, ctx) {
+	if (types.isBoxedPrimitive(a)) {
+		const d = compare(a.valueOf(), b.valueOf(), path, ctx);
+		return d && { ...d, reason: `boxed ${d.reason}` };
+	}
+	if (types.isDate(a)) {
+		return ctx.same(a.getTime(), b.getTime()) ? null : mismatch(path, 'date mismatch', a, b);
+	}
+	if (types.isRegExp(a)) {
+		if (a.source !== b.source || a.flags !== b.flags) return mismatch(path, 'regexp mismatch', a, b);
+		return null;
+	}
+	if (types.isNativeError(a) || a instanceof Error) {
+		if (a.name !== b.name) return mismatch(path.concat(['name']), 'value mismatch', a.name, b.name);
+		if (a.message !== b.message) return mismatch(path.concat(['message']), 'value mismatch', a.message, b.message);
+		return null;
+	}
+	if (types.isTypedArray(a)) {
+		if (a.length !== b.length) return mismatch(path.concat(['length']), 'length mismatch', a.length, b.length);
+		for (let i = 0; i < a.length; i++) {
+			if (!ctx.same(a[i], b[i])) return mismatch(path.concat([i]), 'value mismatch', a[i], b[i]);
+		}
+		return null;
+	}
+	if (types.isArrayBuffer(a) || types.isDataView(a)) {
+		const bytesA = new Uint8Array(a.buffer || a, a.byteOffset || 0, a.byteLength);
+		const bytesB = new Uint8Array(b.buffer || b, b.byteOffset || 0, b.byteLength);
+		if (bytesA.length !== bytesB.length) return mismatch(path.concat(['byteLength']), 'length mismatch', a.byteLength, b.byteLength);
+		for (let i = 0; i < bytesA.length; i++) {
+			if (bytesA[i] !== bytesB[i]) return mismatch(path.concat([i]), 'byte mismatch', bytesA[i], bytesB[i]);
+		}
+		return null;
+	}
+	return null;
+}
+
+function ownKeys(obj, ctx) {
+	const keys = Object.keys(obj);
+	if (!ctx.opts.symbols) return keys;
+	return keys.concat(Object.getOwnPropertySymbols(obj).filter((s) => Object.prototype.propertyIsEnumerable.call(obj, s)));
+}
+
+function compareKeys(a, b, path, ctx) {
+	const keysA = ownKeys(a, ctx);
+	const keysB = new Set(ownKeys(b, ctx));
+	for (const key of keysA) {
+		if (!keysB.has(key)) {
+			const hole = Array.isArray(a) && !(key in b);
+			return mismatch(path.concat([key]), hole ? 'hole in b' : 'missing key in b', a[key], undefined);
+		}
+		const d = compare(a[key], b[key], path.concat([key]), ctx);
+		if (d) return d;
+		keysB.delete(key);
+	}
+	for (const key of keysB) {
+		const hole = Array.isArray(a) && !(key in a);
+		return mismatch(path.concat([key]), hole ? 'hole in a' : 'extra key in b', undefined, b[key]);
+	}
+	return null;
+}
+
+/** Compare on a fresh cycle guard, so state from a failed trial pairing can't leak into the real comparison. */
+const trialEqual = (a, b, ctx) => !compare(a, b, [], { ...ctx, pairs: new WeakMap() });
+
+/**
+ * Pair every item of `left` with a different item of `right` for which
+ * `matches(l, r)` holds: bipartite matching with augmenting paths. First-match
+ * pairing gives false negatives when an early item takes the only partner a
+ * later one could have had. Comparisons run lazily and are cached, so items
+ * in the same order cost one comparison each.
+ *
+ * @returns {number} index of the first left item that can't be paired, or -1
+ */
+function findUnpaired(left, right, matches) {
+	const cache = new Map();
+	const edge = (i, j) => {
+		const id = i * right.length + j;
+		if (!cache.has(id)) cache.set(id, matches(left[i], right[j]));
+		return cache.get(id);
+	};
+	const owner = new Array(right.length).fill(-1); // right index -> left index paired with it
+
+	const pair = (i, visited) => {
+		for (let j = 0; j < right.length; j++) {
+			if (visited[j] || !edge(i, j)) continue;
+			visited[j] = true;
+			// Free, or its current partner can move to another item
+			if (owner[j] === -1 || pair(owner[j], visited)) {
+				owner[j] = i;
+				return true;
+			}
+		}
+		return false;
+	};
+	for (let i = 0; i < left.length; i++) {
+		if (!pair(i, new Array(right.length).fill(false))) return i;
+	}
+	return -1;
+}
+
+/**
+ * Primitive keys/members can only match the one SameValueZero-equal entry the
+ * collection holds; `mode` still decides whether they are equal ('strict': NaN never is).
+ */
+const hasPrimitive = (collection, value, ctx) => collection.has(value) && ctx.same(value, value);
+
+function compareMaps(a, b, path, ctx) {
+	if (a.size !== b.size) return mismatch(path.concat(['size']), 'size mismatch', a.size, b.size);
+	const objectEntries = [];
+	for (const [key, value] of a) {
+		if (isObject(key)) {
+			objectEntries.push([key, value]);
+			continue;
+		}
+		if (!hasPrimitive(b, key, ctx)) return mismatch(path.concat([key]), 'missing entry in b', value, undefined);
+		const d = compare(value, b.get(key), path.concat([key]), ctx);
+		if (d) return d;
+	}
+	// Object keys: an entry matches when both its key and its value are deep-equal
+	const candidates = [...b].filter(([key]) => isObject(key));
+	const unpaired = findUnpaired(objectEntries, candidates,
+		([keyA, valueA], [keyB, valueB]) => trialEqual(keyA, keyB, ctx) && trialEqual(valueA, valueB, ctx));
+	if (unpaired === -1) return null;
+	const [key, value] = objectEntries[unpaired];
+	// Same key object on both sides: point at what differs inside the value
+	if (b.has(key)) return compare(value, b.get(key), path.concat([key]), ctx) || mismatch(path.concat([key]), 'no unique match in b', value, undefined);
+	return mismatch(path.concat([key]), 'missing entry in b', value, undefined);
+}
+
+function compareSets(a, b, path, ctx) {
+	if (a.size !== b.size) return mismatch(path.concat(['size']), 'size mismatch', a.size, b.size);
+	const objectMembers = [];
+	for (const value of a) {
+		if (isObject(value)) objectMembers.push(value);
+		else if (!hasPrimitive(b, value, ctx)) return mismatch(path.concat([value]), 'missing member in b', value, undefined);
+	}
+	const candidates = [...b].filter(isObject);
+	const unpaired = findUnpaired(objectMembers, candidates, (x, y) => x === y || trialEqual(x, y, ctx));
+	if (unpaired === -1) return null;
+	return mismatch(path.concat([objectMembers[unpaired]]), 'missing member in b', objectMembers[unpaired], undefined);
+}
+
+/** The built-in whose internal slots `value` has, or null for ordinary objects. */
+function brandOf(value) {
+	if (types.isDate(value)) return 'Date';
+	if (types.isRegExp(value)) return 'RegExp';
+	if (types.isMap(value)) return 'Map';
+	if (types.isSet(value)) return 'Set';
+	if (types.isBoxedPrimitive(value)) return 'boxed';
+	if (types.isTypedArray(value)) return 'TypedArray';
+	if (types.isArrayBuffer(value)) return 'ArrayBuffer';
+	if (types.isDataView(value)) return 'DataView';
+	return null;
+}
+
+function describeType(value) {
+	if (value === null) return 'null';
+	if (!isObject(value)) return typeof value;
+	if (Array.isArray(value)) return 'Array';
+	return Object.prototype.toString.call(value).slice(8, -1);
+}
+
+module.exports = { deepEqual, findFirstDifference };
+
+// ============================================================================
+// DEMO (node deep-equal.js)
+// ============================================================================
+
+if (require.main === module) {
+	console.log('\n=== deepEqual: modes ===\n');
+
+	for (const mode of ['sameValue', 'sameValueZero', 'strict']) {
+		console.log(mode.padEnd(14),
+			'NaN:', deepEqual([NaN], [NaN], { mode }),
+			'-0:', deepEqual({ z: -0 }, { z: 0 }, { mode }));
+	}
+	// sameValue      NaN: true  -0: false
+	// sameValueZero  NaN: true  -0: true
+	// strict         NaN: false -0: true
+
+	console.log('\n=== deepEqual: collections, cycles, prototypes ===\n');
+
+	const a = { when: new Date(0), tags: new Set([{ id: 1 }]), index: new Map([[{ k: 1 }, 'v']]) };
+	const b = { when: new Date(0), tags: new Set([{ id: 1 }]), index: new Map([[{ k: 1 }, 'v']]) };
+	a.self = a;
+	b.self = b;
+	console.log('structurally equal:', deepEqual(a, b)); // true
+
+	class Point { constructor(x) { this.x = x; } }
+	console.log('prototypes on:', deepEqual(new Point(1), { x: 1 })); // false
+	console.log('prototypes off:', deepEqual(new Point(1), { x: 1 }, { prototypes: false })); // true
+
+	console.log('\n=== findFirstDifference ===\n');
+
+	const report = findFirstDifference(
+		{ user: { roles: ['admin', 'editor'] } },
+		{ user: { roles: ['admin', 'viewer'] } }
+	);
+	console.log(`${report.pathString}: ${report.reason} (${report.a} vs ${report.b})`);
+	// user.roles[1]: value mismatch (editor vs viewer)
+}
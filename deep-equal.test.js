@@ -0,0 +1,119 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { deepEqual, findFirstDifference } = require('./deep-equal');
+
+describe('Map and Set pairing', () => {
+	it('pairs equal object keys by entry, not first match', () => {
+		const left = new Map([[{ id: 1 }, 'a'], [{ id: 1 }, 'b']]);
+		const right = new Map([[{ id: 1 }, 'b'], [{ id: 1 }, 'a']]);
+		expect(deepEqual(left, right)).toBe(true);
+		expect(deepEqual(left, new Map([[{ id: 1 }, 'a'], [{ id: 1 }, 'a']]))).toBe(false);
+	});
+
+	it('pairs Set members that only match under another pairing', () => {
+		const member = (first, second) => ({ lookup: new Map([[{ id: 1 }, first], [{ id: 1 }, second]]) });
+		const left = new Set([member('a', 'b'), member('c', 'd')]);
+		const right = new Set([member('d', 'c'), member('b', 'a')]);
+		expect(deepEqual(left, right)).toBe(true);
+		expect(findFirstDifference(left, new Set([member('a', 'b'), member('c', 'x')])).reason).toBe('missing member in b');
+	});
+
+	it('points inside the value when the same key object maps to different values', () => {
+		const key = { id: 1 };
+		const diff = findFirstDifference(new Map([[key, { n: 1 }]]), new Map([[key, { n: 2 }]]));
+		expect(diff.reason).toBe('value mismatch');
+		expect(diff.path).toEqual([key, 'n']);
+	});
+});
+
+describe('primitive keys and members follow mode', () => {
+	it('strict: NaN never equals NaN', () => {
+		expect(deepEqual(new Set([NaN]), new Set([NaN]), { mode: 'strict' })).toBe(false);
+		expect(deepEqual(new Map([[NaN, 1]]), new Map([[NaN, 1]]), { mode: 'strict' })).toBe(false);
+	});
+
+	it('sameValue and sameValueZero: NaN equals NaN', () => {
+		for (const mode of ['sameValue', 'sameValueZero']) {
+			expect(deepEqual(new Set([NaN, 1]), new Set([1, NaN]), { mode })).toBe(true);
+			expect(deepEqual(new Map([[NaN, 1]]), new Map([[NaN, 1]]), { mode })).toBe(true);
+		}
+	});
+});
+
+describe('modes', () => {
+	it('treat NaN and -0 per mode, at any depth', () => {
+		const expected = { sameValue: [true, false], sameValueZero: [true, true], strict: [false, true] };
+		for (const [mode, [nan, zero]] of Object.entries(expected)) {
+			expect(deepEqual({ list: [NaN] }, { list: [NaN] }, { mode })).toBe(nan);
+			expect(deepEqual({ z: -0 }, { z: 0 }, { mode })).toBe(zero);
+			expect(deepEqual(new Float64Array([-0]), new Float64Array([0]), { mode })).toBe(zero);
+		}
+	});
+
+	it('rejects an unknown mode', () => {
+		expect(() => deepEqual(1, 1, { mode: 'loose' })).toThrow('unknown mode "loose"');
+	});
+});
+
+describe('cycles', () => {
+	it('compares isomorphic cyclic graphs as equal', () => {
+		const a = { name: 'a', children: [] };
+		a.children.push({ parent: a });
+		const b = { name: 'a', children: [] };
+		b.children.push({ parent: b });
+		expect(deepEqual(a, b)).toBe(true);
+	});
+
+	it('still finds a difference inside a cycle', () => {
+		const a = { n: 1 };
+		a.self = a;
+		const b = { n: 1, self: { n: 2 } };
+		b.self.self = b;
+		const diff = findFirstDifference(a, b);
+		expect(diff.pathString).toBe('self.n');
+		expect(diff.reason).toBe('value mismatch');
+	});
+});
+
+describe('binary data', () => {
+	it('compares typed arrays by kind, length and element', () => {
+		expect(deepEqual(new Uint8Array([1, 2]), new Uint8Array([1, 2]))).toBe(true);
+		expect(findFirstDifference(new Uint8Array([1, 2]), new Int8Array([1, 2])).reason).toBe('type mismatch (Uint8Array vs Int8Array)');
+		expect(findFirstDifference(new Uint8Array([1]), new Uint8Array([1, 2])).pathString).toBe('length');
+		expect(findFirstDifference(new Uint8Array([1, 2]), new Uint8Array([1, 3])).pathString).toBe('[1]');
+	});
+
+	it('compares ArrayBuffers and DataViews byte by byte', () => {
+		const bytes = new Uint8Array([1, 2, 3, 4]);
+		expect(deepEqual(bytes.buffer.slice(0), new Uint8Array([1, 2, 3, 4]).buffer)).toBe(true);
+		expect(deepEqual(new DataView(bytes.buffer, 1, 2), new DataView(new Uint8Array([2, 3]).buffer))).toBe(true);
+		expect(findFirstDifference(new DataView(bytes.buffer, 0, 2), new DataView(bytes.buffer, 1, 2)).reason).toBe('byte mismatch');
+	});
+});
+
+describe('built-ins', () => {
+	it('compares Dates, RegExps, Errors and boxed primitives by their internal values', () => {
+		expect(deepEqual(new Date(5), new Date(5))).toBe(true);
+		expect(findFirstDifference(new Date(5), new Date(6)).reason).toBe('date mismatch');
+		expect(deepEqual(/a/g, /a/i)).toBe(false);
+		expect(deepEqual(new Error('x'), new Error('x'))).toBe(true);
+		expect(deepEqual(new TypeError('x'), new Error('x'))).toBe(false);
+		expect(deepEqual(Object(1), Object(2))).toBe(false);
+	});
+
+	it('does not trust a Symbol.toStringTag that names a built-in', () => {
+		const fakeDate = { [Symbol.toStringTag]: 'Date' };
+		const diff = findFirstDifference(new Date(0), fakeDate);
+		expect(diff.reason).toBe('type mismatch (Date vs object tagged Date)');
+		expect(deepEqual(fakeDate, new Date(0), { prototypes: false })).toBe(false);
+		expect(deepEqual(new Map(), { [Symbol.toStringTag]: 'Map' }, { prototypes: false })).toBe(false);
+		expect(deepEqual(new Uint8Array(1), { [Symbol.toStringTag]: 'Uint8Array', length: 1, 0: 0 }, { prototypes: false })).toBe(false);
+	});
+
+	it('checks prototypes unless told not to', () => {
+		class Point { constructor(x) { this.x = x; } }
+		expect(findFirstDifference(new Point(1), { x: 1 }).reason).toBe('prototype mismatch');
+		expect(deepEqual(new Point(1), { x: 1 }, { prototypes: false })).toBe(true);
+	});
+});
@@ -0,0 +1,333 @@
+/**
+ * deepFreeze / deepSeal / deepPreventExtensions — integrity levels for whole graphs
+ *
+ * Extracted from "js values vs reference.js" so other modules (e.g. produce.js)
+ * can freeze their results with the same helper the guide demonstrates, and
+ * grown to cover what Object.freeze alone misses:
+ *
+ * - symbol-keyed properties are walked too; functions (methods, classes,
+ *   getters/setters) are left alone unless `functions: true`;
+ * - Map and Set contents are walked, and their mutators are replaced on the
+ *   instance by methods that throw (Object.freeze does not stop `map.set()`);
+ * - shared prototypes (Object.prototype, a class's `.prototype`, ...) are
+ *   never frozen by accident;
+ * - `freezeInDevelopment` is a no-op when NODE_ENV=production;
+ * - `findUnfrozenPath` / `isDeepFrozen` check the result.
+ *
+ * Run the examples with: node deep-freeze.js
+ * Run the tests with: node test-runner.js deep-freeze.test.js
+ */
+
+'use strict';
+
+const { types } = require('util');
+const { formatPath } = require('./watch-mutations');
+
+// Map/Set -> integrity level its mutators currently enforce
+const lockedCollections = new WeakMap();
+
+const LEVELS = {
+	preventExtensions: { rank: 1, apply: Object.preventExtensions, done: (o) => !Object.isExtensible(o), verb: 'non-extensible' },
+	seal: { rank: 2, apply: Object.seal, done: Object.isSealed, verb: 'sealed' },
+	freeze: { rank: 3, apply: Object.freeze, done: Object.isFrozen, verb: 'frozen' }
+};
+
+// ============================================================================
+// Stop conditions
+// ============================================================================
+
+// Prototypes every program shares; freezing one would break unrelated code
+const BUILTIN_PROTOTYPES = new Set([
+	Object, Function, Array, String, Number, Boolean, Symbol, BigInt, Date, RegExp, Error,
+	Map, Set, WeakMap, WeakSet, Promise, ArrayBuffer, DataView
+].map((Ctor) => Ctor.prototype));
+
+const isObject = (value) => value !== null && (typeof value === 'object' || typeof value === 'function');
+
+/**
+ * Objects the walk never enters: functions (unless `functions: true`; classes
+ * and callbacks reachable from state are shared code), built-in prototypes,
+ * anything some constructor uses as its `.prototype` (unless `prototypes: true`),
+ * typed arrays and buffers (their elements cannot be frozen), and whatever the
+ * caller's `stopAt` rejects.
+ */
+function shouldStop(value, path, opts) {
+	if (typeof value === 'function' && !opts.functions) return true;
+	if (BUILTIN_PROTOTYPES.has(value)) return true;
+	if (!opts.prototypes && isSharedPrototype(value)) return true;
+	if (types.isAnyArrayBuffer(value) || ArrayBuffer.isView(value)) return true;
+	return !!(opts.stopAt && opts.stopAt(value, path));
+}
+
+function isSharedPrototype(value) {
+	const desc = Object.getOwnPropertyDescriptor(value, 'constructor');
+	return !!desc && typeof desc.value === 'function' && desc.value.prototype === value;
+}
+
+// ============================================================================
+// Map / Set read-only wrappers
+// ============================================================================
+
+function rejectMutation(collection, method) {
+	const kind = types.isMap(collection) ? 'Map' : 'Set';
+	throw new TypeError(`Cannot ${method}() on a ${LEVELS[lockedCollections.get(collection)].verb} ${kind}`);
+}
+
+// Checked mutators, shared by every locked instance. They read the current
+// level on each call, so a sealed Map can later be frozen without redefining
+// anything (sealing made the shadowing properties non-configurable).
+//   freeze:            nothing changes
+//   seal:              existing Map keys may be updated; nothing added or removed
+//   preventExtensions: nothing added; updating and deleting are still allowed
+const CHECKED_MUTATORS = {
+	Map: {
+		set(key, value) {
+			if (lockedCollections.get(this) === 'freeze' || !this.has(key)) rejectMutation(this, 'set');
+			return Map.prototype.set.call(this, key, value);
+		},
+		delete(key) {
+			if (lockedCollections.get(this) !== 'preventExtensions') rejectMutation(this, 'delete');
+			return Map.prototype.delete.call(this, key);
+		},
+		clear() {
+			if (lockedCollections.get(this) !== 'preventExtensions') rejectMutation(this, 'clear');
+			return Map.prototype.clear.call(this);
+		}
+	},
+	Set: {
+		add(value) {
+			if (!this.has(value)) rejectMutation(this, 'add');
+			return this;
+		},
+		delete(value) {
+			if (lockedCollections.get(this) !== 'preventExtensions') rejectMutation(this, 'delete');
+			return Set.prototype.delete.call(this, value);
+		},
+		clear() {
+			if (lockedCollections.get(this) !== 'preventExtensions') rejectMutation(this, 'clear');
+			return Set.prototype.clear.call(this);
+		}
+	}
+};
+Object.values(CHECKED_MUTATORS).forEach((methods) => Object.values(methods).forEach(Object.freeze));
+
+/**
+ * Object.freeze does not reach a Map/Set's internal entries, so shadow the
+ * instance's mutators with the checked versions above (a read-only wrapper
+ * that keeps the object's identity).
+ *
+ * A collection that was made non-extensible before we got to it (e.g. with a
+ * plain Object.freeze) can't take the shadowing methods any more. It is left
+ * as it is; findUnfrozenPath() reports it.
+ */
+function lockCollection(collection, level) {
+	const current = lockedCollections.get(collection);
+	if (current && LEVELS[current].rank >= LEVELS[level].rank) return;
+	if (!current && !Object.isExtensible(collection)) return;
+	lockedCollections.set(collection, level);
+	if (current) return;
+	const methods = CHECKED_MUTATORS[types.isMap(collection) ? 'Map' : 'Set'];
+	for (const [name, fn] of Object.entries(methods)) {
+		Object.defineProperty(collection, name, { value: fn, writable: false, enumerable: false, configurable: false });
+	}
+}
+
+// ============================================================================
+// Walking
+// ============================================================================
+
+function deepApply(root, level, options = {}) {
+	const opts = { prototypes: false, functions: false, skipDone: level === 'freeze', ...options };
+	const { rank, apply, done } = LEVELS[level];
+	const visited = new WeakSet();
+	// Object.freeze alone leaves a Map/Set's mutators working, so a collection only counts as done once we locked it
+	const isDone = (value) => done(value) &&
+		(!(types.isMap(value) || types.isSet(value)) || (lockedCollections.has(value) && LEVELS[lockedCollections.get(value)].rank >= rank));
+
+	(function visit(value, path) {
+		if (!isObject(value) || visited.has(value)) return;
+		visited.add(value);
+		if (path.length > 0 && shouldStop(value, path, opts)) return;
+		// An already-frozen child was (almost always) frozen by us, so skipping it keeps repeat calls cheap
+		if (path.length > 0 && opts.skipDone && isDone(value)) return;
+
+		for (const key of Reflect.ownKeys(value)) {
+			const desc = Object.getOwnPropertyDescriptor(value, key);
+			if (!desc) continue;
+			if ('value' in desc) visit(desc.value, path.concat([key]));
+			// Accessors are never invoked; with `functions: true` the getter/setter functions are locked down too
+			if (desc.get) visit(desc.get, path.concat([key, '<get>']));
+			if (desc.set) visit(desc.set, path.concat([key, '<set>']));
+		}
+		if (types.isMap(value)) {
+			for (const [k, v] of value) {
+				visit(k, path.concat(['<key>']));
+				visit(v, path.concat([k]));
+			}
+			lockCollection(value, level);
+		} else if (types.isSet(value)) {
+			let i = 0;
+			for (const v of value) visit(v, path.concat([i++]));
+			lockCollection(value, level);
+		}
+		apply(value);
+	})(root, []);
+
+	return root;
+}
+
+/**
+ * Recursively freeze `obj`: own string and symbol keys and Map/Set contents
+ * (with throwing mutators). Stops at functions, shared prototypes, typed
+ * arrays/buffers and anything `stopAt` rejects. A Map/Set that was already
+ * non-extensible can't be locked and keeps working mutators (isDeepFrozen() is false).
+ *
+ * @param {object} obj
+ * @param {object} [options]
+ * @param {boolean} [options.functions=false] also freeze functions reachable from `obj` (and walk their properties)
+ * @param {boolean} [options.prototypes=false] also enter objects used as some constructor's `.prototype`
+ * @param {(value: object, path: Array) => boolean} [options.stopAt] return true to leave a subtree alone
+ * @param {boolean} [options.skipDone=true] don't re-walk children that are already frozen
+ * @returns {object} obj
+ */
+function deepFreeze(obj, options) {
+	return deepApply(obj, 'freeze', options);
+}
+
+/** Like deepFreeze, but with Object.seal: existing properties stay writable. */
+function deepSeal(obj, options) {
+	return deepApply(obj, 'seal', options);
+}
+
+/** Like deepFreeze, but with Object.preventExtensions: no new properties (or Map/Set entries). */
+function deepPreventExtensions(obj, options) {
+	return deepApply(obj, 'preventExtensions', options);
+}
+
+/** deepFreeze during development; returns `obj` untouched when NODE_ENV=production. */
+function freezeInDevelopment(obj, options) {
+	if (typeof process !== 'undefined' && process.env.NODE_ENV === 'production') return obj;
+	return deepFreeze(obj, options);
+}
+
+// ============================================================================
+// Checking
+// ============================================================================
+
+/**
+ * Path to the first object (or Map/Set with live mutators) that is not
+ * frozen, using the same stop conditions as deepFreeze; null if everything is.
+ *
+ * @param {object} obj
+ * @param {object} [options] `functions`, `prototypes` and `stopAt`, as for deepFreeze
+ * @returns {string|null} e.g. "settings.theme" or "<root>"
+ */
+function findUnfrozenPath(obj, options = {}) {
+	const opts = { prototypes: false, functions: false, ...options };
+	const visited = new WeakSet();
+
+	const found = (function visit(value, path) {
+		if (!isObject(value) || visited.has(value)) return null;
+		visited.add(value);
+		if (path.length > 0 && shouldStop(value, path, opts)) return null;
+		if (!Object.isFrozen(value)) return path;
+		if ((types.isMap(value) || types.isSet(value)) && lockedCollections.get(value) !== 'freeze') return path;
+
+		for (const key of Reflect.ownKeys(value)) {
+			const desc = Object.getOwnPropertyDescriptor(value, key);
+			const hit = ('value' in desc && visit(desc.value, path.concat([key]))) ||
+				(desc.get && visit(desc.get, path.concat([key, '<get>']))) ||
+				(desc.set && visit(desc.set, path.concat([key, '<set>'])));
+			if (hit) return hit;
+		}
+		if (types.isMap(value)) {
+			for (const [k, v] of value) {
+				const hit = visit(k, path.concat(['<key>'])) || visit(v, path.concat([k]));
+				if (hit) return hit;
+			}
+		} else if (types.isSet(value)) {
+			let i = 0;
+			for (const v of value) {
+				const hit = visit(v, path.concat([i++]));
+				if (hit) return hit;
+			}
+		}
+		return null;
+	})(obj, []);
+
+	if (!found) return null;
+	return formatPath(found) || '<root>';
+}
+
+/** @returns {boolean} true if findUnfrozenPath finds nothing */
+function isDeepFrozen(obj, options) {
+	return findUnfrozenPath(obj, options) === null;
+}
+
+module.exports = {
+	deepFreeze,
+	deepSeal,
+	deepPreventExtensions,
+	freezeInDevelopment,
+	isDeepFrozen,
+	findUnfrozenPath
+};
+
+// ============================================================================
+// DEMO (node deep-freeze.js)
+// ============================================================================
+
+if (require.main === module) {
+	console.log('\n=== deepFreeze: symbols, Maps and Sets ===\n');
+
+	const secret = Symbol('secret');
+	const config = {
+		[secret]: { token: 'abc' },
+		limits: new Map([['api', { perMinute: 60 }]]),
+		roles: new Set(['admin'])
+	};
+	deepFreeze(config);
+
+	console.log('symbol-keyed child frozen:', Object.isFrozen(config[secret])); // true
+	console.log('Map value frozen:', Object.isFrozen(config.limits.get('api'))); // true
+	try {
+		config.limits.set('api', {});
+	} catch (e) {
+		console.log('Map mutator:', e.message); // Cannot set() on a frozen Map
+	}
+	console.log('isDeepFrozen:', isDeepFrozen(config)); // true
+
+	console.log('\n=== deepFreeze: prototypes are left alone ===\n');
+
+	class Point { constructor(x) { this.x = x; } }
+	const shapes = { origin: new Point(0), Point };
+	deepFreeze(shapes);
+	console.log('instance frozen:', Object.isFrozen(shapes.origin)); // true
+	console.log('class prototype untouched:', Object.isFrozen(Point.prototype)); // false
+
+	console.log('\n=== deepSeal / deepPreventExtensions ===\n');
+
+	const sealed = deepSeal({ user: { name: 'Ada' }, scores: new Map([['ada', 1]]) });
+	sealed.user.name = 'Grace';        // allowed: existing property
+	sealed.scores.set('ada', 2);       // allowed: existing key
+	try {
+		sealed.scores.set('bob', 1);
+	} catch (e) {
+		console.log('sealed Map:', e.message); // Cannot set() on a sealed Map
+	}
+	console.log('sealed values updated:', sealed.user.name, sealed.scores.get('ada')); // Grace 2
+
+	const closed = deepPreventExtensions({ tags: new Set(['a']) });
+	closed.tags.delete('a');           // allowed
+	try {
+		closed.tags.add('b');
+	} catch (e) {
+		console.log('non-extensible Set:', e.message); // Cannot add() on a non-extensible Set
+	}
+
+	console.log('\n=== findUnfrozenPath ===\n');
+
+	const partly = { settings: Object.freeze({ theme: { color: 'blue' } }) };
+	Object.freeze(partly);
+	console.log('first unfrozen path:', findUnfrozenPath(partly)); // settings.theme
+}
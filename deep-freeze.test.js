@@ -0,0 +1,49 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { deepFreeze, deepSeal, isDeepFrozen, findUnfrozenPath } = require('./deep-freeze');
+
+describe('functions', () => {
+	it('leaves functions reachable from state alone by default', () => {
+		function onChange() {}
+		class Model {}
+		const state = {
+			onChange,
+			Model,
+			get label() { return 'x'; }
+		};
+		deepFreeze(state);
+		expect(Object.isFrozen(state)).toBe(true);
+		expect(Object.isFrozen(onChange)).toBe(false);
+		expect(Object.isFrozen(Model)).toBe(false);
+		expect(Object.isFrozen(Object.getOwnPropertyDescriptor(state, 'label').get)).toBe(false);
+		expect(isDeepFrozen(state)).toBe(true);
+	});
+
+	it('freezes them with functions: true', () => {
+		const handler = () => {};
+		handler.meta = { calls: 0 };
+		const state = deepFreeze({ handler }, { functions: true });
+		expect(Object.isFrozen(handler)).toBe(true);
+		expect(Object.isFrozen(handler.meta)).toBe(true);
+		expect(isDeepFrozen(state, { functions: true })).toBe(true);
+	});
+});
+
+describe('collections', () => {
+	it('handles a Map or Set that was frozen before deepFreeze saw it', () => {
+		const early = Object.freeze(new Map([['a', { n: 1 }]]));
+		const sealed = Object.seal(new Set([{ id: 1 }]));
+		const state = { early, sealed };
+		expect(() => deepFreeze(state)).not.toThrow();
+		expect(Object.isFrozen(early.get('a'))).toBe(true); // entries are still walked
+		expect(Object.isFrozen(sealed)).toBe(true);
+		expect(findUnfrozenPath(state)).toBe('early'); // its mutators could not be replaced
+	});
+
+	it('raises a sealed collection to frozen', () => {
+		const scores = deepSeal(new Map([['ada', 1]]));
+		deepFreeze({ scores });
+		expect(() => scores.set('ada', 2)).toThrow('Cannot set() on a frozen Map');
+	});
+});
@@ -0,0 +1,72 @@
+/**
+ * Small debugging helpers shared by the guides' modules:
+ *
+ * - captureCallSite(entry) — the stack frame of whoever called `entry`, used
+ *   by watch-mutations.js to report where a write came from and by pool.js to
+ *   report where a leaked handle was acquired.
+ * - getGC() — a function that forces a full garbage collection, exposing GC
+ *   at runtime if node was not started with --expose-gc; used by
+ *   memory-profile.js and the pool.js benchmark.
+ *
+ * Run the examples with: node diagnostics.js
+ */
+
+'use strict';
+
+const v8 = require('v8');
+const vm = require('vm');
+
+/**
+ * Stack of the code that triggered a mutation. `entry` is the trap or wrapper
+ * function the engine called; V8 drops it and every frame above it, so the
+ * first remaining frame is the caller, e.g. "at updateUser (/app/store.js:42:9)".
+ */
+function captureCallSite(entry) {
+	const holder = {};
+	if (typeof Error.captureStackTrace === 'function') Error.captureStackTrace(holder, entry);
+	else holder.stack = new Error().stack;
+	const frames = (holder.stack || '').split('\n').slice(1).map((line) => line.trim());
+	// Skip built-ins such as "at Function.defineProperty (<anonymous>)" that sit between trap and caller
+	const callSite = frames.find((line) => !line.endsWith('(<anonymous>)')) || null;
+	return { callSite, stack: frames.join('\n') };
+}
+
+let gcFunction = null;
+
+/** global.gc when exposed; otherwise turn the flag on and fetch gc from a fresh context. */
+function getGC() {
+	if (typeof global.gc === 'function') return global.gc;
+	if (!gcFunction) {
+		v8.setFlagsFromString('--expose-gc');
+		gcFunction = vm.runInNewContext('gc');
+	}
+	return gcFunction;
+}
+
+module.exports = { captureCallSite, getGC };
+
+// ============================================================================
+// DEMO (node diagnostics.js)
+// ============================================================================
+
+if (require.main === module) {
+	function wrapped() {
+		return captureCallSite(wrapped);
+	}
+	function caller() {
+		return wrapped();
+	}
+
+	const { callSite, stack } = caller();
+	console.log('call site:', callSite);
+	console.log('stack:\n' + stack.split('\n').slice(0, 3).map((line) => '  ' + line).join('\n'));
+
+	let garbage = { payload: new Array(1e5).fill(0) };
+	const ref = new WeakRef(garbage);
+	garbage = null;
+	// WeakRef targets stay alive until the current job ends; collect on the next turn
+	setImmediate(() => {
+		getGC()();
+		console.log('\nafter getGC()(), the dropped object is', ref.deref() === undefined ? 'collected' : 'still alive');
+	});
+}
@@ -0,0 +1,492 @@
+/**
+ * ECS: a small entity-component system for the movable/drawable entities
+ *
+ * factory-functions.js composes `withMovable`, `withDrawable` and friends into
+ * one object per entity. An ECS turns that inside out: an entity is just an
+ * id, the data lives in components (`position: { x, y }`, `renderable: {...}`),
+ * and behavior lives in systems that run over every entity with the right
+ * components.
+ *
+ * - Storage is by archetype: entities with exactly the same component set
+ *   share one table with a column per component, so a query walks a few
+ *   dense arrays instead of checking every entity.
+ * - Queries are cached and pick up archetypes created later.
+ * - Systems run in `order` (then registration order) on each tick().
+ * - Structural changes (spawn/destroy/add/remove) made while systems or
+ *   queries run are deferred until it is safe, so iteration never skips or
+ *   repeats an entity.
+ * - createHarness() drives fixed-step ticks with a seeded RNG for headless,
+ *   deterministic tests.
+ *
+ * Run the examples with: node ecs.js
+ * Run the tests with: node test-runner.js ecs.test.js
+ */
+
+'use strict';
+
+// ============================================================================
+// Archetype storage
+// ============================================================================
+
+class Archetype {
+  constructor(names) {
+    this.names = names; // sorted component names
+    this.key = names.join('|');
+    this.entities = [];
+    this.columns = new Map(names.map((name) => [name, []]));
+  }
+
+  push(entity, components) {
+    this.entities.push(entity);
+    for (const [name, column] of this.columns) column.push(components[name]);
+    return this.entities.length - 1;
+  }
+
+  /** Swap-remove `row`; returns the entity that moved into it (if any). */
+  removeRow(row) {
+    const last = this.entities.length - 1;
+    const moved = row === last ? undefined : this.entities[last];
+    this.entities[row] = this.entities[last];
+    this.entities.pop();
+    for (const column of this.columns.values()) {
+      column[row] = column[last];
+      column.pop();
+    }
+    return moved;
+  }
+
+  rowData(row) {
+    const data = {};
+    for (const [name, column] of this.columns) data[name] = column[row];
+    return data;
+  }
+}
+
+// ============================================================================
+// Queries
+// ============================================================================
+
+class Query {
+  constructor(world, withNames, withoutNames) {
+    this.world = world;
+    this.with = withNames;
+    this.without = withoutNames;
+    this.archetypes = [];
+  }
+
+  matches(archetype) {
+    return this.with.every((name) => archetype.columns.has(name)) &&
+      !this.without.some((name) => archetype.columns.has(name));
+  }
+
+  /** Fast path: callback(entity, ...components in the order they were queried). */
+  each(callback) {
+    this.world._lock();
+    try {
+      for (const archetype of this.archetypes) {
+        const columns = this.with.map((name) => archetype.columns.get(name));
+        const { entities } = archetype;
+        for (let row = 0; row < entities.length; row++) {
+          callback(entities[row], ...columns.map((column) => column[row]));
+        }
+      }
+    } catch (error) {
+      this.world._unlock(error);
+    }
+    this.world._unlock();
+  }
+
+  /** Yields [entity, ...components]; structural changes wait until the loop ends. */
+  *[Symbol.iterator]() {
+    let failed = false;
+    this.world._lock();
+    try {
+      for (const archetype of this.archetypes) {
+        const columns = this.with.map((name) => archetype.columns.get(name));
+        for (let row = 0; row < archetype.entities.length; row++) {
+          yield [archetype.entities[row], ...columns.map((column) => column[row])];
+        }
+      }
+    } catch (error) {
+      failed = true;
+      this.world._unlock(error);
+    } finally {
+      // Also reached when the loop stops early (break/return)
+      if (!failed) this.world._unlock();
+    }
+  }
+
+  count() {
+    return this.archetypes.reduce((sum, archetype) => sum + archetype.entities.length, 0);
+  }
+
+  entities() {
+    return this.archetypes.flatMap((archetype) => archetype.entities);
+  }
+}
+
+// ============================================================================
+// World
+// ============================================================================
+
+class World {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.seed=1] seed for world.random()
+   */
+  constructor({ seed = 1 } = {}) {
+    this.time = 0;
+    this.tickCount = 0;
+    this.random = mulberry32(seed);
+    this._nextId = 1;
+    this._records = new Map(); // entity -> { archetype, row }
+    this._archetypes = new Map(); // key -> Archetype
+    this._queries = new Map(); // cache key -> Query
+    this._systems = [];
+    this._depth = 0; // > 0 while iterating: structural changes are queued
+    this._pending = [];
+    this._archetypeFor([]);
+  }
+
+  // --------------------------------------------------------------------------
+  // Entities and components
+  // --------------------------------------------------------------------------
+
+  /**
+   * Create an entity, optionally with components: world.spawn({ position: { x: 0, y: 0 } }).
+   * The id is returned immediately even when placement is deferred.
+   */
+  spawn(components = {}) {
+    const entity = this._nextId++;
+    this._defer(() => {
+      const archetype = this._archetypeFor(Object.keys(components));
+      this._records.set(entity, { archetype, row: archetype.push(entity, components) });
+    });
+    return entity;
+  }
+
+  destroy(entity) {
+    this._defer(() => {
+      const record = this._records.get(entity);
+      if (!record) return;
+      this._removeFromArchetype(record);
+      this._records.delete(entity);
+    });
+  }
+
+  /** Attach (or replace) one component. */
+  add(entity, name, data = {}) {
+    this._defer(() => {
+      const record = this._require(entity, 'add');
+      if (record.archetype.columns.has(name)) {
+        record.archetype.columns.get(name)[record.row] = data;
+        return;
+      }
+      this._move(entity, record, { ...record.archetype.rowData(record.row), [name]: data });
+    });
+    return this;
+  }
+
+  remove(entity, name) {
+    this._defer(() => {
+      const record = this._require(entity, 'remove');
+      if (!record.archetype.columns.has(name)) return;
+      const components = record.archetype.rowData(record.row);
+      delete components[name];
+      this._move(entity, record, components);
+    });
+    return this;
+  }
+
+  get(entity, name) {
+    const record = this._records.get(entity);
+    const column = record && record.archetype.columns.get(name);
+    return column ? column[record.row] : undefined;
+  }
+
+  has(entity, name) {
+    const record = this._records.get(entity);
+    return !!record && record.archetype.columns.has(name);
+  }
+
+  isAlive(entity) {
+    return this._records.has(entity);
+  }
+
+  /** All components of an entity as a plain object (undefined if it does not exist). */
+  components(entity) {
+    const record = this._records.get(entity);
+    return record && record.archetype.rowData(record.row);
+  }
+
+  /** Ids of every live entity, in ascending order. */
+  entities() {
+    return [...this._records.keys()].sort((a, b) => a - b);
+  }
+
+  get entityCount() {
+    return this._records.size;
+  }
+
+  get archetypeCount() {
+    return this._archetypes.size;
+  }
+
+  // --------------------------------------------------------------------------
+  // Queries and systems
+  // --------------------------------------------------------------------------
+
+  /**
+   * world.query('position', 'velocity') or world.query({ with: [...], without: [...] }).
+   * Queries are cached: asking again returns the same Query.
+   */
+  query(...args) {
+    const spec = args.length === 1 && typeof args[0] === 'object' ? args[0] : { with: args };
+    const withNames = spec.with || [];
+    const withoutNames = (spec.without || []).slice().sort();
+    if (withNames.length === 0) throw new TypeError('World.query: name at least one component');
+    const key = `${withNames.join(',')}!${withoutNames.join(',')}`;
+    let query = this._queries.get(key);
+    if (!query) {
+      query = new Query(this, withNames, withoutNames);
+      query.archetypes = [...this._archetypes.values()].filter((archetype) => query.matches(archetype));
+      this._queries.set(key, query);
+    }
+    return query;
+  }
+
+  /**
+   * Register a system: run(world, { dt, time, tick }) is called every tick.
+   * Lower `order` runs first; equal orders run in registration order.
+   */
+  addSystem(name, run, { order = 0 } = {}) {
+    if (typeof run !== 'function') throw new TypeError(`World.addSystem(${name}): run must be a function`);
+    if (this._systems.some((system) => system.name === name)) {
+      throw new Error(`World.addSystem: a system named "${name}" already exists`);
+    }
+    this._systems.push({ name, run, order, index: this._systems.length });
+    this._systems.sort((a, b) => a.order - b.order || a.index - b.index);
+    return this;
+  }
+
+  removeSystem(name) {
+    this._systems = this._systems.filter((system) => system.name !== name);
+    return this;
+  }
+
+  get systemNames() {
+    return this._systems.map((system) => system.name);
+  }
+
+  /** Run every system once, in order. Changes a system queues are applied before the next system runs. */
+  tick(dt = 1) {
+    const context = { dt, time: this.time, tick: this.tickCount };
+    for (const system of this._systems) {
+      this._lock();
+      try {
+        system.run(this, context);
+      } catch (error) {
+        this._unlock(error);
+      }
+      this._unlock();
+    }
+    this.time += dt;
+    this.tickCount += 1;
+    return this;
+  }
+
+  // --------------------------------------------------------------------------
+  // Internals
+  // --------------------------------------------------------------------------
+
+  _lock() {
+    this._depth += 1;
+  }
+
+  /**
+   * Leave a locked section; the outermost one applies the queued changes.
+   * `error` is the section's own failure: it is always rethrown, together
+   * with any failed changes, so a follow-up error can't hide it.
+   */
+  _unlock(error) {
+    this._depth -= 1;
+    const errors = this._depth === 0 ? this._flush() : [];
+    if (error !== undefined) {
+      if (errors.length) throw new AggregateError([error, ...errors], `${error.message} (and ${errors.length} queued change(s) failed)`);
+      throw error;
+    }
+    if (errors.length === 1) throw errors[0];
+    if (errors.length) throw new AggregateError(errors, `${errors.length} queued changes failed`);
+  }
+
+  _defer(change) {
+    if (this._depth > 0) this._pending.push(change);
+    else change();
+  }
+
+  /** Apply every queued change, even after one fails; returns the errors. */
+  _flush() {
+    const pending = this._pending;
+    this._pending = [];
+    const errors = [];
+    for (let i = 0; i < pending.length; i++) {
+      try {
+        pending[i]();
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+    return errors;
+  }
+
+  _require(entity, method) {
+    const record = this._records.get(entity);
+    if (!record) throw new Error(`World.${method}: entity ${entity} does not exist`);
+    return record;
+  }
+
+  _archetypeFor(names) {
+    const sorted = names.slice().sort();
+    const key = sorted.join('|');
+    let archetype = this._archetypes.get(key);
+    if (!archetype) {
+      archetype = new Archetype(sorted);
+      this._archetypes.set(key, archetype);
+      for (const query of this._queries.values()) {
+        if (query.matches(archetype)) query.archetypes.push(archetype);
+      }
+    }
+    return archetype;
+  }
+
+  _removeFromArchetype(record) {
+    const moved = record.archetype.removeRow(record.row);
+    if (moved !== undefined) this._records.get(moved).row = record.row;
+  }
+
+  _move(entity, record, components) {
+    this._removeFromArchetype(record);
+    const archetype = this._archetypeFor(Object.keys(components));
+    this._records.set(entity, { archetype, row: archetype.push(entity, components) });
+  }
+}
+
+// ============================================================================
+// Headless harness
+// ============================================================================
+
+/** Small, fast, seedable PRNG so runs are reproducible. */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Drive a world without a render loop: fixed timestep, seeded randomness,
+ * and snapshots that are stable across runs (entities sorted by id).
+ *
+ * @param {(world: World) => void} setup registers systems and spawns entities
+ * @param {object} [options]
+ * @param {number} [options.dt=1/60] fixed timestep passed to every tick
+ * @param {number} [options.seed=1] world.random() seed
+ */
+function createHarness(setup, { dt = 1 / 60, seed = 1 } = {}) {
+  const world = new World({ seed });
+  setup(world);
+
+  return {
+    world,
+
+    /** Run `n` ticks. */
+    step(n = 1) {
+      for (let i = 0; i < n; i++) world.tick(dt);
+      return this;
+    },
+
+    /** Tick until predicate(world) is true; throws after maxTicks so a broken test cannot hang. */
+    runUntil(predicate, { maxTicks = 10000 } = {}) {
+      for (let i = 0; i < maxTicks; i++) {
+        if (predicate(world)) return world.tickCount;
+        world.tick(dt);
+      }
+      throw new Error(`createHarness: condition not met within ${maxTicks} ticks`);
+    },
+
+    /** Every entity and its components as plain JSON data, ordered by id. */
+    snapshot() {
+      const entities = world.entities().map((id) => {
+        const components = world.components(id);
+        const sorted = {};
+        for (const name of Object.keys(components).sort()) sorted[name] = components[name];
+        return { id, components: sorted };
+      });
+      return JSON.parse(JSON.stringify({ tick: world.tickCount, entities }));
+    }
+  };
+}
+
+module.exports = { World, createHarness };
+
+// ============================================================================
+// DEMO (node ecs.js)
+// ============================================================================
+
+if (require.main === module) {
+  console.log('\n=== World: entities, components, queries ===\n');
+
+  const world = new World();
+  const hero = world.spawn({ position: { x: 1, y: 2 }, velocity: { x: 1, y: 0 }, name: { value: 'Hero' } });
+  world.spawn({ position: { x: 0, y: 0 }, renderable: { glyph: '#' } });
+  world.spawn({ position: { x: 5, y: 5 }, velocity: { x: 0, y: -1 }, renderable: { glyph: '@' } });
+
+  console.log('movers:', world.query('position', 'velocity').count()); // 2
+  console.log('static:', world.query({ with: ['position'], without: ['velocity'] }).count()); // 1
+  console.log('archetypes:', world.archetypeCount); // 4 (including the empty one)
+
+  console.log('\n=== Systems run in order ===\n');
+
+  world
+    .addSystem('render', (w) => {
+      w.query('position', 'renderable').each((id, pos, r) => console.log(`  render ${r.glyph} at (${pos.x}, ${pos.y})`));
+    }, { order: 100 })
+    .addSystem('movement', (w, { dt }) => {
+      w.query('position', 'velocity').each((id, pos, vel) => {
+        pos.x += vel.x * dt;
+        pos.y += vel.y * dt;
+      });
+    }, { order: 10 });
+
+  console.log('systems:', world.systemNames); // [ 'movement', 'render' ]
+  world.tick(1);
+  console.log('hero moved to:', world.get(hero, 'position')); // { x: 2, y: 2 }
+
+  console.log('\n=== Changes during iteration are deferred ===\n');
+
+  for (const [id] of world.query('position', 'velocity')) {
+    world.remove(id, 'velocity'); // applied after the loop, so nothing is skipped
+  }
+  console.log('movers left:', world.query('position', 'velocity').count()); // 0
+
+  console.log('\n=== Headless, deterministic harness ===\n');
+
+  const setup = (w) => {
+    for (let i = 0; i < 3; i++) {
+      w.spawn({ position: { x: 0, y: 0 }, velocity: { x: Math.round(w.random() * 10), y: 1 } });
+    }
+    w.addSystem('movement', (ww, { dt }) => {
+      ww.query('position', 'velocity').each((id, pos, vel) => {
+        pos.x += vel.x * dt;
+        pos.y += vel.y * dt;
+      });
+    });
+  };
+  const runA = createHarness(setup, { dt: 1 }).step(10).snapshot();
+  const runB = createHarness(setup, { dt: 1 }).step(10).snapshot();
+  console.log('same seed, same result:', JSON.stringify(runA) === JSON.stringify(runB)); // true
+  console.log('entity 1 after 10 ticks:', runA.entities[0].components.position);
+}
@@ -0,0 +1,192 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { World, createHarness } = require('./ecs');
+
+describe('queued changes', () => {
+  it('applies every queued change and reports the failures together', () => {
+    const w = new World();
+    const doomed = w.spawn({ hp: 1 });
+    const other = w.spawn({ hp: 2 });
+    w.addSystem('combat', (ww) => {
+      ww.destroy(doomed);
+      ww.add(doomed, 'loot', {}); // fails: destroyed earlier in the same run
+      ww.add(other, 'shield', {});
+      ww.remove(doomed, 'hp'); // fails too
+    });
+    let thrown;
+    try {
+      w.tick();
+    } catch (error) {
+      thrown = error;
+    }
+    expect(thrown).toBeInstanceOf(AggregateError);
+    expect(thrown.errors).toHaveLength(2);
+    expect(thrown.errors[0].message).toMatch('World.add: entity 1 does not exist');
+    expect(w.has(other, 'shield')).toBe(true); // the change after the failure was applied
+    expect(w.isAlive(doomed)).toBe(false);
+    w.removeSystem('combat').tick(); // nothing left over for the next unlock
+    expect(w.components(other)).toEqual({ hp: 2, shield: {} });
+  });
+
+  it('rethrows a single failed change as it is', () => {
+    const w = new World();
+    const id = w.spawn({ hp: 1 });
+    w.addSystem('bad', (ww) => {
+      ww.destroy(id);
+      ww.add(id, 'loot', {});
+    });
+    expect(() => w.tick()).toThrow('World.add: entity 1 does not exist');
+  });
+
+  it('keeps a system\'s own error visible when its queued changes fail too', () => {
+    const w = new World();
+    const id = w.spawn({ hp: 1 });
+    w.addSystem('broken', (ww) => {
+      ww.destroy(id);
+      ww.add(id, 'loot', {});
+      throw new Error('system bug');
+    });
+    let thrown;
+    try {
+      w.tick();
+    } catch (error) {
+      thrown = error;
+    }
+    expect(thrown.errors[0].message).toBe('system bug');
+    expect(thrown.message).toMatch('system bug');
+    expect(() => new World().addSystem('plain', () => { throw new Error('only this'); }).tick()).toThrow('only this');
+  });
+
+  it('applies changes queued during an iteration that stopped early', () => {
+    const w = new World();
+    w.spawn({ tag: 1 });
+    w.spawn({ tag: 2 });
+    for (const [id] of w.query('tag')) {
+      w.destroy(id);
+      break;
+    }
+    expect(w.entityCount).toBe(1);
+  });
+});
+
+describe('entities and components', () => {
+  it('moves entities between archetypes as components come and go', () => {
+    const w = new World();
+    const a = w.spawn({ position: { x: 0 } });
+    const b = w.spawn({ position: { x: 1 }, velocity: { x: 1 } });
+    w.add(a, 'velocity', { x: 2 });
+    w.add(a, 'velocity', { x: 3 }); // replaces in place
+    w.remove(b, 'velocity');
+    w.remove(b, 'missing'); // no-op
+    expect(w.components(a)).toEqual({ position: { x: 0 }, velocity: { x: 3 } });
+    expect(w.components(b)).toEqual({ position: { x: 1 } });
+    expect([w.has(a, 'velocity'), w.has(b, 'velocity')]).toEqual([true, false]);
+    expect(w.get(b, 'velocity')).toBe(undefined);
+    expect(w.archetypeCount).toBe(3);
+  });
+
+  it('keeps other rows intact when an entity is swap-removed', () => {
+    const w = new World();
+    const ids = [1, 2, 3, 4].map((n) => w.spawn({ n }));
+    w.destroy(ids[0]);
+    w.destroy(ids[0]); // already gone
+    expect(w.entities()).toEqual(ids.slice(1));
+    expect(ids.slice(1).map((id) => w.get(id, 'n'))).toEqual([2, 3, 4]);
+    expect(w.components(ids[0])).toBe(undefined);
+    expect(() => w.add(ids[0], 'n', 1)).toThrow('World.add: entity 1 does not exist');
+  });
+});
+
+describe('queries', () => {
+  it('filter with and without, and are cached', () => {
+    const w = new World();
+    w.spawn({ position: {}, velocity: {} });
+    w.spawn({ position: {} });
+    const movers = w.query('position', 'velocity');
+    expect(w.query('position', 'velocity')).toBe(movers);
+    expect(movers.count()).toBe(1);
+    expect(w.query({ with: ['position'], without: ['velocity'] }).count()).toBe(1);
+    expect(() => w.query()).toThrow('name at least one component');
+  });
+
+  it('pick up archetypes created after the query', () => {
+    const w = new World();
+    const named = w.query('name');
+    expect(named.count()).toBe(0);
+    const id = w.spawn({ name: 'late', extra: true });
+    expect(named.entities()).toEqual([id]);
+  });
+
+  it('pass components in the order they were asked for', () => {
+    const w = new World();
+    w.spawn({ a: 'A', b: 'B' });
+    const seen = [];
+    w.query('b', 'a').each((id, b, a) => seen.push(b + a));
+    for (const [, a, b] of w.query('a', 'b')) seen.push(a + b);
+    expect(seen).toEqual(['BA', 'AB']);
+  });
+
+  it('defer structural changes made while iterating', () => {
+    const w = new World();
+    w.spawn({ seed: 1 });
+    w.spawn({ seed: 2 });
+    let visits = 0;
+    w.query('seed').each((id, seed) => {
+      visits += 1;
+      w.spawn({ seed: seed * 10 });
+      w.remove(id, 'seed');
+    });
+    expect(visits).toBe(2);
+    expect(w.query('seed').entities().map((id) => w.get(id, 'seed'))).toEqual([10, 20]);
+  });
+});
+
+describe('systems', () => {
+  it('run by order, then registration, with dt, time and tick', () => {
+    const w = new World();
+    const calls = [];
+    w.addSystem('late', (ww, ctx) => calls.push(['late', ctx.tick, ctx.time]), { order: 5 })
+      .addSystem('first', (ww, ctx) => calls.push(['first', ctx.tick, ctx.dt]), { order: -1 })
+      .addSystem('also-late', () => calls.push(['also-late']), { order: 5 });
+    expect(w.systemNames).toEqual(['first', 'late', 'also-late']);
+    w.tick(0.5).tick(0.5);
+    expect(calls.slice(3)).toEqual([['first', 1, 0.5], ['late', 1, 0.5], ['also-late']]);
+    expect([w.time, w.tickCount]).toEqual([1, 2]);
+    expect(() => w.addSystem('late', () => {})).toThrow('already exists');
+    expect(w.removeSystem('late').systemNames).toEqual(['first', 'also-late']);
+  });
+
+  it('see the changes queued by earlier systems in the same tick', () => {
+    const w = new World();
+    let seen = -1;
+    w.addSystem('spawner', (ww) => ww.spawn({ enemy: true }))
+      .addSystem('counter', (ww) => { seen = ww.query('enemy').count(); });
+    w.tick();
+    expect(seen).toBe(1);
+  });
+});
+
+describe('createHarness', () => {
+  const setup = (world) => {
+    world.spawn({ position: { x: 0 }, velocity: { x: 1 } });
+    world.addSystem('move', (w, { dt }) => {
+      w.query('position', 'velocity').each((id, pos, vel) => { pos.x += vel.x * dt * w.random(); });
+    });
+  };
+
+  it('gives the same snapshot for the same seed', () => {
+    const first = createHarness(setup, { dt: 1, seed: 7 }).step(5).snapshot();
+    const second = createHarness(setup, { dt: 1, seed: 7 }).step(5).snapshot();
+    const other = createHarness(setup, { dt: 1, seed: 8 }).step(5).snapshot();
+    expect(first).toEqual(second);
+    expect(first.tick).toBe(5);
+    expect(first.entities[0].components.position.x).not.toBe(other.entities[0].components.position.x);
+  });
+
+  it('runs until a condition holds and gives up after maxTicks', () => {
+    const harness = createHarness(setup, { dt: 1 });
+    expect(harness.runUntil((w) => w.get(1, 'position').x > 2)).toBeGreaterThan(2);
+    expect(() => harness.runUntil(() => false, { maxTicks: 3 })).toThrow('not met within 3 ticks');
+  });
+});
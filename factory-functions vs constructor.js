@@ -80,6 +80,26 @@ function simulateNew(constructor, ...args) {
 const sim = simulateNew(UserConstructor, 'Sim', 1);
 console.log(sim.greet());
 
+// simulateNew is only "roughly" right: classes refuse to be called without `new`,
+// and `new.target`, derived-class `this` and built-ins (Array, Map) are out of its reach.
+// construct.js follows the spec's [[Construct]] steps instead (run it for the full self-checks).
+const { construct } = require('./construct');
+
+class UserClass {
+	constructor(name) {
+		this.name = name;
+	}
+}
+try {
+	simulateNew(UserClass, 'Cls');
+} catch (e) {
+	console.log('simulateNew:', e.message); // Class constructor UserClass cannot be invoked without 'new'
+}
+console.log(construct(UserClass, ['Cls']).name); // Cls
+
+// trace: true prints each step of the algorithm
+construct(UserConstructor, ['Traced', 2], UserConstructor, { trace: true });
+
 // -----------------------------
 // 4) Factories vs Constructors: method identity & memory
 // -----------------------------
@@ -121,6 +141,20 @@ const cp = new CounterProto();
 console.log(cp.increment()); // 1
 console.log(cp.get()); // 1
 
+// Switching patterns without rewriting call sites (see pattern-adapters.js):
+// toClass moves `greet` — which only uses `this` — onto a shared prototype,
+// and the analyzer shows what was recreated per instance before and after
+// (with the heap-measured cost only when run with --profile-memory).
+const { toClass, toFactory, analyzeMethodSharing, formatSharingReport } = require('./pattern-adapters');
+const measure = process.argv.includes('--profile-memory') ? 2000 : false;
+
+const UserFromFactory = toClass(createUserFactory, { sharedMethods: ['greet'], name: 'UserFromFactory' });
+console.log(new UserFromFactory('Ann', 1).greet === new UserFromFactory('Ben', 2).greet); // true
+console.log(toFactory(UserConstructor)('Cy', 3) instanceof UserConstructor); // true
+
+console.log(formatSharingReport(analyzeMethodSharing((i) => createUserFactory('u', i), { name: 'createUserFactory', measure })));
+console.log(formatSharingReport(analyzeMethodSharing((i) => new UserFromFactory('u', i), { name: 'UserFromFactory', measure: false })));
+
 // -----------------------------
 // 5) instanceof, constructor property, and identity
 // -----------------------------
@@ -147,6 +181,17 @@ function createUserWithProto(name, age) {
 const fp = createUserWithProto('ProtoUser', 20);
 console.log(Object.getPrototypeOf(fp) === protoUser); // true
 
+// The prototype shares behavior; immutable data can be shared too. A flyweight
+// interns equal state objects so many users point at one frozen copy, and a
+// pool recycles short-lived objects instead of allocating them (see pool.js).
+const { createFlyweight } = require('./pool');
+
+const locales = createFlyweight();
+const withLocale = (user, locale) => Object.assign(user, { locale: locales.intern({ lang: locale, rtl: locale === 'ar' }) });
+const u1 = withLocale(createUserWithProto('Amal', 31), 'ar');
+const u2 = withLocale(createUserWithProto('Badr', 29), 'ar');
+console.log(u1.locale === u2.locale, Object.isFrozen(u1.locale)); // true true
+
 // -----------------------------
 // 6) Pitfalls: forgetting `new`, accidental globals, and return values
 // -----------------------------
@@ -161,6 +206,19 @@ function MaybeForgotNew(name) {
 // If called without `new` and not defended, `this` could be `window` (pre-strict)
 // or `undefined` (strict mode) causing errors. Defensive check is common.
 
+// The check has to be repeated in every subclass, and it misfires when
+// Reflect.construct passes a different newTarget. callableClass (see
+// callable-class.js) gives a class both call styles without touching its body:
+const { callableClass } = require('./callable-class');
+
+const Person = callableClass(class Person {
+	constructor(name) {
+		this.name = name;
+	}
+});
+console.log(Person('Called').name, new Person('Constructed').name); // Called Constructed
+console.log(Person('Called') instanceof Person); // true
+
 // Also: constructors can explicitly return an object, replacing the created one
 function Weird() {
 	this.a = 1;
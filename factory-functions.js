@@ -193,6 +193,49 @@ console.log('Private data is inaccessible:');
 console.log(counter2.getCount()); // 11 (data is private)
 console.log(_counterPrivate.get(counter2)); // { count: 11 } (only accessible internally)
 
+/**
+ * The same pattern scales to a real counter for rate limits and quotas
+ * (see counter.js): bounds with clamp/throw/wrap, step, reset, undo/redo,
+ * subscribers and snapshots — still one shared prototype plus a WeakMap.
+ */
+const { createCounter: createBoundedCounter, restoreCounter } = require('./counter');
+
+const requests = createBoundedCounter({ max: 100, step: 25, overflow: 'throw' });
+for (let i = 0; i < 4; i++) requests.increment();
+try {
+  requests.increment();
+} catch (e) {
+  console.log('quota exceeded:', e.message); // Counter value 125 is outside [-Infinity, 100]
+}
+requests.undo();
+console.log('after undo:', requests.getCount()); // 75
+console.log('restored:', restoreCounter(JSON.stringify(requests)).getCount()); // 75
+
+/**
+ * Writing the WeakMap plumbing by hand for every type gets repetitive.
+ * definePrivateType (see private-type.js) builds it once and hands methods a
+ * `priv(this)` accessor that rejects foreign objects with a clear TypeError.
+ */
+const { definePrivateType } = require('./private-type');
+
+const Wallet = definePrivateType({
+  name: 'Wallet',
+  init: (balance = 0) => ({ balance }),
+  proto: (priv) => ({
+    deposit(amount) {
+      return (priv(this).balance += amount);
+    }
+  })
+});
+
+const wallet = Wallet.create(10);
+console.log('wallet balance:', wallet.deposit(5)); // 15
+try {
+  wallet.deposit.call({ balance: 1e9 }, 1);
+} catch (e) {
+  console.log(e.message); // Wallet method called on an instance of Object, not a Wallet
+}
+
 // ============================================================================
 // ADVANCED: Composable Factories & Mixins
 // ============================================================================
@@ -263,7 +306,50 @@ console.log(entity.getPosition()); // { x: 4, y: 6 }
  * - Easy to reuse and combine
  * - Flat structure (no deep inheritance)
  * - Testable in isolation
+ *
+ * Pitfall: Object.assign silently keeps the last of two same-named methods.
+ * compose() (see compose.js) merges the same mixins but reports conflicts,
+ * lets you choose how to combine them, and remembers where each member came from.
  */
+const { compose, resolve, provenance } = require('./compose');
+
+function withSound() {
+  return {
+    draw() {
+      console.log('*whoosh*');
+    }
+  };
+}
+
+try {
+  compose(withMovable, withDrawable, withSound)({ x: 0, y: 0 });
+} catch (e) {
+  console.log('conflict detected:', e.message.split(';')[0]);
+}
+const noisyEntity = compose(withMovable, withDrawable, withSound, resolve({ draw: 'after' }))({ x: 5, y: 5 });
+noisyEntity.draw(); // Drawing at (5, 5) then *whoosh*
+console.log('draw supplied by:', provenance(noisyEntity).draw.mixins); // [ 'withDrawable', 'withSound' ]
+
+/**
+ * With thousands of game entities, an entity-component system (see ecs.js)
+ * flips this around: the `state` the mixins close over becomes components,
+ * and `move`/`draw` become systems that run over every matching entity.
+ */
+const { World } = require('./ecs');
+
+const world = new World();
+world.spawn({ position: { x: 1, y: 2 }, velocity: { x: 3, y: 4 }, renderable: { glyph: '@' } });
+world
+  .addSystem('movement', (w, { dt }) => {
+    w.query('position', 'velocity').each((id, pos, vel) => {
+      pos.x += vel.x * dt;
+      pos.y += vel.y * dt;
+    });
+  }, { order: 1 })
+  .addSystem('render', (w) => {
+    w.query('position', 'renderable').each((id, pos) => console.log(`Drawing at (${pos.x}, ${pos.y})`));
+  }, { order: 2 });
+world.tick(1); // Drawing at (4, 6)
 
 // ============================================================================
 // ADVANCED: Dependency Injection
@@ -276,17 +362,9 @@ console.log('\n=== ADVANCED: Dependency Injection ===\n');
  * This makes code testable: pass fake implementations in tests.
  */
 
-function createLogger({
-  timeProvider = () => new Date().toISOString(),
-  output = console.log
-} = {}) {
-  return {
-    log(message) {
-      const timestamp = timeProvider();
-      output(`[${timestamp}] ${message}`);
-    }
-  };
-}
+// createLogger takes its clock and its sink as dependencies (see logger.js,
+// which adds levels, child loggers, formatters, transports and redaction)
+const { createLogger, memoryTransport } = require('./logger');
 
 // Real usage
 const realLogger = createLogger();
@@ -301,6 +379,28 @@ const testLogger = createLogger({
 testLogger.log('Test message');
 console.log('Test log captured:', capturedLogs[0]);
 
+// Same injection, structured: JSON lines into an in-memory transport, secrets redacted
+const memory = memoryTransport();
+const auditLogger = createLogger({ timeProvider: () => '2025-01-01T00:00:00Z', transports: [memory], formatter: 'json' });
+auditLogger.child({ userId: 7 }).info('login', { password: 'hunter2' });
+console.log('Structured log captured:', memory.lines[0]);
+
+// With many factories, let a container do the wiring (see container.js):
+// each factory names its dependencies, and a child container swaps in fakes for tests
+const { createContainer } = require('./container');
+
+const appContainer = createContainer()
+  .value('clock', () => new Date().toISOString())
+  .register('logger', ({ clock }) => createLogger({ timeProvider: clock }), { deps: ['clock'], lifetime: 'transient' });
+
+let containerLogs = [];
+const testContainer = appContainer.createChild()
+  .value('clock', () => '2025-01-01T00:00:00Z')
+  .value('output', (msg) => containerLogs.push(msg))
+  .register('logger', ({ clock, output }) => createLogger({ timeProvider: clock, output }), { deps: ['clock', 'output'] });
+testContainer.resolve('logger').log('Resolved from a test container');
+console.log('Container log captured:', containerLogs[0]);
+
 /**
  * With DI, we can easily:
  * - Control time in tests
@@ -312,7 +412,7 @@ console.log('Test log captured:', capturedLogs[0]);
 // ADVANCED: TypeScript Typing (Example)
 // ============================================================================
 
-console.log('\n=== ADVANCED: TypeScript Example (conceptual) ===\n');
+console.log('\n=== ADVANCED: TypeScript Typing, Checked at Runtime ===\n');
 
 /**
  * In TypeScript, you'd add types to factories for better IDE support and safety.
@@ -329,8 +429,40 @@ console.log('\n=== ADVANCED: TypeScript Example (conceptual) ===\n');
  * }
  */
 
-console.log('TypeScript allows precise types for factory returns.');
-console.log('See TypeScript docs for generic factory examples.');
+/**
+ * Types in a comment are checked by nobody at runtime. typed-factory.js turns
+ * the shape into data: defineFactory() validates input against a schema
+ * (listing every failing field), shares methods via one prototype, and
+ * generates the .d.ts above instead of you writing it by hand.
+ */
+const { defineFactory } = require('./typed-factory');
+
+const createTypedEntity = defineFactory({
+  id: { type: 'string', required: true },
+  name: { type: 'string', required: true },
+  x: { type: 'number', default: 0 },
+  y: { type: 'number', default: 0 }
+}, {
+  move(dx, dy) {
+    this.x += dx;
+    this.y += dy;
+  }
+}, { name: 'Entity', signatures: { move: '(dx: number, dy: number): void' } });
+
+const typedHero = createTypedEntity({ id: 'e1', name: 'Hero' });
+typedHero.move(1, 2);
+console.log('Typed entity:', typedHero.name, typedHero.x, typedHero.y); // Hero 1 2
+try {
+  createTypedEntity({ name: 42, x: 'left' });
+} catch (e) {
+  console.log(e.message);
+  // Invalid Entity: 3 problems
+  //   - id: is required
+  //   - name: expected string, got number
+  //   - x: expected number, got string
+}
+console.log(createTypedEntity.declaration().split('\n').pop());
+// export declare function createEntity(input: EntityInput): Entity;
 
 // ============================================================================
 // ADVANCED: Testing Patterns
@@ -345,25 +477,64 @@ console.log('\n=== ADVANCED: Testing Patterns ===\n');
  * 3. Each test can create fresh instances
  */
 
-// Example: Simple test helper
-function testCounterFactory() {
-  const c = createCounterAdvanced(0);
-  
-  // Test 1: Initial state
-  if (c.getCount() !== 0) throw new Error('Initial count should be 0');
-  
-  // Test 2: Increment
-  c.increment();
-  if (c.getCount() !== 1) throw new Error('Count should be 1 after increment');
-  
-  // Test 3: Decrement
-  c.decrement();
-  if (c.getCount() !== 0) throw new Error('Count should be 0 after decrement');
-  
-  console.log('✓ All counter tests passed');
-}
+// Hand-rolled `if (...) throw` checks stop at the first failure and say little.
+// test-runner.js provides describe/it/expect, fake timers and TAP/JUnit output
+// (`node test-runner.js` runs every *.test.js); a private runner keeps these
+// examples separate from those files.
+const { createRunner, expect, mockFn, useFakeTimers } = require('./test-runner');
+
+const counterTests = createRunner();
+
+counterTests.describe('createCounterAdvanced', () => {
+  let c;
+  counterTests.beforeEach(() => {
+    c = createCounterAdvanced(0); // fresh instance per test
+  });
+
+  counterTests.it('starts at the initial value', () => {
+    expect(c.getCount()).toBe(0);
+  });
+
+  counterTests.it('increments and decrements', () => {
+    c.increment();
+    expect(c.getCount()).toBe(1);
+    c.decrement();
+    expect(c.getCount()).toBe(0);
+  });
+
+  counterTests.it('shares methods between instances', () => {
+    expect(createCounterAdvanced(1).increment).toBe(c.increment);
+  });
+});
 
-testCounterFactory();
+// Timer-based code (like dataFetcher in this-keyword.js) runs instantly with fake timers
+counterTests.describe('delayed loading', () => {
+  counterTests.it('loads after 10 ms', () => {
+    const clock = useFakeTimers();
+    const fetcher = {
+      data: [],
+      load() {
+        setTimeout(() => { this.data = [1, 2, 3]; }, 10);
+      }
+    };
+    fetcher.load();
+    clock.tick(9);
+    expect(fetcher.data).toEqual([]);
+    clock.tick(1);
+    expect(fetcher.data).toEqual([1, 2, 3]);
+  });
+
+  counterTests.it('returns Node-style timer handles', () => {
+    const clock = useFakeTimers();
+    const poll = mockFn();
+    const timer = setInterval(poll, 100).unref(); // don't keep the process alive for polling
+    expect(timer.hasRef()).toBe(false);
+    clock.tick(250);
+    expect(poll).toHaveBeenCalledTimes(2);
+    clearInterval(timer);
+    expect(clock.pending()).toBe(0);
+  });
+});
 
 // ============================================================================
 // PERFORMANCE & MEMORY TRADEOFFS
@@ -371,39 +542,52 @@ testCounterFactory();
 
 console.log('\n=== Performance Tradeoffs ===\n');
 
-// Benchmark: 100k instances with different patterns
-
-const iterations = 100000;
+// Benchmark: creating instances with each pattern (see bench.js). One timed
+// loop is mostly noise; bench() warms up, takes many samples, reports a margin
+// of error and measures retained memory per instance (exact with --expose-gc).
+const { compare, formatTable, gcAvailable } = require('./bench');
 
-// Pattern 1: Closure-based (per-instance functions)
-function benchmarkClosureBased() {
-  const start = performance.now();
-  for (let i = 0; i < iterations; i++) {
-    createCounter(i);
+// Pattern 2 without the WeakMap: shared methods, public state
+const plainCounterProto = {
+  increment() {
+    this.count += 1;
+    return this.count;
   }
-  return performance.now() - start;
+};
+function createPrototypeCounter(initialValue = 0) {
+  const obj = Object.create(plainCounterProto);
+  obj.count = initialValue;
+  return obj;
 }
 
-// Pattern 2: Prototype-based (shared methods)
-function benchmarkPrototypeBased() {
-  const start = performance.now();
-  for (let i = 0; i < iterations; i++) {
-    createCounterAdvanced(i);
-  }
-  return performance.now() - start;
+const creationResults = compare({
+  'closure (per-instance methods)': (i) => createCounter(i),
+  'prototype (shared methods)': (i) => createPrototypeCounter(i),
+  'WeakMap + prototype': (i) => createCounterAdvanced(i)
+}, { warmupMs: 50, samples: 15, memoryOps: 20000 });
+
+console.log(formatTable(creationResults));
+if (!gcAvailable()) console.log('(memory/op is approximate; run with node --expose-gc for exact numbers)');
+
+// Memory, measured rather than asserted (see memory-profile.js): retained bytes
+// per instance after a forced GC, and a heap-snapshot count of what each
+// instance allocates — its own closures and captured context, or nothing but
+// the object itself. Heap snapshots take several seconds, so this only runs
+// with: node factory-functions.js --profile-memory
+console.log('\nMemory per instance:');
+if (process.argv.includes('--profile-memory')) {
+  const memoryProfile = require('./memory-profile');
+  console.log(memoryProfile.formatTable(memoryProfile.profileAll({
+    'closure (per-instance methods)': (i) => createCounter(i),
+    'prototype (shared methods)': (i) => createPrototypeCounter(i),
+    'WeakMap + prototype': (i) => createCounterAdvanced(i)
+  }, { count: 5000 })));
+} else {
+  console.log('(run with --profile-memory for the measured breakdown)');
 }
-
-const closureTime = benchmarkClosureBased();
-const protoTime = benchmarkPrototypeBased();
-
-console.log(`Creating ${iterations} closure-based instances: ${closureTime.toFixed(2)}ms`);
-console.log(`Creating ${iterations} prototype-based instances: ${protoTime.toFixed(2)}ms`);
-console.log(`Prototype-based is ~${(closureTime / protoTime).toFixed(1)}x faster`);
-
-console.log('\nMemory note:');
-console.log('- Closure-based: each instance has its own methods (more memory)');
-console.log('- Prototype-based: shared methods (less memory for many instances)');
-console.log('- WeakMap adds overhead per lookup, but excellent privacy + shared methods');
+console.log('- Closure-based: 3 methods + 1 context per instance (more memory)');
+console.log('- Prototype-based: just the object; methods live once on the prototype');
+console.log('- WeakMap adds a private record and table entry per instance, but keeps privacy + shared methods');
 
 // ============================================================================
 // BEST PRACTICES & PITFALLS
@@ -450,3 +634,8 @@ Dependency Injection         Testability, swappable dependencies     createServi
 `);
 
 console.log('\n=== End of Factory Functions Guide ===\n');
+
+// Run the tests defined above last, so the benchmark does not count towards their timings
+counterTests.run({ reporter: 'spec' }).then(({ summary }) => {
+  if (summary.failed) process.exitCode = 1;
+});
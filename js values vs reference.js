@@ -86,6 +86,14 @@ console.log('x === z:', x === z); // true (same reference)
 console.log('NaN === NaN:', NaN === NaN); // false
 console.log('Object.is(NaN, NaN):', Object.is(NaN, NaN)); // true
 
+// Comparing structure instead of identity needs a deep comparison, and the same
+// choice between ===, Object.is and SameValueZero applies to every leaf (see deep-equal.js)
+const { deepEqual, findFirstDifference } = require('./deep-equal');
+
+console.log('deepEqual(x, y):', deepEqual(x, y)); // true (same shape, different objects)
+console.log('deepEqual strict NaN:', deepEqual({ v: NaN }, { v: NaN }, { mode: 'strict' })); // false
+console.log('first difference:', findFirstDifference({ n: [1, 2] }, { n: [1, 3] }).pathString); // n[1]
+
 // ============================================================================
 // INTERMEDIATE: Shallow Copy Techniques and Pitfalls
 // ============================================================================
@@ -111,6 +119,12 @@ console.log('arr[0].a after arrShallow change:', arr[0].a); // 42
 
 console.log('\nShallow copies do not protect nested objects from mutation.');
 
+// To find such sharing in real code, compare the two graphs by identity (see shared-references.js)
+const { findSharedReferences } = require('./shared-references');
+
+console.log('shared between src and shallow1:',
+	findSharedReferences(src, shallow1).map(({ pathStringA }) => pathStringA)); // [ 'b' ]
+
 // ============================================================================
 // INTERMEDIATE: Deep Copy Options (and limitations)
 // ============================================================================
@@ -143,32 +157,42 @@ if (typeof structuredClone === 'function') {
 	console.log('structuredClone not available in this runtime.');
 }
 
+// When the copy has to leave the process (disk, network), a tagged JSON format
+// keeps what the JSON round-trip loses (see serializer.js)
+const { serialize, deserialize } = require('./serializer');
+
+const revived = deserialize(serialize({ big: 10n, nothing: undefined, circ }));
+console.log('serializer kept BigInt/undefined/cycle:',
+	revived.big === 10n, 'nothing' in revived, revived.circ.self === revived.circ); // true true true
+
 // 3) Utility libraries: lodash.cloneDeep
 // const _ = require('lodash'); const cloned = _.cloneDeep(obj);
 
 // 4) Custom deep clone (handles many cases, but complex)
-function deepClone(value, seen = new WeakMap()) {
-	if (value === null || typeof value !== 'object') return value;
-	if (seen.has(value)) return seen.get(value);
-	if (Array.isArray(value)) {
-		const arr = [];
-		seen.set(value, arr);
-		for (const v of value) arr.push(deepClone(v, seen));
-		return arr;
-	}
-	const out = {};
-	seen.set(value, out);
-	for (const key of Object.keys(value)) {
-		out[key] = deepClone(value[key], seen);
-	}
-	return out;
-}
+// The core idea is a recursive copy plus a WeakMap of already-cloned objects
+// (so shared and circular references survive). The full version lives in
+// deep-clone.js: it matches structuredClone for Date, RegExp, Map, Set, typed
+// arrays, ArrayBuffer and Error, and can optionally keep prototypes, symbol /
+// non-enumerable keys and accessors.
+const { deepClone } = require('./deep-clone');
 
 const nested = { a: { b: { c: 3 } } };
 const clonedNested = deepClone(nested);
 clonedNested.a.b.c = 99;
 console.log('nested.a.b.c:', nested.a.b.c); // still 3
 
+const rich = { when: new Date(0), tags: new Set(['x']), lookup: new Map([['k', circ]]) };
+const richCopy = deepClone(rich);
+console.log('Date kept:', richCopy.when instanceof Date); // true
+console.log('Map value cloned, cycle kept:', richCopy.lookup.get('k').self === richCopy.lookup.get('k')); // true
+
+class Temperature {
+	constructor(celsius) { this.celsius = celsius; }
+	get fahrenheit() { return this.celsius * 9 / 5 + 32; }
+}
+const temp = deepClone(new Temperature(20), { keepPrototype: true });
+console.log('prototype kept:', temp instanceof Temperature, temp.fahrenheit); // true 68
+
 // ============================================================================
 // ADVANCED: Immutability, Object.freeze, and Persistent Data Patterns
 // ============================================================================
@@ -188,25 +212,41 @@ const freezeNested = Object.freeze({ n: { v: 1 } });
 freezeNested.n.v = 9;
 console.log('freezeNested.n.v after mutation:', freezeNested.n.v); // 9
 
-// Deep-freeze helper (simple version)
-function deepFreeze(obj) {
-	Object.getOwnPropertyNames(obj).forEach((name) => {
-		const prop = obj[name];
-		if (prop && typeof prop === 'object' && !Object.isFrozen(prop)) {
-			deepFreeze(prop);
-		}
-	});
-	return Object.freeze(obj);
-}
+// Deep-freeze helper: walk every own property and freeze bottom-up (see deep-freeze.js)
+const { deepFreeze } = require('./deep-freeze');
 
 const deepObj = { a: { b: 2 } };
 deepFreeze(deepObj);
 try { deepObj.a.b = 5; } catch (e) {}
 console.log('deepObj.a.b after attempt:', deepObj.a.b); // still 2
 
+// Object.freeze never reaches Map/Set entries; deepFreeze locks their mutators as well
+const frozenIndex = deepFreeze({ byId: new Map([[1, { name: 'Ada' }]]) });
+try { frozenIndex.byId.set(2, {}); } catch (e) { console.log('frozen Map:', e.message); }
+
 // Persistent data structure idea (structural sharing) — libraries like Immer
 // Immer example (pseudo): const next = produce(base, draft => { draft.x = 1 });
 // It creates a new object with shared unchanged parts.
+// produce.js implements exactly this: writes go to a Proxy draft, only the
+// touched path is copied, and the result is deep-frozen in development.
+const { produce } = require('./produce');
+
+const state = { user: { name: 'Alice' }, todos: [{ text: 'learn', done: false }] };
+const nextState = produce(state, (draft) => {
+	draft.todos[0].done = true;
+});
+console.log('state.todos[0].done:', state.todos[0].done); // false (base untouched)
+console.log('nextState.todos[0].done:', nextState.todos[0].done); // true
+console.log('untouched user shared:', nextState.user === state.user); // true
+
+// Taken all the way (Immutable.js, Clojure), the collection itself is a tree of
+// small nodes: an update copies one root-to-leaf path, O(log32 n), and shares
+// the rest. persistent.js has a PMap (hash trie) and PList (vector trie).
+const { PList } = require('./persistent');
+
+const scoresV1 = PList.from(Array.from({ length: 10000 }, (_, i) => i));
+const scoresV2 = scoresV1.set(9000, -1);
+console.log('PList versions:', scoresV1.get(9000), scoresV2.get(9000)); // 9000 -1
 
 // ============================================================================
 // ADVANCED: Performance Tradeoffs & When to Clone
@@ -219,11 +259,34 @@ console.log('\n=== ADVANCED: Performance Tradeoffs ===\n');
 // - Update in-place for short-lived objects or hot loops
 // - Use lazy copying (copy-on-write)
 
+// Copy-on-write in practice (see cow.js, which also benchmarks it against
+// deepClone and structuredClone): the view reads through to the original and
+// copies a node only when it is first written.
+const { cow } = require('./cow');
+
+const bigConfig = { server: { port: 80 }, features: { flags: new Array(1000).fill(false) } };
+const cowEdit = cow(bigConfig);
+cowEdit.view.server.port = 8080;
+const nextConfig = cowEdit.commit();
+console.log('cow port:', bigConfig.server.port, '->', nextConfig.server.port); // 80 -> 8080
+console.log('large branch not copied:', nextConfig.features === bigConfig.features); // true
+
 // Example: avoid deep-cloning an object if you only need to change a single top-level property
 function updateName(obj, name) {
 	return { ...obj, name }; // cheap shallow copy
 }
 
+// To ship such updates elsewhere (another process, an audit log), describe them
+// as JSON Patch operations instead of sending whole snapshots (see json-patch.js).
+const { diff, applyPatch } = require('./json-patch');
+
+const profile = { name: 'Alice', address: { city: 'Paris' } };
+const renamed = updateName(profile, 'Ada');
+const patch = diff(profile, renamed);
+console.log('patch:', patch); // [ { op: 'replace', path: '/name', value: 'Ada' } ]
+const replayed = applyPatch(profile, patch);
+console.log('replayed.name:', replayed.name, '| address shared:', replayed.address === profile.address); // Ada | true
+
 // ============================================================================
 // ADVANCED: Proxies, Mutation Detection, and Debugging Aliasing
 // ============================================================================
@@ -243,6 +306,15 @@ proxied.a = 100; // logs the set operation
 
 // Useful to detect accidental mutation when debugging.
 
+// watch-mutations.js takes the same idea further: nested objects, delete /
+// defineProperty, Array/Map/Set mutator methods, full paths and call sites.
+const { watchMutations } = require('./watch-mutations');
+
+const watchedState = watchMutations({ user: { tags: ['admin'] } }, {
+	onMutation: (event) => console.log(`${event.type} ${event.pathString}:`, event.oldValue, '->', event.newValue)
+});
+watchedState.user.tags.push('editor'); // call user.tags: [ 'admin' ] -> [ 'admin', 'editor' ]
+
 // ============================================================================
 // ADVANCED: TypeScript & Structural Typing Notes
 // ============================================================================
@@ -0,0 +1,418 @@
+/**
+ * JSON Patch (RFC 6902) — diff two states and apply patches immutably
+ *
+ * `diff(a, b)` describes how to turn `a` into `b` as a list of operations
+ * (add / remove / replace / move / copy / test). `applyPatch(doc, ops)` plays
+ * them back without mutating `doc`: like `updateName(obj, name)` in
+ * "js values vs reference.js", only the containers on the changed paths are
+ * shallow-copied and everything else is shared with the input.
+ *
+ * JSON cannot express cycles, so both functions track the objects currently
+ * being walked (the same WeakMap/WeakSet bookkeeping `deepClone` uses) and
+ * throw a JsonPatchError instead of recursing forever.
+ *
+ * Run the examples with: node json-patch.js
+ * Run the tests with: node test-runner.js json-patch.test.js
+ */
+
+'use strict';
+
+// ============================================================================
+// Errors & pointers
+// ============================================================================
+
+class JsonPatchError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {object} [details]
+	 * @param {string} [details.code] e.g. 'PATH_NOT_FOUND', 'TEST_FAILED', 'CIRCULAR'
+	 * @param {number} [details.index] position of the failing operation
+	 * @param {object} [details.operation] the failing operation
+	 */
+	constructor(message, { code = 'INVALID', index, operation } = {}) {
+		super(message);
+		this.name = 'JsonPatchError';
+		this.code = code;
+		this.index = index;
+		this.operation = operation;
+	}
+}
+
+const escapeToken = (token) => String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+const unescapeToken = (token) => token.replace(/~1/g, '/').replace(/~0/g, '~');
+
+/** Build a JSON Pointer ("/a/0/b") from path segments. */
+function formatPointer(segments) {
+	return segments.map((s) => '/' + escapeToken(s)).join('');
+}
+
+/** Split a JSON Pointer into unescaped segments. */
+function parsePointer(pointer) {
+	if (pointer === '') return [];
+	if (typeof pointer !== 'string' || pointer[0] !== '/') {
+		throw new JsonPatchError(`Invalid JSON Pointer: ${JSON.stringify(pointer)}`, { code: 'INVALID_POINTER' });
+	}
+	return pointer.slice(1).split('/').map(unescapeToken);
+}
+
+// ============================================================================
+// Shared helpers
+// ============================================================================
+
+const isContainer = (value) => value !== null && typeof value === 'object' &&
+	(Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+/**
+ * Create or overwrite an own property. Plain assignment would run the
+ * `__proto__` setter for a "__proto__" key (from a pointer or a JSON.parse'd
+ * value) and swap the prototype instead of adding the key.
+ */
+function setOwn(obj, key, value) {
+	Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+/** JSON-value equality; `ancestors` guards against cycles on either side. */
+function jsonEqual(a, b, ancestors = new WeakSet()) {
+	if (Object.is(a, b)) return true;
+	if (!isContainer(a) || !isContainer(b) || Array.isArray(a) !== Array.isArray(b)) return false;
+	if (ancestors.has(a)) throw circularError('jsonEqual');
+	ancestors.add(a);
+	try {
+		const keysA = Object.keys(a);
+		if (keysA.length !== Object.keys(b).length) return false;
+		return keysA.every((key) => hasOwn(b, key) && jsonEqual(a[key], b[key], ancestors));
+	} finally {
+		ancestors.delete(a);
+	}
+}
+
+function circularError(where, path = []) {
+	return new JsonPatchError(`${where}: circular reference at "${formatPointer(path)}" cannot be expressed in JSON`, {
+		code: 'CIRCULAR'
+	});
+}
+
+/** Deep-copy an operation value so the patched document never aliases the patch. */
+function cloneJson(value, where = 'applyPatch', path = [], ancestors = new WeakSet()) {
+	if (!isContainer(value)) return value;
+	if (ancestors.has(value)) throw circularError(where, path);
+	ancestors.add(value);
+	const out = Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value));
+	for (const key of Object.keys(value)) setOwn(out, key, cloneJson(value[key], where, path.concat(key), ancestors));
+	ancestors.delete(value);
+	return out;
+}
+
+// ============================================================================
+// diff
+// ============================================================================
+
+/**
+ * Compute the RFC 6902 operations that turn `a` into `b`.
+ *
+ * - Object keys that disappear and reappear under a new name with an equal
+ *   value become `move`; new keys equal to an unchanged sibling become `copy`.
+ * - Arrays are compared index by index, then trimmed or extended at the end.
+ * - With `{ test: true }`, every `replace`/`remove`/`move` is preceded by a
+ *   `test` of the old value, so a patch fails if the target drifted
+ *   (optimistic concurrency between processes).
+ *
+ * @param {*} a
+ * @param {*} b
+ * @param {object} [options]
+ * @param {boolean} [options.test=false] emit guarding `test` operations
+ * @param {boolean} [options.moves=true] detect `move`/`copy` between object keys
+ * @returns {Array<object>} operations
+ * @throws {JsonPatchError} CIRCULAR when either graph contains a cycle
+ */
+function diff(a, b, options = {}) {
+	const opts = { test: false, moves: true, ...options };
+	const ops = [];
+	diffValue(a, b, [], ops, opts, { a: new WeakSet(), b: new WeakSet() });
+	return ops;
+}
+
+function diffValue(a, b, path, ops, opts, ancestors) {
+	if (Object.is(a, b)) return;
+	if (isContainer(a) && isContainer(b) && Array.isArray(a) === Array.isArray(b)) {
+		if (ancestors.a.has(a) || ancestors.b.has(b)) throw circularError('diff', path);
+		ancestors.a.add(a);
+		ancestors.b.add(b);
+		if (Array.isArray(a)) diffArray(a, b, path, ops, opts, ancestors);
+		else diffObject(a, b, path, ops, opts, ancestors);
+		ancestors.a.delete(a);
+		ancestors.b.delete(b);
+		return;
+	}
+	if (jsonEqual(a, b)) return;
+	guard(a, path, ops, opts);
+	ops.push({ op: 'replace', path: formatPointer(path), value: cloneJson(b, 'diff', path) });
+}
+
+function diffObject(a, b, path, ops, opts, ancestors) {
+	const removed = Object.keys(a).filter((key) => !hasOwn(b, key));
+	const added = Object.keys(b).filter((key) => !hasOwn(a, key));
+	const pending = [];
+
+	if (opts.moves) {
+		// Renames: removed key + added key with the same value
+		for (const from of removed.slice()) {
+			const to = added.find((key) => jsonEqual(a[from], b[key]));
+			if (to === undefined) continue;
+			guard(a[from], path.concat(from), ops, opts);
+			ops.push({ op: 'move', from: formatPointer(path.concat(from)), path: formatPointer(path.concat(to)) });
+			removed.splice(removed.indexOf(from), 1);
+			added.splice(added.indexOf(to), 1);
+		}
+		// Duplicates of an unchanged sibling (objects only; copying a primitive says nothing useful)
+		for (const to of added.slice()) {
+			if (!isContainer(b[to])) continue;
+			const from = Object.keys(a).find((key) => hasOwn(b, key) && isContainer(a[key]) &&
+				jsonEqual(a[key], b[key]) && jsonEqual(a[key], b[to]));
+			if (from === undefined) continue;
+			pending.push({ op: 'copy', from: formatPointer(path.concat(from)), path: formatPointer(path.concat(to)) });
+			added.splice(added.indexOf(to), 1);
+		}
+	}
+
+	for (const key of removed) {
+		guard(a[key], path.concat(key), ops, opts);
+		ops.push({ op: 'remove', path: formatPointer(path.concat(key)) });
+	}
+	for (const key of Object.keys(a)) {
+		if (hasOwn(b, key)) diffValue(a[key], b[key], path.concat(key), ops, opts, ancestors);
+	}
+	for (const key of added) {
+		ops.push({ op: 'add', path: formatPointer(path.concat(key)), value: cloneJson(b[key], 'diff', path.concat(key)) });
+	}
+	ops.push(...pending);
+}
+
+function diffArray(a, b, path, ops, opts, ancestors) {
+	const shared = Math.min(a.length, b.length);
+	for (let i = 0; i < shared; i++) diffValue(a[i], b[i], path.concat(i), ops, opts, ancestors);
+	// Remove from the end so earlier indices stay valid while the patch is applied
+	for (let i = a.length - 1; i >= b.length; i--) {
+		guard(a[i], path.concat(i), ops, opts);
+		ops.push({ op: 'remove', path: formatPointer(path.concat(i)) });
+	}
+	for (let i = a.length; i < b.length; i++) {
+		ops.push({ op: 'add', path: formatPointer(path.concat(i)), value: cloneJson(b[i], 'diff', path.concat(i)) });
+	}
+}
+
+function guard(oldValue, path, ops, opts) {
+	if (opts.test) ops.push({ op: 'test', path: formatPointer(path), value: cloneJson(oldValue, 'diff', path) });
+}
+
+// ============================================================================
+// applyPatch
+// ============================================================================
+
+/**
+ * Apply RFC 6902 operations to `doc` without mutating it.
+ *
+ * The patch is atomic: if any operation fails, a JsonPatchError is thrown and
+ * the caller still holds the untouched `doc`. Containers on changed paths are
+ * shallow-copied once per call; untouched subtrees are shared with `doc`.
+ *
+ * @param {*} doc
+ * @param {Array<object>} ops
+ * @returns {*} the patched document
+ * @throws {JsonPatchError}
+ */
+function applyPatch(doc, ops) {
+	if (!Array.isArray(ops)) throw new JsonPatchError('applyPatch: operations must be an array');
+	const ctx = { root: doc, owned: new WeakSet() };
+
+	ops.forEach((operation, index) => {
+		try {
+			applyOperation(ctx, operation);
+		} catch (err) {
+			if (err instanceof JsonPatchError) {
+				err.index = index;
+				err.operation = operation;
+				err.message = `Operation ${index} (${operation && operation.op}): ${err.message}`;
+			}
+			throw err;
+		}
+	});
+	return ctx.root;
+}
+
+function applyOperation(ctx, operation) {
+	if (!operation || typeof operation !== 'object') throw new JsonPatchError('operation must be an object');
+	const { op } = operation;
+	const path = parsePointer(operation.path);
+
+	switch (op) {
+		case 'add':
+			requireValue(operation);
+			return insert(ctx, path, cloneJson(operation.value));
+		case 'remove':
+			return removeAt(ctx, path);
+		case 'replace':
+			requireValue(operation);
+			read(ctx.root, path);
+			return replaceAt(ctx, path, cloneJson(operation.value));
+		case 'move': {
+			const from = parsePointer(operation.from);
+			if (from.length < path.length && from.every((seg, i) => seg === path[i])) {
+				throw new JsonPatchError('cannot move a value into one of its own children', { code: 'INVALID_MOVE' });
+			}
+			const value = read(ctx.root, from);
+			removeAt(ctx, from);
+			return insert(ctx, path, value);
+		}
+		case 'copy':
+			return insert(ctx, path, cloneJson(read(ctx.root, parsePointer(operation.from))));
+		case 'test': {
+			requireValue(operation);
+			const actual = read(ctx.root, path);
+			if (!jsonEqual(actual, operation.value)) {
+				throw new JsonPatchError(`test failed at "${operation.path}"`, { code: 'TEST_FAILED' });
+			}
+			return undefined;
+		}
+		default:
+			throw new JsonPatchError(`unknown op ${JSON.stringify(op)}`, { code: 'INVALID_OP' });
+	}
+}
+
+function requireValue(operation) {
+	if (!hasOwn(operation, 'value')) throw new JsonPatchError('missing "value"', { code: 'MISSING_VALUE' });
+}
+
+function arrayIndex(arr, token, { allowEnd }) {
+	if (token === '-' && allowEnd) return arr.length;
+	if (!/^(0|[1-9]\d*)$/.test(token)) throw new JsonPatchError(`invalid array index "${token}"`, { code: 'INVALID_INDEX' });
+	const index = Number(token);
+	if (index > arr.length || (!allowEnd && index === arr.length)) {
+		throw new JsonPatchError(`array index ${index} out of bounds`, { code: 'PATH_NOT_FOUND' });
+	}
+	return index;
+}
+
+function read(root, path) {
+	let node = root;
+	for (const token of path) {
+		if (Array.isArray(node)) {
+			node = node[arrayIndex(node, token, { allowEnd: false })];
+		} else if (isContainer(node) && hasOwn(node, token)) {
+			node = node[token];
+		} else {
+			throw new JsonPatchError(`path "${formatPointer(path)}" not found`, { code: 'PATH_NOT_FOUND' });
+		}
+	}
+	return node;
+}
+
+/** Copy-on-write walk to the parent of `path`; returns the (owned, mutable) parent. */
+function writableParent(ctx, path) {
+	if (!isContainer(ctx.root)) throw new JsonPatchError(`path "${formatPointer(path)}" not found`, { code: 'PATH_NOT_FOUND' });
+	ctx.root = own(ctx, ctx.root);
+	let node = ctx.root;
+	for (const token of path.slice(0, -1)) {
+		const key = Array.isArray(node) ? arrayIndex(node, token, { allowEnd: false }) : token;
+		if (!hasOwn(node, key) || !isContainer(node[key])) {
+			throw new JsonPatchError(`path "${formatPointer(path)}" not found`, { code: 'PATH_NOT_FOUND' });
+		}
+		setOwn(node, key, own(ctx, node[key]));
+		node = node[key];
+	}
+	return node;
+}
+
+function own(ctx, container) {
+	if (ctx.owned.has(container)) return container;
+	let copy;
+	if (Array.isArray(container)) {
+		copy = container.slice();
+	} else {
+		// Keep a null prototype, and copy "__proto__" keys as data
+		copy = Object.create(Object.getPrototypeOf(container));
+		for (const key of Object.keys(container)) setOwn(copy, key, container[key]);
+	}
+	ctx.owned.add(copy);
+	return copy;
+}
+
+function insert(ctx, path, value) {
+	if (path.length === 0) { ctx.root = value; return; }
+	const parent = writableParent(ctx, path);
+	const token = path[path.length - 1];
+	if (Array.isArray(parent)) parent.splice(arrayIndex(parent, token, { allowEnd: true }), 0, value);
+	else setOwn(parent, token, value);
+}
+
+function replaceAt(ctx, path, value) {
+	if (path.length === 0) { ctx.root = value; return; }
+	const parent = writableParent(ctx, path);
+	const token = path[path.length - 1];
+	setOwn(parent, Array.isArray(parent) ? arrayIndex(parent, token, { allowEnd: false }) : token, value);
+}
+
+function removeAt(ctx, path) {
+	read(ctx.root, path);
+	if (path.length === 0) { ctx.root = undefined; return; }
+	const parent = writableParent(ctx, path);
+	const token = path[path.length - 1];
+	if (Array.isArray(parent)) parent.splice(arrayIndex(parent, token, { allowEnd: false }), 1);
+	else delete parent[token];
+}
+
+module.exports = { diff, applyPatch, JsonPatchError, parsePointer, formatPointer };
+
+// ============================================================================
+// DEMO (node json-patch.js)
+// ============================================================================
+
+if (require.main === module) {
+	console.log('\n=== JSON Patch: diff ===\n');
+
+	const before = {
+		user: { name: 'Alice', nick: 'al' },
+		todos: [{ text: 'learn', done: false }, { text: 'ship', done: false }],
+		prefs: { theme: 'dark' }
+	};
+	const after = {
+		user: { name: 'Ada', alias: 'al' },
+		todos: [{ text: 'learn', done: true }],
+		prefs: { theme: 'dark' },
+		backup: { theme: 'dark' }
+	};
+
+	const ops = diff(before, after);
+	console.log(ops);
+	// move /user/nick -> /user/alias, replace /user/name, replace /todos/0/done,
+	// remove /todos/1, copy /prefs -> /backup
+
+	console.log('\n=== JSON Patch: applyPatch (immutable, structural sharing) ===\n');
+
+	const patched = applyPatch(before, ops);
+	console.log('round-trips:', JSON.stringify(patched) === JSON.stringify(after)); // true
+	console.log('input untouched:', before.user.name, before.todos.length); // Alice 2
+	console.log('unchanged subtree shared:', patched.prefs === before.prefs); // true
+
+	console.log('\n=== JSON Patch: audit log with test guards ===\n');
+
+	const guarded = diff(before, { ...before, prefs: { theme: 'light' } }, { test: true });
+	console.log(guarded); // test /prefs/theme "dark", then replace
+	try {
+		applyPatch({ ...before, prefs: { theme: 'blue' } }, guarded);
+	} catch (e) {
+		console.log(`${e.name} [${e.code}]:`, e.message);
+	}
+
+	console.log('\n=== JSON Patch: circular references ===\n');
+
+	const loop = { a: 1 };
+	loop.self = loop;
+	try {
+		diff({}, loop);
+	} catch (e) {
+		console.log(`${e.name} [${e.code}]:`, e.message);
+	}
+}
@@ -0,0 +1,31 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { applyPatch } = require('./json-patch');
+
+describe('untrusted keys', () => {
+	it('adds "__proto__" as an own key instead of replacing the prototype', () => {
+		const result = applyPatch({}, [{ op: 'add', path: '/__proto__', value: { x: 1 } }]);
+		expect(Object.getPrototypeOf(result)).toBe(Object.prototype);
+		expect(Object.keys(result)).toEqual(['__proto__']);
+		expect(result.x).toBeUndefined();
+	});
+
+	it('copies JSON-parsed "__proto__" keys in values as data', () => {
+		const value = JSON.parse('{ "__proto__": { "admin": true }, "name": "x" }');
+		const result = applyPatch({ user: {} }, [{ op: 'replace', path: '/user', value }]);
+		expect(result.user.admin).toBeUndefined();
+		expect(Object.keys(result.user)).toEqual(['__proto__', 'name']);
+		const nested = applyPatch(JSON.parse('{ "__proto__": { "n": 1 } }'), [{ op: 'replace', path: '/__proto__/n', value: 2 }]);
+		expect(Object.getPrototypeOf(nested)).toBe(Object.prototype);
+		expect(Object.getOwnPropertyDescriptor(nested, '__proto__').value).toEqual({ n: 2 });
+	});
+
+	it('keeps null prototypes on copied containers', () => {
+		const doc = Object.assign(Object.create(null), { a: Object.assign(Object.create(null), { b: 1 }) });
+		const result = applyPatch(doc, [{ op: 'add', path: '/a/c', value: 2 }]);
+		expect(Object.getPrototypeOf(result)).toBeNull();
+		expect(Object.getPrototypeOf(result.a)).toBeNull();
+		expect(doc.a.c).toBeUndefined();
+	});
+});
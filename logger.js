@@ -0,0 +1,405 @@
+/**
+ * LOGGER: the dependency-injected createLogger from factory-functions.js, production-ready
+ *
+ * Still configured through injection — `timeProvider` and `output` are how
+ * tests control time and capture lines — plus:
+ * - levels (trace … fatal) with a threshold; `silent` turns a logger off
+ * - child loggers that carry bound context fields (`logger.child({ requestId })`)
+ * - formatters: 'text' (pretty), 'json' (JSON lines) and 'logfmt', or your own
+ * - transports: console, file with size-based rotation, in-memory buffer
+ * - redaction of sensitive keys before anything is formatted
+ *
+ * Run the examples with: node logger.js
+ * Run the tests with: node test-runner.js logger.test.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = { trace: 10, debug: 20, info: 30, warn: 40, error: 50, fatal: 60, silent: Infinity };
+const CENSOR = '[REDACTED]';
+const DEFAULT_REDACT = ['password', 'secret', 'token', 'authorization', 'apiKey', 'cookie'];
+
+function levelValue(level) {
+  const value = LEVELS[level];
+  if (value === undefined) throw new TypeError(`Unknown log level "${level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+  return value;
+}
+
+// ============================================================================
+// Redaction
+// ============================================================================
+
+/** name, message and stack, then the error's other own fields (code, cause, errors, custom data). */
+function errorEntries(error) {
+  const keys = ['name', 'message', 'stack'];
+  for (const key of Object.getOwnPropertyNames(error)) if (!keys.includes(key)) keys.push(key);
+  return keys.map((key) => [key, error[key]]);
+}
+
+/** Plain objects and class instances; not Dates, URLs, Buffers, Maps, ... */
+const isRecordLike = (value) => value !== null && typeof value === 'object' &&
+  Object.prototype.toString.call(value) === '[object Object]';
+
+/**
+ * Rules are key names (matched case-insensitively at any depth), dotted paths
+ * ("user.card.number", exact from the record root) or RegExps tested against keys.
+ * Maps are redacted by their string keys and Sets by their members; other
+ * built-ins (Date, URL, Buffer, RegExp, ...) are passed through as they are.
+ */
+function createRedactor(rules) {
+  const keys = new Set();
+  const paths = new Set();
+  const patterns = [];
+  for (const rule of rules) {
+    if (rule instanceof RegExp) patterns.push(rule);
+    else if (rule.includes('.')) paths.add(rule);
+    else keys.add(rule.toLowerCase());
+  }
+  const matches = (key, pathString) => keys.has(key.toLowerCase()) || paths.has(pathString) ||
+    patterns.some((pattern) => pattern.test(key));
+
+  return function redact(value, prefix = '', seen = new WeakSet()) {
+    const isMap = value instanceof Map;
+    const isSet = value instanceof Set;
+    if (!isMap && !isSet && !Array.isArray(value) && !(value instanceof Error) && !isRecordLike(value)) return value;
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+    let copy;
+    if (isSet) {
+      copy = new Set([...value].map((child) => redact(child, prefix, seen)));
+    } else if (isMap) {
+      copy = new Map();
+      for (const [key, child] of value) {
+        const pathString = typeof key === 'string' ? (prefix ? `${prefix}.${key}` : key) : prefix;
+        copy.set(key, typeof key === 'string' && matches(key, pathString) ? CENSOR : redact(child, pathString, seen));
+      }
+    } else {
+      copy = Array.isArray(value) ? [] : {};
+      for (const [key, child] of value instanceof Error ? errorEntries(value) : Object.entries(value)) {
+        const pathString = prefix ? `${prefix}.${key}` : key;
+        copy[key] = matches(key, pathString) ? CENSOR : redact(child, pathString, seen);
+      }
+    }
+    seen.delete(value); // shared (non-cyclic) references are fine
+    return copy;
+  };
+}
+
+// ============================================================================
+// Formatters: record -> line
+// ============================================================================
+
+/** JSON has no BigInt, Map or Set: write them as a decimal string, an entry list and a member list. */
+function jsonReplacer(key, value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof Map) return [...value];
+  if (value instanceof Set) return [...value];
+  return value;
+}
+
+const toJSON = (value) => JSON.stringify(value, jsonReplacer);
+
+/** Strings and values that serialize to one (Date, URL) unquoted, BigInt as 123n, the rest as JSON. */
+function renderValue(value) {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'bigint') return `${value}n`;
+  const json = toJSON(value);
+  return json !== undefined && json.startsWith('"') ? JSON.parse(json) : json;
+}
+
+function fieldsOf(record) {
+  const { time, level, msg, ...fields } = record;
+  return fields;
+}
+
+/** Flatten nested objects into dotted keys for logfmt. */
+function flatten(obj, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(obj)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (isRecordLike(value)) flatten(value, name, out);
+    else out[name] = value;
+  }
+  return out;
+}
+
+function logfmtValue(value) {
+  const text = value === undefined ? '' : renderValue(value);
+  return /[\s="\\]/.test(text) || text === '' ? JSON.stringify(text) : text;
+}
+
+const formatters = {
+  /** [2025-01-01T00:00:00Z] INFO  message key=value (error stacks follow, indented) */
+  text(record) {
+    const stacks = [];
+    const fields = Object.entries(fieldsOf(record)).map(([key, value]) => {
+      if (value && typeof value.stack === 'string') {
+        stacks.push(value.stack.split('\n').map((line) => `    ${line.trim()}`).join('\n'));
+        return `${key}=${renderValue(`${value.name}: ${value.message}`)}`;
+      }
+      return `${key}=${renderValue(value)}`;
+    });
+    const line = [`[${record.time}]`, record.level.toUpperCase().padEnd(5), record.msg, ...fields].join(' ');
+    return [line, ...stacks].join('\n');
+  },
+
+  /** One JSON object per line. */
+  json(record) {
+    return toJSON(record);
+  },
+
+  /** time=... level=info msg="..." user.id=42 */
+  logfmt(record) {
+    return Object.entries(flatten(record)).map(([key, value]) => `${key}=${logfmtValue(value)}`).join(' ');
+  }
+};
+
+function resolveFormatter(formatter) {
+  if (typeof formatter === 'function') return formatter;
+  const fn = formatters[formatter];
+  if (!fn) throw new TypeError(`Unknown log formatter "${formatter}" (expected ${Object.keys(formatters).join(', ')} or a function)`);
+  return fn;
+}
+
+// ============================================================================
+// Transports: { write(line, record), level?, formatter?, close?() }
+// ============================================================================
+
+/** Writes each line to `output` (console.log by default; warn and above go to console.error). */
+function consoleTransport({ output, level, formatter } = {}) {
+  return {
+    level,
+    formatter,
+    write(line, record) {
+      if (output) output(line);
+      else if (LEVELS[record.level] >= LEVELS.warn) console.error(line);
+      else console.log(line);
+    }
+  };
+}
+
+/**
+ * Append lines to `file`. When the next line would push it past `maxBytes`,
+ * the file is rotated: app.log -> app.log.1 -> app.log.2 ..., keeping `maxFiles` old files.
+ * Writes are synchronous so nothing is lost if the process exits right after logging.
+ */
+function fileTransport({ file, maxBytes = 10 * 1024 * 1024, maxFiles = 5, level, formatter }) {
+  if (!file) throw new TypeError('fileTransport: `file` is required');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+  function rotate() {
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+    }
+    if (maxFiles > 0) fs.renameSync(file, `${file}.1`);
+    else fs.unlinkSync(file);
+    if (fs.existsSync(`${file}.${maxFiles + 1}`)) fs.unlinkSync(`${file}.${maxFiles + 1}`);
+    size = 0;
+  }
+
+  return {
+    level,
+    formatter,
+    file,
+    write(line) {
+      const data = `${line}\n`;
+      const bytes = Buffer.byteLength(data);
+      if (size > 0 && size + bytes > maxBytes) rotate();
+      fs.appendFileSync(file, data);
+      size += bytes;
+    }
+  };
+}
+
+/** Keeps the last `limit` lines and records in memory, for assertions in tests. */
+function memoryTransport({ limit = 1000, level, formatter } = {}) {
+  const lines = [];
+  const records = [];
+  return {
+    level,
+    formatter,
+    lines,
+    records,
+    write(line, record) {
+      lines.push(line);
+      records.push(record);
+      if (lines.length > limit) {
+        lines.shift();
+        records.shift();
+      }
+    },
+    clear() {
+      lines.length = 0;
+      records.length = 0;
+    }
+  };
+}
+
+// ============================================================================
+// createLogger
+// ============================================================================
+
+/**
+ * @param {object} [options]
+ * @param {() => string} [options.timeProvider] timestamp for each record (ISO string by default)
+ * @param {(line: string) => void} [options.output] where the default console transport writes
+ * @param {string} [options.level='info'] lowest level that is written
+ * @param {'text'|'json'|'logfmt'|Function} [options.formatter='text']
+ * @param {Array<object>} [options.transports] replaces the default console transport
+ * @param {Array<string|RegExp>} [options.redact] keys/paths to censor; defaults to common secrets
+ * @param {object} [options.context] fields added to every record; `time`, `level` and `msg`
+ *   are reserved and always come from the logger
+ * @param {(error: Error, transport: object) => void} [options.onTransportError]
+ */
+function createLogger({
+  timeProvider = () => new Date().toISOString(),
+  output,
+  level = 'info',
+  formatter = 'text',
+  transports,
+  redact = DEFAULT_REDACT,
+  context = {},
+  onTransportError = (error) => console.error('logger: transport failed:', error.message)
+} = {}) {
+  const shared = {
+    timeProvider,
+    format: resolveFormatter(formatter),
+    transports: (transports || [consoleTransport({ output })]).map((transport) => ({
+      transport,
+      threshold: transport.level ? levelValue(transport.level) : -Infinity,
+      format: transport.formatter ? resolveFormatter(transport.formatter) : null
+    })),
+    redact: createRedactor(redact),
+    onTransportError
+  };
+  return buildLogger(shared, { ...context }, { threshold: levelValue(level), parent: null });
+}
+
+/** A logger's own threshold if setLevel() was called on it, otherwise its parent's. */
+function thresholdOf(levels) {
+  while (levels.threshold === null) levels = levels.parent;
+  return levels.threshold;
+}
+
+function buildLogger(shared, context, levels) {
+  function write(level, message, fields) {
+    const value = LEVELS[level];
+    if (value < thresholdOf(levels)) return;
+
+    const data = message instanceof Error ? { err: message, ...fields } : { ...fields };
+    const msg = message instanceof Error ? message.message : String(message);
+    // Core fields are listed first but written last, so a field can't forge time, level or msg
+    const core = { time: shared.timeProvider(), level, msg };
+    const record = Object.assign({ ...core }, shared.redact({ ...context, ...data }), core);
+    const cache = new Map();
+
+    for (const { transport, threshold, format } of shared.transports) {
+      if (value < threshold) continue;
+      const fn = format || shared.format;
+      try {
+        if (!cache.has(fn)) cache.set(fn, fn(record));
+        transport.write(cache.get(fn), record);
+      } catch (error) {
+        shared.onTransportError(error, transport);
+      }
+    }
+  }
+
+  const logger = {
+    /** Same as info(); kept from the original createLogger. */
+    log(message, fields) {
+      write('info', message, fields);
+    },
+
+    /**
+     * A logger with extra bound fields; shares formatter and transports with this one.
+     * It follows this logger's level until its own setLevel() is called.
+     */
+    child(fields) {
+      return buildLogger(shared, { ...context, ...fields }, { threshold: null, parent: levels });
+    },
+
+    isLevelEnabled(level) {
+      return levelValue(level) >= thresholdOf(levels);
+    },
+
+    /** Changes the threshold for this logger and the children that haven't set their own; parents and siblings keep theirs. */
+    setLevel(level) {
+      levels.threshold = levelValue(level);
+    },
+
+    get level() {
+      const threshold = thresholdOf(levels);
+      return Object.keys(LEVELS).find((name) => LEVELS[name] === threshold);
+    },
+
+    get context() {
+      return { ...context };
+    },
+
+    close() {
+      for (const { transport } of shared.transports) if (transport.close) transport.close();
+    }
+  };
+  for (const level of Object.keys(LEVELS)) {
+    if (level !== 'silent') logger[level] = (message, fields) => write(level, message, fields);
+  }
+  return logger;
+}
+
+module.exports = {
+  createLogger,
+  consoleTransport,
+  fileTransport,
+  memoryTransport,
+  formatters,
+  LEVELS
+};
+
+// ============================================================================
+// DEMO (node logger.js)
+// ============================================================================
+
+if (require.main === module) {
+  const os = require('os');
+  const fixedTime = () => '2025-01-01T00:00:00Z';
+
+  console.log('\n=== Levels, fields, child loggers ===\n');
+
+  const logger = createLogger({ timeProvider: fixedTime, level: 'debug' });
+  logger.trace('not shown'); // below threshold
+  logger.debug('cache warmed', { entries: 42 });
+  const requestLog = logger.child({ requestId: 'r-1' });
+  requestLog.info('request started', { path: '/login' });
+  requestLog.error(new Error('boom'));
+
+  console.log('\n=== Formatters and redaction ===\n');
+
+  const fields = { user: { id: 7, password: 'hunter2' }, token: 'abc' };
+  for (const formatter of ['text', 'json', 'logfmt']) {
+    createLogger({ timeProvider: fixedTime, formatter }).info('login', fields);
+  }
+
+  console.log('\n=== Memory transport (for tests) ===\n');
+
+  const memory = memoryTransport();
+  const testLogger = createLogger({ timeProvider: fixedTime, transports: [memory], formatter: 'json' });
+  testLogger.warn('disk almost full', { free: '2%' });
+  console.log('captured records:', memory.records.length, memory.records[0].msg); // 1 disk almost full
+
+  console.log('\n=== File transport with rotation ===\n');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+  const file = path.join(dir, 'app.log');
+  const fileLogger = createLogger({
+    timeProvider: fixedTime,
+    formatter: 'json',
+    transports: [fileTransport({ file, maxBytes: 200, maxFiles: 2 })]
+  });
+  for (let i = 0; i < 10; i++) fileLogger.info('tick', { i });
+  console.log('files:', fs.readdirSync(dir).sort()); // [ 'app.log', 'app.log.1', 'app.log.2' ]
+  fs.rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,109 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { createLogger, memoryTransport } = require('./logger');
+
+const fixedTime = () => '2025-01-01T00:00:00Z';
+
+const capture = (options) => {
+  const transport = memoryTransport();
+  return { transport, logger: createLogger({ timeProvider: fixedTime, transports: [transport], ...options }) };
+};
+
+describe('records', () => {
+  it('keeps time, level and msg when fields use the same names', () => {
+    const { transport, logger: log } = capture({ context: { msg: 'from context' } });
+    log.info('real', { time: 'forged', level: 5, msg: 'y', user: 7 });
+    expect(transport.records[0]).toEqual({ time: fixedTime(), level: 'info', msg: 'real', user: 7 });
+    expect(transport.lines[0]).toBe(`[${fixedTime()}] INFO  real user=7`);
+  });
+});
+
+describe('redaction', () => {
+  it('keeps an error\'s own fields and redacts inside them', () => {
+    const { transport, logger: log } = capture();
+    const cause = Object.assign(new Error('upstream'), { token: 'abc' });
+    const error = Object.assign(new Error('failed', { cause }), { code: 'E_AUTH', request: { password: 'hunter2', id: 3 } });
+    log.error(error);
+    const { err } = transport.records[0];
+    expect(err).toHaveProperty('name', 'Error');
+    expect(err).toHaveProperty('message', 'failed');
+    expect(err).toHaveProperty('code', 'E_AUTH');
+    expect(err.request).toEqual({ password: '[REDACTED]', id: 3 });
+    expect(err.cause).toHaveProperty('message', 'upstream');
+    expect(err.cause.token).toBe('[REDACTED]');
+    expect(typeof err.stack).toBe('string');
+  });
+
+  it('passes built-ins through and redacts inside Maps and Sets', () => {
+    const { transport, logger: log } = capture();
+    const url = new URL('https://example.com/a');
+    const body = Buffer.from('hi');
+    const at = new Date(0);
+    log.info('request', {
+      url,
+      body,
+      at,
+      headers: new Map([['authorization', 'Bearer x'], ['accept', 'text/html']]),
+      users: new Set([{ id: 1, password: 'p' }])
+    });
+    const record = transport.records[0];
+    expect(record.url).toBe(url);
+    expect(record.body).toBe(body);
+    expect(record.at).toBe(at);
+    expect([...record.headers]).toEqual([['authorization', '[REDACTED]'], ['accept', 'text/html']]);
+    expect([...record.users]).toEqual([{ id: 1, password: '[REDACTED]' }]);
+  });
+});
+
+describe('formatters', () => {
+  const fields = { id: 12345678901234567890n, url: new URL('https://example.com/a'), tags: new Set(['a']), meta: new Map([['k', 1]]) };
+
+  it('text renders BigInt, URL, Set and Map values', () => {
+    const { transport, logger: log } = capture();
+    log.info('big', fields);
+    expect(transport.lines[0]).toBe(`[${fixedTime()}] INFO  big id=12345678901234567890n url=https://example.com/a tags=["a"] meta=[["k",1]]`);
+  });
+
+  it('json writes BigInt as a string and Maps and Sets as arrays', () => {
+    const { transport, logger: log } = capture({ formatter: 'json' });
+    log.info('big', fields);
+    expect(JSON.parse(transport.lines[0])).toEqual({
+      time: fixedTime(), level: 'info', msg: 'big', id: '12345678901234567890', url: 'https://example.com/a', tags: ['a'], meta: [['k', 1]]
+    });
+  });
+
+  it('logfmt keeps built-ins whole instead of flattening them', () => {
+    const { transport, logger: log } = capture({ formatter: 'logfmt' });
+    log.info('big', { ...fields, user: { id: 1n } });
+    expect(transport.lines[0]).toBe(`time=${fixedTime()} level=info msg=big id=12345678901234567890n url=https://example.com/a tags="[\\"a\\"]" meta="[[\\"k\\",1]]" user.id=1n`);
+  });
+});
+
+describe('levels', () => {
+  it('setLevel on a child leaves the parent and siblings alone', () => {
+    const { transport, logger: root } = capture();
+    const quiet = root.child({ name: 'quiet' });
+    const sibling = root.child({ name: 'sibling' });
+    quiet.setLevel('error');
+    root.info('root');
+    sibling.info('sibling');
+    quiet.info('dropped');
+    quiet.error('kept');
+    expect(transport.records.map((record) => record.msg)).toEqual(['root', 'sibling', 'kept']);
+    expect([root.level, sibling.level, quiet.level]).toEqual(['info', 'info', 'error']);
+  });
+
+  it('children follow the parent until they set their own level', () => {
+    const { logger: root } = capture();
+    const child = root.child({});
+    const grandchild = child.child({});
+    root.setLevel('warn');
+    expect(grandchild.level).toBe('warn');
+    child.setLevel('debug');
+    expect(grandchild.isLevelEnabled('debug')).toBe(true);
+    root.setLevel('error');
+    expect(child.level).toBe('debug');
+    expect(root.child({}).level).toBe('error');
+  });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const v8 = require('v8');
+const { describe, it, expect, beforeAll, afterAll } = require('./test-runner');
+const { profile, summarizeSnapshot, categorize } = require('./memory-profile');
+
+/** Write a minimal .heapsnapshot with the given node_fields order and nodes. */
+function writeFixture(file, fields, rows) {
+  const types = ['hidden', 'array', 'string', 'object', 'code', 'closure', 'regexp', 'number', 'native', 'synthetic', 'concatenated string', 'sliced string', 'symbol', 'bigint', 'object shape'];
+  const strings = [];
+  const nodes = [];
+  for (const row of rows) {
+    for (const field of fields) {
+      if (field === 'type') nodes.push(types.indexOf(row.type));
+      else if (field === 'name') nodes.push(strings.push(row.name) - 1);
+      else if (field === 'self_size') nodes.push(row.size);
+      else nodes.push(0);
+    }
+  }
+  const snapshot = { meta: { node_fields: fields, node_types: [types] }, node_count: rows.length };
+  fs.writeFileSync(file, JSON.stringify({ snapshot, nodes, edges: [], strings }));
+}
+
+describe('categorize', () => {
+  it('sorts snapshot nodes into objects, closures, contexts, shapes and other', () => {
+    expect(categorize('object', 'Counter')).toBe('objects');
+    expect(categorize('object', 'Object')).toBe('objects');
+    expect(categorize('closure', 'increment')).toBe('closures');
+    expect(categorize('object', 'system / Context')).toBe('contexts');
+    expect(categorize('object shape', 'system / DescriptorArray')).toBe('shapes');
+    expect(categorize('hidden', 'system / Map')).toBe('shapes');
+    expect(categorize('hidden', 'system / Map (Counter)')).toBe('shapes');
+    expect(categorize('object', 'system / JSArrayBufferData')).toBe('other');
+    expect(categorize('array', '(object elements)')).toBe('other');
+  });
+});
+
+describe('summarizeSnapshot', () => {
+  let dir;
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-profile-test-'));
+  });
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('counts nodes and self sizes per category, whatever the field order', () => {
+    const rows = [
+      { type: 'object', name: 'Counter', size: 24 },
+      { type: 'object', name: 'Counter', size: 24 },
+      { type: 'closure', name: 'increment', size: 32 },
+      { type: 'object', name: 'system / Context', size: 40 },
+      { type: 'hidden', name: 'system / Map', size: 80 },
+      { type: 'string', name: 'hello', size: 16 }
+    ];
+    const expected = {
+      objects: { count: 2, bytes: 48 },
+      closures: { count: 1, bytes: 32 },
+      contexts: { count: 1, bytes: 40 },
+      shapes: { count: 1, bytes: 80 },
+      other: { count: 1, bytes: 16 }
+    };
+    const standard = path.join(dir, 'standard.heapsnapshot');
+    writeFixture(standard, ['type', 'name', 'id', 'self_size', 'edge_count', 'trace_node_id', 'detachedness'], rows);
+    expect(summarizeSnapshot(standard)).toEqual(expected);
+
+    const reordered = path.join(dir, 'reordered.heapsnapshot');
+    writeFixture(reordered, ['self_size', 'id', 'name', 'type'], rows);
+    expect(summarizeSnapshot(reordered)).toEqual(expected);
+  });
+
+  it('returns every category, zeroed, for an empty snapshot', () => {
+    const empty = path.join(dir, 'empty.heapsnapshot');
+    writeFixture(empty, ['type', 'name', 'self_size'], []);
+    const totals = summarizeSnapshot(empty);
+    expect(Object.keys(totals)).toEqual(['objects', 'closures', 'contexts', 'shapes', 'other']);
+    expect(totals.closures).toEqual({ count: 0, bytes: 0 });
+  });
+
+  it('reads a real V8 snapshot', () => {
+    const totals = summarizeSnapshot(v8.writeHeapSnapshot(path.join(dir, 'real.heapsnapshot')));
+    for (const category of ['objects', 'closures', 'contexts', 'shapes', 'other']) {
+      expect(totals[category].count).toBeGreaterThan(0);
+      expect(totals[category].bytes).toBeGreaterThan(0);
+    }
+  });
+});
+
+describe('profile', () => {
+  it('attributes a closure factory\'s growth to closures and contexts', () => {
+    const createCounter = (start) => {
+      let count = start;
+      return { increment: () => ++count, get: () => count };
+    };
+    const result = profile('closure', createCounter, { count: 2000 });
+    expect(result.name).toBe('closure');
+    expect(result.bytesPerInstance).toBeGreaterThan(0);
+    expect(Math.round(result.heap.closures.count)).toBe(2);
+    expect(Math.round(result.heap.contexts.count)).toBe(1);
+    expect(Math.round(result.heap.objects.count)).toBe(1);
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * toFactory / toClass / analyzeMethodSharing — switching between the two patterns
+ *
+ * "factory-functions vs constructor.js" contrasts createUserFactory (a fresh
+ * `greet` per instance) with UserConstructor.prototype.greet (one shared
+ * function). Moving a codebase from one to the other usually means touching
+ * every call site; these adapters let one side keep its API while the other
+ * changes underneath:
+ *
+ * - toFactory(Class): `createUser(...args)` that returns `new Class(...args)`;
+ *   instanceof, prototypes and subclasses are untouched.
+ * - toClass(factory, { sharedMethods }): a class whose constructor returns the
+ *   factory's object re-parented onto the class prototype, with the named
+ *   methods moved to that prototype (shared) and the rest left per instance.
+ * - analyzeMethodSharing(create): builds a few sample instances and reports,
+ *   per method, whether it is recreated per instance or shared, plus the
+ *   measured cost of the recreated ones per 10k instances.
+ *
+ * Run the examples with: node pattern-adapters.js
+ * Run the tests with: node test-runner.js pattern-adapters.test.js
+ */
+
+'use strict';
+
+const { isConstructor } = require('./construct');
+const { profile } = require('./memory-profile');
+
+const isObject = (value) => value !== null && (typeof value === 'object' || typeof value === 'function');
+const keyName = (key) => (typeof key === 'symbol' ? String(key) : key);
+
+// ============================================================================
+// Adapters
+// ============================================================================
+
+/**
+ * @param {Function} Class
+ * @param {object} [options]
+ * @param {string} [options.name] factory name; `create${Class.name}` by default
+ * @returns {Function} (...args) => new Class(...args), with Class's `length`
+ */
+function toFactory(Class, { name = `create${Class && Class.name}` } = {}) {
+	if (!isConstructor(Class)) throw new TypeError(`toFactory: ${Class && Class.name ? Class.name : String(Class)} is not a constructor`);
+	// An arrow, so the factory itself can't be used with `new` by mistake
+	const factory = { [name]: (...args) => new Class(...args) }[name];
+	Object.defineProperty(factory, 'length', { value: Class.length });
+	return factory;
+}
+
+/** createUserFactory -> UserFactory, createUser -> User, user -> User */
+function classNameFor(factoryName) {
+	const base = (factoryName || 'Anonymous').replace(/^create(?=[A-Z])/, '');
+	return base.charAt(0).toUpperCase() + base.slice(1);
+}
+
+/**
+ * Turn a factory into a class. Each `new` calls the factory and returns its
+ * object (a constructor may return an object, which replaces `this`), so
+ * closures and self-references inside the factory keep working.
+ *
+ * Only list methods in `sharedMethods` that reach their state through `this`:
+ * the first instance's function is moved to the prototype and used by every
+ * instance, so a method that closes over per-call variables would see the
+ * first instance's state. analyzeMethodSharing() shows which methods are
+ * currently recreated.
+ *
+ * Frozen, sealed or otherwise non-extensible results cannot be re-parented in
+ * place; the instance is then a copy with the same property attributes and
+ * integrity, so closures that captured the factory's object still see the
+ * original rather than the instance.
+ *
+ * @param {Function} factory (...args) => object
+ * @param {object} [options]
+ * @param {Array<string|symbol>} [options.sharedMethods=[]] methods to move to the prototype
+ * @param {string} [options.name] class name; derived from the factory name by default
+ * @returns {Function} the class; it can be extended like any other
+ */
+function toClass(factory, { sharedMethods = [], name = classNameFor(factory && factory.name) } = {}) {
+	if (typeof factory !== 'function') throw new TypeError('toClass: factory must be a function');
+	const shared = [...sharedMethods];
+	let adopted = false;
+
+	const Class = {
+		[name]: class {
+			constructor(...args) {
+				const instance = factory(...args);
+				if (!isObject(instance)) throw new TypeError(`toClass: ${factory.name || 'factory'} returned ${instance === null ? 'null' : typeof instance}, not an object`);
+				const descriptors = Object.getOwnPropertyDescriptors(instance);
+				let inPlace = Object.isExtensible(instance);
+				for (const key of shared) {
+					const descriptor = descriptors[key];
+					if (!descriptor || typeof descriptor.value !== 'function') {
+						throw new TypeError(`toClass: shared method "${keyName(key)}" is not an own method of ${factory.name || 'the factory'}'s objects`);
+					}
+					delete descriptors[key];
+					if (!descriptor.configurable) inPlace = false;
+					if (!adopted) Object.defineProperty(Class.prototype, key, { ...descriptor, enumerable: false });
+				}
+				if (!adopted) {
+					adopted = true;
+					// Keep whatever the factory delegated to (Object.create(proto)) behind the class prototype
+					const original = Object.getPrototypeOf(instance);
+					if (original !== Object.prototype) Object.setPrototypeOf(Class.prototype, original);
+				}
+				if (inPlace) {
+					for (const key of shared) delete instance[key];
+					Object.setPrototypeOf(instance, new.target.prototype);
+					return instance;
+				}
+				if (typeof instance === 'function') {
+					throw new TypeError(`toClass: ${factory.name || 'factory'} returned a non-extensible function, which cannot be re-parented or copied`);
+				}
+				// setPrototypeOf and delete would throw: rebuild it on the class prototype instead
+				const copy = Object.create(new.target.prototype, descriptors);
+				return Object.isExtensible(instance) ? copy : Object.preventExtensions(copy);
+			}
+		}
+	}[name];
+	Object.defineProperty(Class, 'length', { value: factory.length });
+	return Class;
+}
+
+// ============================================================================
+// Analysis
+// ============================================================================
+
+/** Every function-valued property of `obj`: own and inherited (up to Object.prototype), getters/setters included. */
+function collectMethods(obj) {
+	const methods = new Map(); // name -> { key, fn, where }
+	let owner = obj;
+	for (let depth = 0; owner && owner !== Object.prototype; depth++, owner = Object.getPrototypeOf(owner)) {
+		for (const key of Reflect.ownKeys(owner)) {
+			if (key === 'constructor' && depth > 0) continue;
+			const descriptor = Object.getOwnPropertyDescriptor(owner, key);
+			const where = depth === 0 ? 'instance' : 'prototype';
+			const entries = [['', descriptor.value], [' (get)', descriptor.get], [' (set)', descriptor.set]];
+			for (const [suffix, fn] of entries) {
+				const label = `${keyName(key)}${suffix}`;
+				if (typeof fn === 'function' && !methods.has(label)) methods.set(label, { key, fn, where });
+			}
+		}
+	}
+	return methods;
+}
+
+/**
+ * Which methods each instance gets its own copy of, and what that costs.
+ *
+ * @param {(i: number) => object} create builds one instance
+ * @param {object} [options]
+ * @param {number} [options.samples=3] instances compared for method identity
+ * @param {number} [options.instances=10000] the estimate is scaled to this many instances
+ * @param {number|false} [options.measure=2000] instances to heap-profile for the estimate; false skips it
+ * @param {string} [options.name] label for the report
+ * @returns {{ name, methods: Array<{ name, where, shared }>, recreated: string[], estimate: object|null }}
+ *   estimate: `{ instances, perMethodBytes, closureBytes, contextBytes, totalBytes }`, scaled to `instances`
+ */
+function analyzeMethodSharing(create, { samples = 3, instances = 10000, measure = 2000, name = (create && create.name) || 'instances' } = {}) {
+	if (typeof create !== 'function') throw new TypeError('analyzeMethodSharing: create must be a function');
+	if (samples < 2) throw new RangeError('analyzeMethodSharing: need at least 2 samples to compare');
+
+	const found = Array.from({ length: samples }, (_, i) => collectMethods(create(i)));
+	const methods = [...found[0]].map(([label, { fn, where }]) => ({
+		name: label,
+		where,
+		// Shared when every sample resolves the name to the very same function object
+		shared: found.every((sample) => sample.has(label) && sample.get(label).fn === fn)
+	}));
+	const recreated = methods.filter((method) => !method.shared).map((method) => method.name);
+
+	let estimate = null;
+	if (measure) {
+		// The heap diff counts every closure and context an instance allocates
+		const { heap } = profile(name, create, { count: measure });
+		const closures = Math.max(0, heap.closures.count);
+		const perClosure = closures > 0 ? heap.closures.bytes / closures : 0;
+		estimate = {
+			instances,
+			perMethodBytes: perClosure * instances,
+			closureBytes: Math.max(0, heap.closures.bytes) * instances,
+			contextBytes: Math.max(0, heap.contexts.bytes) * instances,
+			totalBytes: Math.max(0, heap.closures.bytes + heap.contexts.bytes) * instances
+		};
+	}
+	return { name, methods, recreated, estimate };
+}
+
+const formatBytes = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+	: bytes >= 1024 ? `${(bytes / 1024).toFixed(0)} KB` : `${Math.round(bytes)} B`);
+
+/** Human-readable summary of an analyzeMethodSharing() result. */
+function formatSharingReport({ name, methods, recreated, estimate }) {
+	const lines = [`${name}: ${recreated.length} of ${methods.length} method(s) recreated per instance`];
+	const rows = [['method', 'defined on', 'shared']];
+	if (estimate) rows[0].push(`cost per ${estimate.instances.toLocaleString('en-US')}`);
+	for (const method of methods) {
+		const row = [method.name, method.where, method.shared ? 'yes' : 'no'];
+		if (estimate) row.push(method.shared ? '-' : `~${formatBytes(estimate.perMethodBytes)}`);
+		rows.push(row);
+	}
+	const widths = rows[0].map((_, col) => Math.max(...rows.map((row) => row[col].length)));
+	lines.push(...rows.map((row) => `  ${row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd()}`));
+	if (estimate && estimate.totalBytes > 0) {
+		lines.push(`  closures ${formatBytes(estimate.closureBytes)} + captured contexts ${formatBytes(estimate.contextBytes)}` +
+			` = ${formatBytes(estimate.totalBytes)} per ${estimate.instances.toLocaleString('en-US')} instances`);
+	}
+	return lines.join('\n');
+}
+
+module.exports = {
+	toFactory,
+	toClass,
+	analyzeMethodSharing,
+	formatSharingReport
+};
+
+// ============================================================================
+// DEMO (node pattern-adapters.js)
+// ============================================================================
+
+if (require.main === module) {
+	function createUserFactory(name, age) {
+		return {
+			name,
+			age,
+			greet() {
+				return `Hi, I'm ${this.name}`;
+			}
+		};
+	}
+
+	function UserConstructor(name, age) {
+		this.name = name;
+		this.age = age;
+	}
+	UserConstructor.prototype.greet = function() {
+		return `Hi, I'm ${this.name}`;
+	};
+
+	function createCounterFactory() {
+		let count = 0; // closure state: increment/get must stay per instance
+		return {
+			increment() { count += 1; return count; },
+			get() { return count; }
+		};
+	}
+
+	console.log('\n=== toFactory: keep `createUser(...)` call sites, use a constructor ===\n');
+
+	const createUser = toFactory(UserConstructor, { name: 'createUser' });
+	const viaFactory = createUser('Ada', 36);
+	console.log(createUser.name, createUser.length, viaFactory.greet(), viaFactory instanceof UserConstructor); // createUser 2 Hi, I'm Ada true
+
+	console.log('\n=== toClass: keep `new User(...)` call sites, use the factory ===\n');
+
+	const User = toClass(createUserFactory, { sharedMethods: ['greet'], name: 'User' });
+	const a = new User('Alice', 30);
+	const b = new User('Bob', 25);
+	console.log(a.greet(), b.greet(), a instanceof User); // Hi, I'm Alice Hi, I'm Bob true
+	console.log('greet shared now:', a.greet === b.greet, Object.keys(a)); // true [ 'name', 'age' ]
+
+	class Admin extends User {
+		constructor(name) {
+			super(name, 99);
+			this.admin = true;
+		}
+	}
+	console.log('subclass:', new Admin('Root').greet(), new Admin('Root') instanceof User); // Hi, I'm Root true
+
+	const Counter = toClass(createCounterFactory); // closure methods stay per instance
+	const c1 = new Counter();
+	c1.increment();
+	console.log('closure state kept:', c1.get(), new Counter().get()); // 1 0
+
+	console.log('\n=== analyzeMethodSharing ===\n');
+
+	const options = { samples: 3, measure: 2000 };
+	console.log(formatSharingReport(analyzeMethodSharing((i) => createUserFactory('u', i), { ...options, name: 'createUserFactory' })));
+	console.log(formatSharingReport(analyzeMethodSharing((i) => new UserConstructor('u', i), { ...options, name: 'UserConstructor' })));
+	console.log(formatSharingReport(analyzeMethodSharing((i) => new User('u', i), { ...options, name: 'toClass(createUserFactory)' })));
+	console.log(formatSharingReport(analyzeMethodSharing(() => createCounterFactory(), { ...options, name: 'createCounterFactory' })));
+}
@@ -0,0 +1,145 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { toFactory, toClass, analyzeMethodSharing, formatSharingReport } = require('./pattern-adapters');
+
+function createUserFactory(name, age) {
+	return {
+		name,
+		age,
+		greet() {
+			return `Hi, I'm ${this.name}`;
+		}
+	};
+}
+
+function UserConstructor(name, age) {
+	this.name = name;
+	this.age = age;
+}
+UserConstructor.prototype.greet = function() {
+	return `Hi, I'm ${this.name}`;
+};
+
+function createCounterFactory() {
+	let count = 0;
+	return {
+		increment() { count += 1; return count; },
+		get() { return count; }
+	};
+}
+
+describe('toFactory', () => {
+	it('builds instances of the class under the factory name and arity', () => {
+		const createUser = toFactory(UserConstructor, { name: 'createUser' });
+		const user = createUser('Ada', 36);
+		expect(user instanceof UserConstructor).toBe(true);
+		expect(user.greet()).toBe("Hi, I'm Ada");
+		expect(createUser.name).toBe('createUser');
+		expect(createUser.length).toBe(2);
+		expect(toFactory(class Point {}).name).toBe('createPoint');
+	});
+
+	it('rejects non-constructors and cannot itself be used with new', () => {
+		expect(() => toFactory(() => {})).toThrow('is not a constructor');
+		const createUser = toFactory(UserConstructor);
+		expect(() => new createUser('Ada')).toThrow(TypeError);
+	});
+});
+
+describe('toClass', () => {
+	it('moves shared methods to the prototype and keeps the rest per instance', () => {
+		const User = toClass(createUserFactory, { sharedMethods: ['greet'] });
+		const a = new User('Alice', 30);
+		const b = new User('Bob', 25);
+		expect(User.name).toBe('UserFactory');
+		expect(User.length).toBe(2);
+		expect(a instanceof User).toBe(true);
+		expect(a.greet === b.greet).toBe(true);
+		expect(b.greet()).toBe("Hi, I'm Bob");
+		expect(Object.keys(a)).toEqual(['name', 'age']);
+	});
+
+	it('can be subclassed', () => {
+		const User = toClass(createUserFactory, { sharedMethods: ['greet'], name: 'User' });
+		class Admin extends User {
+			constructor(name) {
+				super(name, 99);
+				this.admin = true;
+			}
+			greet() {
+				return `${super.greet()} (admin)`;
+			}
+		}
+		const root = new Admin('Root');
+		expect(root instanceof User).toBe(true);
+		expect(root.greet()).toBe("Hi, I'm Root (admin)");
+		expect(root.admin).toBe(true);
+	});
+
+	it('keeps closure state per instance for methods it does not share', () => {
+		const Counter = toClass(createCounterFactory);
+		const first = new Counter();
+		first.increment();
+		first.increment();
+		expect(first.get()).toBe(2);
+		expect(new Counter().get()).toBe(0);
+	});
+
+	it('keeps the prototype the factory delegated to behind the class', () => {
+		const base = { kind() { return 'base'; } };
+		const Thing = toClass(() => Object.create(base));
+		expect(new Thing().kind()).toBe('base');
+		expect(new Thing() instanceof Thing).toBe(true);
+	});
+
+	it('copies frozen and non-extensible results onto the class prototype', () => {
+		const Frozen = toClass((name) => Object.freeze(createUserFactory(name, 1)), { sharedMethods: ['greet'] });
+		const frozen = new Frozen('Ice');
+		expect(frozen instanceof Frozen).toBe(true);
+		expect(frozen.greet()).toBe("Hi, I'm Ice");
+		expect(Object.keys(frozen)).toEqual(['name', 'age']);
+		expect(Object.isFrozen(frozen)).toBe(true);
+
+		const Fixed = toClass(() => Object.preventExtensions({ n: 1 }));
+		const fixed = new Fixed();
+		expect(fixed instanceof Fixed).toBe(true);
+		expect(Object.isExtensible(fixed)).toBe(false);
+		fixed.n = 2;
+		expect(fixed.n).toBe(2);
+	});
+
+	it('rejects shared methods the factory does not define, and non-objects', () => {
+		const User = toClass(createUserFactory, { sharedMethods: ['missing'] });
+		expect(() => new User('Ada')).toThrow('shared method "missing"');
+		const Broken = toClass(() => 42);
+		expect(() => new Broken()).toThrow('returned number, not an object');
+	});
+});
+
+describe('analyzeMethodSharing', () => {
+	it('tells recreated methods from shared ones', () => {
+		const perInstance = analyzeMethodSharing((i) => createUserFactory('u', i), { measure: false, name: 'factory' });
+		expect(perInstance.recreated).toEqual(['greet']);
+		expect(perInstance.methods).toEqual([{ name: 'greet', where: 'instance', shared: false }]);
+		expect(perInstance.estimate).toBe(null);
+
+		const onPrototype = analyzeMethodSharing((i) => new UserConstructor('u', i), { measure: false });
+		expect(onPrototype.recreated).toEqual([]);
+		expect(onPrototype.methods[0]).toEqual({ name: 'greet', where: 'prototype', shared: true });
+	});
+
+	it('lists accessors separately and formats a report', () => {
+		const create = () => ({ get size() { return 1; }, reset() {} });
+		const result = analyzeMethodSharing(create, { measure: false, name: 'bag' });
+		expect(result.recreated).toEqual(['size (get)', 'reset']);
+		const report = formatSharingReport(result);
+		expect(report).toMatch('bag: 2 of 2 method(s) recreated per instance');
+		expect(report).toMatch(/size \(get\)\s+instance\s+no/);
+	});
+
+	it('validates its arguments', () => {
+		expect(() => analyzeMethodSharing(null)).toThrow('create must be a function');
+		expect(() => analyzeMethodSharing(() => ({}), { samples: 1 })).toThrow(RangeError);
+	});
+});
@@ -0,0 +1,757 @@
+/**
+ * PMap / PList — persistent (immutable) collections with structural sharing
+ *
+ * The "Persistent data structure idea (structural sharing)" comment in
+ * "js values vs reference.js", made real:
+ *
+ * - PMap is a hash array mapped trie (HAMT): keys are hashed, and each level
+ *   of the tree consumes 5 bits of the hash (32-way branching).
+ * - PList is a 32-way vector trie with a tail buffer, like Clojure's vector.
+ *
+ * Every update returns a new version in O(log32 n) — at most 7 levels for 32-bit
+ * hashes, 4 levels for a million-item list — and shares every node it did not
+ * touch with the previous version. For bulk updates, `asMutable()` returns a
+ * transient that edits its own nodes in place; `asImmutable()` seals it again.
+ *
+ * Run the examples and the benchmark with: node persistent.js
+ * Run the tests with: node test-runner.js persistent.test.js
+ */
+
+'use strict';
+
+const { deepEqual } = require('./deep-equal');
+
+const SHIFT = 5;
+const WIDTH = 1 << SHIFT; // 32
+const MASK = WIDTH - 1;
+
+/** Transients tag the nodes they create with an owner token; only those nodes may be mutated in place. */
+const createOwner = () => ({});
+
+// ============================================================================
+// Hashing (keys use SameValueZero, like Map)
+// ============================================================================
+
+// Objects and unregistered symbols get an id on first use. The map is weak, so
+// it keeps nothing alive; registered symbols (Symbol.for) can't be weak keys,
+// but they need no id: their registry key already identifies them.
+const objectIds = new WeakMap();
+let nextId = 1;
+
+/** Spread the bits so that nearby values land in different branches (murmur3 finalizer). */
+function mix(h) {
+	h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+	h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+	return (h ^ (h >>> 16)) >>> 0;
+}
+
+function hashString(str) {
+	let h = 0;
+	for (let i = 0; i < str.length; i++) h = (Math.imul(31, h) + str.charCodeAt(i)) | 0;
+	return h;
+}
+
+function hash(key) {
+	switch (typeof key) {
+		case 'number':
+			if (Number.isNaN(key)) return mix(0x7ff8);
+			if (key === 0) return mix(0); // -0 and +0 are the same key
+			return mix(Number.isInteger(key) && Math.abs(key) < 2 ** 31 ? key : hashString(String(key)));
+		case 'string':
+			return mix(hashString(key));
+		case 'boolean':
+			return mix(key ? 1231 : 1237);
+		case 'bigint':
+			return mix(hashString(key.toString()) ^ 0x5bd1e995);
+		case 'undefined':
+			return mix(0x2f7);
+		case 'symbol':
+			if (Symbol.keyFor(key) !== undefined) return mix(hashString(Symbol.keyFor(key)) ^ 0x27d4eb2d);
+			break;
+		default:
+			if (key === null) return mix(0x3a1);
+	}
+	if (!objectIds.has(key)) objectIds.set(key, nextId++);
+	return mix(objectIds.get(key));
+}
+
+const sameKey = (a, b) => a === b || (Number.isNaN(a) && Number.isNaN(b));
+
+function popcount(x) {
+	x -= (x >>> 1) & 0x55555555;
+	x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+	x = (x + (x >>> 4)) & 0x0f0f0f0f;
+	return Math.imul(x, 0x01010101) >>> 24;
+}
+
+const bitFor = (hashValue, shift) => 1 << ((hashValue >>> shift) & MASK);
+
+// ============================================================================
+// HAMT nodes
+// ============================================================================
+
+class Leaf {
+	constructor(owner, hashValue, key, value) {
+		this.owner = owner;
+		this.hash = hashValue;
+		this.key = key;
+		this.value = value;
+	}
+}
+
+/** Distinct keys whose full 32-bit hashes are equal. */
+class Collision {
+	constructor(owner, hashValue, leaves) {
+		this.owner = owner;
+		this.hash = hashValue;
+		this.leaves = leaves;
+	}
+}
+
+/** Up to 32 children, stored densely; `bitmap` says which of the 32 slots are present. */
+class Branch {
+	constructor(owner, bitmap, children) {
+		this.owner = owner;
+		this.bitmap = bitmap;
+		this.children = children;
+	}
+}
+
+function lookup(node, hashValue, key) {
+	let shift = 0;
+	while (node) {
+		if (node instanceof Leaf) return sameKey(node.key, key) ? node : undefined;
+		if (node instanceof Collision) {
+			return node.hash === hashValue ? node.leaves.find((leaf) => sameKey(leaf.key, key)) : undefined;
+		}
+		const bit = bitFor(hashValue, shift);
+		if (!(node.bitmap & bit)) return undefined;
+		node = node.children[popcount(node.bitmap & (bit - 1))];
+		shift += SHIFT;
+	}
+	return undefined;
+}
+
+function mergeLeaves(owner, shift, a, b) {
+	const ia = (a.hash >>> shift) & MASK;
+	const ib = (b.hash >>> shift) & MASK;
+	if (ia === ib) return new Branch(owner, 1 << ia, [mergeLeaves(owner, shift + SHIFT, a, b)]);
+	return new Branch(owner, (1 << ia) | (1 << ib), ia < ib ? [a, b] : [b, a]);
+}
+
+/** Returns the node with key set; `change.added` reports a new key. Unchanged input → same node. */
+function assoc(node, owner, shift, hashValue, key, value, change) {
+	if (!node) {
+		change.added = true;
+		return new Leaf(owner, hashValue, key, value);
+	}
+	if (node instanceof Leaf) {
+		if (sameKey(node.key, key)) {
+			if (Object.is(node.value, value)) return node;
+			if (owner && node.owner === owner) { node.value = value; return node; }
+			return new Leaf(owner, hashValue, key, value);
+		}
+		change.added = true;
+		const leaf = new Leaf(owner, hashValue, key, value);
+		if (node.hash === hashValue) return new Collision(owner, hashValue, [node, leaf]);
+		return mergeLeaves(owner, shift, node, leaf);
+	}
+	if (node instanceof Collision) {
+		if (node.hash !== hashValue) {
+			// Push the collision one level down so the new key can sit beside it
+			const branch = new Branch(owner, bitFor(node.hash, shift), [node]);
+			return assoc(branch, owner, shift, hashValue, key, value, change);
+		}
+		const index = node.leaves.findIndex((leaf) => sameKey(leaf.key, key));
+		if (index !== -1 && Object.is(node.leaves[index].value, value)) return node;
+		const leaves = owner && node.owner === owner ? node.leaves : node.leaves.slice();
+		if (index === -1) {
+			change.added = true;
+			leaves.push(new Leaf(owner, hashValue, key, value));
+		} else {
+			leaves[index] = new Leaf(owner, hashValue, key, value);
+		}
+		return leaves === node.leaves ? node : new Collision(owner, hashValue, leaves);
+	}
+
+	const bit = bitFor(hashValue, shift);
+	const index = popcount(node.bitmap & (bit - 1));
+	const editable = owner && node.owner === owner;
+	if (node.bitmap & bit) {
+		const child = node.children[index];
+		const next = assoc(child, owner, shift + SHIFT, hashValue, key, value, change);
+		if (next === child) return node;
+		if (editable) { node.children[index] = next; return node; }
+		const children = node.children.slice();
+		children[index] = next;
+		return new Branch(owner, node.bitmap, children);
+	}
+	change.added = true;
+	const leaf = new Leaf(owner, hashValue, key, value);
+	if (editable) {
+		node.children.splice(index, 0, leaf);
+		node.bitmap |= bit;
+		return node;
+	}
+	const children = node.children.slice();
+	children.splice(index, 0, leaf);
+	return new Branch(owner, node.bitmap | bit, children);
+}
+
+/** Returns the node without key (undefined if it became empty); `change.removed` reports a removal. */
+function dissoc(node, owner, shift, hashValue, key, change) {
+	if (!node) return node;
+	if (node instanceof Leaf) {
+		if (!sameKey(node.key, key)) return node;
+		change.removed = true;
+		return undefined;
+	}
+	if (node instanceof Collision) {
+		if (node.hash !== hashValue) return node;
+		const index = node.leaves.findIndex((leaf) => sameKey(leaf.key, key));
+		if (index === -1) return node;
+		change.removed = true;
+		if (node.leaves.length === 2) return node.leaves[1 - index];
+		const leaves = node.leaves.slice();
+		leaves.splice(index, 1);
+		return new Collision(owner, hashValue, leaves);
+	}
+
+	const bit = bitFor(hashValue, shift);
+	if (!(node.bitmap & bit)) return node;
+	const index = popcount(node.bitmap & (bit - 1));
+	const child = node.children[index];
+	const next = dissoc(child, owner, shift + SHIFT, hashValue, key, change);
+	if (next === child) return node;
+
+	if (next === undefined) {
+		if (node.bitmap === bit) return undefined;
+		const children = node.children.slice();
+		children.splice(index, 1);
+		// A branch left holding one leaf collapses into that leaf
+		if (children.length === 1 && !(children[0] instanceof Branch)) return children[0];
+		return new Branch(owner, node.bitmap ^ bit, children);
+	}
+	if (node.children.length === 1 && !(next instanceof Branch)) return next;
+	if (owner && node.owner === owner) { node.children[index] = next; return node; }
+	const children = node.children.slice();
+	children[index] = next;
+	return new Branch(owner, node.bitmap, children);
+}
+
+function* walkLeaves(node) {
+	if (!node) return;
+	if (node instanceof Leaf) { yield node; return; }
+	if (node instanceof Collision) { yield* node.leaves; return; }
+	for (const child of node.children) yield* walkLeaves(child);
+}
+
+/**
+ * Entries of `node` (a subtree of one map) match `other` (the subtree at the same
+ * position in another map, whose root is `otherRoot`). Identical subtrees are
+ * skipped; branches with the same bitmap are compared slot by slot; anything
+ * else falls back to looking each leaf up from the other root.
+ */
+function equalNodes(node, other, otherRoot, options) {
+	if (node === other) return true;
+	if (node instanceof Branch && other instanceof Branch && node.bitmap === other.bitmap) {
+		return node.children.every((child, i) => equalNodes(child, other.children[i], otherRoot, options));
+	}
+	for (const leaf of walkLeaves(node)) {
+		const match = lookup(otherRoot, leaf.hash, leaf.key);
+		if (!match || !valueEquals(leaf.value, match.value, options)) return false;
+	}
+	return true;
+}
+
+/** Nested persistent collections compare with .equals(), everything else with deepEqual. */
+function valueEquals(a, b, options) {
+	if ((a instanceof PMap && b instanceof PMap) || (a instanceof PList && b instanceof PList)) return a.equals(b, options);
+	return deepEqual(a, b, options);
+}
+
+// ============================================================================
+// PMap
+// ============================================================================
+
+class PMap {
+	/** @private use PMap.empty(), PMap.of() or PMap.from() */
+	constructor(root, size, owner) {
+		this._root = root;
+		this._size = size;
+		this._owner = owner;
+	}
+
+	static empty() {
+		return EMPTY_MAP;
+	}
+
+	/** PMap.of([k1, v1], [k2, v2], ...) */
+	static of(...entries) {
+		return PMap.from(entries);
+	}
+
+	/** From a Map, a plain object, or any iterable of [key, value] pairs. */
+	static from(source) {
+		const entries = source instanceof Map || typeof source[Symbol.iterator] === 'function'
+			? source
+			: Object.entries(source);
+		return EMPTY_MAP.withMutations((map) => {
+			for (const [key, value] of entries) map.set(key, value);
+		});
+	}
+
+	get size() {
+		return this._size;
+	}
+
+	get(key, notSetValue) {
+		const leaf = lookup(this._root, hash(key), key);
+		return leaf ? leaf.value : notSetValue;
+	}
+
+	has(key) {
+		return lookup(this._root, hash(key), key) !== undefined;
+	}
+
+	/** @returns {PMap} a new map (or this one, if nothing changed or this is a transient) */
+	set(key, value) {
+		const change = { added: false };
+		const root = assoc(this._root, this._owner, 0, hash(key), key, value, change);
+		return this._update(root, this._size + (change.added ? 1 : 0));
+	}
+
+	delete(key) {
+		const change = { removed: false };
+		const root = dissoc(this._root, this._owner, 0, hash(key), key, change);
+		return this._update(root, this._size - (change.removed ? 1 : 0));
+	}
+
+	/** set(key, updater(get(key, notSetValue))) */
+	update(key, updater, notSetValue) {
+		return this.set(key, updater(this.get(key, notSetValue)));
+	}
+
+	clear() {
+		return this._update(undefined, 0);
+	}
+
+	_update(root, size) {
+		if (this._owner) {
+			// The root may have been edited in place, so the size can change even when the node did not
+			this._root = root;
+			this._size = size;
+			return this;
+		}
+		if (root === this._root) return this;
+		return size === 0 ? EMPTY_MAP : new PMap(root, size, null);
+	}
+
+	/** A transient copy: set()/delete() edit it in place (and return it) until asImmutable(). */
+	asMutable() {
+		return new PMap(this._root, this._size, createOwner());
+	}
+
+	/** End a transient; the map must not be edited through old references afterwards. */
+	asImmutable() {
+		this._owner = null;
+		return this;
+	}
+
+	withMutations(fn) {
+		const mutable = this._owner ? this : this.asMutable();
+		fn(mutable);
+		return this._owner ? mutable : mutable.asImmutable();
+	}
+
+	*entries() {
+		for (const leaf of walkLeaves(this._root)) yield [leaf.key, leaf.value];
+	}
+
+	*keys() {
+		for (const leaf of walkLeaves(this._root)) yield leaf.key;
+	}
+
+	*values() {
+		for (const leaf of walkLeaves(this._root)) yield leaf.value;
+	}
+
+	[Symbol.iterator]() {
+		return this.entries();
+	}
+
+	forEach(callback, thisArg) {
+		for (const leaf of walkLeaves(this._root)) callback.call(thisArg, leaf.value, leaf.key, this);
+	}
+
+	/**
+	 * Same keys, and values equal under deepEqual (options such as `mode` are
+	 * passed through). Shared subtrees short-circuit: unchanged parts of two
+	 * versions are compared by identity, so comparing a map with an edited copy
+	 * only walks the paths the edits touched.
+	 */
+	equals(other, options) {
+		if (this === other) return true;
+		if (!(other instanceof PMap) || other.size !== this.size) return false;
+		return equalNodes(this._root, other._root, other._root, options);
+	}
+
+	toMap() {
+		return new Map(this.entries());
+	}
+
+	toJSON() {
+		return Object.fromEntries(this.entries());
+	}
+}
+
+const EMPTY_MAP = new PMap(undefined, 0, null);
+
+// ============================================================================
+// PList
+// ============================================================================
+
+class VNode {
+	constructor(owner, array) {
+		this.owner = owner;
+		this.array = array;
+	}
+}
+
+const EMPTY_NODE = new VNode(null, []);
+
+class PList {
+	/** @private use PList.empty(), PList.of() or PList.from() */
+	constructor(size, shift, root, tail, owner) {
+		this._size = size;
+		this._shift = shift;
+		this._root = root;
+		this._tail = tail;
+		this._owner = owner;
+		this._tailOwned = false; // transients only: this._tail is ours to mutate
+	}
+
+	static empty() {
+		return EMPTY_LIST;
+	}
+
+	static of(...values) {
+		return PList.from(values);
+	}
+
+	static from(iterable) {
+		return EMPTY_LIST.withMutations((list) => {
+			for (const value of iterable) list.push(value);
+		});
+	}
+
+	get size() {
+		return this._size;
+	}
+
+	/** Index of the first element kept in the tail rather than the tree. */
+	_tailOffset() {
+		return this._size < WIDTH ? 0 : ((this._size - 1) >>> SHIFT) << SHIFT;
+	}
+
+	_leafFor(index) {
+		if (index >= this._tailOffset()) return this._tail;
+		let node = this._root;
+		for (let level = this._shift; level > 0; level -= SHIFT) node = node.array[(index >>> level) & MASK];
+		return node.array;
+	}
+
+	/** Negative indices count from the end, like Array.prototype.at. */
+	get(index, notSetValue) {
+		if (index < 0) index += this._size;
+		if (!Number.isInteger(index) || index < 0 || index >= this._size) return notSetValue;
+		return this._leafFor(index)[index & MASK];
+	}
+
+	first() {
+		return this.get(0);
+	}
+
+	last() {
+		return this.get(-1);
+	}
+
+	set(index, value) {
+		if (index < 0) index += this._size;
+		if (index === this._size) return this.push(value);
+		if (!Number.isInteger(index) || index < 0 || index > this._size) {
+			throw new RangeError(`PList.set: index ${index} out of range (size ${this._size})`);
+		}
+		if (Object.is(this.get(index), value)) return this;
+
+		if (index >= this._tailOffset()) {
+			const tail = this._editableTail();
+			tail[index & MASK] = value;
+			return this._update(this._size, this._shift, this._root, tail);
+		}
+		const root = this._assocInTree(this._shift, this._root, index, value);
+		return this._update(this._size, this._shift, root, this._tail);
+	}
+
+	update(index, updater) {
+		return this.set(index, updater(this.get(index)));
+	}
+
+	push(value) {
+		const size = this._size;
+		if (size - this._tailOffset() < WIDTH) {
+			const tail = this._editableTail();
+			tail.push(value);
+			return this._update(size + 1, this._shift, this._root, tail);
+		}
+		// Tail is full: move it into the tree and start a new one
+		const tailNode = new VNode(this._owner, this._tail);
+		let root;
+		let shift = this._shift;
+		if ((size >>> SHIFT) > (1 << this._shift)) {
+			root = new VNode(this._owner, [this._root, this._newPath(this._shift, tailNode)]);
+			shift += SHIFT;
+		} else {
+			root = this._pushTail(this._shift, this._root, tailNode, size);
+		}
+		const result = this._update(size + 1, shift, root, [value]);
+		result._tailOwned = !!result._owner;
+		return result;
+	}
+
+	pop() {
+		const size = this._size;
+		if (size === 0) return this;
+		if (size === 1) return this._owner ? this._update(0, SHIFT, EMPTY_NODE, []) : EMPTY_LIST;
+		if (size - this._tailOffset() > 1) {
+			const tail = this._editableTail();
+			tail.pop();
+			return this._update(size - 1, this._shift, this._root, tail);
+		}
+		// Tail would become empty: pull the last leaf out of the tree as the new tail
+		const newTail = this._leafFor(size - 2).slice();
+		let root = this._popTail(this._shift, this._root, size) || EMPTY_NODE;
+		let shift = this._shift;
+		if (shift > SHIFT && root.array.length === 1) {
+			root = root.array[0];
+			shift -= SHIFT;
+		}
+		const result = this._update(size - 1, shift, root, newTail);
+		result._tailOwned = !!result._owner;
+		return result;
+	}
+
+	/** Elements from `begin` up to (not including) `end`, with Array.prototype.slice's index rules. */
+	slice(begin = 0, end = this._size) {
+		const clamp = (i) => (i < 0 ? Math.max(i + this._size, 0) : Math.min(i, this._size));
+		const from = clamp(Math.trunc(begin) || 0);
+		const to = clamp(Math.trunc(end) || 0);
+		if (from === 0 && to === this._size && !this._owner) return this;
+		return EMPTY_LIST.withMutations((list) => {
+			for (let i = from; i < to; i++) list.push(this.get(i));
+		});
+	}
+
+	_editable(node) {
+		if (this._owner && node.owner === this._owner) return node;
+		return new VNode(this._owner, node.array.slice());
+	}
+
+	_editableTail() {
+		if (this._owner && this._tailOwned) return this._tail;
+		if (this._owner) this._tailOwned = true;
+		return this._tail.slice();
+	}
+
+	_assocInTree(level, node, index, value) {
+		const copy = this._editable(node);
+		if (level === 0) {
+			copy.array[index & MASK] = value;
+		} else {
+			const slot = (index >>> level) & MASK;
+			copy.array[slot] = this._assocInTree(level - SHIFT, node.array[slot], index, value);
+		}
+		return copy;
+	}
+
+	_newPath(level, node) {
+		return level === 0 ? node : new VNode(this._owner, [this._newPath(level - SHIFT, node)]);
+	}
+
+	_pushTail(level, parent, tailNode, size) {
+		const copy = this._editable(parent);
+		const slot = ((size - 1) >>> level) & MASK;
+		if (level === SHIFT) {
+			copy.array[slot] = tailNode;
+		} else {
+			const child = parent.array[slot];
+			copy.array[slot] = child ? this._pushTail(level - SHIFT, child, tailNode, size) : this._newPath(level - SHIFT, tailNode);
+		}
+		return copy;
+	}
+
+	_popTail(level, node, size) {
+		const slot = ((size - 2) >>> level) & MASK;
+		if (level > SHIFT) {
+			const child = this._popTail(level - SHIFT, node.array[slot], size);
+			if (!child && slot === 0) return null;
+			const copy = this._editable(node);
+			if (child) copy.array[slot] = child;
+			else copy.array.length = slot;
+			return copy;
+		}
+		if (slot === 0) return null;
+		const copy = this._editable(node);
+		copy.array.length = slot;
+		return copy;
+	}
+
+	_update(size, shift, root, tail) {
+		if (this._owner) {
+			this._size = size;
+			this._shift = shift;
+			this._root = root;
+			this._tail = tail;
+			return this;
+		}
+		return new PList(size, shift, root, tail, null);
+	}
+
+	asMutable() {
+		return new PList(this._size, this._shift, this._root, this._tail, createOwner());
+	}
+
+	asImmutable() {
+		this._owner = null;
+		this._tailOwned = false;
+		return this;
+	}
+
+	withMutations(fn) {
+		const mutable = this._owner ? this : this.asMutable();
+		fn(mutable);
+		return this._owner ? mutable : mutable.asImmutable();
+	}
+
+	*values() {
+		const tailOffset = this._tailOffset();
+		for (let i = 0; i < tailOffset; i += WIDTH) yield* this._leafFor(i);
+		yield* this._tail;
+	}
+
+	*keys() {
+		for (let i = 0; i < this._size; i++) yield i;
+	}
+
+	*entries() {
+		let i = 0;
+		for (const value of this.values()) yield [i++, value];
+	}
+
+	[Symbol.iterator]() {
+		return this.values();
+	}
+
+	forEach(callback, thisArg) {
+		let i = 0;
+		for (const value of this.values()) callback.call(thisArg, value, i++, this);
+	}
+
+	/** Same length and pairwise-equal values under deepEqual (options passed through). */
+	equals(other, options) {
+		if (this === other) return true;
+		if (!(other instanceof PList) || other.size !== this.size) return false;
+		const theirs = other.values();
+		for (const value of this.values()) {
+			if (!valueEquals(value, theirs.next().value, options)) return false;
+		}
+		return true;
+	}
+
+	toArray() {
+		return [...this.values()];
+	}
+
+	toJSON() {
+		return this.toArray();
+	}
+}
+
+const EMPTY_LIST = new PList(0, SHIFT, EMPTY_NODE, [], null);
+
+// ============================================================================
+// Benchmark: persistent update vs spread copy
+// ============================================================================
+
+function timeIt(fn, iterations) {
+	fn(0); // warm up once so the first-call JIT cost is not measured
+	const start = performance.now();
+	for (let i = 0; i < iterations; i++) fn(i);
+	return ((performance.now() - start) / iterations) * 1000;
+}
+
+/**
+ * Single-element updates on an n-element collection, persistent vs copy-the-whole-thing.
+ *
+ * @param {object} [options]
+ * @param {number} [options.size=10000]
+ * @param {number} [options.iterations=500]
+ * @returns {Array<{ name: string, usPerUpdate: number }>}
+ */
+function benchmark({ size = 10000, iterations = 500 } = {}) {
+	const array = Array.from({ length: size }, (_, i) => i);
+	const object = Object.fromEntries(array.map((i) => [`k${i}`, i]));
+	const list = PList.from(array);
+	const map = PMap.from(object);
+
+	return [
+		['array spread + assign', (i) => { const copy = [...array]; copy[i % size] = -1; return copy; }],
+		['PList.set', (i) => list.set(i % size, -1)],
+		['object spread', (i) => ({ ...object, [`k${i % size}`]: -1 })],
+		['PMap.set', (i) => map.set(`k${i % size}`, -1)]
+	].map(([name, fn]) => ({ name, usPerUpdate: timeIt(fn, iterations) }));
+}
+
+module.exports = { PMap, PList, benchmark };
+
+// ============================================================================
+// DEMO (node persistent.js)
+// ============================================================================
+
+if (require.main === module) {
+	console.log('\n=== PList: 32-way vector trie ===\n');
+
+	const v1 = PList.from(Array.from({ length: 2000 }, (_, i) => i));
+	const v2 = v1.set(1500, 'changed').push('new');
+	console.log('v1:', v1.size, v1.get(1500)); // 2000 1500
+	console.log('v2:', v2.size, v2.get(1500), v2.last()); // 2001 'changed' 'new'
+	console.log('untouched leaf shared:', v1._leafFor(0) === v2._leafFor(0)); // true
+
+	console.log('\n=== PMap: hash array mapped trie ===\n');
+
+	const m1 = PMap.of(['alice', { role: 'admin' }], ['bob', { role: 'viewer' }]);
+	const m2 = m1.set('carol', { role: 'editor' }).delete('bob');
+	console.log('m1:', m1.size, m1.has('bob')); // 2 true
+	console.log('m2:', m2.size, m2.has('bob'), m2.get('carol').role); // 2 false editor
+	console.log('NaN and -0 keys like Map:', PMap.of([NaN, 'nan'], [0, 'zero']).get(NaN), PMap.of([0, 'zero']).get(-0)); // nan zero
+
+	console.log('\n=== Transients: batch edits in place ===\n');
+
+	const draft = m1.asMutable();
+	for (let i = 0; i < 1000; i++) draft.set(`user-${i}`, { role: 'guest' });
+	const m3 = draft.asImmutable();
+	console.log('m3 size:', m3.size, '| m1 still:', m1.size); // 1002 | 2
+
+	console.log('\n=== Equality with deepEqual rules ===\n');
+
+	const a = PMap.of(['scores', PList.of(1, NaN)]);
+	const b = PMap.of(['scores', PList.of(1, NaN)]);
+	console.log('equals (sameValue):', a.equals(b)); // true
+	console.log('equals (strict):', a.equals(b, { mode: 'strict' })); // false (NaN !== NaN)
+
+	console.log('\n=== Benchmark: single update on 10k elements ===\n');
+
+	for (const { name, usPerUpdate } of benchmark()) {
+		console.log(`${name.padEnd(24)} ${usPerUpdate.toFixed(2)} µs/update`);
+	}
+}
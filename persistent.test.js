@@ -0,0 +1,133 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { PMap, PList } = require('./persistent');
+
+describe('symbol keys', () => {
+	it('finds unregistered, registered and well-known symbols', () => {
+		const local = Symbol('local');
+		const map = PMap.of([local, 1], [Symbol.for('shared'), 2], [Symbol.iterator, 3]);
+		expect(map.get(local)).toBe(1);
+		expect(map.get(Symbol.for('shared'))).toBe(2);
+		expect(map.get(Symbol.iterator)).toBe(3);
+		expect(map.has(Symbol('local'))).toBe(false);
+	});
+
+	it('does not keep unregistered symbols alive', async () => {
+		const { getGC } = require('./diagnostics');
+		let key = Symbol('temporary');
+		PMap.of([key, true]);
+		const ref = new WeakRef(key);
+		key = null;
+		// WeakRef targets survive until the current job ends
+		await new Promise((resolve) => setImmediate(resolve));
+		getGC()();
+		expect(ref.deref()).toBe(undefined);
+	});
+});
+
+describe('PMap.equals', () => {
+	const base = PMap.from(Array.from({ length: 2000 }, (_, i) => [`key-${i}`, { id: i }]));
+
+	it('is true for equal maps built by different edits', () => {
+		const roundTrip = base.set('extra', 1).delete('extra').set('key-7', { id: 7 });
+		expect(roundTrip.equals(base)).toBe(true);
+		expect(PMap.from([...base].reverse()).equals(base)).toBe(true);
+	});
+
+	it('finds a changed value next to shared subtrees', () => {
+		const edited = base.set('key-1500', { id: -1 });
+		expect(edited.equals(base)).toBe(false);
+		expect(base.equals(edited)).toBe(false);
+	});
+
+	it('finds a replaced key at the same size', () => {
+		expect(base.delete('key-3').set('other', { id: 3 }).equals(base)).toBe(false);
+	});
+});
+
+describe('PList', () => {
+	const range = (n) => Array.from({ length: n }, (_, i) => i);
+
+	it('pushes and pops across tail and level boundaries', () => {
+		// 32 fills the tail, 32 + 32 * 32 fills the first tree level, 32 + 32 ** 3 the second
+		const versions = [];
+		let list = PList.empty();
+		for (let i = 0; i < 32 + 32 ** 3 + 1; i++) {
+			if ([31, 32, 33, 1055, 1056, 1057, 32800].includes(i)) versions.push(list);
+			list = list.push(i);
+		}
+		expect(list.size).toBe(32801);
+		expect(list.get(32800)).toBe(32800);
+		expect(list.get(1056)).toBe(1056);
+		expect(list.get(-1)).toBe(32800);
+		expect(versions.map((v) => v.size)).toEqual([31, 32, 33, 1055, 1056, 1057, 32800]);
+		expect(versions[3].last()).toBe(1054);
+
+		while (list.size > 0) {
+			const popped = list.pop();
+			if (popped.size > 0 && (popped.size % 997 === 0 || popped.size < 40 || (popped.size > 1050 && popped.size < 1060))) {
+				expect(popped.last()).toBe(popped.size - 1);
+				expect(popped.get(popped.size)).toBe(undefined);
+			}
+			list = popped;
+		}
+		expect(list).toBe(PList.empty());
+		expect(versions[6].toArray()).toEqual(range(32800));
+	});
+
+	it('sets in the tree and the tail without touching older versions', () => {
+		const v1 = PList.from(range(2000));
+		const v2 = v1.set(5, 'tree').set(1990, 'tail').set(-2, 'negative');
+		expect([v2.get(5), v2.get(1990), v2.get(1998)]).toEqual(['tree', 'tail', 'negative']);
+		expect([v1.get(5), v1.get(1990), v1.get(1998)]).toEqual([5, 1990, 1998]);
+		expect(v1.set(7, 7)).toBe(v1);
+		expect(v1.set(2000, 'end').last()).toBe('end');
+		expect(() => v1.set(2001, 'x')).toThrow(RangeError);
+		expect(v1.update(3, (n) => n * 10).get(3)).toBe(30);
+		expect(v2._leafFor(32)).toBe(v1._leafFor(32));
+		expect(v2._leafFor(0)).not.toBe(v1._leafFor(0));
+	});
+
+	it('slices like Array.prototype.slice', () => {
+		const list = PList.from(range(100));
+		expect(list.slice(10, 20).toArray()).toEqual(range(100).slice(10, 20));
+		expect(list.slice(-5).toArray()).toEqual([95, 96, 97, 98, 99]);
+		expect(list.slice(30, -60).toArray()).toEqual(range(100).slice(30, -60));
+		expect(list.slice(50, 10).size).toBe(0);
+		expect(list.slice()).toBe(list);
+		expect(list.slice(0, Infinity)).toBe(list);
+		expect(list.slice(90).push('x').size).toBe(11);
+	});
+
+	it('batches edits in place in a transient and leaves the source alone', () => {
+		const base = PList.from(range(40));
+		let inPlace = true;
+		const next = base.withMutations((list) => {
+			for (let i = 0; i < 1000; i++) inPlace = inPlace && list.push(i) === list;
+			list.set(0, 'first').pop();
+		});
+		expect(inPlace).toBe(true);
+		expect(next.size).toBe(1039);
+		expect(next.first()).toBe('first');
+		expect(base.size).toBe(40);
+		expect(base.first()).toBe(0);
+
+		const mutable = next.asMutable();
+		mutable.push('a');
+		const sealed = mutable.asImmutable();
+		expect(sealed.push('b')).not.toBe(sealed);
+		expect(sealed.size).toBe(1040);
+		expect(next.size).toBe(1039);
+	});
+
+	it('iterates and compares with deepEqual rules', () => {
+		const list = PList.of('a', NaN, { n: 1 });
+		expect([...list.keys()]).toEqual([0, 1, 2]);
+		expect([...list.entries()][1]).toEqual([1, NaN]);
+		expect(JSON.stringify(list)).toBe('["a",null,{"n":1}]');
+		expect(list.equals(PList.of('a', NaN, { n: 1 }))).toBe(true);
+		expect(list.equals(PList.of('a', NaN, { n: 1 }), { mode: 'strict' })).toBe(false);
+		expect(list.equals(PList.of('a', NaN))).toBe(false);
+	});
+});
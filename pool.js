@@ -0,0 +1,471 @@
+/**
+ * createPool / createFlyweight — fewer allocations for high-volume factories
+ *
+ * "factory-functions vs constructor.js" saves memory by putting methods on
+ * the prototype. With millions of short-lived entities the cost that remains
+ * is the objects themselves: every one allocated is one the GC must later
+ * find dead. Two standard answers:
+ *
+ * - a pool recycles objects: acquire() hands out a released one (reset) or
+ *   creates a new one, release() gives it back. With checks on (the default
+ *   outside NODE_ENV=production) each acquire returns a fresh handle, so code
+ *   that keeps using an object after releasing it throws instead of silently
+ *   corrupting whoever got it next; double and foreign releases throw too, and
+ *   handles dropped without release are reported as leaks and reclaimed.
+ * - a flyweight interns immutable shared state: structurally equal state
+ *   objects become one frozen object shared by every instance that uses it.
+ *
+ * measureGC() records GC pauses (perf_hooks) around a workload; the demo
+ * compares allocating per frame against pooling.
+ *
+ * Run the examples with: node pool.js
+ * Run the tests with: node test-runner.js pool.test.js
+ */
+
+'use strict';
+
+const { PerformanceObserver, performance } = require('perf_hooks');
+const { deepClone } = require('./deep-clone');
+const { deepFreeze } = require('./deep-freeze');
+const { captureCallSite, getGC } = require('./diagnostics');
+
+class PoolError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {string} code DOUBLE_RELEASE | FOREIGN_OBJECT | USE_AFTER_RELEASE
+	 */
+	constructor(message, code) {
+		super(message);
+		this.name = 'PoolError';
+		this.code = code;
+	}
+}
+
+const checksByDefault = () => !(typeof process !== 'undefined' && process.env.NODE_ENV === 'production');
+
+const callSiteOf = (entry) => captureCallSite(entry).callSite || 'at unknown location';
+
+// ============================================================================
+// Object pool
+// ============================================================================
+
+/**
+ * @param {(...args) => object} factory creates a new object when none is idle
+ * @param {object} [options]
+ * @param {(obj: object) => void} [options.reset] clears an object on release, before anyone reuses it
+ * @param {(obj: object, ...args) => void} [options.init] prepares an object on acquire, with acquire()'s arguments
+ * @param {number} [options.max=Infinity] most idle objects kept for reuse; releases beyond it are dropped for the GC
+ * @param {number} [options.initial=0] objects created up front
+ * @param {boolean} [options.checks] use-after-release, leak and ownership checks; on unless NODE_ENV=production
+ * @param {(leak: { callSite: string }) => void} [options.onLeak] a handle was garbage collected without release()
+ */
+function createPool(factory, {
+	reset,
+	init,
+	max = Infinity,
+	initial = 0,
+	checks = checksByDefault(),
+	onLeak = (leak) => console.warn(`pool: object acquired ${leak.callSite} was never released`)
+} = {}) {
+	if (typeof factory !== 'function') throw new TypeError('createPool: factory must be a function');
+	if (!(max >= 0)) throw new RangeError('createPool: max must be >= 0');
+
+	const idle = [];
+	// pooled object -> true while leased; kept off the objects so frozen ones
+	// can be pooled and copies ({ ...obj }) do not pass as pooled objects
+	const leased = new WeakMap();
+	const leases = new WeakMap(); // handle -> lease (checks only)
+	const counts = { created: 0, acquired: 0, released: 0, reused: 0, discarded: 0, leaked: 0, peakInUse: 0 };
+	let inUse = 0;
+
+	function create() {
+		const obj = factory();
+		if (obj === null || typeof obj !== 'object') throw new TypeError('createPool: factory must return an object');
+		leased.set(obj, false);
+		counts.created += 1;
+		return obj;
+	}
+
+	function giveBack(obj) {
+		leased.set(obj, false);
+		inUse -= 1;
+		if (reset) reset(obj);
+		if (idle.length < max) idle.push(obj);
+		else counts.discarded += 1;
+	}
+
+	// A handle the caller dropped without releasing: the object is lost to them, so reclaim it
+	const registry = checks ? new FinalizationRegistry((lease) => {
+		if (!lease.active) return;
+		lease.active = false;
+		counts.leaked += 1;
+		giveBack(lease.obj);
+		onLeak({ callSite: lease.callSite });
+	}) : null;
+
+	/**
+	 * A Proxy per lease: forwards everything to the object until its lease
+	 * ends, then throws.
+	 *
+	 * Getters, setters and methods run with the object itself as `this`, so
+	 * classes with #private fields work; methods are wrapped so that calling
+	 * one after release throws too, and a method returning `this` returns the
+	 * handle. Limitations: a method that stores `this` elsewhere hands out the
+	 * unchecked object, and `#field in handle` brand checks are false.
+	 */
+	function makeHandle(obj, entry) {
+		const lease = { obj, active: true, callSite: callSiteOf(entry), releasedAt: null };
+		const assertActive = (operation) => {
+			if (!lease.active) {
+				throw new PoolError(`Pooled object used after release (${operation}); released ${lease.releasedAt}`, 'USE_AFTER_RELEASE');
+			}
+		};
+		const methods = new Map(); // function -> wrapper, so handle.method === handle.method
+		const wrapMethod = (fn) => {
+			if (!methods.has(fn)) {
+				methods.set(fn, function (...args) {
+					assertActive('call');
+					const result = Reflect.apply(fn, this === handle ? obj : this, args);
+					return result === obj ? handle : result;
+				});
+			}
+			return methods.get(fn);
+		};
+		const handler = {
+			get(target, prop) {
+				assertActive('get');
+				const value = Reflect.get(target, prop);
+				if (typeof value !== 'function') return value;
+				// A frozen own method must come back unchanged (Proxy invariant)
+				const desc = Reflect.getOwnPropertyDescriptor(target, prop);
+				return desc && !desc.configurable && !desc.writable ? value : wrapMethod(value);
+			},
+			set(target, prop, value) {
+				assertActive('set');
+				return Reflect.set(target, prop, value);
+			}
+		};
+		for (const operation of ['has', 'deleteProperty', 'defineProperty', 'ownKeys', 'getOwnPropertyDescriptor']) {
+			handler[operation] = (target, ...rest) => {
+				assertActive(operation);
+				return Reflect[operation](target, ...rest);
+			};
+		}
+		const handle = new Proxy(obj, handler);
+		leases.set(handle, lease);
+		registry.register(handle, lease, lease);
+		return handle;
+	}
+
+	const pool = {
+		/** An idle object (reused) or a new one; init(obj, ...args) runs if given. */
+		acquire(...args) {
+			const reused = idle.length > 0;
+			const obj = reused ? idle.pop() : create();
+			if (reused) counts.reused += 1;
+			counts.acquired += 1;
+			leased.set(obj, true);
+			inUse += 1;
+			if (inUse > counts.peakInUse) counts.peakInUse = inUse;
+			if (init) init(obj, ...args);
+			return checks ? makeHandle(obj, pool.acquire) : obj;
+		},
+
+		/** Return an object from acquire(); reset runs now. */
+		release(obj) {
+			if (checks) {
+				const lease = leases.get(obj);
+				if (!lease) throw new PoolError('Released an object this pool did not hand out', 'FOREIGN_OBJECT');
+				if (!lease.active) throw new PoolError(`Object released twice; first released ${lease.releasedAt}`, 'DOUBLE_RELEASE');
+				lease.active = false;
+				lease.releasedAt = callSiteOf(pool.release);
+				registry.unregister(lease);
+				obj = lease.obj;
+			} else if (!leased.has(obj)) {
+				throw new PoolError('Released an object this pool did not hand out', 'FOREIGN_OBJECT');
+			} else if (!leased.get(obj)) {
+				throw new PoolError('Released an object that is not in use (released twice?)', 'DOUBLE_RELEASE');
+			}
+			counts.released += 1;
+			giveBack(obj);
+		},
+
+		/** acquire(), run fn(obj), release() — also when fn throws or its promise rejects. */
+		use(fn, ...args) {
+			const obj = pool.acquire(...args);
+			let result;
+			try {
+				result = fn(obj);
+			} catch (error) {
+				pool.release(obj);
+				throw error;
+			}
+			if (result && typeof result.then === 'function') {
+				return Promise.resolve(result).finally(() => pool.release(obj));
+			}
+			pool.release(obj);
+			return result;
+		},
+
+		/** Drop every idle object (in-use ones are unaffected). */
+		clear() {
+			counts.discarded += idle.length;
+			idle.length = 0;
+		},
+
+		/**
+		 * @returns {{ created, acquired, released, reused, discarded, leaked, peakInUse, inUse, idle, hitRate }}
+		 *   hitRate: share of acquires served by a recycled object
+		 */
+		stats() {
+			return {
+				...counts,
+				inUse,
+				idle: idle.length,
+				hitRate: counts.acquired === 0 ? 0 : counts.reused / counts.acquired
+			};
+		}
+	};
+	for (let i = 0; i < initial; i++) idle.push(create());
+	return pool;
+}
+
+// ============================================================================
+// Flyweight
+// ============================================================================
+
+/** A key equal for structurally equal JSON-like values, whatever their key order. */
+function canonicalKey(value) {
+	if (value === null || typeof value === 'boolean' || typeof value === 'string') return JSON.stringify(value);
+	if (typeof value === 'number') return Object.is(value, -0) ? '-0' : String(value);
+	if (typeof value === 'bigint') return `${value}n`;
+	if (value === undefined) return 'undefined';
+	if (Array.isArray(value)) return `[${value.map(canonicalKey).join(',')}]`;
+	const proto = typeof value === 'object' ? Object.getPrototypeOf(value) : undefined;
+	if (proto === Object.prototype || proto === null) {
+		return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalKey(value[key])}`).join(',')}}`;
+	}
+	throw new TypeError(`createFlyweight: cannot intern ${typeof value === 'object' ? proto.constructor.name : typeof value} values; pass a \`key\` function`);
+}
+
+/**
+ * Share one deep-frozen copy of each distinct state object. Entries are held
+ * weakly: once no instance uses a state, it is collected and forgotten.
+ *
+ * The copy keeps the prototype of every object in the state, so class
+ * instances (interned with a custom `key`) keep their methods and getters.
+ * Objects with #private fields cannot be copied; pass `copy: false` to freeze
+ * the first state seen for each key in place instead.
+ *
+ * @param {object} [options]
+ * @param {(state: object) => string} [options.key] identity of a state; structural by default
+ * @param {boolean} [options.copy=true] intern a deep copy rather than the caller's object
+ * @returns {{ intern(state): object, size: number, stats(): { interned: number, hits: number, misses: number } }}
+ */
+function createFlyweight({ key = canonicalKey, copy = true } = {}) {
+	const cache = new Map(); // key -> WeakRef(frozen state)
+	const registry = new FinalizationRegistry((k) => {
+		const ref = cache.get(k);
+		if (ref && ref.deref() === undefined) cache.delete(k);
+	});
+	let hits = 0;
+	let misses = 0;
+
+	return {
+		/** The shared frozen object equal to `state` (interning it, or a copy of it, the first time). */
+		intern(state) {
+			const k = key(state);
+			const existing = cache.has(k) ? cache.get(k).deref() : undefined;
+			if (existing !== undefined) {
+				hits += 1;
+				return existing;
+			}
+			misses += 1;
+			const shared = deepFreeze(copy ? deepClone(state, { keepPrototype: true }) : state);
+			cache.set(k, new WeakRef(shared));
+			registry.register(shared, k);
+			return shared;
+		},
+
+		get size() {
+			return cache.size;
+		},
+
+		stats() {
+			return { interned: cache.size, hits, misses };
+		}
+	};
+}
+
+// ============================================================================
+// GC pauses
+// ============================================================================
+
+const GC_KINDS = { 1: 'minor', 2: 'major', 4: 'incremental', 8: 'weakcb' };
+
+/**
+ * Run `fn` (sync or async) and collect the GC pauses that happened meanwhile.
+ *
+ * @returns {Promise<{ durationMs, count, totalMs, maxMs, byKind: { [kind]: { count, totalMs } }, result }>}
+ */
+async function measureGC(fn) {
+	const entries = [];
+	const observer = new PerformanceObserver((list) => entries.push(...list.getEntries()));
+	observer.observe({ entryTypes: ['gc'] });
+	const start = performance.now();
+	let result;
+	let durationMs;
+	try {
+		result = await fn();
+	} finally {
+		durationMs = performance.now() - start;
+		// GC entries are queued; give them a turn to arrive
+		await new Promise((resolve) => setImmediate(resolve));
+		entries.push(...observer.takeRecords());
+		observer.disconnect();
+	}
+	const byKind = {};
+	for (const entry of entries) {
+		const kind = GC_KINDS[entry.detail ? entry.detail.kind : entry.kind] || 'other';
+		byKind[kind] = byKind[kind] || { count: 0, totalMs: 0 };
+		byKind[kind].count += 1;
+		byKind[kind].totalMs += entry.duration;
+	}
+	return {
+		durationMs,
+		count: entries.length,
+		totalMs: entries.reduce((sum, entry) => sum + entry.duration, 0),
+		maxMs: entries.reduce((most, entry) => Math.max(most, entry.duration), 0),
+		byKind,
+		result
+	};
+}
+
+module.exports = {
+	createPool,
+	createFlyweight,
+	measureGC,
+	PoolError
+};
+
+// ============================================================================
+// DEMO (node pool.js)
+// ============================================================================
+
+if (require.main === module) {
+	(async () => {
+		console.log('\n=== createPool: acquire, release, stats ===\n');
+
+		const particleProto = {
+			step(dt) {
+				this.x += this.vx * dt;
+				this.y += this.vy * dt;
+			}
+		};
+		function createParticle() {
+			const p = Object.create(particleProto);
+			p.x = p.y = p.vx = p.vy = 0;
+			return p;
+		}
+		function initParticle(p, vx, vy) {
+			p.vx = vx;
+			p.vy = vy;
+		}
+		function resetParticle(p) {
+			p.x = p.y = p.vx = p.vy = 0;
+		}
+		const particles = createPool(createParticle, { init: initParticle, reset: resetParticle, max: 100 });
+
+		const p1 = particles.acquire(1, 2);
+		p1.step(1);
+		console.log('moved to', p1.x, p1.y); // 1 2
+		particles.release(p1);
+		const p2 = particles.acquire(3, 4);
+		console.log('stats:', particles.stats()); // created: 1, reused: 1, hitRate: 0.5 ...
+
+		console.log('\n=== Checks: use after release, double release ===\n');
+
+		try {
+			p1.step(1); // p1's lease ended; p2 may be the same object underneath
+		} catch (e) {
+			console.log(e.code, '-', e.message.split(';')[0]); // USE_AFTER_RELEASE - Pooled object used after release (get)
+		}
+		particles.release(p2);
+		try {
+			particles.release(p2);
+		} catch (e) {
+			console.log(e.code); // DOUBLE_RELEASE
+		}
+		console.log('use():', particles.use((p) => (p.step(2), p.x), 5, 0)); // 10
+
+		// A handle dropped without release() is reported once the GC collects it, and its object reclaimed
+		(() => particles.acquire(0, 0))();
+		getGC()();
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		console.log('leaked:', particles.stats().leaked, '| in use:', particles.stats().inUse); // leaked: 1 | in use: 0
+
+		console.log('\n=== createFlyweight: interned shared state ===\n');
+
+		// createUserWithProto-style objects: methods on a prototype, and now the
+		// immutable per-plan settings interned so thousands of users share a handful
+		const plans = createFlyweight();
+		const protoUser = {
+			greet() {
+				return `Hi, I'm ${this.name} (${this.settings.plan})`;
+			}
+		};
+		function createUserWithProto(name, plan) {
+			const user = Object.create(protoUser);
+			user.name = name;
+			user.settings = plans.intern({ plan, limits: { projects: plan === 'pro' ? 100 : 3, storageGb: plan === 'pro' ? 50 : 1 } });
+			return user;
+		}
+		const users = Array.from({ length: 10000 }, (_, i) => createUserWithProto(`user${i}`, i % 10 === 0 ? 'pro' : 'free'));
+		console.log(users[0].greet(), '| shared:', users[10].settings === users[20].settings); // Hi, I'm user0 (pro) | shared: true
+		console.log('frozen:', Object.isFrozen(users[0].settings.limits), '| stats:', plans.stats()); // true { interned: 2, hits: 9998, misses: 2 }
+
+		console.log('\n=== GC pauses: allocate per frame vs pool ===\n');
+
+		const FRAMES = 300;
+		const PER_FRAME = 5000;
+		// Long-lived data makes the heap realistic: major GCs have to walk it
+		const world = Array.from({ length: 100000 }, (_, i) => ({ id: i, tags: [i] }));
+
+		const live = new Array(PER_FRAME); // reused, so only the particles themselves are allocated
+		function simulate(spawn, despawn) {
+			let checksum = 0;
+			for (let frame = 0; frame < FRAMES; frame++) {
+				for (let i = 0; i < PER_FRAME; i++) live[i] = spawn(i % 7, frame % 5);
+				for (const p of live) {
+					p.step(0.016);
+					checksum += p.x;
+				}
+				for (const p of live) despawn(p);
+			}
+			return checksum;
+		}
+
+		const unchecked = createPool(createParticle, { checks: false, init: initParticle, reset: resetParticle });
+		const spawnNew = (vx, vy) => {
+			const p = createParticle();
+			initParticle(p, vx, vy);
+			return p;
+		};
+		const runs = {
+			'new object per spawn': () => simulate(spawnNew, () => {}),
+			'pooled (checks off)': () => simulate((vx, vy) => unchecked.acquire(vx, vy), (p) => unchecked.release(p))
+		};
+		const rows = [['workload', 'time', 'GCs', 'GC pause total', 'max pause']];
+		for (const [label, run] of Object.entries(runs)) {
+			getGC()(); // start each run from a collected heap
+			const gc = await measureGC(run);
+			rows.push([label, `${gc.durationMs.toFixed(0)} ms`, String(gc.count), `${gc.totalMs.toFixed(1)} ms`, `${gc.maxMs.toFixed(2)} ms`]);
+		}
+		const widths = rows[0].map((_, col) => Math.max(...rows.map((row) => row[col].length)));
+		console.log(rows.map((row) => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd()).join('\n'));
+		console.log(`(${FRAMES} frames x ${PER_FRAME} particles, ${world.length} long-lived objects;` +
+			` the pool created ${unchecked.stats().created} particles in total)`);
+		console.log('Pooling trades a little bookkeeping per acquire for far fewer collections;');
+		console.log('it pays off when objects are expensive to build or GC pauses matter (frames, latency).');
+	})();
+}
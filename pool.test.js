@@ -0,0 +1,126 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { createPool, createFlyweight, PoolError } = require('./pool');
+
+class Vector {
+	#x = 0;
+	#y = 0;
+	get x() { return this.#x; }
+	set x(value) { this.#x = value; }
+	get y() { return this.#y; }
+	set y(value) { this.#y = value; }
+	set2(x, y) {
+		this.#x = x;
+		this.#y = y;
+		return this;
+	}
+	length() { return Math.hypot(this.#x, this.#y); }
+}
+
+const vectors = (options) => createPool(() => new Vector(), { reset: (v) => v.set2(0, 0), ...options });
+
+describe('createPool', () => {
+	it('reuses released objects and counts them', () => {
+		const pool = createPool(() => ({ n: 0 }), { reset: (o) => { o.n = 0; } });
+		const a = pool.acquire();
+		a.n = 5;
+		pool.release(a);
+		const b = pool.acquire();
+		expect(b.n).toBe(0);
+		expect(pool.stats().created).toBe(1);
+		expect(pool.stats().reused).toBe(1);
+		expect(pool.stats().inUse).toBe(1);
+	});
+
+	it('works with classes that have #private fields', () => {
+		const pool = vectors();
+		const v = pool.acquire();
+		v.x = 3;
+		v.y = 4;
+		expect(v.length()).toBe(5);
+		expect(v.set2(6, 8)).toBe(v); // `return this` gives back the handle
+		const { length } = v;
+		expect(length.call(v)).toBe(10);
+		expect(v.length).toBe(length);
+		pool.release(v);
+		expect(pool.acquire().length()).toBe(0);
+	});
+
+	it('throws on use after release, also through a saved method', () => {
+		const pool = vectors();
+		const v = pool.acquire();
+		const { length } = v;
+		pool.release(v);
+		expect(() => v.x).toThrow(PoolError);
+		expect(() => { v.x = 1; }).toThrow('used after release (set)');
+		expect(() => length.call(v)).toThrow('used after release (call)');
+	});
+
+	it('throws on double and foreign releases', () => {
+		const pool = vectors();
+		const v = pool.acquire();
+		pool.release(v);
+		expect(() => pool.release(v)).toThrow('released twice');
+		expect(() => pool.release(new Vector())).toThrow('did not hand out');
+	});
+
+	it('hands out frozen objects with their own methods', () => {
+		const pool = createPool(() => Object.freeze({ describe() { return 'frozen'; } }));
+		expect(pool.acquire().describe()).toBe('frozen');
+	});
+
+	it('keeps lease state off the objects, also with checks off', () => {
+		const pool = createPool(() => ({ n: 1 }), { checks: false });
+		const obj = pool.acquire();
+		expect(Reflect.ownKeys(obj)).toEqual(['n']);
+		expect(() => pool.release({ ...obj })).toThrow('did not hand out');
+		expect(() => pool.release(Object.assign({}, obj))).toThrow('did not hand out');
+		pool.release(obj);
+		expect(() => pool.release(obj)).toThrow('not in use');
+		expect(pool.stats().idle).toBe(1);
+	});
+});
+
+describe('createFlyweight', () => {
+	class Money {
+		constructor(amount, currency) {
+			this.amount = amount;
+			this.currency = currency;
+		}
+		get label() { return `${this.amount} ${this.currency}`; }
+	}
+
+	it('shares one frozen copy of structurally equal state', () => {
+		const flyweight = createFlyweight();
+		const state = { b: [1, 2], a: { c: true } };
+		const shared = flyweight.intern(state);
+		expect(shared).not.toBe(state);
+		expect(flyweight.intern({ a: { c: true }, b: [1, 2] })).toBe(shared);
+		expect(Object.isFrozen(shared.a)).toBe(true);
+		expect(Object.isFrozen(state)).toBe(false);
+		expect(flyweight.stats()).toEqual({ interned: 1, hits: 1, misses: 1 });
+	});
+
+	it('keeps the prototype of class instances interned with a custom key', () => {
+		const prices = createFlyweight({ key: (money) => money.label });
+		const shared = prices.intern(new Money(5, 'EUR'));
+		expect(shared instanceof Money).toBe(true);
+		expect(shared.label).toBe('5 EUR');
+		expect(Object.isFrozen(shared)).toBe(true);
+		expect(prices.intern(new Money(5, 'EUR'))).toBe(shared);
+	});
+
+	it('freezes the caller\'s object in place with copy: false', () => {
+		const vectors = createFlyweight({ key: (v) => `${v.x},${v.y}`, copy: false });
+		const first = new Vector().set2(3, 4);
+		expect(vectors.intern(first)).toBe(first);
+		expect(first.length()).toBe(5);
+		expect(Object.isFrozen(first)).toBe(true);
+		expect(vectors.intern(new Vector().set2(3, 4))).toBe(first);
+	});
+
+	it('rejects class instances without a key function', () => {
+		expect(() => createFlyweight().intern(new Money(1, 'USD'))).toThrow('pass a `key` function');
+	});
+});
@@ -0,0 +1,217 @@
+/**
+ * PRIVATE TYPES: the `_counterPrivate` WeakMap pattern, without the plumbing
+ *
+ * factory-functions.js shows how a WeakMap keyed by instance gives private
+ * state *and* shared prototype methods. Every type that uses it repeats the
+ * same steps: make a WeakMap, create instances with Object.create, store their
+ * state, and look it up (and check it exists) in every method.
+ * `definePrivateType` does that once:
+ *
+ *   const Counter = definePrivateType({
+ *     name: 'Counter',
+ *     init: (start = 0) => ({ count: start }),
+ *     proto: (priv) => ({
+ *       increment() { return ++priv(this).count; }
+ *     })
+ *   });
+ *   const c = Counter.create(5);
+ *
+ * - `priv(this)` throws a TypeError naming the type when `this` is foreign
+ *   (a detached method, a look-alike object, the prototype itself);
+ * - `extends: Parent` chains prototypes *and* private state: parent methods
+ *   keep working on child instances, each level only sees its own state;
+ * - `Type.inspect(obj)` is a test-only window into the state.
+ *
+ * Run the examples with: node private-type.js
+ * Run the tests with: node test-runner.js private-type.test.js
+ */
+
+'use strict';
+
+// Types created here, and the hidden hook a subtype uses to run its parent's init
+const privateTypes = new WeakSet();
+const INIT_INTO = Symbol('initInto');
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (typeof value !== 'object' && typeof value !== 'function') return typeof value;
+  const proto = Object.getPrototypeOf(value);
+  const ctor = proto && Object.prototype.hasOwnProperty.call(proto, 'constructor') && proto.constructor;
+  return ctor && ctor.name ? `an instance of ${ctor.name}` : 'a foreign object';
+}
+
+const isTestEnv = () => typeof process !== 'undefined' && process.env.NODE_ENV === 'test';
+
+/**
+ * @param {object} spec
+ * @param {string} spec.name used in error messages
+ * @param {object | ((priv: (obj: object) => object) => object)} [spec.proto]
+ *   shared methods, or a function that receives `priv` and returns a fresh
+ *   object of them. With `extends`, a returned object is re-parented onto the
+ *   parent's proto so `super.method()` works; a methods object passed directly
+ *   is copied instead (leaving the caller's object alone) unless it already
+ *   inherits from the parent's proto (`{ __proto__: Parent.proto, ... }`)
+ * @param {(...args) => object} [spec.init] returns the private state for a new
+ *   instance; runs with `this` set to the instance so it can add public fields
+ * @param {object} [spec.extends] a type made by definePrivateType
+ * @param {(...args) => Array} [spec.superArgs] maps create() arguments to the
+ *   parent's create() arguments (default: the same arguments)
+ * @returns {{ name: string, proto: object, create: Function, priv: Function, is: Function, inspect: Function }}
+ */
+function definePrivateType(spec) {
+  const { name, proto = {}, init = () => ({}), extends: parent, superArgs = (...args) => args } = spec;
+  if (typeof name !== 'string' || name === '') throw new TypeError('definePrivateType: a name is required');
+  if (typeof init !== 'function') throw new TypeError(`definePrivateType(${name}): init must be a function`);
+  if (parent !== undefined && !isPrivateType(parent)) {
+    throw new TypeError(`definePrivateType(${name}): extends must be a type created by definePrivateType`);
+  }
+
+  // Private storage for every instance of this type (and its subtypes)
+  const _private = new WeakMap();
+
+  function priv(obj) {
+    const state = _private.get(obj);
+    if (state === undefined) {
+      throw new TypeError(`${name} method called on ${describe(obj)}, not a ${name}`);
+    }
+    return state;
+  }
+
+  let methods = typeof proto === 'function' ? proto(priv) : proto;
+  if (methods === null || typeof methods !== 'object') {
+    throw new TypeError(`definePrivateType(${name}): proto must be an object or return one`);
+  }
+  if (parent && Object.getPrototypeOf(methods) !== parent.proto) {
+    // `super` is bound to the object a method was written in, so only re-parenting keeps it
+    // working; that is safe for the object proto() just built, not for one the caller owns
+    if (typeof proto === 'function') Object.setPrototypeOf(methods, parent.proto);
+    else methods = Object.create(parent.proto, Object.getOwnPropertyDescriptors(methods));
+  }
+
+  /** Attach this level's state to an already-created instance; subtypes call it via `initInto`. */
+  function initInto(instance, args) {
+    if (parent) parent[INIT_INTO](instance, superArgs(...args));
+    const state = init.apply(instance, args);
+    if (state === null || typeof state !== 'object') {
+      throw new TypeError(`${name} init must return an object (the private state)`);
+    }
+    _private.set(instance, state);
+  }
+
+  const type = {
+    name,
+    proto: methods,
+    priv,
+
+    create(...args) {
+      const instance = Object.create(methods);
+      initInto(instance, args);
+      return instance;
+    },
+
+    /** True for instances of this type or any subtype. */
+    is(value) {
+      return _private.has(value);
+    },
+
+    /**
+     * Test-only: a shallow copy of this type's private state for `obj`.
+     * Throws unless NODE_ENV=test, so production code cannot come to depend on it.
+     */
+    inspect(obj) {
+      if (!isTestEnv()) {
+        throw new Error(`${name}.inspect() is only available when NODE_ENV=test`);
+      }
+      return { ...priv(obj) };
+    }
+  };
+  Object.defineProperty(type, INIT_INTO, { value: initInto });
+  privateTypes.add(type);
+  return Object.freeze(type);
+}
+
+function isPrivateType(value) {
+  return privateTypes.has(value);
+}
+
+module.exports = { definePrivateType, isPrivateType };
+
+// ============================================================================
+// DEMO (node private-type.js)
+// ============================================================================
+
+if (require.main === module) {
+  console.log('\n=== definePrivateType ===\n');
+
+  const Counter = definePrivateType({
+    name: 'Counter',
+    init: (start = 0) => ({ count: start }),
+    proto: (priv) => ({
+      increment() {
+        return ++priv(this).count;
+      },
+      getCount() {
+        return priv(this).count;
+      }
+    })
+  });
+
+  const a = Counter.create(10);
+  const b = Counter.create();
+  a.increment();
+  console.log('counts:', a.getCount(), b.getCount()); // 11 0
+  console.log('shared methods:', a.increment === b.increment); // true
+  console.log('no public state:', Object.keys(a)); // []
+
+  console.log('\n=== Foreign receivers ===\n');
+
+  const { increment } = a;
+  try {
+    increment();
+  } catch (e) {
+    console.log(e.message); // Counter method called on undefined, not a Counter
+  }
+  try {
+    Counter.proto.getCount.call({ count: 99 });
+  } catch (e) {
+    console.log(e.message); // Counter method called on an instance of Object, not a Counter
+  }
+
+  console.log('\n=== Inheritance ===\n');
+
+  const LimitedCounter = definePrivateType({
+    name: 'LimitedCounter',
+    extends: Counter,
+    superArgs: (limit, start) => [start],
+    init: (limit) => ({ limit }),
+    proto: (priv) => ({
+      increment() {
+        if (this.getCount() >= priv(this).limit) throw new RangeError(`limit ${priv(this).limit} reached`);
+        return super.increment();
+      }
+    })
+  });
+
+  const limited = LimitedCounter.create(2, 1);
+  limited.increment();
+  try {
+    limited.increment();
+  } catch (e) {
+    console.log('subtype rule:', e.message); // limit 2 reached
+  }
+  console.log('parent method on child:', limited.getCount()); // 2
+  console.log('is:', Counter.is(limited), LimitedCounter.is(a)); // true false
+
+  console.log('\n=== Test-only inspection ===\n');
+
+  try {
+    Counter.inspect(a);
+  } catch (e) {
+    console.log(e.message); // Counter.inspect() is only available when NODE_ENV=test
+  }
+  const previousEnv = process.env.NODE_ENV;
+  process.env.NODE_ENV = 'test';
+  console.log('inspect:', Counter.inspect(limited), LimitedCounter.inspect(limited)); // { count: 2 } { limit: 2 }
+  if (previousEnv === undefined) delete process.env.NODE_ENV;
+  else process.env.NODE_ENV = previousEnv;
+}
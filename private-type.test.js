@@ -0,0 +1,136 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { definePrivateType, isPrivateType } = require('./private-type');
+
+const Counter = definePrivateType({
+  name: 'Counter',
+  init: (start = 0) => ({ count: start }),
+  proto: (priv) => ({
+    increment() {
+      return ++priv(this).count;
+    },
+    getCount() {
+      return priv(this).count;
+    }
+  })
+});
+
+const LimitedCounter = definePrivateType({
+  name: 'LimitedCounter',
+  extends: Counter,
+  superArgs: (limit, start) => [start],
+  init: (limit) => ({ limit }),
+  proto: (priv) => ({
+    increment() {
+      if (this.getCount() >= priv(this).limit) throw new RangeError(`limit ${priv(this).limit} reached`);
+      return super.increment();
+    }
+  })
+});
+
+/** Run `fn` with NODE_ENV set to `value`, restoring it afterwards. */
+function withEnv(value, fn) {
+  const previous = process.env.NODE_ENV;
+  process.env.NODE_ENV = value;
+  try {
+    return fn();
+  } finally {
+    if (previous === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = previous;
+  }
+}
+
+describe('definePrivateType', () => {
+  it('keeps state private and methods shared', () => {
+    const a = Counter.create(10);
+    const b = Counter.create();
+    a.increment();
+    expect([a.getCount(), b.getCount()]).toEqual([11, 0]);
+    expect(a.increment).toBe(b.increment);
+    expect(Reflect.ownKeys(a)).toEqual([]);
+    expect(Object.getPrototypeOf(a)).toBe(Counter.proto);
+    expect(Object.isFrozen(Counter)).toBe(true);
+    expect(isPrivateType(Counter)).toBe(true);
+    expect(isPrivateType({ ...Counter })).toBe(false);
+  });
+
+  it('throws a TypeError naming the type for foreign receivers', () => {
+    const { increment } = Counter.create();
+    expect(() => increment()).toThrow('Counter method called on undefined, not a Counter');
+    expect(() => Counter.proto.getCount.call({ count: 99 })).toThrow('called on an instance of Object, not a Counter');
+    expect(() => Counter.proto.getCount.call(Object.create(null))).toThrow('called on a foreign object');
+    expect(() => Counter.priv(Object.create(Counter.proto))).toThrow(TypeError);
+  });
+
+  it('runs init with the instance as `this` and requires it to return an object', () => {
+    const Named = definePrivateType({
+      name: 'Named',
+      init(label) {
+        this.label = label;
+        return { secret: label.length };
+      }
+    });
+    const named = Named.create('abc');
+    expect(named.label).toBe('abc');
+    expect(Named.priv(named)).toEqual({ secret: 3 });
+
+    const Broken = definePrivateType({ name: 'Broken', init: () => 42 });
+    expect(() => Broken.create()).toThrow('Broken init must return an object');
+  });
+
+  it('validates the spec', () => {
+    expect(() => definePrivateType({})).toThrow('a name is required');
+    expect(() => definePrivateType({ name: 'X', init: 1 })).toThrow('init must be a function');
+    expect(() => definePrivateType({ name: 'X', extends: {} })).toThrow('extends must be a type');
+    expect(() => definePrivateType({ name: 'X', proto: () => null })).toThrow('proto must be an object');
+  });
+});
+
+describe('inheritance', () => {
+  it('chains methods and private state, one level each', () => {
+    const limited = LimitedCounter.create(2, 1);
+    expect(limited.increment()).toBe(2);
+    expect(() => limited.increment()).toThrow('limit 2 reached');
+    expect(limited.getCount()).toBe(2);
+    expect(Counter.is(limited)).toBe(true);
+    expect(LimitedCounter.is(Counter.create())).toBe(false);
+    expect(Counter.priv(limited)).toEqual({ count: 2 });
+    expect(LimitedCounter.priv(limited)).toEqual({ limit: 2 });
+  });
+
+  it('copies a methods object passed directly instead of re-parenting it', () => {
+    const methods = { double() { return this.getCount() * 2; } };
+    const Doubling = definePrivateType({ name: 'Doubling', extends: Counter, proto: methods });
+    expect(Object.getPrototypeOf(methods)).toBe(Object.prototype);
+    expect(Doubling.proto).not.toBe(methods);
+    expect(Doubling.create(4).double()).toBe(8);
+  });
+
+  it('uses a methods object that already inherits from the parent, so super works', () => {
+    const methods = {
+      __proto__: Counter.proto,
+      increment() {
+        return super.increment() * 10;
+      }
+    };
+    const Tens = definePrivateType({ name: 'Tens', extends: Counter, proto: methods });
+    expect(Tens.proto).toBe(methods);
+    expect(Tens.create(1).increment()).toBe(20);
+  });
+});
+
+describe('inspect', () => {
+  it('is only available when NODE_ENV=test', () => {
+    const limited = LimitedCounter.create(5, 3);
+    withEnv('production', () => {
+      expect(() => Counter.inspect(limited)).toThrow('only available when NODE_ENV=test');
+    });
+    withEnv('test', () => {
+      const state = Counter.inspect(limited);
+      expect(state).toEqual({ count: 3 });
+      state.count = 100;
+      expect(limited.getCount()).toBe(3);
+    });
+  });
+});
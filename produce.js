@@ -0,0 +1,636 @@
+/**
+ * produce — structural-sharing immutable updates via Proxy drafts
+ *
+ * The real version of the "Immer example (pseudo)" in "js values vs reference.js":
+ *
+ *   const next = produce(base, (draft) => { draft.user.name = 'Ada'; });
+ *
+ * The recipe mutates a draft. Writes are recorded copy-on-write: only the
+ * objects on the path to a change are shallow-copied, every untouched subtree
+ * is shared by reference with `base`, and `base` itself is never modified.
+ * Supports plain objects, arrays, Map and Set.
+ *
+ * Run the examples with: node produce.js
+ * Run the tests with: node test-runner.js produce.test.js
+ */
+
+'use strict';
+
+const { deepFreeze } = require('./deep-freeze');
+
+const DRAFT_STATE = Symbol('draft-state');
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const isDraft = (value) => !!value && typeof value === 'object' && !!value[DRAFT_STATE];
+
+/** Only plain objects, arrays, Maps and Sets get drafts; everything else is treated as a value. */
+function isDraftable(value) {
+	if (!value || typeof value !== 'object') return false;
+	if (Array.isArray(value) || value instanceof Map || value instanceof Set) return true;
+	const proto = Object.getPrototypeOf(value);
+	return proto === Object.prototype || proto === null;
+}
+
+function kindOf(value) {
+	if (Array.isArray(value)) return 'array';
+	if (value instanceof Map) return 'map';
+	if (value instanceof Set) return 'set';
+	return 'object';
+}
+
+function isDevelopment() {
+	return typeof process === 'undefined' || process.env.NODE_ENV !== 'production';
+}
+
+const latest = (state) => state.copy || state.base;
+
+function shallowCopy(base) {
+	if (Array.isArray(base)) return base.slice();
+	if (base instanceof Map) return new Map(base);
+	if (base instanceof Set) return new Set(base);
+	const copy = Object.create(Object.getPrototypeOf(base));
+	for (const key of Reflect.ownKeys(base)) {
+		const desc = Object.getOwnPropertyDescriptor(base, key);
+		// Read getters once and store plain, writable data (a frozen base must not leak its flags)
+		Object.defineProperty(copy, key, {
+			value: desc.get ? desc.get.call(base) : desc.value,
+			writable: true,
+			enumerable: desc.enumerable,
+			configurable: true
+		});
+	}
+	return copy;
+}
+
+function prepareCopy(state) {
+	if (state.kind === 'set') prepareSetCopy(state);
+	else if (!state.copy) state.copy = shallowCopy(state.base);
+}
+
+/**
+ * Flag a draft and its ancestors as changed. Each changed draft is linked into
+ * its parent's copy (reads never copy anything), so finalize() can find it.
+ */
+function markChanged(state) {
+	while (state) {
+		state.modified = true;
+		prepareCopy(state);
+		const { parent } = state;
+		if (!parent) return;
+		prepareCopy(parent);
+		linkChild(parent, state);
+		if (parent.modified) return;
+		state = parent;
+	}
+}
+
+function linkChild(parent, child) {
+	// Only if the slot still holds the original: a reassigned slot means the child was detached
+	if (parent.kind === 'map') {
+		if (parent.copy.get(child.key) === child.base) parent.copy.set(child.key, child.proxy);
+	} else if (parent.kind !== 'set' && parent.copy[child.key] === child.base) {
+		parent.copy[child.key] = child.proxy;
+	}
+}
+
+/** Untouched nested object: hand out one cached child draft per key; nothing is copied until it is written. */
+function childDraft(state, key, value) {
+	let child = state.children.get(key);
+	if (!child) {
+		child = draftOf(value, state, key, state.scope);
+		state.children.set(key, child);
+	}
+	return child;
+}
+
+function assertLive(state) {
+	if (state.revoked) {
+		throw new TypeError('produce: cannot use a draft after its recipe has finished');
+	}
+}
+
+// ============================================================================
+// Drafts: objects and arrays (Proxy)
+// ============================================================================
+
+const objectTraps = {
+	get(state, prop) {
+		if (prop === DRAFT_STATE) return state;
+		const source = latest(state);
+		if (!Object.prototype.hasOwnProperty.call(source, prop)) {
+			// Inherited members (array methods, ...) run against the proxy, so their writes are trapped too
+			return Reflect.get(source, prop, state.proxy);
+		}
+		const value = source[prop];
+		if (isDraft(value) || !isDraftable(value) || value !== state.base[prop]) return value;
+		return childDraft(state, prop, value);
+	},
+	has(state, prop) {
+		return prop in latest(state);
+	},
+	ownKeys(state) {
+		return Reflect.ownKeys(latest(state));
+	},
+	set(state, prop, value) {
+		const source = latest(state);
+		const current = source[prop];
+		const unchanged = Object.is(current, value) ||
+			(isDraft(value) && value[DRAFT_STATE].base === current && !value[DRAFT_STATE].modified);
+		if (unchanged && (value !== undefined || Object.prototype.hasOwnProperty.call(source, prop))) {
+			return true;
+		}
+		markChanged(state);
+		state.copy[prop] = value;
+		return true;
+	},
+	deleteProperty(state, prop) {
+		if (Object.prototype.hasOwnProperty.call(latest(state), prop)) {
+			markChanged(state);
+			delete state.copy[prop];
+		}
+		return true;
+	},
+	getOwnPropertyDescriptor(state, prop) {
+		const source = latest(state);
+		const desc = Reflect.getOwnPropertyDescriptor(source, prop);
+		if (!desc) return undefined;
+		// The proxy target is a dummy; only an array's `length` must stay non-configurable to match it
+		const isLength = Array.isArray(state.base) && prop === 'length';
+		return {
+			value: isLength ? source.length : objectTraps.get(state, prop),
+			writable: true,
+			enumerable: desc.enumerable,
+			configurable: !isLength
+		};
+	},
+	defineProperty() {
+		throw new TypeError('produce: Object.defineProperty() is not supported on drafts');
+	},
+	getPrototypeOf(state) {
+		return Object.getPrototypeOf(state.base);
+	},
+	setPrototypeOf() {
+		throw new TypeError('produce: Object.setPrototypeOf() is not supported on drafts');
+	}
+};
+
+// Every trap first checks the draft is still live, then delegates to objectTraps with the state.
+const proxyHandler = {};
+for (const [name, trap] of Object.entries(objectTraps)) {
+	proxyHandler[name] = (target, ...args) => {
+		const state = target[DRAFT_STATE];
+		assertLive(state);
+		return trap(state, ...args);
+	};
+}
+
+// ============================================================================
+// Drafts: Map and Set
+// ============================================================================
+
+// Built-in collection methods need real internal slots, so Map/Set drafts are
+// subclasses instead of proxies. Their own (empty) storage is never used.
+
+class DraftMap extends Map {
+	get size() { assertLive(this[DRAFT_STATE]); return latest(this[DRAFT_STATE]).size; }
+
+	has(key) { assertLive(this[DRAFT_STATE]); return latest(this[DRAFT_STATE]).has(key); }
+
+	get(key) {
+		const state = this[DRAFT_STATE];
+		assertLive(state);
+		const value = latest(state).get(key);
+		if (isDraft(value) || !isDraftable(value) || value !== state.base.get(key)) return value;
+		return childDraft(state, key, value);
+	}
+
+	set(key, value) {
+		const state = this[DRAFT_STATE];
+		assertLive(state);
+		const source = latest(state);
+		if (!source.has(key) || !Object.is(source.get(key), value)) {
+			markChanged(state);
+			state.copy.set(key, value);
+		}
+		return this;
+	}
+
+	delete(key) {
+		const state = this[DRAFT_STATE];
+		assertLive(state);
+		if (!latest(state).has(key)) return false;
+		markChanged(state);
+		return state.copy.delete(key);
+	}
+
+	clear() {
+		const state = this[DRAFT_STATE];
+		assertLive(state);
+		if (latest(state).size) {
+			markChanged(state);
+			state.copy.clear();
+		}
+	}
+
+	forEach(callback, thisArg) {
+		for (const [key, value] of this.entries()) callback.call(thisArg, value, key, this);
+	}
+
+	keys() { assertLive(this[DRAFT_STATE]); return latest(this[DRAFT_STATE]).keys(); }
+
+	*values() {
+		for (const key of this.keys()) yield this.get(key);
+	}
+
+	*entries() {
+		for (const key of this.keys()) yield [key, this.get(key)];
+	}
+
+	[Symbol.iterator]() { return this.entries(); }
+}
+
+class DraftSet extends Set {
+	get size() { assertLive(this[DRAFT_STATE]); return latest(this[DRAFT_STATE]).size; }
+
+	has(value) {
+		const state = this[DRAFT_STATE];
+		assertLive(state);
+		if (!state.copy) return state.base.has(value);
+		return state.copy.has(value) || (state.drafts.has(value) && state.copy.has(state.drafts.get(value)));
+	}
+
+	add(value) {
+		const state = this[DRAFT_STATE];
+		if (!this.has(value)) {
+			prepareSetCopy(state);
+			markChanged(state);
+			state.copy.add(value);
+		}
+		return this;
+	}
+
+	delete(value) {
+		const state = this[DRAFT_STATE];
+		if (!this.has(value)) return false;
+		prepareSetCopy(state);
+		markChanged(state);
+		return state.copy.delete(value) || state.copy.delete(state.drafts.get(value));
+	}
+
+	clear() {
+		const state = this[DRAFT_STATE];
+		assertLive(state);
+		if (latest(state).size) {
+			prepareSetCopy(state);
+			markChanged(state);
+			state.copy.clear();
+		}
+	}
+
+	values() {
+		const state = this[DRAFT_STATE];
+		assertLive(state);
+		// Iterating hands out drafts of nested objects, so they can be edited in place
+		prepareSetCopy(state);
+		return state.copy.values();
+	}
+
+	keys() { return this.values(); }
+
+	*entries() {
+		for (const value of this.values()) yield [value, value];
+	}
+
+	forEach(callback, thisArg) {
+		for (const value of this.values()) callback.call(thisArg, value, value, this);
+	}
+
+	[Symbol.iterator]() { return this.values(); }
+}
+
+/** Sets have no keys to hang child drafts on, so the copy holds the drafts in place of the originals. */
+function prepareSetCopy(state) {
+	if (state.copy) return;
+	state.copy = new Set();
+	for (const value of state.base) {
+		if (isDraftable(value)) {
+			const child = draftOf(value, state, value, state.scope);
+			state.drafts.set(value, child);
+			state.copy.add(child);
+		} else {
+			state.copy.add(value);
+		}
+	}
+}
+
+// ============================================================================
+// Draft creation & finalization
+// ============================================================================
+
+/** A scope groups every draft of one produce()/createDraft() so they can be revoked together. */
+const createScope = () => ({ revokers: [], copies: [] });
+
+function revokeScope(scope) {
+	scope.revokers.forEach((revoke) => revoke());
+	scope.revokers.length = 0;
+}
+
+function draftOf(base, parent, key, scope) {
+	const state = {
+		base,
+		copy: null,
+		parent,
+		key,
+		scope,
+		kind: kindOf(base),
+		modified: false,
+		revoked: false,
+		children: new Map(), // key -> child draft, created on first read
+		drafts: new Map(), // Set drafts only: original value -> child draft
+		proxy: null
+	};
+
+	if (state.kind === 'map' || state.kind === 'set') {
+		const draft = state.kind === 'map' ? new DraftMap() : new DraftSet();
+		Object.defineProperty(draft, DRAFT_STATE, { value: state });
+		state.proxy = draft;
+		scope.revokers.push(() => { state.revoked = true; });
+		return draft;
+	}
+
+	// A dummy target keeps Proxy invariants happy even when `base` is frozen
+	const target = state.kind === 'array' ? [] : {};
+	// configurable, so ownKeys() may leave it out without breaking an invariant
+	Object.defineProperty(target, DRAFT_STATE, { value: state, configurable: true });
+	const { proxy, revoke } = Proxy.revocable(target, proxyHandler);
+	state.proxy = proxy;
+	scope.revokers.push(() => { state.revoked = true; revoke(); });
+	return proxy;
+}
+
+/** Turn a draft into its final value: the untouched base, or its copy with child drafts resolved. */
+function finalize(draft) {
+	const state = draft[DRAFT_STATE];
+	if (!state.modified) return state.base;
+	if (state.finalized) return state.copy;
+	state.finalized = true;
+	state.scope.copies.push(state.copy);
+
+	const { base, copy } = state;
+	const visited = new WeakSet();
+
+	if (state.kind === 'map') {
+		for (const [key, value] of copy) {
+			copy.set(key, resolve(value, base.has(key) ? base.get(key) : undefined, visited));
+		}
+	} else if (state.kind === 'set') {
+		const values = [...copy];
+		copy.clear();
+		for (const value of values) copy.add(resolve(value, base.has(value) ? value : undefined, visited));
+	} else {
+		for (const key of Reflect.ownKeys(copy)) {
+			const desc = Object.getOwnPropertyDescriptor(copy, key);
+			if (!('value' in desc) || (Array.isArray(copy) && key === 'length')) continue;
+			copy[key] = resolve(desc.value, base[key], visited);
+		}
+	}
+	return copy;
+}
+
+/**
+ * Resolve one entry of a copy. Drafts are finalized; values that are new in
+ * this produce() (not the base entry) are scanned for drafts nested inside
+ * them; the base entry itself is shared untouched.
+ */
+function resolve(value, baseValue, visited) {
+	if (isDraft(value)) return finalize(value);
+	if (value !== baseValue && isDraftable(value)) resolveNested(value, visited);
+	return value;
+}
+
+function resolveNested(value, visited) {
+	if (visited.has(value) || Object.isFrozen(value)) return;
+	visited.add(value);
+	if (value instanceof Map) {
+		for (const [key, v] of value) {
+			if (isDraft(v)) value.set(key, finalize(v));
+			else if (isDraftable(v)) resolveNested(v, visited);
+		}
+	} else if (value instanceof Set) {
+		for (const v of [...value]) {
+			if (isDraft(v)) { value.delete(v); value.add(finalize(v)); } else if (isDraftable(v)) resolveNested(v, visited);
+		}
+	} else {
+		for (const key of Object.keys(value)) {
+			const v = value[key];
+			if (isDraft(v)) value[key] = finalize(v);
+			else if (isDraftable(v)) resolveNested(v, visited);
+		}
+	}
+}
+
+// ============================================================================
+// produce
+// ============================================================================
+
+/**
+ * Create the next immutable state by "mutating" a draft of `base`.
+ *
+ * The recipe may mutate the draft (and return nothing), or return a brand-new
+ * value without touching the draft. Drafts are revoked once the recipe
+ * returns, so leaking one out of the recipe fails loudly.
+ *
+ * Called with a function as the only argument, returns a curried producer:
+ * `produce(recipe)(base, ...args)` — handy as a reducer.
+ *
+ * @param {*} base current state (left untouched)
+ * @param {(draft: *, ...args: *[]) => *} recipe
+ * @param {object} [options]
+ * @param {boolean|'copies'} [options.autoFreeze] deepFreeze the result (or only the new copies, see
+ *   finishDraft); defaults to on unless NODE_ENV=production
+ * @returns {*} `base` itself when nothing changed, otherwise the new state
+ */
+function produce(base, recipe, options = {}) {
+	if (typeof base === 'function' && recipe === undefined) {
+		const curried = base;
+		return (state, ...args) => produce(state, (draft) => curried(draft, ...args));
+	}
+	if (typeof recipe !== 'function') {
+		throw new TypeError('produce: the recipe must be a function');
+	}
+	const { autoFreeze = isDevelopment() } = options;
+
+	if (!isDraftable(base)) {
+		const result = recipe(base);
+		return finish(result === undefined ? base : result, autoFreeze);
+	}
+
+	const scope = createScope();
+	const root = draftOf(base, null, undefined, scope);
+	let result;
+	try {
+		result = recipe(root);
+		if (result && typeof result.then === 'function') {
+			throw new TypeError('produce: async recipes are not supported; await first, then produce');
+		}
+
+		if (result !== undefined && result !== root) {
+			if (root[DRAFT_STATE].modified) {
+				throw new Error('produce: a recipe must either modify the draft or return a new value, not both');
+			}
+			// A nested draft (`return draft.user`) must become plain data before the scope is revoked
+			if (isDraft(result)) result = finalize(result);
+			else if (isDraftable(result)) resolveNested(result, new WeakSet());
+		} else {
+			result = finalize(root);
+		}
+	} finally {
+		revokeScope(scope);
+	}
+	return finish(result, autoFreeze, scope);
+}
+
+function finish(result, autoFreeze, scope) {
+	if (autoFreeze === 'copies') {
+		if (scope) scope.copies.forEach((copy) => Object.freeze(copy));
+	} else if (autoFreeze && result && typeof result === 'object' && !Object.isFrozen(result)) {
+		deepFreeze(result);
+	}
+	return result;
+}
+
+// ============================================================================
+// Long-lived drafts
+// ============================================================================
+
+/**
+ * Start a draft that outlives a single recipe: mutate it over time, then call
+ * finishDraft() (or discardDraft()). Reads go straight to `base`; a node is
+ * copied only when it is first written.
+ *
+ * @param {object|Array|Map|Set} base
+ * @returns {*} the draft
+ */
+function createDraft(base) {
+	if (!isDraftable(base)) throw new TypeError('createDraft: expected a plain object, array, Map or Set');
+	return draftOf(base, null, undefined, createScope());
+}
+
+function rootState(draft, caller) {
+	if (!isDraft(draft) || draft[DRAFT_STATE].parent) throw new TypeError(`${caller}: expected a draft from createDraft()`);
+	const state = draft[DRAFT_STATE];
+	assertLive(state);
+	return state;
+}
+
+/**
+ * Turn a draft from createDraft() into the next immutable value and revoke it.
+ *
+ * @param {*} draft
+ * @param {object} [options]
+ * @param {boolean|'copies'} [options.autoFreeze] `true` deep-freezes the result,
+ *   `'copies'` freezes only the nodes the draft copied (cost proportional to the
+ *   change, not the tree; branches shared with the base stay mutable), `false` freezes nothing. Defaults to `true` unless NODE_ENV=production.
+ * @returns {*} the base itself if nothing changed, otherwise the new value
+ */
+function finishDraft(draft, { autoFreeze = isDevelopment() } = {}) {
+	const state = rootState(draft, 'finishDraft');
+	const result = finalize(draft);
+	revokeScope(state.scope);
+	return finish(result, autoFreeze, state.scope);
+}
+
+/** Throw a draft from createDraft() away; its base was never touched. */
+function discardDraft(draft) {
+	revokeScope(rootState(draft, 'discardDraft').scope);
+}
+
+/** Has anything been written through this draft (or its children) yet? */
+function isModified(draft) {
+	if (!isDraft(draft)) throw new TypeError('isModified: expected a draft');
+	return draft[DRAFT_STATE].modified;
+}
+
+/** Peek at the current value behind a draft (e.g. for logging) without finishing the recipe. */
+function current(draft) {
+	if (!isDraft(draft)) throw new TypeError('current: expected a draft');
+	const state = draft[DRAFT_STATE];
+	const copy = shallowCopy(latest(state));
+	if (state.kind === 'map') {
+		for (const [key, value] of copy) if (isDraft(value)) copy.set(key, current(value));
+	} else if (state.kind === 'set') {
+		const values = [...copy];
+		copy.clear();
+		for (const value of values) copy.add(isDraft(value) ? current(value) : value);
+	} else {
+		for (const key of Object.keys(copy)) if (isDraft(copy[key])) copy[key] = current(copy[key]);
+	}
+	return copy;
+}
+
+module.exports = {
+	produce,
+	createDraft,
+	finishDraft,
+	discardDraft,
+	current,
+	isModified,
+	isDraft,
+	isDraftable
+};
+
+// ============================================================================
+// DEMO (node produce.js)
+// ============================================================================
+
+if (require.main === module) {
+	console.log('\n=== produce: structural sharing ===\n');
+
+	const base = {
+		user: { name: 'Alice', address: { city: 'Paris' } },
+		todos: [{ text: 'learn references', done: false }, { text: 'ship', done: false }],
+		settings: { theme: 'dark' },
+		tags: new Set(['js']),
+		scores: new Map([['alice', { points: 1 }]])
+	};
+
+	const next = produce(base, (draft) => {
+		draft.user.name = 'Ada';
+		draft.todos[0].done = true;
+		draft.todos.push({ text: 'write docs', done: false });
+		draft.tags.add('immutability');
+		draft.scores.get('alice').points += 1;
+	});
+
+	console.log('base untouched:', base.user.name, base.todos.length, base.tags.size); // Alice 2 1
+	console.log('next updated:', next.user.name, next.todos.length, next.tags.size); // Ada 3 2
+	console.log('changed path copied:', next.user !== base.user, next.todos[0] !== base.todos[0]); // true true
+	console.log('untouched subtrees shared:',
+		next.settings === base.settings,
+		next.user.address === base.user.address,
+		next.todos[1] === base.todos[1]); // true true true
+	console.log('Map entry updated:', base.scores.get('alice').points, '->', next.scores.get('alice').points); // 1 -> 2
+	console.log('no-op recipe returns base:', produce(next, (draft) => { draft.user.name = 'Ada'; }) === next); // true
+	console.log('auto-frozen in development:', Object.isFrozen(next.todos[2])); // true
+
+	console.log('\n=== produce: curried reducer ===\n');
+
+	const toggle = produce((draft, index) => {
+		draft.todos[index].done = !draft.todos[index].done;
+	});
+	const toggled = toggle(next, 1);
+	console.log('toggled:', toggled.todos[1].done, 'previous:', next.todos[1].done); // true false
+
+	console.log('\n=== produce: leaked drafts are revoked ===\n');
+
+	let leaked;
+	produce({ a: 1 }, (draft) => { leaked = draft; });
+	try {
+		leaked.a = 2;
+	} catch (e) {
+		console.log('Using a draft after produce():', e.constructor.name); // TypeError
+	}
+}
@@ -0,0 +1,85 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { produce, isDraft } = require('./produce');
+
+describe('recipe return values', () => {
+	const state = { user: { name: 'Alice', roles: new Set(['admin']) }, items: [{ id: 1 }] };
+
+	it('returns a subtree draft as its plain, frozen value', () => {
+		const user = produce(state, (draft) => draft.user);
+		expect(user).toBe(state.user);
+		expect(isDraft(user)).toBe(false);
+		expect(Object.isFrozen(user)).toBe(true);
+		expect(produce(state, (draft) => draft.user.roles)).toBe(state.user.roles);
+		expect(produce(state, (draft) => draft.items[0])).toBe(state.items[0]);
+	});
+
+	it('resolves drafts nested in a new return value', () => {
+		const wrapped = produce(state, (draft) => ({ owner: draft.user, first: draft.items[0] }));
+		expect(wrapped.owner).toBe(state.user);
+		expect(wrapped.first).toBe(state.items[0]);
+	});
+
+	it('rejects modifying the draft and returning a subtree', () => {
+		expect(() => produce(state, (draft) => {
+			draft.user.name = 'Ada';
+			return draft.user;
+		})).toThrow('not both');
+	});
+});
+
+describe('copy on write only', () => {
+	// Counts how often produce copies the object behind it (shallowCopy lists its keys)
+	const counted = (target, counter) => new Proxy(target, {
+		ownKeys(t) {
+			counter.copies += 1;
+			return Reflect.ownKeys(t);
+		}
+	});
+
+	it('copies nothing when nested objects are only read', () => {
+		const counter = { copies: 0 };
+		const state = counted({ user: counted({ address: { city: 'Paris' } }, counter), list: [1, 2] }, counter);
+		const result = produce(state, (draft) => {
+			expect(draft.user.address.city).toBe('Paris');
+			expect(draft.user).toBe(draft.user); // one cached child draft per key
+		}, { autoFreeze: false });
+		expect(result).toBe(state);
+		expect(counter.copies).toBe(0);
+	});
+
+	it('copies only the path to a write, even after earlier reads', () => {
+		const state = { user: { name: 'Alice', address: { city: 'Paris' } }, settings: { theme: 'dark' } };
+		const next = produce(state, (draft) => {
+			const { user } = draft;
+			void draft.settings.theme;
+			user.address.city = 'Lyon';
+		});
+		expect(next.user.address.city).toBe('Lyon');
+		expect(next.user.name).toBe('Alice');
+		expect(next.settings).toBe(state.settings);
+		expect(state.user.address.city).toBe('Paris');
+	});
+
+	it('drops a child draft whose slot was reassigned before it was written', () => {
+		const state = { user: { name: 'Alice' } };
+		const next = produce(state, (draft) => {
+			const stale = draft.user;
+			draft.user = { name: 'Bob' };
+			stale.name = 'Carol';
+		});
+		expect(next.user).toEqual({ name: 'Bob' });
+	});
+
+	it('links Map children on write', () => {
+		const state = new Map([['a', { n: 1 }], ['b', { n: 2 }]]);
+		const next = produce(state, (draft) => {
+			const a = draft.get('a');
+			void draft.get('b').n;
+			a.n = 10;
+		});
+		expect(next.get('a').n).toBe(10);
+		expect(next.get('b')).toBe(state.get('b'));
+	});
+});
@@ -0,0 +1,497 @@
+/**
+ * serialize / deserialize — a lossless replacement for JSON.parse(JSON.stringify(x))
+ *
+ * "js values vs reference.js" lists what the JSON round-trip loses: undefined,
+ * BigInt, Symbol, functions, and anything circular. This module keeps the
+ * output plain JSON text (so it can go to disk or over the wire) but tags
+ * every value JSON cannot represent:
+ *
+ *   { "$t": "bigint", "$v": "12345678901234567890" }
+ *   { "$t": "Map", "$id": 1, "$v": [["key", { "$ref": 1 }]] }
+ *
+ * Supported: undefined, NaN, ±Infinity, -0, BigInt, registered symbols
+ * (Symbol.for), boxed primitives, Date, RegExp, Map, Set, Error, ArrayBuffer,
+ * DataView, every typed array, sparse array holes, and shared or circular
+ * references (`$id` / `$ref`), including views that share one ArrayBuffer. Class instances come back with the right
+ * prototype when their class is in a registry (createClassRegistry).
+ *
+ * Run the examples with: node serializer.js
+ * Run the tests with: node test-runner.js serializer.test.js
+ */
+
+'use strict';
+
+const { types } = require('util');
+
+const TYPED_ARRAYS = {
+	Int8Array, Uint8Array, Uint8ClampedArray,
+	Int16Array, Uint16Array,
+	Int32Array, Uint32Array,
+	Float32Array, Float64Array,
+	BigInt64Array, BigUint64Array
+};
+
+const ERROR_CTORS = { Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError };
+
+// ============================================================================
+// Class registry
+// ============================================================================
+
+/**
+ * Create a registry of classes whose instances should survive a round-trip.
+ *
+ * By default an instance is stored as its own enumerable properties and
+ * restored with `Object.create(Class.prototype)` — enough for classes like
+ * `Temperature` that keep state in ordinary fields. Classes with private
+ * `#fields` (e.g. `BankAccount`) pass `toData`/`fromData` instead.
+ *
+ * @returns {{ register: Function, byName: Function, byInstance: Function }}
+ */
+function createClassRegistry() {
+	const byName = new Map();
+	const byCtor = new Map();
+
+	const registry = {
+		/**
+		 * @param {Function} Class
+		 * @param {object} [options]
+		 * @param {string} [options.name=Class.name] stable name written to the output
+		 * @param {(instance: object) => *} [options.toData] custom state extraction
+		 * @param {(data: *) => object} [options.fromData] custom reconstruction
+		 * @returns the registry, for chaining
+		 *
+		 * fromData() only runs once its data is decoded, so the data must not
+		 * lead back to the instance itself; serialize() throws on such cycles.
+		 */
+		register(Class, { name = Class.name, toData, fromData } = {}) {
+			if (typeof Class !== 'function') throw new TypeError('register: expected a class or constructor');
+			if (!name) throw new TypeError('register: anonymous classes need an explicit name');
+			if (byName.has(name) && byName.get(name).Class !== Class) {
+				throw new Error(`register: a different class is already registered as "${name}"`);
+			}
+			if (!toData !== !fromData) throw new TypeError(`register(${name}): provide both toData and fromData, or neither`);
+			const entry = { Class, name, toData, fromData };
+			byName.set(name, entry);
+			byCtor.set(Class, entry);
+			return registry;
+		},
+		byName: (name) => byName.get(name),
+		/** The entry for the closest registered class on the instance's prototype chain. */
+		byInstance(value) {
+			for (let proto = Object.getPrototypeOf(value); proto; proto = Object.getPrototypeOf(proto)) {
+				if (Object.prototype.hasOwnProperty.call(proto, 'constructor') && byCtor.has(proto.constructor)) {
+					return byCtor.get(proto.constructor);
+				}
+			}
+			return undefined;
+		}
+	};
+	return registry;
+}
+
+const EMPTY_REGISTRY = createClassRegistry();
+
+// ============================================================================
+// serialize
+// ============================================================================
+
+/**
+ * Serialize `value` to tagged JSON text.
+ *
+ * @param {*} value
+ * @param {object} [options]
+ * @param {object} [options.registry] from createClassRegistry()
+ * @param {'plain'|'throw'} [options.unknownClasses='plain'] instances of unregistered
+ *   classes become plain objects (like structuredClone), or throw
+ * @param {number|string} [options.space] passed to JSON.stringify
+ * @returns {string}
+ * @throws {TypeError} for functions, unregistered symbols, WeakMaps and other unserializable values
+ */
+function serialize(value, { registry = EMPTY_REGISTRY, unknownClasses = 'plain', space } = {}) {
+	const { shared, reads } = scan(value, registry);
+	const ctx = { registry, unknownClasses, shared, reads, ids: new Map(), nextId: 1, saving: new Map() };
+	return JSON.stringify(encode(value, ctx, '$'), null, space);
+}
+
+const HOLE = Symbol('hole');
+
+/** The registry entry for a class instance; plain and null-prototype objects have none. */
+function classEntry(value, registry) {
+	const proto = Object.getPrototypeOf(value);
+	return proto !== Object.prototype && proto !== null ? registry.byInstance(value) : undefined;
+}
+
+/** Objects and arrays, as opposed to the built-ins encodeObject() tags by type. */
+function hasProperties(value) {
+	return !(types.isBoxedPrimitive(value) || types.isDate(value) || types.isRegExp(value) ||
+		types.isMap(value) || types.isSet(value) || types.isNativeError(value) ||
+		types.isAnyArrayBuffer(value) || ArrayBuffer.isView(value) ||
+		types.isWeakMap(value) || types.isWeakSet(value) || types.isPromise(value));
+}
+
+const readElements = (array) => Array.from({ length: array.length }, (_, i) => (i in array ? array[i] : HOLE));
+
+function readProperties(value) {
+	return Object.keys(value).map((key) => {
+		const desc = Object.getOwnPropertyDescriptor(value, key);
+		return [key, desc.get ? desc.get.call(value) : desc.value];
+	});
+}
+
+/**
+ * Walk the graph once before encoding. Objects reachable more than once
+ * (shared or circular) need an `$id`; a view's buffer counts, so views over
+ * one ArrayBuffer keep sharing it. What was read on the way (array elements,
+ * property values, toData() results) is kept in `reads`, so getters and
+ * toData() run once and encode() sees the same values.
+ */
+function scan(root, registry) {
+	const seen = new WeakSet();
+	const shared = new WeakSet();
+	const reads = new Map();
+	const stack = [root];
+	while (stack.length) {
+		const value = stack.pop();
+		if (value === null || typeof value !== 'object') continue;
+		if (seen.has(value)) { shared.add(value); continue; }
+		seen.add(value);
+		if (types.isMap(value)) for (const [k, v] of value) stack.push(k, v);
+		else if (types.isSet(value)) for (const v of value) stack.push(v);
+		else if (types.isNativeError(value)) stack.push(value.cause);
+		else if (ArrayBuffer.isView(value)) stack.push(value.buffer);
+		else if (Array.isArray(value)) {
+			const elements = readElements(value);
+			reads.set(value, elements);
+			for (const element of elements) stack.push(element);
+		} else if (hasProperties(value)) {
+			const entry = classEntry(value, registry);
+			if (entry && entry.toData) {
+				const data = entry.toData(value);
+				reads.set(value, data);
+				stack.push(data);
+			} else {
+				const entries = readProperties(value);
+				reads.set(value, entries);
+				for (const [, v] of entries) stack.push(v);
+			}
+		}
+	}
+	return { shared, reads };
+}
+
+/** What scan() read from `value`, or a fresh read for values it did not reach. */
+const readOnce = (value, ctx, read) => (ctx.reads.has(value) ? ctx.reads.get(value) : read(value));
+
+// Define, never assign: a key such as "__proto__" must stay an own property
+const defineKey = (obj, key, value) =>
+	Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+
+const escapeKey = (key) => (key[0] === '$' ? '$' + key : key);
+const unescapeKey = (key) => (key.startsWith('$$') ? key.slice(1) : key);
+
+function encode(value, ctx, path) {
+	switch (typeof value) {
+		case 'undefined':
+			return { $t: 'undefined' };
+		case 'boolean':
+		case 'string':
+			return value;
+		case 'number':
+			if (Number.isNaN(value)) return { $t: 'number', $v: 'NaN' };
+			if (value === Infinity) return { $t: 'number', $v: 'Infinity' };
+			if (value === -Infinity) return { $t: 'number', $v: '-Infinity' };
+			if (Object.is(value, -0)) return { $t: 'number', $v: '-0' };
+			return value;
+		case 'bigint':
+			return { $t: 'bigint', $v: value.toString() };
+		case 'symbol': {
+			const key = Symbol.keyFor(value);
+			if (key === undefined) throw new TypeError(`serialize: only registered symbols (Symbol.for) can be serialized, at ${path}`);
+			return { $t: 'symbol', $v: key };
+		}
+		case 'function':
+			throw new TypeError(`serialize: functions cannot be serialized, at ${path}`);
+		default:
+			break;
+	}
+	if (value === null) return null;
+
+	// A $ref back into a toData() instance would be read before fromData() has built it
+	if (ctx.saving.has(value)) {
+		throw new TypeError(`serialize: ${path} leads back to the ${ctx.saving.get(value)} instance being saved by toData(); fromData() cannot rebuild that cycle`);
+	}
+	// Shared/circular objects: full body the first time, $ref afterwards
+	if (ctx.ids.has(value)) return { $ref: ctx.ids.get(value) };
+	let id;
+	if (ctx.shared.has(value)) {
+		id = ctx.nextId++;
+		ctx.ids.set(value, id);
+	}
+	const node = encodeObject(value, ctx, path);
+	if (id === undefined) return node;
+	if (Array.isArray(node)) return { $t: 'Array', $id: id, $v: node };
+	return { $id: id, ...node };
+}
+
+function encodeObject(value, ctx, path) {
+	if (types.isBoxedPrimitive(value)) {
+		const name = Object.prototype.toString.call(value).slice(8, -1);
+		return { $t: `box:${name}`, $v: encode(value.valueOf(), ctx, path) };
+	}
+	if (types.isDate(value)) return { $t: 'Date', $v: Number.isNaN(value.getTime()) ? null : value.toISOString() };
+	if (types.isRegExp(value)) return { $t: 'RegExp', $v: [value.source, value.flags] };
+	if (types.isMap(value)) {
+		let i = 0;
+		return { $t: 'Map', $v: [...value].map(([k, v]) => [encode(k, ctx, `${path}<key ${i}>`), encode(v, ctx, `${path}<value ${i++}>`)]) };
+	}
+	if (types.isSet(value)) {
+		let i = 0;
+		return { $t: 'Set', $v: [...value].map((v) => encode(v, ctx, `${path}<${i++}>`)) };
+	}
+	if (types.isNativeError(value)) {
+		const body = { name: value.name, message: value.message, stack: value.stack };
+		if ('cause' in value) body.cause = encode(value.cause, ctx, `${path}.cause`);
+		return { $t: 'Error', $v: body };
+	}
+	if (types.isArrayBuffer(value)) return { $t: 'ArrayBuffer', $v: Buffer.from(value).toString('base64') };
+	if (types.isDataView(value) || types.isTypedArray(value)) {
+		const name = types.isDataView(value) ? 'DataView' : Object.prototype.toString.call(value).slice(8, -1);
+		if (types.isArrayBuffer(value.buffer) && ctx.shared.has(value.buffer)) {
+			const { byteOffset, byteLength } = value;
+			return { $t: name, $v: { buffer: encode(value.buffer, ctx, `${path}.buffer`), byteOffset, byteLength } };
+		}
+		const bytes = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+		return { $t: name, $v: bytes.toString('base64') };
+	}
+	if (Array.isArray(value)) {
+		return readOnce(value, ctx, readElements).map((element, i) =>
+			(element === HOLE ? { $t: 'hole' } : encode(element, ctx, `${path}[${i}]`)));
+	}
+	if (types.isWeakMap(value) || types.isWeakSet(value) || types.isPromise(value) || types.isSharedArrayBuffer(value)) {
+		throw new TypeError(`serialize: ${Object.prototype.toString.call(value)} cannot be serialized, at ${path}`);
+	}
+
+	const proto = Object.getPrototypeOf(value);
+	if (proto !== Object.prototype && proto !== null) {
+		const entry = classEntry(value, ctx.registry);
+		if (entry && entry.toData) {
+			ctx.saving.set(value, entry.name);
+			try {
+				const data = readOnce(value, ctx, entry.toData);
+				return { $t: 'class', $c: entry.name, $v: encode(data, ctx, `${path}<${entry.name}>`) };
+			} finally {
+				ctx.saving.delete(value);
+			}
+		}
+		if (entry) return { $t: 'class', $c: entry.name, $v: encodeProperties(value, ctx, path) };
+		if (ctx.unknownClasses === 'throw') {
+			const name = (proto.constructor && proto.constructor.name) || 'anonymous';
+			throw new TypeError(`serialize: class "${name}" is not registered, at ${path}`);
+		}
+	}
+	const body = encodeProperties(value, ctx, path);
+	return proto === null ? { $t: 'null-proto', $v: body } : body;
+}
+
+function encodeProperties(value, ctx, path) {
+	const out = {};
+	for (const [key, v] of readOnce(value, ctx, readProperties)) {
+		defineKey(out, escapeKey(key), encode(v, ctx, `${path}.${key}`));
+	}
+	return out;
+}
+
+// ============================================================================
+// deserialize
+// ============================================================================
+
+/**
+ * Parse text produced by serialize().
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {object} [options.registry] must know every class name used in `text`
+ * @returns {*}
+ */
+function deserialize(text, { registry = EMPTY_REGISTRY } = {}) {
+	const ctx = { registry, refs: new Map() };
+	return decode(JSON.parse(text), ctx);
+}
+
+function decode(node, ctx) {
+	if (node === null || typeof node !== 'object') return node;
+	if (Array.isArray(node)) {
+		const out = [];
+		fillArray(out, node, ctx);
+		return out;
+	}
+	if ('$ref' in node) {
+		if (!ctx.refs.has(node.$ref)) throw new Error(`deserialize: unresolved $ref ${node.$ref}`);
+		return ctx.refs.get(node.$ref);
+	}
+
+	const { $t: tag, $id: id, $v: v } = node;
+	// Containers are registered before their children are decoded, so cycles resolve
+	const remember = (out) => {
+		if (id !== undefined) ctx.refs.set(id, out);
+		return out;
+	};
+
+	switch (tag) {
+		case undefined: {
+			const out = remember({});
+			decodeProperties(out, node, ctx);
+			return out;
+		}
+		case 'null-proto': {
+			const out = remember(Object.create(null));
+			decodeProperties(out, v, ctx);
+			return out;
+		}
+		case 'undefined': return undefined;
+		case 'hole': throw new Error('deserialize: array hole outside an array');
+		case 'number': return Number(v);
+		case 'bigint': return BigInt(v);
+		case 'symbol': return Symbol.for(v);
+		case 'Date': return remember(new Date(v === null ? NaN : v));
+		case 'RegExp': return remember(new RegExp(v[0], v[1]));
+		case 'Array': {
+			const out = remember([]);
+			fillArray(out, v, ctx);
+			return out;
+		}
+		case 'Map': {
+			const out = remember(new Map());
+			for (const [k, val] of v) out.set(decode(k, ctx), decode(val, ctx));
+			return out;
+		}
+		case 'Set': {
+			const out = remember(new Set());
+			for (const val of v) out.add(decode(val, ctx));
+			return out;
+		}
+		case 'Error': {
+			const Ctor = Object.prototype.hasOwnProperty.call(ERROR_CTORS, v.name) ? ERROR_CTORS[v.name] : Error;
+			const out = remember(new Ctor(v.message));
+			if (v.name !== out.name) out.name = v.name;
+			if (v.stack !== undefined) Object.defineProperty(out, 'stack', { value: v.stack, writable: true, configurable: true });
+			if ('cause' in v) Object.defineProperty(out, 'cause', { value: decode(v.cause, ctx), writable: true, configurable: true });
+			return out;
+		}
+		case 'ArrayBuffer': {
+			const bytes = Buffer.from(v, 'base64');
+			return remember(new Uint8Array(bytes).buffer);
+		}
+		case 'DataView': {
+			if (typeof v !== 'string') return remember(decodeView(DataView, v, ctx));
+			const bytes = new Uint8Array(Buffer.from(v, 'base64'));
+			return remember(new DataView(bytes.buffer));
+		}
+		case 'class': {
+			const entry = ctx.registry.byName(node.$c);
+			if (!entry) throw new Error(`deserialize: class "${node.$c}" is not registered`);
+			if (entry.fromData) return remember(entry.fromData(decode(v, ctx)));
+			const out = remember(Object.create(entry.Class.prototype));
+			decodeProperties(out, v, ctx);
+			return out;
+		}
+		default:
+			if (typeof tag !== 'string') break;
+			if (tag.startsWith('box:')) return remember(Object(decode(v, ctx)));
+			// Own keys only: "constructor" or "toString" must not reach Object.prototype
+			if (Object.prototype.hasOwnProperty.call(TYPED_ARRAYS, tag)) {
+				if (typeof v !== 'string') return remember(decodeView(TYPED_ARRAYS[tag], v, ctx));
+				const bytes = new Uint8Array(Buffer.from(v, 'base64'));
+				return remember(new TYPED_ARRAYS[tag](bytes.buffer, 0, bytes.byteLength / TYPED_ARRAYS[tag].BYTES_PER_ELEMENT));
+			}
+	}
+	throw new Error(`deserialize: unknown tag ${JSON.stringify(tag)}`);
+}
+
+/** A view written with its shared buffer: { buffer, byteOffset, byteLength }. */
+function decodeView(View, v, ctx) {
+	const buffer = decode(v.buffer, ctx);
+	if (!types.isArrayBuffer(buffer)) throw new Error('deserialize: a shared view needs an ArrayBuffer');
+	const length = View === DataView ? v.byteLength : v.byteLength / View.BYTES_PER_ELEMENT;
+	return new View(buffer, v.byteOffset, length);
+}
+
+function fillArray(out, items, ctx) {
+	out.length = items.length;
+	items.forEach((item, i) => {
+		if (item && item.$t === 'hole') return;
+		out[i] = decode(item, ctx);
+	});
+}
+
+function decodeProperties(out, body, ctx) {
+	for (const key of Object.keys(body)) {
+		if (key === '$id' || key === '$t' || key === '$v') continue;
+		defineKey(out, unescapeKey(key), decode(body[key], ctx));
+	}
+}
+
+module.exports = { serialize, deserialize, createClassRegistry };
+
+// ============================================================================
+// DEMO (node serializer.js)
+// ============================================================================
+
+if (require.main === module) {
+	const { deepEqual } = require('./deep-equal');
+
+	console.log('\n=== serialize: what JSON loses, kept ===\n');
+
+	const state = {
+		count: 10n ** 20n,
+		missing: undefined,
+		ratio: NaN,
+		limit: Infinity,
+		zero: -0,
+		when: new Date(0),
+		pattern: /ab+c/gi,
+		index: new Map([['a', 1]]),
+		tags: new Set(['x', 'y']),
+		bytes: new Uint8Array([1, 2, 255]),
+		sparse: [1, , 3],
+		$dollar: 'keys starting with $ are escaped'
+	};
+	state.self = state;                 // circular
+	state.alias = state.index;          // shared
+
+	const text = serialize(state);
+	const restored = deserialize(text);
+
+	console.log('round-trip equal:', deepEqual(restored, state)); // true
+	console.log('cycle kept:', restored.self === restored); // true
+	console.log('sharing kept:', restored.alias === restored.index); // true
+	console.log('hole kept:', !(1 in restored.sparse)); // true
+
+	console.log('\n=== serialize: classes via a registry ===\n');
+
+	class Temperature {
+		constructor(celsius) { this._celsius = celsius; }
+		get fahrenheit() { return this._celsius * 9 / 5 + 32; }
+	}
+
+	class BankAccount {
+		#balance = 0;
+		constructor(initialBalance) { this.#balance = initialBalance; }
+		deposit(amount) { this.#balance += amount; return this.#balance; }
+		getBalance() { return this.#balance; }
+	}
+
+	const registry = createClassRegistry()
+		.register(Temperature)
+		// #balance is invisible to reflection, so the class says how to save and rebuild it
+		.register(BankAccount, {
+			toData: (account) => ({ balance: account.getBalance() }),
+			fromData: (data) => new BankAccount(data.balance)
+		});
+
+	const snapshot = serialize({ temp: new Temperature(100), account: new BankAccount(150) }, { registry });
+	console.log(snapshot);
+	const back = deserialize(snapshot, { registry });
+	console.log('Temperature:', back.temp instanceof Temperature, back.temp.fahrenheit); // true 212
+	console.log('BankAccount:', back.account instanceof BankAccount, back.account.deposit(50)); // true 200
+}
@@ -0,0 +1,174 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { serialize, deserialize, createClassRegistry } = require('./serializer');
+
+const roundTrip = (value, options) => deserialize(serialize(value, options), options);
+
+class Node {
+	constructor(name) {
+		this.name = name;
+		this.next = null;
+	}
+}
+
+class Account {
+	#balance;
+	constructor(balance, owner = null) {
+		this.#balance = balance;
+		this.owner = owner;
+	}
+	getBalance() { return this.#balance; }
+}
+
+const registry = createClassRegistry()
+	.register(Node)
+	.register(Account, {
+		toData: (account) => ({ balance: account.getBalance(), owner: account.owner }),
+		fromData: (data) => new Account(data.balance, data.owner)
+	});
+
+describe('shared references', () => {
+	it('keeps cycles and sharing in objects, arrays and Maps', () => {
+		const shared = { id: 1 };
+		const root = { list: [shared, shared], byId: new Map([[1, shared]]) };
+		root.self = root;
+		root.list.push(root.list);
+		const back = roundTrip(root);
+		expect(back.self).toBe(back);
+		expect(back.list[0]).toBe(back.list[1]);
+		expect(back.byId.get(1)).toBe(back.list[0]);
+		expect(back.list[2]).toBe(back.list);
+	});
+
+	it('keeps cycles through registered classes without toData', () => {
+		const a = new Node('a');
+		a.next = new Node('b');
+		a.next.next = a;
+		const back = roundTrip(a, { registry });
+		expect(back).toBeInstanceOf(Node);
+		expect(back.next.next).toBe(back);
+	});
+
+	it('keeps a toData instance that is shared but not cyclic', () => {
+		const account = new Account(10);
+		const back = roundTrip({ a: account, b: account }, { registry });
+		expect(back.a).toBe(back.b);
+		expect(back.a.getBalance()).toBe(10);
+	});
+
+	it('lets toData data point at objects outside the instance', () => {
+		const owner = { name: 'Ada' };
+		const back = roundTrip({ owner, account: new Account(5, owner) }, { registry });
+		expect(back.account.owner).toBe(back.owner);
+	});
+
+	it('rejects a cycle through a toData instance instead of writing an unreadable $ref', () => {
+		const owner = { name: 'Ada' };
+		const account = new Account(5, owner);
+		owner.account = account;
+		expect(() => serialize(account, { registry })).toThrow('leads back to the Account instance');
+	});
+
+	it('allows the cycle when it is entered through a plain object', () => {
+		const owner = { name: 'Ada' };
+		owner.account = new Account(5, owner);
+		const back = roundTrip({ owner }, { registry });
+		expect(back.owner.account.owner).toBe(back.owner);
+	});
+});
+
+describe('untrusted input', () => {
+	it('rejects tags that are not its own', () => {
+		for (const tag of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+			expect(() => deserialize(JSON.stringify({ $t: tag, $v: '' }))).toThrow(`unknown tag "${tag}"`);
+		}
+	});
+
+	it('rejects tags that are not strings', () => {
+		expect(() => deserialize('{"$t":5,"$v":""}')).toThrow('unknown tag 5');
+		expect(() => deserialize('{"$t":["Map"],"$v":[]}')).toThrow('unknown tag ["Map"]');
+	});
+});
+
+describe('typed arrays and buffers', () => {
+	it('round-trips every typed array kind and DataView', () => {
+		const values = [
+			new Int8Array([-1, 2]), new Uint8Array([255]), new Uint8ClampedArray([9]),
+			new Int16Array([-300]), new Uint16Array([65535]), new Int32Array([-7]), new Uint32Array([7]),
+			new Float32Array([0.5]), new Float64Array([NaN, -0]), new BigInt64Array([-1n]), new BigUint64Array([2n ** 64n - 1n])
+		];
+		const back = roundTrip(values);
+		back.forEach((array, i) => {
+			expect(Object.getPrototypeOf(array)).toBe(Object.getPrototypeOf(values[i]));
+			expect(array).toEqual(values[i]);
+		});
+		const view = new DataView(new ArrayBuffer(4));
+		view.setInt16(0, -2);
+		expect(roundTrip(view).getInt16(0)).toBe(-2);
+	});
+
+	it('copies only the bytes of a view whose buffer is not shared', () => {
+		const part = new Uint8Array(new ArrayBuffer(1024), 8, 2);
+		const back = roundTrip(part);
+		expect(back.buffer.byteLength).toBe(2);
+		expect(back.byteOffset).toBe(0);
+	});
+
+	it('keeps views over one buffer sharing it', () => {
+		const buffer = new ArrayBuffer(8);
+		const value = { buffer, bytes: new Uint8Array(buffer), words: new Uint16Array(buffer, 2, 2), view: new DataView(buffer, 4) };
+		const back = roundTrip(value);
+		expect(back.bytes.buffer).toBe(back.buffer);
+		expect(back.words.buffer).toBe(back.buffer);
+		expect(back.view.buffer).toBe(back.buffer);
+		expect([back.words.byteOffset, back.words.length, back.view.byteOffset, back.view.byteLength]).toEqual([2, 2, 4, 4]);
+		back.words[0] = 0xffff;
+		expect(back.bytes[2]).toBe(255);
+	});
+
+	it('keeps views sharing a buffer that is not itself in the value', () => {
+		const buffer = new ArrayBuffer(4);
+		const back = roundTrip([new Uint8Array(buffer), new Int8Array(buffer, 1, 2)]);
+		expect(back[0].buffer).toBe(back[1].buffer);
+		expect(back[1].byteOffset).toBe(1);
+	});
+});
+
+describe('getters and toData', () => {
+	it('reads each getter once and writes its value', () => {
+		let reads = 0;
+		const value = { get now() { reads += 1; return { at: reads }; } };
+		expect(roundTrip(value)).toEqual({ now: { at: 1 } });
+		expect(reads).toBe(1);
+	});
+
+	it('calls toData once per instance', () => {
+		let calls = 0;
+		class Money {
+			constructor(cents) { this.cents = cents; }
+		}
+		const counted = createClassRegistry().register(Money, {
+			toData: (money) => { calls += 1; return money.cents; },
+			fromData: (cents) => new Money(cents)
+		});
+		const money = new Money(250);
+		const back = roundTrip({ a: money, b: [money] }, { registry: counted });
+		expect(calls).toBe(1);
+		expect(back.b[0]).toBe(back.a);
+		expect(back.a).toBeInstanceOf(Money);
+	});
+
+	it('keeps sharing among objects that only toData returns', () => {
+		class Pair {
+			constructor(left, right) { this.left = left; this.right = right; }
+		}
+		const pairs = createClassRegistry().register(Pair, {
+			toData: (pair) => [pair.left, pair.right],
+			fromData: ([left, right]) => new Pair(left, right)
+		});
+		const item = { id: 1 };
+		const back = roundTrip(new Pair(item, item), { registry: pairs });
+		expect(back.left).toBe(back.right);
+	});
+});
@@ -0,0 +1,168 @@
+/**
+ * findSharedReferences — list every place two object graphs share an object
+ *
+ * "js values vs reference.js" shows `shallow1.b.c = 99` leaking into `src`
+ * because `{ ...src }` copies the reference to `src.b`, not the object. This
+ * module finds such sharing automatically: it walks both graphs (cycle-safe,
+ * with the same visited-set bookkeeping as `deepClone`) and reports each pair
+ * of paths that lead to the very same object.
+ *
+ * Run the examples with: node shared-references.js
+ * Run the tests with: node test-runner.js shared-references.test.js
+ */
+
+'use strict';
+
+const { AssertionError } = require('assert');
+const { formatPath } = require('./watch-mutations');
+
+// ============================================================================
+// Graph walking
+// ============================================================================
+
+const isObject = (value) => value !== null && (typeof value === 'object' || typeof value === 'function');
+
+/**
+ * Visit every object reachable from `root`, calling `visit(value, path)` for
+ * each path that reaches it. Children are only walked on the first visit, so
+ * cycles terminate. Returning false from `visit` skips that object's children.
+ */
+function walk(root, visit, { functions, symbols }) {
+	const seen = new WeakSet();
+
+	(function step(value, path) {
+		if (!isObject(value)) return;
+		if (typeof value === 'function' && !functions) return;
+		const descend = visit(value, path) !== false;
+		if (seen.has(value) || !descend) return;
+		seen.add(value);
+
+		if (value instanceof Map) {
+			for (const [key, v] of value) {
+				if (isObject(key)) step(key, path.concat(['<key>']));
+				step(v, path.concat([key]));
+			}
+			return;
+		}
+		if (value instanceof Set) {
+			let i = 0;
+			for (const v of value) step(v, path.concat([i++]));
+			return;
+		}
+		for (const key of Reflect.ownKeys(value)) {
+			if (typeof key === 'symbol' && !symbols) continue;
+			const desc = Object.getOwnPropertyDescriptor(value, key);
+			// Never trigger getters: reading them could create objects or have side effects
+			if (desc && 'value' in desc) step(desc.value, path.concat([key]));
+		}
+	})(root, []);
+}
+
+// ============================================================================
+// findSharedReferences
+// ============================================================================
+
+/**
+ * Find objects reachable from both `a` and `b`.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @param {object} [options]
+ * @param {boolean} [options.nested=false] also report objects inside an already-shared object
+ *   (off by default: if `a.b` is shared, `a.b.c` being shared is implied)
+ * @param {boolean} [options.ignoreFrozen=false] frozen objects cannot be mutated, so sharing them is safe
+ * @param {boolean} [options.functions=false] include functions (methods are usually shared on purpose)
+ * @param {boolean} [options.symbols=true] follow symbol-keyed properties
+ * @param {(value: object, path: Array) => boolean} [options.ignore] return true to skip an object
+ * @returns {Array<{ pathA: Array, pathB: Array, pathStringA: string, pathStringB: string, value: object }>}
+ */
+function findSharedReferences(a, b, options = {}) {
+	const { nested = false, ignoreFrozen = false, functions = false, symbols = true, ignore } = options;
+	const walkOpts = { functions, symbols };
+	const skip = (value, path) => (ignoreFrozen && Object.isFrozen(value)) || (ignore && ignore(value, path));
+
+	// Every path by which each object in `a` can be reached
+	const pathsInA = new Map();
+	walk(a, (value, path) => {
+		if (!pathsInA.has(value)) pathsInA.set(value, []);
+		pathsInA.get(value).push(path);
+	}, walkOpts);
+
+	const shared = [];
+	walk(b, (value, pathB) => {
+		if (!pathsInA.has(value) || skip(value, pathB)) return true;
+		for (const pathA of pathsInA.get(value)) {
+			shared.push({ pathA, pathB, pathStringA: formatPath(pathA) || '<root>', pathStringB: formatPath(pathB) || '<root>', value });
+		}
+		return nested;
+	}, walkOpts);
+
+	return shared;
+}
+
+/**
+ * Throw an AssertionError if `a` and `b` share any object; for tests and CI
+ * checks such as "the reducer returned a real copy".
+ *
+ * @param {*} a
+ * @param {*} b
+ * @param {object} [options] same as findSharedReferences, plus `message`
+ */
+function assertNoSharedReferences(a, b, options = {}) {
+	const shared = findSharedReferences(a, b, options);
+	if (shared.length === 0) return;
+	const lines = shared.slice(0, 10).map((s) => `  a.${s.pathStringA} === b.${s.pathStringB}`);
+	if (shared.length > 10) lines.push(`  ...and ${shared.length - 10} more`);
+	const err = new AssertionError({
+		message: `${options.message || 'Expected no shared references'}, found ${shared.length}:\n${lines.join('\n')}`,
+		actual: shared.map((s) => [s.pathStringA, s.pathStringB]),
+		expected: [],
+		operator: 'assertNoSharedReferences',
+		stackStartFn: assertNoSharedReferences
+	});
+	err.shared = shared;
+	throw err;
+}
+
+module.exports = { findSharedReferences, assertNoSharedReferences };
+
+// ============================================================================
+// DEMO (node shared-references.js)
+// ============================================================================
+
+if (require.main === module) {
+	console.log('\n=== findSharedReferences ===\n');
+
+	const src = { a: 1, b: { c: 2 }, list: [{ id: 1 }, { id: 2 }] };
+	const shallow = { ...src, list: src.list.slice() };
+
+	for (const { pathStringA, pathStringB } of findSharedReferences(src, shallow)) {
+		console.log(`src.${pathStringA} is shared with copy.${pathStringB}`);
+	}
+	// src.b is shared with copy.b
+	// src.list[0] is shared with copy.list[0]
+	// src.list[1] is shared with copy.list[1]
+
+	console.log('\n=== assertNoSharedReferences in a reducer check ===\n');
+
+	function reducer(state, action) {
+		if (action.type === 'rename') {
+			const next = { ...state };
+			next.user.name = action.name; // bug: user is still the old object
+			return next;
+		}
+		return state;
+	}
+
+	const before = { user: { name: 'Alice' }, loop: null };
+	before.loop = before; // cycles are fine
+	try {
+		assertNoSharedReferences(before, reducer(before, { type: 'rename', name: 'Ada' }), {
+			ignore: (value, path) => path[0] === 'loop'
+		});
+	} catch (e) {
+		console.log(e.message);
+		// Expected no shared references, found 1:
+		//   a.user === b.user
+	}
+}
@@ -0,0 +1,93 @@
+'use strict';
+
+const { AssertionError } = require('assert');
+const { describe, it, expect } = require('./test-runner');
+const { findSharedReferences, assertNoSharedReferences } = require('./shared-references');
+
+const pairs = (shared) => shared.map((s) => [s.pathStringA, s.pathStringB]);
+
+describe('findSharedReferences', () => {
+	it('lists what a spread copy still shares with its source', () => {
+		const src = { a: 1, b: { c: 2 }, list: [{ id: 1 }, { id: 2 }] };
+		const copy = { ...src, list: src.list.slice() };
+		const shared = findSharedReferences(src, copy);
+		expect(pairs(shared)).toEqual([['b', 'b'], ['list[0]', 'list[0]'], ['list[1]', 'list[1]']]);
+		expect(shared[0].value).toBe(src.b);
+		expect(findSharedReferences(src, structuredClone(src))).toEqual([]);
+	});
+
+	it('reports the root and every path pair to the same object', () => {
+		const inner = { n: 1 };
+		const a = { x: inner, y: inner };
+		expect(pairs(findSharedReferences(a, a))).toEqual([['<root>', '<root>']]);
+		expect(pairs(findSharedReferences(a, { z: inner }))).toEqual([['x', 'z'], ['y', 'z']]);
+	});
+
+	it('reports objects inside a shared object only with nested: true', () => {
+		const deep = { c: { d: {} } };
+		expect(pairs(findSharedReferences({ b: deep }, { b: deep }))).toEqual([['b', 'b']]);
+		expect(pairs(findSharedReferences({ b: deep }, { b: deep }, { nested: true }))).toEqual([['b', 'b'], ['b.c', 'b.c'], ['b.c.d', 'b.c.d']]);
+	});
+
+	it('terminates on cycles', () => {
+		const a = { self: null, data: { n: 1 } };
+		a.self = a;
+		const b = { self: null, data: a.data };
+		b.self = b;
+		expect(pairs(findSharedReferences(a, b))).toEqual([['data', 'data']]);
+	});
+
+	it('walks Map keys and values and Set members', () => {
+		const key = { id: 'k' };
+		const value = { v: 1 };
+		const member = { m: 1 };
+		const a = { map: new Map([[key, value]]), set: new Set([member]) };
+		const b = { map: new Map([[key, 'other'], ['v', value]]), set: new Set(['x', member]) };
+		const shared = findSharedReferences(a, b);
+		expect(shared.map((s) => s.value)).toEqual([key, value, member]);
+		expect(pairs(shared)).toEqual([['map.<key>', 'map.<key>'], ['map[<object>]', 'map.v'], ['set[0]', 'set[1]']]);
+	});
+
+	it('skips frozen objects, functions, symbol keys and ignored paths on request', () => {
+		const frozen = Object.freeze({ f: 1 });
+		const fn = () => {};
+		const tagged = { t: 1 };
+		const key = Symbol('meta');
+		const a = { frozen, fn, [key]: tagged, skip: { s: 1 } };
+		const b = { frozen, fn, [key]: tagged, skip: a.skip };
+		expect(pairs(findSharedReferences(a, b))).toEqual([['frozen', 'frozen'], ['skip', 'skip'], ['[Symbol(meta)]', '[Symbol(meta)]']]);
+		expect(findSharedReferences(a, b, { functions: true }).map((s) => s.pathStringA)).toContain('fn');
+		const none = findSharedReferences(a, b, { ignoreFrozen: true, symbols: false, ignore: (value, path) => path[0] === 'skip' });
+		expect(none).toEqual([]);
+	});
+
+	it('never calls getters', () => {
+		let reads = 0;
+		const hidden = { h: 1 };
+		const a = { get lazy() { reads += 1; return hidden; } };
+		expect(findSharedReferences(a, { hidden })).toEqual([]);
+		expect(reads).toBe(0);
+	});
+});
+
+describe('assertNoSharedReferences', () => {
+	it('passes for a real copy and lists the shared paths otherwise', () => {
+		const state = { user: { name: 'Alice' } };
+		expect(() => assertNoSharedReferences(state, { user: { ...state.user } })).not.toThrow();
+
+		let error;
+		try {
+			assertNoSharedReferences(state, { ...state }, { message: 'reducer returned a shallow copy' });
+		} catch (e) {
+			error = e;
+		}
+		expect(error).toBeInstanceOf(AssertionError);
+		expect(error.message).toBe('reducer returned a shallow copy, found 1:\n  a.user === b.user');
+		expect(error.shared[0].value).toBe(state.user);
+	});
+
+	it('shows at most ten pairs', () => {
+		const items = Array.from({ length: 12 }, (_, id) => ({ id }));
+		expect(() => assertNoSharedReferences(items, items.slice())).toThrow('...and 2 more');
+	});
+});
@@ -0,0 +1,683 @@
+/**
+ * TEST RUNNER: a zero-dependency replacement for hand-rolled `if (...) throw` tests
+ *
+ * factory-functions.js ends its testing section with testCounterFactory(),
+ * which throws on the first failure and prints one checkmark. This runner
+ * gives the familiar shape instead:
+ *
+ *   const { describe, it, beforeEach, expect } = require('./test-runner');
+ *   describe('counter', () => {
+ *     let c;
+ *     beforeEach(() => { c = createCounterAdvanced(0); });
+ *     it('increments', () => { c.increment(); expect(c.getCount()).toBe(1); });
+ *   });
+ *
+ * - describe / it (+ .skip / .only), beforeAll / beforeEach / afterEach / afterAll
+ * - expect(...) with .not, .resolves and .rejects; toEqual uses deep-equal.js
+ * - async tests (promise or `done` callback) with per-test timeouts
+ * - fake timers for setTimeout/setInterval/Date.now code
+ * - reporters: 'spec' (people), 'tap' and 'junit' (CI)
+ *
+ * CLI: node test-runner.js [paths...] [--reporter spec|tap|junit] [--out file] [--timeout ms]
+ * finds every *.test.js under the given paths (default: the current directory).
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { deepEqual, findFirstDifference } = require('./deep-equal');
+
+// Captured before any test can install fake timers, so timeouts keep working
+const realTimers = {
+  setTimeout: global.setTimeout,
+  clearTimeout: global.clearTimeout,
+  setInterval: global.setInterval,
+  clearInterval: global.clearInterval,
+  setImmediate: global.setImmediate,
+  dateNow: Date.now
+};
+
+const DEFAULT_TIMEOUT = 2000;
+
+// ============================================================================
+// expect
+// ============================================================================
+
+const inspect = (value) => util.inspect(value, { depth: 4, breakLength: Infinity });
+
+function fail(message, actual, expected, operator, stackStartFn = fail) {
+  throw new assert.AssertionError({ message, actual, expected, operator, stackStartFn });
+}
+
+/** A function that records its calls; optional `impl` supplies the behavior. */
+function mockFn(impl = () => undefined) {
+  function mock(...args) {
+    mock.calls.push(args);
+    return impl.apply(this, args);
+  }
+  mock.calls = [];
+  mock.isMock = true;
+  return mock;
+}
+
+function getPath(obj, keyPath) {
+  const keys = Array.isArray(keyPath) ? keyPath : String(keyPath).split('.');
+  let current = obj;
+  for (const key of keys) {
+    if (current === null || current === undefined || !(key in Object(current))) return { found: false };
+    current = current[key];
+  }
+  return { found: true, value: current };
+}
+
+function describeDifference(actual, expected, options) {
+  const diff = findFirstDifference(actual, expected, options);
+  return diff ? ` (at ${diff.pathString}: ${diff.reason}, ${inspect(diff.a)} vs ${inspect(diff.b)})` : '';
+}
+
+/** Each matcher returns [pass, message-when-it-should-have-passed, message-when-negated]. */
+const matchers = {
+  toBe: (actual, expected) => [Object.is(actual, expected),
+    `expected ${inspect(actual)} to be ${inspect(expected)}`, `expected value not to be ${inspect(expected)}`],
+  toEqual: (actual, expected) => [deepEqual(actual, expected, { prototypes: false }),
+    `expected ${inspect(actual)} to equal ${inspect(expected)}${describeDifference(actual, expected, { prototypes: false })}`,
+    `expected ${inspect(actual)} not to equal ${inspect(expected)}`],
+  toStrictEqual: (actual, expected) => [deepEqual(actual, expected),
+    `expected ${inspect(actual)} to strictly equal ${inspect(expected)}${describeDifference(actual, expected)}`,
+    `expected ${inspect(actual)} not to strictly equal ${inspect(expected)}`],
+  toBeTruthy: (actual) => [!!actual, `expected ${inspect(actual)} to be truthy`, `expected ${inspect(actual)} to be falsy`],
+  toBeFalsy: (actual) => [!actual, `expected ${inspect(actual)} to be falsy`, `expected ${inspect(actual)} to be truthy`],
+  toBeNull: (actual) => [actual === null, `expected ${inspect(actual)} to be null`, 'expected value not to be null'],
+  toBeUndefined: (actual) => [actual === undefined, `expected ${inspect(actual)} to be undefined`, 'expected value to be defined'],
+  toBeDefined: (actual) => [actual !== undefined, 'expected value to be defined', `expected ${inspect(actual)} to be undefined`],
+  toBeNaN: (actual) => [Number.isNaN(actual), `expected ${inspect(actual)} to be NaN`, 'expected value not to be NaN'],
+  toBeGreaterThan: (actual, n) => [actual > n, `expected ${actual} to be > ${n}`, `expected ${actual} not to be > ${n}`],
+  toBeGreaterThanOrEqual: (actual, n) => [actual >= n, `expected ${actual} to be >= ${n}`, `expected ${actual} not to be >= ${n}`],
+  toBeLessThan: (actual, n) => [actual < n, `expected ${actual} to be < ${n}`, `expected ${actual} not to be < ${n}`],
+  toBeLessThanOrEqual: (actual, n) => [actual <= n, `expected ${actual} to be <= ${n}`, `expected ${actual} not to be <= ${n}`],
+  toBeCloseTo: (actual, expected, digits = 2) => [Math.abs(actual - expected) < 10 ** -digits / 2,
+    `expected ${actual} to be close to ${expected} (${digits} digits)`, `expected ${actual} not to be close to ${expected}`],
+  toBeInstanceOf: (actual, Ctor) => [actual instanceof Ctor,
+    `expected ${inspect(actual)} to be an instance of ${Ctor.name}`, `expected value not to be an instance of ${Ctor.name}`],
+  toContain: (actual, item) => [
+    typeof actual === 'string' ? actual.includes(item) : [...actual].some((x) => Object.is(x, item)),
+    `expected ${inspect(actual)} to contain ${inspect(item)}`, `expected ${inspect(actual)} not to contain ${inspect(item)}`],
+  toHaveLength: (actual, length) => [actual != null && actual.length === length,
+    `expected length ${length}, got ${actual == null ? actual : actual.length}`, `expected length not to be ${length}`],
+  toMatch: (actual, pattern) => [typeof pattern === 'string' ? String(actual).includes(pattern) : pattern.test(actual),
+    `expected ${inspect(actual)} to match ${inspect(pattern)}`, `expected ${inspect(actual)} not to match ${inspect(pattern)}`],
+  toHaveProperty(actual, keyPath, ...value) {
+    const { found, value: got } = getPath(actual, keyPath);
+    const pass = found && (value.length === 0 || deepEqual(got, value[0], { prototypes: false }));
+    const what = value.length ? `${keyPath} = ${inspect(value[0])}` : keyPath;
+    return [pass, `expected property ${what}${found ? `, got ${inspect(got)}` : ' (missing)'}`, `expected no property ${what}`];
+  },
+  toThrow(actual, expected) {
+    if (typeof actual !== 'function') throw new TypeError('expect(fn).toThrow(): value must be a function');
+    let thrown;
+    let didThrow = false;
+    try {
+      actual();
+    } catch (error) {
+      didThrow = true;
+      thrown = error;
+    }
+    return matchThrown(didThrow, thrown, expected);
+  },
+  toHaveBeenCalled: (actual) => [mockCalls(actual).length > 0,
+    'expected mock to have been called', `expected mock not to be called (called ${mockCalls(actual).length} times)`],
+  toHaveBeenCalledTimes: (actual, n) => [mockCalls(actual).length === n,
+    `expected ${n} calls, got ${mockCalls(actual).length}`, `expected mock not to be called ${n} times`],
+  toHaveBeenCalledWith: (actual, ...args) => [mockCalls(actual).some((call) => deepEqual(call, args, { prototypes: false })),
+    `expected a call with ${inspect(args)}; calls were ${inspect(mockCalls(actual))}`, `expected no call with ${inspect(args)}`]
+};
+
+function mockCalls(fn) {
+  if (!fn || !fn.isMock) throw new TypeError('expected a mock created with mockFn()');
+  return fn.calls;
+}
+
+function matchThrown(didThrow, thrown, expected) {
+  if (!didThrow) return [false, 'expected function to throw', ''];
+  const message = thrown && thrown.message;
+  let pass = true;
+  if (typeof expected === 'string') pass = String(message).includes(expected);
+  else if (expected instanceof RegExp) pass = expected.test(message);
+  else if (typeof expected === 'function') pass = thrown instanceof expected;
+  return [pass, `expected thrown ${inspect(thrown)} to match ${inspect(expected)}`,
+    `expected function not to throw${expected ? ` ${inspect(expected)}` : ''}, but it threw ${inspect(thrown)}`];
+}
+
+function buildMatchers(actual, negate, stage) {
+  const api = {};
+  for (const [name, matcher] of Object.entries(matchers)) {
+    // Named so the assertion's stack trace starts at the caller's expect() line
+    api[name] = function assertion(...args) {
+      const [pass, message, negatedMessage] = matcher(actual, ...args);
+      if (pass === negate) fail(`${stage}${negate ? negatedMessage : message}`, actual, args[0], name, assertion);
+    };
+  }
+  return api;
+}
+
+/**
+ * expect(value).toBe(...), expect(value).not.toBe(...),
+ * await expect(promise).resolves.toBe(...), await expect(promise).rejects.toThrow(...)
+ */
+function expect(actual) {
+  const api = buildMatchers(actual, false, '');
+  api.not = buildMatchers(actual, true, '');
+  const settled = (kind) => {
+    const wrap = (negate) => new Proxy({}, {
+      get(_, name) {
+        if (name === 'not') return wrap(true);
+        if (!matchers[name]) return undefined;
+        return async (...args) => {
+          let outcome;
+          try {
+            outcome = { ok: true, value: await actual };
+          } catch (error) {
+            outcome = { ok: false, value: error };
+          }
+          if (outcome.ok !== (kind === 'resolves')) {
+            fail(`expected promise to ${kind === 'resolves' ? 'resolve' : 'reject'}, but it ${outcome.ok ? 'resolved' : 'rejected'} with ${inspect(outcome.value)}`);
+          }
+          if (kind === 'rejects' && name === 'toThrow') {
+            const [pass, message, negated] = matchThrown(true, outcome.value, args[0]);
+            if (pass === negate) fail(`rejects: ${negate ? negated : message}`, outcome.value, args[0], name);
+            return;
+          }
+          buildMatchers(outcome.value, negate, `${kind}: `)[name](...args);
+        };
+      }
+    });
+    return wrap(false);
+  };
+  Object.defineProperty(api, 'resolves', { get: () => settled('resolves') });
+  Object.defineProperty(api, 'rejects', { get: () => settled('rejects') });
+  return api;
+}
+
+// ============================================================================
+// Fake timers
+// ============================================================================
+
+let activeClock = null;
+
+/**
+ * Replace setTimeout/setInterval (and their clear* functions) and Date.now
+ * with a virtual clock that only moves when you call tick().
+ *
+ * @param {object} [options]
+ * @param {number} [options.now=0] starting value for Date.now()
+ * @returns {{ now(): number, tick(ms: number): void, tickAsync(ms: number): Promise<void>,
+ *   runAll(): void, pending(): number, restore(): void }}
+ */
+function useFakeTimers({ now = 0 } = {}) {
+  if (activeClock) activeClock.restore();
+  let current = now;
+  let nextId = 1;
+  const timers = new Map(); // id -> { at, ms, fn, args, interval }
+
+  /** Stands in for Node's Timeout: ref/unref/hasRef/refresh, and converts to its id like the real one. */
+  const handle = (id, ms) => {
+    let referenced = true;
+    const timeout = {
+      ref() { referenced = true; return timeout; },
+      unref() { referenced = false; return timeout; },
+      hasRef: () => referenced,
+      refresh() {
+        const timer = timers.get(id);
+        if (timer) timer.at = current + ms;
+        return timeout;
+      },
+      [Symbol.toPrimitive]: () => id
+    };
+    return timeout;
+  };
+  const schedule = (fn, delay, args, interval) => {
+    const id = nextId++;
+    const ms = Math.max(0, Number(delay) || 0);
+    timers.set(id, { id, at: current + ms, fn, args, interval: interval ? Math.max(1, ms) : null });
+    return handle(id, interval ? Math.max(1, ms) : ms);
+  };
+  // Accepts a handle or the id it converts to, as clearTimeout(+timer) does in Node
+  const cancel = (timer) => {
+    if (timer !== null && timer !== undefined) timers.delete(Number(timer));
+  };
+
+  /** The next timer due at or before `limit`, earliest first, then in creation order. */
+  function nextDue(limit) {
+    let next = null;
+    for (const timer of timers.values()) {
+      if (timer.at <= limit && (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id))) next = timer;
+    }
+    return next;
+  }
+
+  function fire(timer) {
+    current = timer.at;
+    if (timer.interval) timer.at += timer.interval;
+    else timers.delete(timer.id);
+    timer.fn(...timer.args);
+  }
+
+  const clock = {
+    now: () => current,
+    pending: () => timers.size,
+
+    /** Advance the clock by `ms`, running every timer that falls due, in order. */
+    tick(ms) {
+      const target = current + ms;
+      let timer;
+      while ((timer = nextDue(target))) fire(timer);
+      current = target;
+    },
+
+    /** Like tick(), but lets promise callbacks settle after each timer. */
+    async tickAsync(ms) {
+      const target = current + ms;
+      let timer;
+      while ((timer = nextDue(target))) {
+        fire(timer);
+        await new Promise((resolve) => realTimers.setImmediate(resolve));
+      }
+      current = target;
+    },
+
+    /** Run timers until none are left (intervals make this throw after 1000 rounds). */
+    runAll() {
+      for (let rounds = 0; timers.size > 0; rounds++) {
+        if (rounds >= 1000) throw new Error('useFakeTimers: runAll() gave up after 1000 timers (an interval?)');
+        fire(nextDue(Infinity));
+      }
+    },
+
+    restore() {
+      Object.assign(global, {
+        setTimeout: realTimers.setTimeout,
+        clearTimeout: realTimers.clearTimeout,
+        setInterval: realTimers.setInterval,
+        clearInterval: realTimers.clearInterval
+      });
+      Date.now = realTimers.dateNow;
+      if (activeClock === clock) activeClock = null;
+    }
+  };
+
+  Object.assign(global, {
+    setTimeout: (fn, delay, ...args) => schedule(fn, delay, args, false),
+    clearTimeout: cancel,
+    setInterval: (fn, delay, ...args) => schedule(fn, delay, args, true),
+    clearInterval: cancel
+  });
+  Date.now = () => current;
+  activeClock = clock;
+  return clock;
+}
+
+// ============================================================================
+// Registration and running
+// ============================================================================
+
+function createSuite(name, parent, mode) {
+  return { name, parent, mode, children: [], hooks: { beforeAll: [], beforeEach: [], afterEach: [], afterAll: [] } };
+}
+
+function suitePath(suite) {
+  const names = [];
+  for (let s = suite; s && s.parent; s = s.parent) names.unshift(s.name);
+  return names;
+}
+
+/** Resolve when `fn` finishes (promise or done-callback style), reject on error or timeout. */
+function callWithTimeout(fn, ms, label) {
+  return new Promise((resolve, reject) => {
+    const timer = realTimers.setTimeout(() => reject(new Error(`${label} timed out after ${ms} ms`)), ms);
+    const finish = (error) => {
+      realTimers.clearTimeout(timer);
+      if (error) reject(error);
+      else resolve();
+    };
+    try {
+      if (fn.length > 0) fn((error) => finish(error));
+      else Promise.resolve(fn()).then(() => finish(), finish);
+    } catch (error) {
+      finish(error);
+    }
+  });
+}
+
+/**
+ * An independent set of describe/it/hooks and a run() for them. The module
+ * exports one default runner; create more to run tests in isolation.
+ */
+function createRunner() {
+  const root = createSuite('', null, null);
+  let current = root;
+  let file = null;
+
+  function describe(name, fn, mode = null) {
+    const suite = createSuite(name, current, mode);
+    suite.file = file;
+    current.children.push(suite);
+    const parent = current;
+    current = suite;
+    try {
+      fn();
+    } finally {
+      current = parent;
+    }
+  }
+  describe.skip = (name, fn) => describe(name, fn, 'skip');
+  describe.only = (name, fn) => describe(name, fn, 'only');
+
+  function it(name, fn, { timeout } = {}, mode = null) {
+    current.children.push({ name, fn, timeout, mode, parent: current, file, isTest: true });
+  }
+  it.skip = (name, fn, options) => it(name, fn, options, 'skip');
+  it.only = (name, fn, options) => it(name, fn, options, 'only');
+
+  const hook = (kind) => (fn) => {
+    current.hooks[kind].push(fn);
+  };
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.timeout=2000] default per-test timeout (ms)
+   * @param {'spec'|'tap'|'junit'|Function} [options.reporter='spec']
+   * @param {(text: string) => void} [options.output] receives the report (stdout by default)
+   * @returns {Promise<{ results: Array, summary: object, report: string }>}
+   */
+  async function run({ timeout = DEFAULT_TIMEOUT, reporter = 'spec', output = (text) => process.stdout.write(text) } = {}) {
+    const results = [];
+    const hasOnly = containsOnly(root);
+    const started = performance.now();
+
+    async function runSuite(suite, ancestors, skipped, focused) {
+      const chain = ancestors.concat([suite]);
+      const inSkip = skipped || suite.mode === 'skip';
+      const inOnly = focused || suite.mode === 'only';
+      let setupError = null;
+      if (!inSkip) {
+        for (const fn of suite.hooks.beforeAll) {
+          try {
+            await callWithTimeout(fn, timeout, 'beforeAll hook');
+          } catch (error) {
+            setupError = error;
+            break;
+          }
+        }
+      }
+
+      for (const child of suite.children) {
+        if (!child.isTest) {
+          await runSuite(child, chain, inSkip, inOnly);
+          continue;
+        }
+        const result = {
+          name: child.name,
+          suites: suitePath(suite),
+          fullName: suitePath(suite).concat([child.name]).join(' > '),
+          file: child.file,
+          status: 'passed',
+          duration: 0,
+          error: null
+        };
+        const skip = inSkip || child.mode === 'skip' || (hasOnly && !inOnly && child.mode !== 'only');
+        if (skip) {
+          result.status = 'skipped';
+        } else if (setupError) {
+          result.status = 'failed';
+          result.error = setupError;
+        } else {
+          const testStart = performance.now();
+          result.error = await runTest(child, chain, timeout);
+          result.status = result.error ? 'failed' : 'passed';
+          result.duration = performance.now() - testStart;
+        }
+        results.push(result);
+      }
+
+      if (!inSkip) {
+        for (const fn of suite.hooks.afterAll) {
+          try {
+            await callWithTimeout(fn, timeout, 'afterAll hook');
+          } catch (error) {
+            results.push({ name: 'afterAll hook', suites: suitePath(suite), fullName: `${suitePath(suite).join(' > ')} > afterAll hook`, file: suite.file, status: 'failed', duration: 0, error });
+          }
+        }
+      }
+    }
+
+    await runSuite(root, [], false, false);
+    const summary = {
+      total: results.length,
+      passed: results.filter((r) => r.status === 'passed').length,
+      failed: results.filter((r) => r.status === 'failed').length,
+      skipped: results.filter((r) => r.status === 'skipped').length,
+      duration: performance.now() - started
+    };
+    const format = typeof reporter === 'function' ? reporter : reporters[reporter];
+    if (!format) throw new TypeError(`Unknown reporter "${reporter}" (expected ${Object.keys(reporters).join(', ')})`);
+    const report = format(results, summary);
+    if (output) output(report);
+    return { results, summary, report };
+  }
+
+  return {
+    describe,
+    it,
+    test: it,
+    beforeAll: hook('beforeAll'),
+    beforeEach: hook('beforeEach'),
+    afterEach: hook('afterEach'),
+    afterAll: hook('afterAll'),
+    run,
+    /** Tag tests registered while loading `name` (used by the CLI for per-file grouping). */
+    setFile(name) {
+      file = name;
+    }
+  };
+}
+
+function containsOnly(suite) {
+  return suite.children.some((child) => child.mode === 'only' || (!child.isTest && containsOnly(child)));
+}
+
+/** beforeEach outermost-first, the test, afterEach innermost-first; fake timers are always restored. */
+async function runTest(test, chain, defaultTimeout) {
+  const ms = test.timeout || defaultTimeout;
+  let error = null;
+  try {
+    for (const suite of chain) {
+      for (const fn of suite.hooks.beforeEach) await callWithTimeout(fn, ms, 'beforeEach hook');
+    }
+    await callWithTimeout(test.fn, ms, `"${test.name}"`);
+  } catch (e) {
+    error = e;
+  }
+  for (const suite of chain.slice().reverse()) {
+    for (const fn of suite.hooks.afterEach) {
+      try {
+        await callWithTimeout(fn, ms, 'afterEach hook');
+      } catch (e) {
+        error = error || e;
+      }
+    }
+  }
+  if (activeClock) activeClock.restore();
+  return error;
+}
+
+// ============================================================================
+// Reporters: (results, summary) -> string
+// ============================================================================
+
+const errorText = (error) => (error && (error.stack || error.message)) || String(error);
+
+const xmlEscape = (text) => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+
+const reporters = {
+  /** Indented, human-readable. */
+  spec(results, summary) {
+    const lines = [];
+    let previous = [];
+    for (const result of results) {
+      result.suites.forEach((name, depth) => {
+        if (previous[depth] !== name) lines.push(`${'  '.repeat(depth)}${name}`);
+      });
+      previous = result.suites;
+      const mark = { passed: '✓', failed: '✗', skipped: '-' }[result.status];
+      const time = result.duration >= 1 ? ` (${result.duration.toFixed(0)} ms)` : '';
+      lines.push(`${'  '.repeat(result.suites.length)}${mark} ${result.name}${result.status === 'skipped' ? ' (skipped)' : time}`);
+    }
+    const failures = results.filter((r) => r.status === 'failed');
+    failures.forEach((result, i) => {
+      lines.push('', `${i + 1}) ${result.fullName}`, errorText(result.error).split('\n').map((l) => `   ${l}`).join('\n'));
+    });
+    lines.push('', `${summary.passed} passing, ${summary.failed} failing, ${summary.skipped} skipped (${summary.duration.toFixed(0)} ms)`);
+    return `${lines.join('\n')}\n`;
+  },
+
+  /** Test Anything Protocol, version 13. */
+  tap(results, summary) {
+    const lines = ['TAP version 13', `1..${results.length}`];
+    results.forEach((result, i) => {
+      const status = result.status === 'failed' ? 'not ok' : 'ok';
+      lines.push(`${status} ${i + 1} - ${result.fullName}${result.status === 'skipped' ? ' # SKIP' : ''}`);
+      if (result.status === 'failed') {
+        lines.push('  ---', `  message: ${JSON.stringify(result.error && result.error.message)}`, '  stack: |-');
+        lines.push(...errorText(result.error).split('\n').map((l) => `    ${l}`), '  ...');
+      }
+    });
+    lines.push(`# tests ${summary.total}`, `# pass ${summary.passed}`, `# fail ${summary.failed}`, `# skip ${summary.skipped}`);
+    return `${lines.join('\n')}\n`;
+  },
+
+  /** JUnit XML: one <testsuite> per file (or top-level describe when run in-process). */
+  junit(results, summary) {
+    const groups = new Map();
+    for (const result of results) {
+      const key = result.file || result.suites[0] || 'tests';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(result);
+    }
+    const seconds = (ms) => (ms / 1000).toFixed(3);
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites tests="${summary.total}" failures="${summary.failed}" skipped="${summary.skipped}" time="${seconds(summary.duration)}">`];
+    for (const [name, cases] of groups) {
+      const failed = cases.filter((r) => r.status === 'failed').length;
+      const skipped = cases.filter((r) => r.status === 'skipped').length;
+      const time = cases.reduce((sum, r) => sum + r.duration, 0);
+      lines.push(`  <testsuite name="${xmlEscape(name)}" tests="${cases.length}" failures="${failed}" skipped="${skipped}" time="${seconds(time)}">`);
+      for (const result of cases) {
+        const open = `    <testcase classname="${xmlEscape(result.suites.join('.') || name)}" name="${xmlEscape(result.name)}" time="${seconds(result.duration)}"`;
+        if (result.status === 'passed') {
+          lines.push(`${open}/>`);
+        } else if (result.status === 'skipped') {
+          lines.push(`${open}>`, '      <skipped/>', '    </testcase>');
+        } else {
+          const error = result.error || {};
+          lines.push(`${open}>`,
+            `      <failure message="${xmlEscape(error.message || String(error))}" type="${xmlEscape(error.name || 'Error')}">${xmlEscape(errorText(error))}</failure>`,
+            '    </testcase>');
+        }
+      }
+      lines.push('  </testsuite>');
+    }
+    lines.push('</testsuites>');
+    return `${lines.join('\n')}\n`;
+  }
+};
+
+// ============================================================================
+// Discovery + CLI
+// ============================================================================
+
+/** Every *.test.js under `paths` (files are taken as-is), skipping node_modules and dot-directories. */
+function discover(paths) {
+  const found = [];
+  const walk = (entry) => {
+    const stat = fs.statSync(entry);
+    if (stat.isFile()) {
+      found.push(path.resolve(entry));
+      return;
+    }
+    for (const name of fs.readdirSync(entry).sort()) {
+      const full = path.join(entry, name);
+      if (fs.statSync(full).isDirectory()) {
+        if (name !== 'node_modules' && !name.startsWith('.')) walk(full);
+      } else if (name.endsWith('.test.js')) {
+        found.push(path.resolve(full));
+      }
+    }
+  };
+  paths.forEach(walk);
+  return [...new Set(found)];
+}
+
+function parseArgs(argv) {
+  const options = { paths: [], reporter: 'spec', out: null, timeout: DEFAULT_TIMEOUT };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--reporter') options.reporter = argv[++i];
+    else if (arg === '--out') options.out = argv[++i];
+    else if (arg === '--timeout') options.timeout = Number(argv[++i]);
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else options.paths.push(arg);
+  }
+  if (options.paths.length === 0) options.paths.push(process.cwd());
+  return options;
+}
+
+async function cli(argv) {
+  const options = parseArgs(argv);
+  const files = discover(options.paths);
+  if (files.length === 0) {
+    console.error(`No *.test.js files found under ${options.paths.join(', ')}`);
+    return 1;
+  }
+  for (const file of files) {
+    defaultRunner.setFile(path.relative(process.cwd(), file));
+    require(file);
+  }
+  defaultRunner.setFile(null);
+  const output = options.out ? (text) => fs.writeFileSync(options.out, text) : undefined;
+  const { summary } = await defaultRunner.run({ timeout: options.timeout, reporter: options.reporter, output });
+  if (options.out) console.log(`Wrote ${options.reporter} report to ${options.out}`);
+  return summary.failed > 0 ? 1 : 0;
+}
+
+const defaultRunner = createRunner();
+
+module.exports = {
+  describe: defaultRunner.describe,
+  it: defaultRunner.it,
+  test: defaultRunner.it,
+  beforeAll: defaultRunner.beforeAll,
+  beforeEach: defaultRunner.beforeEach,
+  afterEach: defaultRunner.afterEach,
+  afterAll: defaultRunner.afterAll,
+  run: defaultRunner.run,
+  createRunner,
+  expect,
+  mockFn,
+  useFakeTimers,
+  reporters,
+  discover
+};
+
+if (require.main === module) {
+  cli(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  }, (error) => {
+    console.error(error.message);
+    process.exitCode = 2;
+  });
+}
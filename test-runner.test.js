@@ -0,0 +1,187 @@
+'use strict';
+
+const { describe, it, expect, createRunner, mockFn, useFakeTimers, reporters, discover } = require('./test-runner');
+
+const realSetTimeout = global.setTimeout;
+
+/** Run a private suite without printing its report. */
+async function runInner(define, options = {}) {
+  const runner = createRunner();
+  define(runner);
+  return runner.run({ output: null, ...options });
+}
+
+describe('matchers', () => {
+  it('compare by identity, structure and strict structure', () => {
+    expect(NaN).toBe(NaN);
+    expect({ a: [1] }).not.toBe({ a: [1] });
+    expect({ a: [1] }).toEqual({ a: [1] });
+    class Point { constructor(x) { this.x = x; } }
+    expect(new Point(1)).toEqual({ x: 1 });
+    expect(new Point(1)).not.toStrictEqual({ x: 1 });
+  });
+
+  it('report where two structures differ', () => {
+    expect(() => expect({ user: { id: 1 } }).toEqual({ user: { id: 2 } })).toThrow('user.id');
+  });
+
+  it('check numbers, strings, collections and properties', () => {
+    expect(0.1 + 0.2).toBeCloseTo(0.3);
+    expect(2).toBeGreaterThan(1);
+    expect('hello').toMatch(/^he/);
+    expect(new Set([1, 2])).toContain(2);
+    expect([1, 2, 3]).toHaveLength(3);
+    expect({ a: { b: 0 } }).toHaveProperty('a.b', 0);
+    expect({ a: {} }).not.toHaveProperty('a.b');
+  });
+
+  it('match thrown errors by substring, pattern and class', () => {
+    const throws = () => { throw new RangeError('out of range'); };
+    expect(throws).toThrow('of range');
+    expect(throws).toThrow(/^out/);
+    expect(throws).toThrow(RangeError);
+    expect(() => expect(throws).toThrow(TypeError)).toThrow('to match');
+    expect(() => {}).not.toThrow();
+  });
+
+  it('inspect mock calls', () => {
+    const fn = mockFn((x) => x * 2);
+    expect(fn(2)).toBe(4);
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(fn).toHaveBeenCalledWith(2);
+    expect(() => expect(() => {}).toHaveBeenCalled()).toThrow('mockFn()');
+  });
+
+  it('await promises with resolves and rejects', async () => {
+    await expect(Promise.resolve({ ok: true })).resolves.toEqual({ ok: true });
+    await expect(Promise.reject(new Error('nope'))).rejects.toThrow('nope');
+  });
+});
+
+describe('running tests', () => {
+  it('runs hooks in order and reports each test', async () => {
+    const order = [];
+    const { summary, results } = await runInner(({ describe: suite, it: test, beforeAll, beforeEach, afterEach, afterAll }) => {
+      suite('outer', () => {
+        beforeAll(() => order.push('beforeAll'));
+        beforeEach(() => order.push('beforeEach'));
+        afterEach(() => order.push('afterEach'));
+        afterAll(() => order.push('afterAll'));
+        test('passes', () => order.push('test'));
+        test('fails', () => { throw new Error('boom'); });
+        test.skip('skipped', () => order.push('never'));
+      });
+    });
+    expect(order).toEqual(['beforeAll', 'beforeEach', 'test', 'afterEach', 'beforeEach', 'afterEach', 'afterAll']);
+    expect(summary).toHaveProperty('passed', 1);
+    expect(summary).toHaveProperty('failed', 1);
+    expect(summary).toHaveProperty('skipped', 1);
+    expect(results[1].fullName).toBe('outer > fails');
+  });
+
+  it('runs only the focused tests when .only is used', async () => {
+    const ran = [];
+    await runInner(({ it: test }) => {
+      test('a', () => ran.push('a'));
+      test.only('b', () => ran.push('b'));
+    });
+    expect(ran).toEqual(['b']);
+  });
+
+  it('supports done callbacks and fails tests that time out', async () => {
+    const { results } = await runInner(({ it: test }) => {
+      test('done', (done) => setImmediate(done));
+      test('hangs', () => new Promise(() => {}), { timeout: 20 });
+    });
+    expect(results.map((r) => r.status)).toEqual(['passed', 'failed']);
+    expect(results[1].error.message).toMatch('timed out after 20 ms');
+  });
+});
+
+describe('fake timers', () => {
+  it('fire timers in due order as the clock ticks', () => {
+    const clock = useFakeTimers({ now: 1000 });
+    const calls = [];
+    setTimeout(() => calls.push('b'), 20);
+    setTimeout(() => calls.push('a'), 10);
+    const interval = setInterval(() => calls.push('i'), 15);
+    clock.tick(30);
+    expect(calls).toEqual(['a', 'i', 'b', 'i']);
+    expect(Date.now()).toBe(1030);
+    clearInterval(interval);
+    expect(clock.pending()).toBe(0);
+  });
+
+  it('return handles with ref, unref, hasRef and refresh', () => {
+    const clock = useFakeTimers();
+    const fn = mockFn();
+    const timer = setTimeout(fn, 10);
+    expect(timer.unref()).toBe(timer);
+    expect(timer.hasRef()).toBe(false);
+    expect(timer.ref().hasRef()).toBe(true);
+    clock.tick(5);
+    timer.refresh();
+    clock.tick(9);
+    expect(fn).not.toHaveBeenCalled();
+    clock.tick(1);
+    expect(fn).toHaveBeenCalledTimes(1);
+    clearTimeout(+setTimeout(fn, 1));
+    clock.runAll();
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  it('are restored after each test', () => {
+    expect(global.setTimeout).toBe(realSetTimeout);
+    expect(Date.now()).toBeGreaterThan(1030);
+  });
+
+  it('let promise callbacks settle between timers with tickAsync', async () => {
+    const clock = useFakeTimers();
+    const seen = [];
+    setTimeout(() => Promise.resolve().then(() => seen.push('then')), 5);
+    setTimeout(() => seen.push('second'), 5);
+    await clock.tickAsync(5);
+    expect(seen).toEqual(['then', 'second']);
+  });
+});
+
+describe('reporters', () => {
+  const results = [
+    { name: 'adds', suites: ['math'], fullName: 'math > adds', file: 'math.test.js', status: 'passed', duration: 1.5, error: null },
+    { name: 'divides <by> zero', suites: ['math'], fullName: 'math > divides <by> zero', file: 'math.test.js', status: 'failed', duration: 0, error: new Error('expected "a" & \'b\'') },
+    { name: 'later', suites: ['math'], fullName: 'math > later', file: 'math.test.js', status: 'skipped', duration: 0, error: null }
+  ];
+  const summary = { total: 3, passed: 1, failed: 1, skipped: 1, duration: 4 };
+
+  it('tap numbers every test and marks skips', () => {
+    const lines = reporters.tap(results, summary).split('\n');
+    expect(lines.slice(0, 3)).toEqual(['TAP version 13', '1..3', 'ok 1 - math > adds']);
+    expect(lines).toContain('not ok 2 - math > divides <by> zero');
+    expect(lines).toContain('ok 3 - math > later # SKIP');
+    expect(lines).toContain('# fail 1');
+  });
+
+  it('junit groups by file and escapes XML', () => {
+    const xml = reporters.junit(results, summary);
+    expect(xml).toMatch('<testsuites tests="3" failures="1" skipped="1" time="0.004">');
+    expect(xml).toMatch('<testsuite name="math.test.js" tests="3" failures="1" skipped="1"');
+    expect(xml).toMatch('name="divides &lt;by&gt; zero"');
+    expect(xml).toMatch('message="expected &quot;a&quot; &amp; &apos;b&apos;"');
+    expect(xml).toMatch('<skipped/>');
+  });
+
+  it('spec prints suites once and lists failures at the end', () => {
+    const text = reporters.spec(results, summary);
+    expect(text.match(/^math$/gm)).toHaveLength(1);
+    expect(text).toMatch('1) math > divides <by> zero');
+    expect(text).toMatch('1 passing, 1 failing, 1 skipped');
+  });
+});
+
+describe('discover', () => {
+  it('finds *.test.js files, including this one', () => {
+    const files = discover([__dirname]);
+    expect(files).toContain(__filename);
+    expect(files.every((file) => file.endsWith('.test.js'))).toBe(true);
+  });
+});
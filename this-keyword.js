@@ -363,13 +363,20 @@ const bindingDemo = {
   name: 'bindingDemo',
   method() {
     console.log('1. Regular method:', this.name);
+    // The calls below run this method again with another 'this'; only the first call demonstrates
+    if (this !== bindingDemo) return;
     
     // call overrides method binding
     const obj3 = { name: 'obj3' };
     this.method.call(obj3); // prints: obj3
     
-    // new creates a new object (and binds 'this' to it)
-    const result = new this.method(); // prints: undefined (new object)
+    // new creates a new object (and binds 'this' to it), but method shorthand
+    // has no [[Construct]]; a `function` expression would print: undefined (new object)
+    try {
+      new this.method();
+    } catch (e) {
+      console.log('2. new this.method():', e.message); // this.method is not a constructor
+    }
   }
 };
 
@@ -422,6 +429,45 @@ const h = new Handler();
 const detached = h.handle;
 detached(); // Still works: Handled by Handler
 
+/**
+ * Pattern 4: Binding helpers (see binding.js)
+ * Arrow fields are copied onto every instance and can't be reached with super;
+ * autoBind does Pattern 2 for every method, bound() keeps methods on the
+ * prototype and binds them per instance on first access.
+ */
+const { autoBind, bound, bindAll } = require('./binding');
+
+class Toggle {
+  constructor() {
+    this.on = false;
+    autoBind(this);
+  }
+
+  flip() {
+    this.on = !this.on;
+    return this.on;
+  }
+}
+
+const flip = new Toggle().flip;
+console.log('autoBind detached:', flip(), flip.name); // true flip
+
+class Clicker {
+  clicks = 0;
+
+  click() {
+    return ++this.clicks;
+  }
+}
+bound(Clicker, 'click');
+
+const clicker = new Clicker();
+const { click } = clicker;
+console.log('bound detached:', click(), clicker.click === click); // 1 true
+
+const ticker = bindAll({ ticks: 0, tick() { console.log('bindAll tick:', ++this.ticks); } });
+setTimeout(ticker.tick, 0); // bindAll tick: 1 (no wrapper arrow needed)
+
 /**
  * Anti-pattern: Arrow function as method in object literal
  */
@@ -0,0 +1,56 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { defineFactory, ValidationError } = require('./typed-factory');
+
+describe('defineFactory', () => {
+  const createPoint = defineFactory({
+    x: { type: 'number', required: true },
+    y: { type: 'number', default: 0 },
+    tags: { type: 'array', items: 'string', default: () => [] }
+  }, {
+    length() { return Math.hypot(this.x, this.y); }
+  }, { name: 'Point' });
+
+  it('fills defaults and shares methods through one prototype', () => {
+    const a = createPoint({ x: 3, y: 4 });
+    const b = createPoint({ x: 1 });
+    expect(a.length()).toBe(5);
+    expect(b.y).toBe(0);
+    expect(a.length).toBe(b.length);
+    expect(a.tags).not.toBe(b.tags);
+    expect(createPoint.is(a)).toBe(true);
+    expect(createPoint.is({ ...a })).toBe(false);
+    expect(Object.isSealed(a)).toBe(true);
+  });
+
+  it('reports every failing path in one ValidationError', () => {
+    expect(() => createPoint({ x: '1', tags: ['a', 2], z: 0 })).toThrow(ValidationError);
+    const errors = createPoint.validate({ x: '1', tags: ['a', 2], z: 0 });
+    expect(errors.map((e) => e.pathString)).toEqual(['x', 'tags[1]', 'z']);
+  });
+
+  it('does not treat inherited names as fields or methods', () => {
+    expect(() => defineFactory({ name: 'string' }, { toString() { return 'x'; } })).not.toThrow();
+    expect(() => defineFactory({ name: 'string' }, { name() {} })).toThrow('both a field and a method');
+    expect(() => defineFactory({}, {}, { signatures: { toString: '(): string' } })).toThrow('unknown method "toString"');
+  });
+
+  it('keeps a "__proto__" field as an ordinary field', () => {
+    const fields = JSON.parse('{ "__proto__": { "type": "string", "default": "none" } }');
+    const create = defineFactory(fields, { hello() { return 'hi'; } });
+    expect(Object.keys(create.schema)).toEqual(['__proto__']);
+    const instance = create(JSON.parse('{ "__proto__": "custom" }'));
+    expect(Object.getOwnPropertyDescriptor(instance, '__proto__').value).toBe('custom');
+    expect(instance.hello()).toBe('hi');
+    expect(create.is(instance)).toBe(true);
+  });
+
+  it('uses a function default as the value of a function field', () => {
+    const noop = () => 'noop';
+    const create = defineFactory({ onChange: { type: 'function', default: noop }, id: { type: 'integer', default: () => 7 } });
+    const instance = create();
+    expect(instance.onChange).toBe(noop);
+    expect(instance.id).toBe(7);
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * watchMutations — find out who mutates an object, where, and from which line
+ *
+ * The "Proxies & Mutation Detection" section of "js values vs reference.js"
+ * logs top-level `set` calls. This wraps a whole object graph instead: every
+ * write (assignment, delete, defineProperty, Array/Map/Set mutator methods)
+ * at any depth is reported with its full path, old and new value, and
+ * optionally the call site — enough to track down aliasing bugs where "a copy"
+ * turns out to be the same object.
+ *
+ * Run the examples with: node watch-mutations.js
+ * Run the tests with: node test-runner.js watch-mutations.test.js
+ */
+
+'use strict';
+
+const { captureCallSite } = require('./diagnostics');
+
+const ARRAY_MUTATORS = new Set(['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin']);
+const MAP_MUTATORS = new Set(['set', 'delete', 'clear']);
+const SET_MUTATORS = new Set(['add', 'delete', 'clear']);
+const TYPED_ARRAY_MUTATORS = new Set(['fill', 'set', 'sort', 'reverse', 'copyWithin']);
+
+// proxy -> raw target, so we never store our own proxies inside the watched data
+const rawByProxy = new WeakMap();
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/** Format ['user', 'tags', 2] as "user.tags[2]". */
+function formatPath(path) {
+	return path.reduce((out, key) => {
+		if (typeof key === 'number' || (typeof key === 'string' && /^\d+$/.test(key))) return `${out}[${key}]`;
+		if (typeof key === 'symbol') return `${out}[${String(key)}]`;
+		if (key !== null && typeof key === 'object') return `${out}[<object>]`;
+		return out ? `${out}.${key}` : String(key);
+	}, '');
+}
+
+const isObject = (value) => value !== null && (typeof value === 'object' || typeof value === 'function');
+
+const unwrap = (value) => (isObject(value) && rawByProxy.has(value) ? rawByProxy.get(value) : value);
+
+/**
+ * Built-ins whose methods only work on the real object (they read internal
+ * slots, so `this` can't be a proxy). Map and Set are handled separately.
+ */
+const hasInternalSlots = (value) => ArrayBuffer.isView(value) || value instanceof Date ||
+	value instanceof Promise || value instanceof RegExp || value instanceof ArrayBuffer ||
+	value instanceof WeakMap || value instanceof WeakSet || value instanceof WeakRef ||
+	value instanceof Number || value instanceof String || value instanceof Boolean;
+
+/** Typed arrays, DataViews and Dates can be changed through their methods, so they are still watched. */
+const hasSlotMutators = (value) => ArrayBuffer.isView(value) || value instanceof Date;
+
+function isSlotMutator(target, prop) {
+	if (typeof prop !== 'string') return false;
+	if (target instanceof Date || target instanceof DataView) return prop.startsWith('set');
+	return ArrayBuffer.isView(target) && TYPED_ARRAY_MUTATORS.has(prop);
+}
+
+/** A detached copy of a Date, DataView or typed array, for oldValue/newValue. */
+function snapshotSlots(target) {
+	if (target instanceof Date) return new Date(target.getTime());
+	if (target instanceof DataView) return new DataView(target.buffer.slice(target.byteOffset, target.byteOffset + target.byteLength));
+	return target.slice();
+}
+
+const defaultOnMutation = (event) => {
+	console.log(`[mutation] ${event.type} ${event.pathString || '<root>'}:`, event.oldValue, '->', event.newValue);
+};
+
+// ============================================================================
+// watchMutations
+// ============================================================================
+
+/**
+ * Wrap `obj` in a Proxy that reports every mutation.
+ *
+ * Each event passed to `onMutation` looks like:
+ *   { type, path, pathString, oldValue, newValue, target, method?, args?, callSite?, stack? }
+ * where `type` is 'set' | 'delete' | 'define' | 'call' (Array/Map/Set mutators).
+ *
+ * @param {object} obj the object to watch (it is wrapped, not copied)
+ * @param {object} [options]
+ * @param {(event: object) => void} [options.onMutation] defaults to console.log
+ * @param {boolean} [options.deep=true] also watch nested objects reached through the proxy
+ * @param {boolean} [options.captureStack=false] attach `callSite` and `stack` to each event
+ * @returns {object} the watching proxy; use it in place of `obj`
+ */
+function watchMutations(obj, options = {}) {
+	if (!isObject(obj)) throw new TypeError('watchMutations: expected an object');
+	const { onMutation = defaultOnMutation, deep = true, captureStack = false } = options;
+	// target -> trie of raw path segments -> proxy: the same object reached by two paths
+	// reports each path, and object Map keys or same-named symbols never share a proxy
+	const proxies = new WeakMap();
+	const node = () => ({ proxy: null, children: new Map() });
+
+	const report = (event, entry) => {
+		event.pathString = formatPath(event.path);
+		if (captureStack) Object.assign(event, captureCallSite(entry));
+		onMutation(event);
+	};
+
+	function wrap(target, path) {
+		const raw = unwrap(target);
+		let entry = proxies.get(raw);
+		if (!entry) proxies.set(raw, (entry = node()));
+		for (const segment of path) {
+			let next = entry.children.get(segment);
+			if (!next) entry.children.set(segment, (next = node()));
+			entry = next;
+		}
+		if (!entry.proxy) {
+			entry.proxy = new Proxy(raw, createHandler(path));
+			rawByProxy.set(entry.proxy, raw);
+		}
+		return entry.proxy;
+	}
+
+	// Promises, RegExps, ArrayBuffers, ... are handed out as they are: they have nothing to watch through a proxy
+	const child = (value, path) => (deep && isObject(value) && typeof value !== 'function' &&
+		(!hasInternalSlots(value) || hasSlotMutators(value)) ? wrap(value, path) : value);
+
+	/** Members of a slotted built-in: methods run on the raw target, and mutators are reported. */
+	function slotMember(target, prop, path) {
+		const value = Reflect.get(target, prop, target); // getters like `length` need the raw receiver too
+		if (typeof value !== 'function') return value;
+		if (!isSlotMutator(target, prop)) return value.bind(target);
+		return function mutator(...args) {
+			const oldValue = snapshotSlots(target);
+			const result = value.apply(target, args.map(unwrap));
+			report({ type: 'call', method: prop, args, path, oldValue, newValue: snapshotSlots(target), target }, mutator);
+			return result === target ? wrap(target, path) : result;
+		};
+	}
+
+	function collectionMethod(target, prop, path) {
+		const method = target[prop];
+		const isMap = target instanceof Map;
+		const mutators = isMap ? MAP_MUTATORS : SET_MUTATORS;
+
+		if (mutators.has(prop)) {
+			return function mutator(...args) {
+				const [key, value] = args.map(unwrap);
+				let oldValue;
+				let newValue;
+				let eventPath = path;
+				if (prop === 'clear') {
+					oldValue = isMap ? new Map(target) : new Set(target);
+					newValue = isMap ? new Map() : new Set();
+				} else if (isMap) {
+					eventPath = path.concat([key]);
+					oldValue = target.get(key);
+					newValue = prop === 'set' ? value : undefined;
+				} else {
+					eventPath = path.concat([key]);
+					oldValue = prop === 'delete' && target.has(key) ? key : undefined;
+					newValue = prop === 'add' ? key : undefined;
+				}
+				const result = prop === 'set' ? method.call(target, key, value) : method.call(target, key);
+				report({ type: 'call', method: prop, args, path: eventPath, oldValue, newValue, target }, mutator);
+				return result === target ? wrap(target, path) : result;
+			};
+		}
+		if (deep && isMap && prop === 'get') {
+			return (key) => child(target.get(key), path.concat([key]));
+		}
+		if (deep && (prop === 'values' || prop === 'entries' || prop === 'forEach' || prop === Symbol.iterator)) {
+			// Hand out watched values so mutations through iteration are caught too
+			const entries = () => [...target.entries()].map(([k, v]) => [k, child(v, path.concat([k]))]);
+			if (prop === 'forEach') {
+				return (callback, thisArg) => entries().forEach(([k, v]) => callback.call(thisArg, v, isMap ? k : v, wrap(target, path)));
+			}
+			if (prop === 'values' || (!isMap && prop === Symbol.iterator)) return () => entries().map(([, v]) => v)[Symbol.iterator]();
+			return () => entries()[Symbol.iterator]();
+		}
+		return typeof method === 'function' ? method.bind(target) : method;
+	}
+
+	function createHandler(path) {
+		const handler = {
+			get(target, prop, receiver) {
+				if (target instanceof Map || target instanceof Set) {
+					if (prop === 'size') return target.size;
+					return collectionMethod(target, prop, path);
+				}
+				if (hasInternalSlots(target)) return slotMember(target, prop, path);
+				if (Array.isArray(target) && ARRAY_MUTATORS.has(prop)) {
+					// One event per call instead of one per index/length write
+					return function mutator(...args) {
+						const oldValue = target.slice();
+						const result = Array.prototype[prop].apply(target, args.map(unwrap));
+						report({ type: 'call', method: prop, args, path, oldValue, newValue: target.slice(), target }, mutator);
+						return result === target ? receiver : result;
+					};
+				}
+				const value = Reflect.get(target, prop, receiver);
+				const desc = Object.getOwnPropertyDescriptor(target, prop);
+				// Proxy invariant: non-writable, non-configurable data must come back unchanged
+				if (desc && !desc.configurable && !desc.writable && 'value' in desc) return value;
+				return typeof value === 'function' ? value : child(value, path.concat([prop]));
+			},
+			set(target, prop, value, receiver) {
+				const oldValue = target[prop];
+				const had = Object.prototype.hasOwnProperty.call(target, prop);
+				const raw = unwrap(value);
+				const ok = Reflect.set(target, prop, raw, receiver === wrap(target, path) ? target : receiver);
+				if (ok && (!had || !Object.is(oldValue, raw))) {
+					report({ type: 'set', path: path.concat([prop]), oldValue, newValue: raw, target }, handler.set);
+				}
+				return ok;
+			},
+			deleteProperty(target, prop) {
+				const had = Object.prototype.hasOwnProperty.call(target, prop);
+				const oldValue = target[prop];
+				const ok = Reflect.deleteProperty(target, prop);
+				if (ok && had) report({ type: 'delete', path: path.concat([prop]), oldValue, newValue: undefined, target }, handler.deleteProperty);
+				return ok;
+			},
+			defineProperty(target, prop, descriptor) {
+				const oldValue = target[prop];
+				const ok = Reflect.defineProperty(target, prop, 'value' in descriptor ? { ...descriptor, value: unwrap(descriptor.value) } : descriptor);
+				if (ok) {
+					report({
+						type: 'define',
+						path: path.concat([prop]),
+						oldValue,
+						newValue: 'value' in descriptor ? unwrap(descriptor.value) : descriptor,
+						target
+					}, handler.defineProperty);
+				}
+				return ok;
+			}
+		};
+		return handler;
+	}
+
+	return wrap(obj, []);
+}
+
+module.exports = { watchMutations, formatPath };
+
+// ============================================================================
+// DEMO (node watch-mutations.js)
+// ============================================================================
+
+if (require.main === module) {
+	console.log('\n=== watchMutations: paths and values ===\n');
+
+	const state = {
+		user: { name: 'Alice', tags: ['admin'] },
+		cache: new Map([['session', { hits: 0 }]])
+	};
+	const watched = watchMutations(state);
+
+	watched.user.name = 'Ada';                 // set user.name: Alice -> Ada
+	watched.user.tags.push('editor');          // call user.tags: ['admin'] -> ['admin', 'editor']
+	watched.cache.get('session').hits += 1;    // set cache.session.hits: 0 -> 1
+	delete watched.user.name;                  // delete user.name
+
+	console.log('\n=== watchMutations: Dates, typed arrays, Promises ===\n');
+
+	const media = watchMutations({
+		updated: new Date(0),
+		samples: new Float32Array(4),
+		ready: Promise.resolve('loaded')
+	});
+	console.log('reads work:', media.updated.getTime(), media.samples.length); // 0 4
+	media.samples.fill(0.5);                   // call samples: Float32Array [0, 0, 0, 0] -> [0.5, 0.5, 0.5, 0.5]
+	media.samples[0] = 1;                      // set samples[0]: 0.5 -> 1
+	media.updated.setTime(1000);               // call updated: 1970-01-01T00:00:00.000Z -> 1970-01-01T00:00:01.000Z
+	media.ready.then((value) => console.log('promise resolved:', value)); // promise resolved: loaded
+
+	console.log('\n=== watchMutations: catching an aliasing bug ===\n');
+
+	const events = [];
+	const defaults = watchMutations({ theme: { color: 'blue' } }, {
+		captureStack: true,
+		onMutation: (event) => events.push(event)
+	});
+
+	function makeUserPrefs(base) {
+		const prefs = { ...base }; // shallow copy: prefs.theme IS base.theme
+		prefs.theme.color = 'red'; // mutates the shared defaults
+		return prefs;
+	}
+	makeUserPrefs(defaults);
+
+	const [event] = events;
+	console.log(`${event.type} ${event.pathString}: ${event.oldValue} -> ${event.newValue}`); // set theme.color: blue -> red
+	console.log('call site:', event.callSite); // at makeUserPrefs (.../watch-mutations.js:...)
+}
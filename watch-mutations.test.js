@@ -0,0 +1,147 @@
+'use strict';
+
+const { describe, it, expect } = require('./test-runner');
+const { watchMutations, formatPath } = require('./watch-mutations');
+
+/** Watch `obj`, collecting events instead of logging them. */
+function watched(obj, options = {}) {
+	const events = [];
+	const proxy = watchMutations(obj, { ...options, onMutation: (event) => events.push(event) });
+	return { proxy, events };
+}
+
+describe('formatPath', () => {
+	it('formats properties, indexes, symbols and object keys', () => {
+		expect(formatPath(['user', 'tags', 2])).toBe('user.tags[2]');
+		expect(formatPath(['list', '0', 'name'])).toBe('list[0].name');
+		expect(formatPath(['meta', Symbol('id')])).toBe('meta[Symbol(id)]');
+		expect(formatPath(['byUser', {}])).toBe('byUser[<object>]');
+		expect(formatPath([])).toBe('');
+	});
+});
+
+describe('watchMutations', () => {
+	it('reports sets, deletes and defines at any depth without touching unchanged writes', () => {
+		const state = { user: { name: 'Alice' } };
+		const { proxy, events } = watched(state);
+		proxy.user.name = 'Ada';
+		proxy.user.name = 'Ada';
+		delete proxy.user.name;
+		Object.defineProperty(proxy.user, 'id', { value: 7, enumerable: true });
+		expect(events.map((e) => `${e.type} ${e.pathString}`)).toEqual(['set user.name', 'delete user.name', 'define user.id']);
+		expect(events[0].oldValue).toBe('Alice');
+		expect(events[0].newValue).toBe('Ada');
+		expect(state.user).toEqual({ id: 7 });
+	});
+
+	it('reports array mutators as one call event with before and after', () => {
+		const { proxy, events } = watched({ tags: ['a'] });
+		proxy.tags.push('b', 'c');
+		expect(events).toHaveLength(1);
+		expect(events[0]).toHaveProperty('method', 'push');
+		expect(events[0].oldValue).toEqual(['a']);
+		expect(events[0].newValue).toEqual(['a', 'b', 'c']);
+	});
+
+	it('watches Map and Set contents and reports their mutators', () => {
+		const { proxy, events } = watched({ cache: new Map([['session', { hits: 0 }]]), seen: new Set() });
+		proxy.cache.get('session').hits += 1;
+		proxy.cache.set('user', 1);
+		proxy.seen.add('x');
+		for (const value of proxy.cache.values()) if (typeof value === 'object') value.hits = 5;
+		expect(events.map((e) => e.pathString)).toEqual(['cache.session.hits', 'cache.user', 'seen.x', 'cache.session.hits']);
+		expect(proxy.cache.size).toBe(2);
+	});
+
+	it('never stores its proxies in the watched data', () => {
+		const state = { a: { n: 1 }, list: [] };
+		const { proxy } = watched(state);
+		proxy.b = proxy.a;
+		proxy.list.push(proxy.a);
+		expect(state.b).toBe(state.a);
+		expect(state.list[0]).toBe(state.a);
+		expect(proxy.a).toBe(proxy.a);
+	});
+
+	it('reports each path an aliased object is reached by', () => {
+		const shared = { color: 'blue' };
+		const { proxy, events } = watched({ left: shared, right: shared });
+		proxy.left.color = 'red';
+		proxy.right.color = 'green';
+		expect(events.map((e) => e.pathString)).toEqual(['left.color', 'right.color']);
+	});
+
+	it('keeps object Map keys and same-named symbols apart', () => {
+		const shared = { hits: 0 };
+		const alice = { id: 'alice' };
+		const bob = { id: 'bob' };
+		const first = Symbol('slot');
+		const second = Symbol('slot');
+		const { proxy, events } = watched({ byUser: new Map([[alice, shared], [bob, shared]]), [first]: shared, [second]: shared });
+
+		proxy.byUser.get(alice).hits += 1;
+		proxy.byUser.get(bob).hits += 1;
+		proxy[first].hits += 1;
+		proxy[second].hits += 1;
+		expect(events.map((e) => e.path[1])).toEqual([alice, bob, 'hits', 'hits']);
+		expect(events[2].path[0]).toBe(first);
+		expect(events[3].path[0]).toBe(second);
+		expect(proxy.byUser.get(alice)).not.toBe(proxy.byUser.get(bob));
+	});
+
+	it('keeps numeric Map keys apart from string ones', () => {
+		const shared = { n: 0 };
+		const { proxy, events } = watched({ map: new Map([[1, shared], ['1', shared]]) });
+		proxy.map.get(1).n = 1;
+		proxy.map.get('1').n = 2;
+		expect(events.map((e) => e.path[1])).toEqual([1, '1']);
+	});
+
+	it('leaves nested objects alone with deep: false', () => {
+		const { proxy, events } = watched({ user: { name: 'Alice' } }, { deep: false });
+		proxy.user.name = 'Ada';
+		proxy.top = 1;
+		expect(events.map((e) => e.pathString)).toEqual(['top']);
+	});
+
+	it('attaches the call site with captureStack', () => {
+		const { proxy, events } = watched({ theme: { color: 'blue' } }, { captureStack: true });
+		function paint(prefs) {
+			prefs.theme.color = 'red';
+		}
+		paint(proxy);
+		expect(events[0].callSite).toMatch('paint');
+	});
+
+	it('rejects primitives', () => {
+		expect(() => watchMutations(1)).toThrow('expected an object');
+	});
+});
+
+describe('watchMutations on built-ins with internal slots', () => {
+	it('reads Dates and typed arrays through the raw object and reports their mutators', () => {
+		const { proxy, events } = watched({ updated: new Date(0), samples: new Float32Array(2), view: new DataView(new ArrayBuffer(4)) });
+		expect(proxy.updated.getTime()).toBe(0);
+		expect(proxy.samples.length).toBe(2);
+		proxy.samples.fill(0.5);
+		proxy.samples[0] = 1;
+		proxy.updated.setTime(1000);
+		proxy.view.setUint8(0, 9);
+		expect(events.map((e) => `${e.type} ${e.pathString}`)).toEqual(['call samples', 'set samples[0]', 'call updated', 'call view']);
+		expect([...events[0].oldValue]).toEqual([0, 0]);
+		expect([...events[0].newValue]).toEqual([0.5, 0.5]);
+		expect(events[2].oldValue.getTime()).toBe(0);
+		expect(events[2].newValue.getTime()).toBe(1000);
+		expect(events[3].newValue.getUint8(0)).toBe(9);
+	});
+
+	it('hands out Promises, RegExps and ArrayBuffers unwrapped', async () => {
+		const state = { ready: Promise.resolve('loaded'), pattern: /a+/g, buffer: new ArrayBuffer(8) };
+		const { proxy } = watched(state);
+		expect(proxy.ready).toBe(state.ready);
+		expect(proxy.pattern).toBe(state.pattern);
+		expect(proxy.buffer).toBe(state.buffer);
+		expect(await proxy.ready).toBe('loaded');
+		expect(proxy.pattern.test('aa')).toBe(true);
+	});
+});